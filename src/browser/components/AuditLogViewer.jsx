@@ -0,0 +1,99 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+// This file uses setState().
+/* eslint-disable react/no-set-state */
+
+import React from 'react';
+import {Button, Table} from 'react-bootstrap';
+import {ipcRenderer} from 'electron';
+
+import {GET_AUDIT_LOG_CHANNEL, EXPORT_AUDIT_LOG_CHANNEL, AUDIT_EVENT_DESCRIPTION} from '../../common/auditLog';
+
+function formatDetails(details) {
+  return Object.keys(details || {}).map((key) => {
+    const value = Array.isArray(details[key]) ? details[key].join(', ') : details[key];
+    return `${key}: ${value}`;
+  }).join('; ');
+}
+
+export default class AuditLogViewer extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      entries: [],
+    };
+  }
+
+  componentDidMount() {
+    this.handleRefresh();
+  }
+
+  handleRefresh = () => {
+    ipcRenderer.invoke(GET_AUDIT_LOG_CHANNEL).then((entries) => {
+      this.setState({entries});
+    }).catch((error) => {
+      console.log('Failed to load the audit log: ', error);
+    });
+  }
+
+  handleExport = () => {
+    ipcRenderer.invoke(EXPORT_AUDIT_LOG_CHANNEL).catch((error) => {
+      console.log('Failed to export the audit log: ', error);
+    });
+  }
+
+  renderEntries() {
+    if (!this.state.entries.length) {
+      return <p>{'No decision has been recorded yet.'}</p>;
+    }
+    return (
+      <div className='AuditLogViewer-entries'>
+        <Table
+          id='auditLog'
+          condensed={true}
+        >
+          <thead>
+            <tr>
+              <th>{'Time'}</th>
+              <th>{'Event'}</th>
+              <th>{'Origin'}</th>
+              <th>{'Decision'}</th>
+              <th>{'Details'}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {this.state.entries.map((entry, index) => (
+              <tr key={`${entry.timestamp}:${index}`}>
+                <td>{new Date(entry.timestamp).toLocaleString()}</td>
+                <td>{AUDIT_EVENT_DESCRIPTION[entry.type] || entry.type}</td>
+                <td className='AuditLogViewer-origin'>{entry.origin}</td>
+                <td>{entry.decision}</td>
+                <td>{formatDetails(entry.details)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      </div>
+    );
+  }
+
+  render() {
+    return (
+      <div className='AuditLogViewer'>
+        {this.renderEntries()}
+        <Button
+          id='refreshAuditLog'
+          onClick={this.handleRefresh}
+        >{'Refresh'}</Button>
+        {' '}
+        <Button
+          id='exportAuditLog'
+          onClick={this.handleExport}
+        >{'Export...'}</Button>
+      </div>
+    );
+  }
+}
+
+/* eslint-enable react/no-set-state */
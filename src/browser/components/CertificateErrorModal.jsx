@@ -0,0 +1,145 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+/* eslint-disable react/no-set-state */
+
+import React from 'react';
+import {Modal, Button, Table} from 'react-bootstrap';
+import {ipcRenderer} from 'electron';
+
+import {
+  CERTIFICATE_ERROR_CHANNEL,
+  CERTIFICATE_ERROR_RESPONSE_CHANNEL,
+  CANCEL_CONNECTION,
+  TRUST_FOR_SESSION,
+  TRUST_PERMANENTLY,
+} from '../../common/certificates';
+
+function formatDate(seconds) {
+  if (typeof seconds !== 'number') {
+    return 'Unknown';
+  }
+  const date = new Date(0);
+  date.setUTCSeconds(seconds);
+  return date.toLocaleString();
+}
+
+function formatChain(chain) {
+  if (!chain) {
+    return 'Unknown';
+  }
+  return chain.map(({subjectName, fingerprint}, index) => (
+    <div
+      key={`${index}-${fingerprint}`}
+      className='CertificateErrorModal-chainItem'
+    >
+      {subjectName}
+      <div className='CertificateErrorModal-fingerprint'>{fingerprint}</div>
+    </div>
+  ));
+}
+
+// rows of the comparison, each getting its value from the certificate details
+const CERTIFICATE_ROWS = [
+  ['Issued to', (details) => details.subject && details.subject.commonName],
+  ['Issued by', (details) => details.issuer && details.issuer.commonName],
+  ['Fingerprint', (details) => details.fingerprint && <span className='CertificateErrorModal-fingerprint'>{details.fingerprint}</span>],
+  ['Serial number', (details) => details.serialNumber],
+  ['Valid from', (details) => formatDate(details.validStart)],
+  ['Valid until', (details) => formatDate(details.validExpiry)],
+  ['Chain', (details) => formatChain(details.chain)],
+];
+
+export default class CertificateErrorModal extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      requests: [],
+    };
+
+    ipcRenderer.on(CERTIFICATE_ERROR_CHANNEL, (event, request) => {
+      this.setState({requests: [...this.state.requests, request]});
+    });
+  }
+
+  respond = (response) => {
+    const [current, ...requests] = this.state.requests;
+    ipcRenderer.send(CERTIFICATE_ERROR_RESPONSE_CHANNEL, current.errorID, response);
+    this.setState({requests});
+  }
+
+  renderComparison(current) {
+    const {certificate, previousCertificate} = current;
+    return (
+      <Table
+        className='CertificateErrorModal-comparison'
+        condensed={true}
+      >
+        <thead>
+          <tr>
+            <th/>
+            {previousCertificate && <th>{'Previously trusted'}</th>}
+            <th>{'Presented now'}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {CERTIFICATE_ROWS.map(([label, getValue]) => (
+            <tr key={label}>
+              <th>{label}</th>
+              {previousCertificate && <td>{getValue(previousCertificate) || 'Unknown'}</td>}
+              <td>{getValue(certificate || {}) || 'Unknown'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+    );
+  }
+
+  render() {
+    const current = this.state.requests[0];
+    if (!current) {
+      return null;
+    }
+    return (
+      <Modal
+        bsClass='modal'
+        className='CertificateErrorModal'
+        show={true}
+        id='certificateErrorModal'
+        enforceFocus={true}
+        bsSize='large'
+      >
+        <Modal.Header>
+          <Modal.Title>{current.previousCertificate ? 'Certificate Changed' : 'Certificate Error'}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p>
+            {current.previousCertificate ?
+              `The certificate of ${current.origin} is different from the one you trusted before. ` :
+              `The certificate of ${current.origin} is not trusted. `}
+            {'There is a configuration issue with this Mattermost server, or someone is trying to intercept your connection. You also may need to sign into the Wi-Fi you are connected to using your web browser.'}
+          </p>
+          {this.renderComparison(current)}
+          <p className='CertificateErrorModal-error'>{`Error: ${current.error}`}</p>
+        </Modal.Body>
+        <Modal.Footer className={'remove-border'}>
+          <div>
+            <Button
+              id='cancelCertificateConnection'
+              onClick={() => this.respond(CANCEL_CONNECTION)}
+            >{'Cancel Connection'}</Button>
+            <Button
+              id='trustCertificateForSession'
+              onClick={() => this.respond(TRUST_FOR_SESSION)}
+            >{'Trust for This Session Only'}</Button>
+            <Button
+              id='trustCertificatePermanently'
+              bsStyle='danger'
+              onClick={() => this.respond(TRUST_PERMANENTLY)}
+            >{'Always Trust'}</Button>
+          </div>
+        </Modal.Footer>
+      </Modal>
+    );
+  }
+}
+/* eslint-enable react/no-set-state */
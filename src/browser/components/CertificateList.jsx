@@ -0,0 +1,152 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+// This file uses setState().
+/* eslint-disable react/no-set-state */
+
+import React, {Fragment} from 'react';
+import {Button, Modal, Table} from 'react-bootstrap';
+import {ipcRenderer} from 'electron';
+
+import {
+  GET_CERTIFICATES_CHANNEL,
+  REVOKE_CERTIFICATE_CHANNEL,
+  EXPORT_CERTIFICATE_CHANNEL,
+} from '../../common/certificates';
+
+import DestructiveConfirmationModal from './DestructiveConfirmModal.jsx';
+import ShowCertificateModal from './showCertificateModal.jsx';
+
+function formatDate(date) {
+  return date ? new Date(date).toLocaleString() : 'Unknown';
+}
+
+export default class CertificateList extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      certificates: [],
+      showCertificate: null,
+      originToRevoke: null,
+    };
+  }
+
+  componentDidMount() {
+    ipcRenderer.invoke(GET_CERTIFICATES_CHANNEL).then(this.setCertificates).catch((error) => {
+      console.log('Failed to load the trusted certificates: ', error);
+    });
+  }
+
+  setCertificates = (certificates) => {
+    this.setState({certificates});
+  }
+
+  handleShowCertificate = (certificate) => {
+    this.setState({showCertificate: certificate.details});
+  }
+
+  handleCloseCertificate = () => {
+    this.setState({showCertificate: null});
+  }
+
+  handleExport = (certificate) => {
+    ipcRenderer.invoke(EXPORT_CERTIFICATE_CHANNEL, certificate.origin).catch((error) => {
+      console.log(`Failed to export the certificate of ${certificate.origin}: `, error);
+    });
+  }
+
+  handleRevoke = () => {
+    const origin = this.state.originToRevoke;
+    this.setState({originToRevoke: null});
+    ipcRenderer.invoke(REVOKE_CERTIFICATE_CHANNEL, origin).then(this.setCertificates).catch((error) => {
+      console.log(`Failed to revoke the certificate of ${origin}: `, error);
+    });
+  }
+
+  renderCertificate = (certificate) => {
+    // certificates trusted via the CA bundle are checked on every connection, there's nothing to revoke
+    const revokeButton = certificate.caBundleFile ? null : (
+      <Fragment>
+        {' '}
+        <Button
+          bsSize='xsmall'
+          bsStyle='danger'
+          onClick={() => this.setState({originToRevoke: certificate.origin})}
+        >{'Revoke'}</Button>
+      </Fragment>
+    );
+    return (
+      <tr key={certificate.origin}>
+        <td>{certificate.origin}</td>
+        <td>{certificate.issuerName}</td>
+        <td className='CertificateList-fingerprint'>{certificate.fingerprint || 'Unknown'}</td>
+        <td>{certificate.caBundleFile ? `Via CA bundle (${certificate.caBundleFile})` : formatDate(certificate.dateTrusted)}</td>
+        <td className='CertificateList-actions'>
+          <Button
+            bsSize='xsmall'
+            disabled={!certificate.details}
+            onClick={() => this.handleShowCertificate(certificate)}
+          >{'View'}</Button>
+          {' '}
+          <Button
+            bsSize='xsmall'
+            onClick={() => this.handleExport(certificate)}
+          >{'Export...'}</Button>
+          {revokeButton}
+        </td>
+      </tr>
+    );
+  }
+
+  render() {
+    if (this.state.showCertificate) {
+      return (
+        <ShowCertificateModal
+          certificate={this.state.showCertificate}
+          onOk={this.handleCloseCertificate}
+        />
+      );
+    }
+    if (!this.state.certificates.length) {
+      return <p>{'No certificates have been trusted.'}</p>;
+    }
+    return (
+      <div className='CertificateList'>
+        <Table
+          id='certificateList'
+          condensed={true}
+        >
+          <thead>
+            <tr>
+              <th>{'Origin'}</th>
+              <th>{'Issuer'}</th>
+              <th>{'Fingerprint'}</th>
+              <th>{'Trusted'}</th>
+              <th/>
+            </tr>
+          </thead>
+          <tbody>
+            {this.state.certificates.map(this.renderCertificate)}
+          </tbody>
+        </Table>
+        <DestructiveConfirmationModal
+          show={this.state.originToRevoke !== null}
+          title='Revoke Certificate'
+          acceptLabel='Revoke'
+          cancelLabel='Cancel'
+          onAccept={this.handleRevoke}
+          onCancel={() => this.setState({originToRevoke: null})}
+          body={(
+            <Modal.Body>
+              <p>
+                {'The app will stop trusting the certificate of '}<strong>{this.state.originToRevoke}</strong>{'. Revoking takes effect after restarting the app, it will then ask again the next time it connects.'}
+              </p>
+            </Modal.Body>
+          )}
+        />
+      </div>
+    );
+  }
+}
+
+/* eslint-enable react/no-set-state */
@@ -0,0 +1,48 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {Button, Table} from 'react-bootstrap';
+
+export default function ClientCertificateChoiceList(props) {
+  const origins = Object.keys(props.choices || {}).sort();
+  if (!origins.length) {
+    return <p>{'No client certificate has been remembered.'}</p>;
+  }
+  return (
+    <Table
+      id='clientCertificateChoiceList'
+      condensed={true}
+    >
+      <thead>
+        <tr>
+          <th>{'Server'}</th>
+          <th>{'Subject'}</th>
+          <th>{'Issuer'}</th>
+          <th/>
+        </tr>
+      </thead>
+      <tbody>
+        {origins.map((origin) => (
+          <tr key={origin}>
+            <td>{origin}</td>
+            <td>{props.choices[origin].subjectName}</td>
+            <td>{props.choices[origin].issuerName}</td>
+            <td>
+              <Button
+                bsSize='xsmall'
+                onClick={() => props.onForget(origin)}
+              >{'Forget'}</Button>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </Table>
+  );
+}
+
+ClientCertificateChoiceList.propTypes = {
+  choices: PropTypes.object,
+  onForget: PropTypes.func.isRequired,
+};
@@ -0,0 +1,30 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {Alert, Button, Grid} from 'react-bootstrap';
+
+// shown instead of a page when the config couldn't be fetched from the main process
+export default function ConfigErrorView(props) {
+  return (
+    <Grid>
+      <Alert
+        id='configErrorView'
+        bsStyle='danger'
+        style={{marginTop: '20px'}}
+      >
+        <h4>{'The configuration could not be loaded'}</h4>
+        <p>{props.error.message}</p>
+        <p>{'Try again, or restart the app if the problem persists.'}</p>
+        <p>
+          <Button onClick={() => window.location.reload()}>{'Try Again'}</Button>
+        </p>
+      </Alert>
+    </Grid>
+  );
+}
+
+ConfigErrorView.propTypes = {
+  error: PropTypes.object.isRequired,
+};
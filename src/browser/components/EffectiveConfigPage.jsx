@@ -0,0 +1,144 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+// This file uses setState().
+/* eslint-disable react/no-set-state */
+
+import React from 'react';
+import {Grid, Table} from 'react-bootstrap';
+
+import {
+  CONFIG_SOURCE_DEFAULT,
+  CONFIG_SOURCE_LOCAL,
+  CONFIG_SOURCE_BUILD,
+  CONFIG_SOURCE_REGISTRY,
+  CONFIG_SOURCE_LOCKED,
+} from '../../common/config/sources';
+import {isAllowedForIntegratedAuth} from '../../common/integratedAuth';
+
+import config from '../js/configClient';
+
+const SOURCE_DESCRIPTION = {
+  [CONFIG_SOURCE_DEFAULT]: 'Default',
+  [CONFIG_SOURCE_LOCAL]: 'Local config.json',
+  [CONFIG_SOURCE_BUILD]: 'Build configuration',
+  [CONFIG_SOURCE_REGISTRY]: 'Registry/policy',
+  [CONFIG_SOURCE_LOCKED]: 'Locked by registry/policy',
+};
+
+function formatValue(value) {
+  return JSON.stringify(value, null, '  ');
+}
+
+function getEntryValue(entries, key) {
+  const entry = entries.find((candidate) => candidate.key === key);
+  return entry ? entry.value : undefined;
+}
+
+export default class EffectiveConfigPage extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      entries: [],
+    };
+  }
+
+  componentDidMount() {
+    this.loadEntries();
+    config.on('update', this.loadEntries);
+  }
+
+  componentWillUnmount() {
+    config.removeListener('update', this.loadEntries);
+  }
+
+  loadEntries = () => {
+    config.getEffectiveData().then((entries) => {
+      this.setState({entries});
+    }).catch((error) => {
+      console.log('Failed to load the effective configuration: ', error);
+    });
+  }
+
+  renderEntry = ({key, value, sources, overridden}) => {
+    return (
+      <tr key={key}>
+        <td>{key}</td>
+        <td className='EffectiveConfigPage-value'>{formatValue(value)}</td>
+        <td>{sources.map((source) => SOURCE_DESCRIPTION[source]).join(', ') || SOURCE_DESCRIPTION[CONFIG_SOURCE_DEFAULT]}</td>
+        <td>
+          {overridden.map(({source, value: overriddenValue}) => (
+            <div key={source}>
+              {`${SOURCE_DESCRIPTION[source]}: `}
+              <span className='EffectiveConfigPage-value EffectiveConfigPage-overridden'>{formatValue(overriddenValue)}</span>
+            </div>
+          ))}
+        </td>
+      </tr>
+    );
+  }
+
+  renderIntegratedAuthentication() {
+    const teams = getEntryValue(this.state.entries, 'teams') || [];
+    const authServerAllowlist = getEntryValue(this.state.entries, 'authServerAllowlist');
+    const authDelegationAllowlist = getEntryValue(this.state.entries, 'authDelegationAllowlist');
+    return (
+      <Table
+        id='integratedAuthTable'
+        striped={true}
+        condensed={true}
+      >
+        <thead>
+          <tr>
+            <th>{'Server'}</th>
+            <th>{'URL'}</th>
+            <th>{'Integrated authentication'}</th>
+            <th>{'Credential delegation'}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {teams.map((team) => (
+            <tr key={team.url}>
+              <td>{team.name}</td>
+              <td>{team.url}</td>
+              <td>{isAllowedForIntegratedAuth(authServerAllowlist, team.url) ? 'Yes' : 'No'}</td>
+              <td>{isAllowedForIntegratedAuth(authDelegationAllowlist, team.url) ? 'Yes' : 'No'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+    );
+  }
+
+  render() {
+    return (
+      <Grid
+        className='EffectiveConfigPage'
+        fluid={true}
+      >
+        <h2>{'Effective Configuration'}</h2>
+        <p>{'Every setting in use, where its value comes from and the values it overrides. Servers are combined from every source.'}</p>
+        <Table
+          id='effectiveConfigTable'
+          striped={true}
+          condensed={true}
+        >
+          <thead>
+            <tr>
+              <th>{'Setting'}</th>
+              <th>{'Value'}</th>
+              <th>{'Source'}</th>
+              <th>{'Overridden values'}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {this.state.entries.map(this.renderEntry)}
+          </tbody>
+        </Table>
+        <h2>{'Integrated Authentication'}</h2>
+        <p>{'Servers allowed to sign you in with Kerberos or NTLM, and to receive your delegated Kerberos credentials. Changes to the allowlists take effect after restarting the app.'}</p>
+        {this.renderIntegratedAuthentication()}
+      </Grid>
+    );
+  }
+}
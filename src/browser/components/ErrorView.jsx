@@ -4,7 +4,7 @@
 
 // ErrorCode: https://code.google.com/p/chromium/codesearch#chromium/src/net/base/net_error_list.h
 
-import React from 'react';
+import React, {Fragment} from 'react';
 import PropTypes from 'prop-types';
 import {Grid, Row, Col} from 'react-bootstrap';
 import {shell, remote} from 'electron';
@@ -18,6 +18,52 @@ export default function ErrorView(props) {
     event.preventDefault();
     shell.openExternal(props.errorInfo.validatedURL);
   }
+  function renderConnectionError() {
+    return (
+      <Fragment>
+        <h2>{`Cannot connect to ${remote.app.name}`}</h2>
+        <hr/>
+        <p>{`We're having trouble connecting to ${remote.app.name}. If refreshing this page (Ctrl+R or Command+R) does not work please verify that:`}</p>
+        <br/>
+        <ul className='ErrorView-bullets' >
+          <li>{'Your computer is connected to the internet.'}</li>
+          <li>{`The ${remote.app.name} URL `}
+            <a
+              onClick={handleClick}
+              href={props.errorInfo.validatedURL}
+            >
+              {props.errorInfo.validatedURL}
+            </a>{' is correct.'}</li>
+          <li>{'You can reach '}
+            <a
+              onClick={handleClick}
+              href={props.errorInfo.validatedURL}
+            >
+              {props.errorInfo.validatedURL}
+            </a>{' from a browser window.'}</li>
+        </ul>
+        <br/>
+        <div className='ErrorView-techInfo'>
+          {props.errorInfo.errorDescription}{' ('}
+          {props.errorInfo.errorCode }{')'}</div>
+      </Fragment>
+    );
+  }
+  function renderPinFailure() {
+    const {hostname, received} = props.errorInfo.pinFailure;
+    return (
+      <Fragment>
+        <h2>{'Untrusted certificate'}</h2>
+        <hr/>
+        <p>{`${remote.app.name} blocked the connection to ${hostname} because the server presented a certificate that doesn't match the certificates configured by your administrator.`}</p>
+        <p>{'Someone could be intercepting your connection. Please contact your system administrator, the connection can\'t be trusted from the app.'}</p>
+        <br/>
+        <div className='ErrorView-techInfo'>
+          {`Received: ${received.join(', ') || 'unknown'}`}
+        </div>
+      </Fragment>
+    );
+  }
   return (
     <Grid
       id={props.id}
@@ -38,31 +84,7 @@ export default function ErrorView(props) {
               md={10}
               lg={8}
             >
-              <h2>{`Cannot connect to ${remote.app.name}`}</h2>
-              <hr/>
-              <p>{`We're having trouble connecting to ${remote.app.name}. If refreshing this page (Ctrl+R or Command+R) does not work please verify that:`}</p>
-              <br/>
-              <ul className='ErrorView-bullets' >
-                <li>{'Your computer is connected to the internet.'}</li>
-                <li>{`The ${remote.app.name} URL `}
-                  <a
-                    onClick={handleClick}
-                    href={props.errorInfo.validatedURL}
-                  >
-                    {props.errorInfo.validatedURL}
-                  </a>{' is correct.'}</li>
-                <li>{'You can reach '}
-                  <a
-                    onClick={handleClick}
-                    href={props.errorInfo.validatedURL}
-                  >
-                    {props.errorInfo.validatedURL}
-                  </a>{' from a browser window.'}</li>
-              </ul>
-              <br/>
-              <div className='ErrorView-techInfo'>
-                {props.errorInfo.errorDescription}{' ('}
-                {props.errorInfo.errorCode }{')'}</div>
+              {props.errorInfo.pinFailure ? renderPinFailure() : renderConnectionError()}
             </Col>
             <Col
               xs={0}
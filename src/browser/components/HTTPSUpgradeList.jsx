@@ -0,0 +1,101 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+// This file uses setState().
+/* eslint-disable react/no-set-state */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {Button, Table} from 'react-bootstrap';
+import {ipcRenderer} from 'electron';
+
+import {CHECK_HTTPS_UPGRADE_CHANNEL, isInsecureURL} from '../../common/https';
+
+// lists the servers that aren't using HTTPS, they are only switched once they could be reached over HTTPS
+export default class HTTPSUpgradeList extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      checking: {},
+      unreachable: {},
+    };
+  }
+
+  setServerState = (url, checking, unreachable) => {
+    this.setState((state) => ({
+      checking: Object.assign({}, state.checking, {[url]: checking}),
+      unreachable: Object.assign({}, state.unreachable, {[url]: unreachable}),
+    }));
+  }
+
+  handleUpgrade = (team, index) => {
+    this.setServerState(team.url, true, false);
+    ipcRenderer.invoke(CHECK_HTTPS_UPGRADE_CHANNEL, team.url).then((httpsURL) => {
+      this.setServerState(team.url, false, !httpsURL);
+      if (httpsURL) {
+        this.props.onUpgrade(index, Object.assign({}, team, {url: httpsURL}));
+      }
+    }).catch((error) => {
+      console.log(`Failed to check whether ${team.url} can be reached over HTTPS: `, error);
+      this.setServerState(team.url, false, true);
+    });
+  }
+
+  renderStatus = (url) => {
+    if (this.state.checking[url]) {
+      return 'Checking...';
+    }
+    if (this.state.unreachable[url]) {
+      return 'Not reachable over HTTPS';
+    }
+    return 'Not using HTTPS';
+  }
+
+  render() {
+    const insecureTeams = this.props.teams.
+      map((team, index) => ({team, index})).
+      filter(({team}) => isInsecureURL(team.url));
+    if (!insecureTeams.length) {
+      return <p>{'All your servers are using HTTPS.'}</p>;
+    }
+    return (
+      <Table
+        id='httpsUpgradeList'
+        condensed={true}
+      >
+        <thead>
+          <tr>
+            <th>{'Server'}</th>
+            <th>{'URL'}</th>
+            <th>{'Status'}</th>
+            <th/>
+          </tr>
+        </thead>
+        <tbody>
+          {insecureTeams.map(({team, index}) => (
+            <tr key={team.url}>
+              <td>{team.name}</td>
+              <td>{team.url}</td>
+              <td>{this.renderStatus(team.url)}</td>
+              <td>
+                <Button
+                  bsSize='xsmall'
+                  disabled={this.props.disabled || Boolean(this.state.checking[team.url])}
+                  onClick={() => this.handleUpgrade(team, index)}
+                >{'Switch to HTTPS'}</Button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+    );
+  }
+}
+
+HTTPSUpgradeList.propTypes = {
+  teams: PropTypes.array.isRequired,
+  onUpgrade: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
+
+/* eslint-enable react/no-set-state */
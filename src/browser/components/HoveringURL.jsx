@@ -4,7 +4,21 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 
+import {getLinkDestination, getLinkWarnings} from '../../common/linkSafety';
+
 export default function HoveringURL(props) {
+  const warnings = getLinkWarnings(props.targetURL);
+  if (warnings.length) {
+    return (
+      <div
+        className='HoveringURL HoveringURL-left HoveringURL-risky'
+        title={warnings.map((warning) => warning.message).join('\n')}
+      >
+        <span className='HoveringURL-warning'>{'Suspicious link: '}</span>
+        {getLinkDestination(props.targetURL)}
+      </div>
+    );
+  }
   return (
     <div className='HoveringURL HoveringURL-left'>
       {props.targetURL}
@@ -0,0 +1,139 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+// This file uses setState().
+/* eslint-disable react/no-set-state */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import {Modal, Button, FormGroup, FormControl, ControlLabel, HelpBlock, InputGroup} from 'react-bootstrap';
+import {ipcRenderer, remote} from 'electron';
+
+import {IMPORT_CLIENT_CERTIFICATE_CHANNEL} from '../../common/certificates';
+
+// net error codes returned by app.importCertificate
+const IMPORT_ERRORS = {
+  [-701]: 'The password is incorrect.',
+  [-704]: 'This certificate has already been imported.',
+  [-705]: 'The password is incorrect or the file is damaged.',
+  [-706]: 'The file is not a valid PKCS#12 file.',
+  [-707]: 'The file uses an unsupported format.',
+};
+
+function getImportErrorMessage(result) {
+  return IMPORT_ERRORS[result] || `The certificate could not be imported (error ${result}).`;
+}
+
+export default class ImportClientCertificateModal extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      certificate: '',
+      password: '',
+      importing: false,
+      error: null,
+    };
+  }
+
+  handleBrowse = () => {
+    remote.dialog.showOpenDialog(remote.getCurrentWindow(), {
+      title: 'Select a Client Certificate',
+      properties: ['openFile'],
+      filters: [{name: 'PKCS#12 Certificate', extensions: ['p12', 'pfx']}],
+    }).then(({canceled, filePaths}) => {
+      if (!canceled && filePaths.length) {
+        this.setState({certificate: filePaths[0], error: null});
+      }
+    });
+  }
+
+  handlePasswordChange = (e) => {
+    this.setState({password: e.target.value});
+  }
+
+  handleCancel = () => {
+    this.setState({certificate: '', password: '', error: null});
+    this.props.onCancel();
+  }
+
+  handleImport = (e) => {
+    e.preventDefault();
+    const {certificate, password} = this.state;
+    this.setState({importing: true, error: null});
+    ipcRenderer.invoke(IMPORT_CLIENT_CERTIFICATE_CHANNEL, {certificate, password}).then((result) => {
+      if (result === 0) {
+        this.setState({certificate: '', password: '', importing: false});
+        this.props.onImported(certificate);
+      } else {
+        this.setState({importing: false, error: getImportErrorMessage(result)});
+      }
+    }).catch((error) => {
+      this.setState({importing: false, error: error.message});
+    });
+  }
+
+  render() {
+    return (
+      <Modal
+        bsClass='modal'
+        className='ImportClientCertificateModal'
+        show={this.props.show}
+        id='importClientCertificateModal'
+        onHide={this.handleCancel}
+      >
+        <form onSubmit={this.handleImport}>
+          <Modal.Header>
+            <Modal.Title>{'Import Client Certificate'}</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            <FormGroup validationState={this.state.error ? 'error' : null}>
+              <ControlLabel>{'Certificate File'}</ControlLabel>
+              <InputGroup>
+                <FormControl
+                  id='clientCertificateFile'
+                  type='text'
+                  value={this.state.certificate}
+                  placeholder='certificate.p12'
+                  readOnly={true}
+                />
+                <InputGroup.Button>
+                  <Button onClick={this.handleBrowse}>{'Browse...'}</Button>
+                </InputGroup.Button>
+              </InputGroup>
+            </FormGroup>
+            <FormGroup validationState={this.state.error ? 'error' : null}>
+              <ControlLabel>{'Password'}</ControlLabel>
+              <FormControl
+                id='clientCertificatePassword'
+                type='password'
+                value={this.state.password}
+                onChange={this.handlePasswordChange}
+              />
+              <HelpBlock>{this.state.error || 'The password the PKCS#12 file was exported with, leave it empty if there is none.'}</HelpBlock>
+            </FormGroup>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button
+              id='cancelImportClientCertificate'
+              onClick={this.handleCancel}
+            >{'Cancel'}</Button>
+            <Button
+              id='importClientCertificate'
+              type='submit'
+              bsStyle='primary'
+              disabled={!this.state.certificate || this.state.importing}
+            >{'Import'}</Button>
+          </Modal.Footer>
+        </form>
+      </Modal>
+    );
+  }
+}
+
+ImportClientCertificateModal.propTypes = {
+  show: PropTypes.bool,
+  onImported: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+/* eslint-enable react/no-set-state */
@@ -0,0 +1,106 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+/* eslint-disable react/no-set-state */
+
+import React, {Fragment} from 'react';
+import {Button, Checkbox, HelpBlock, Modal} from 'react-bootstrap';
+import {ipcRenderer} from 'electron';
+
+import {CONFIG_BUNDLE_PREVIEW_CHANNEL, CONFIG_BUNDLE_SELECTION_CHANNEL} from '../../common/config/channels';
+
+// every entry is selected at first, the user deselects what shouldn't be imported
+function selectAll(sections) {
+  return sections.reduce((selection, section) => Object.assign(selection, {[section.key]: section.entries.map((entry) => entry.id)}), {});
+}
+
+export default class ImportConfigBundleModal extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      requests: [],
+    };
+
+    ipcRenderer.on(CONFIG_BUNDLE_PREVIEW_CHANNEL, (event, importID, sections) => {
+      this.setState({requests: [...this.state.requests, {importID, sections, selection: selectAll(sections)}]});
+    });
+  }
+
+  respond = (selection) => {
+    const [current, ...requests] = this.state.requests;
+    ipcRenderer.send(CONFIG_BUNDLE_SELECTION_CHANNEL, current.importID, selection);
+    this.setState({requests});
+  }
+
+  toggle = (sectionKey, id) => {
+    const [current, ...requests] = this.state.requests;
+    const selected = current.selection[sectionKey];
+    const selection = Object.assign({}, current.selection, {
+      [sectionKey]: selected.includes(id) ? selected.filter((selectedID) => selectedID !== id) : [...selected, id],
+    });
+    this.setState({requests: [Object.assign({}, current, {selection}), ...requests]});
+  }
+
+  renderSection(section, selection) {
+    let entries = <p>{'Nothing to import.'}</p>;
+    if (section.entries.length) {
+      entries = section.entries.map((entry) => (
+        <Checkbox
+          key={entry.id}
+          checked={selection[section.key].includes(entry.id)}
+          onChange={() => this.toggle(section.key, entry.id)}
+        >
+          {entry.label}
+          {entry.detail ? <Fragment>{' '}<code>{entry.detail}</code></Fragment> : null}
+        </Checkbox>
+      ));
+    }
+    return (
+      <Fragment key={section.key}>
+        <h4>{section.title}</h4>
+        {section.note ? <HelpBlock>{section.note}</HelpBlock> : null}
+        {entries}
+      </Fragment>
+    );
+  }
+
+  render() {
+    const current = this.state.requests[0];
+    if (!current) {
+      return null;
+    }
+    return (
+      <Modal
+        bsClass='modal'
+        className='ImportConfigBundleModal'
+        show={true}
+        id='importConfigBundleModal'
+        enforceFocus={true}
+        bsSize='large'
+      >
+        <Modal.Header>
+          <Modal.Title>{'Import Configuration'}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <p>
+            {'Choose what to import into this app. Trusted certificates, trusted origins and allowed protocols weaken the protection of your connections, only keep the ones you expect.'}
+          </p>
+          {current.sections.map((section) => this.renderSection(section, current.selection))}
+        </Modal.Body>
+        <Modal.Footer className={'remove-border'}>
+          <div>
+            <Button
+              id='cancelImportConfiguration'
+              onClick={() => this.respond(null)}
+            >{'Cancel'}</Button>
+            <Button
+              id='confirmImportConfiguration'
+              bsStyle='primary'
+              onClick={() => this.respond(current.selection)}
+            >{'Import Selected'}</Button>
+          </div>
+        </Modal.Footer>
+      </Modal>
+    );
+  }
+}
+/* eslint-enable react/no-set-state */
@@ -3,7 +3,7 @@
 // See LICENSE.txt for license information.
 import React from 'react';
 import PropTypes from 'prop-types';
-import {Button, Col, ControlLabel, Form, FormGroup, FormControl, Modal} from 'react-bootstrap';
+import {Button, Checkbox, Col, ControlLabel, Form, FormGroup, FormControl, Modal} from 'react-bootstrap';
 
 export default class LoginModal extends React.Component {
   constructor(props) {
@@ -11,15 +11,17 @@ export default class LoginModal extends React.Component {
     this.state = {
       username: '',
       password: '',
+      remember: false,
     };
   }
 
   handleSubmit = (event) => {
     event.preventDefault();
-    this.props.onLogin(this.props.request, this.state.username, this.state.password);
+    this.props.onLogin(this.props.request, this.state.username, this.state.password, this.props.canRemember && this.state.remember);
     this.setState({
       username: '',
       password: '',
+      remember: false,
     });
   }
 
@@ -29,6 +31,7 @@ export default class LoginModal extends React.Component {
     this.setState({
       username: '',
       password: '',
+      remember: false,
     });
   }
 
@@ -40,20 +43,43 @@ export default class LoginModal extends React.Component {
     this.setState({password: e.target.value});
   }
 
+  setRemember = (e) => {
+    this.setState({remember: e.target.checked});
+  }
+
   render() {
-    let theServer = '';
+    const isProxy = Boolean(this.props.show && this.props.authInfo.isProxy);
+    let message = '';
     if (!this.props.show) {
-      theServer = '';
-    } else if (this.props.authInfo.isProxy) {
-      theServer = `The proxy ${this.props.authInfo.host}:${this.props.authInfo.port}`;
+      message = '';
+    } else if (isProxy) {
+      message = `The proxy ${this.props.authInfo.host}:${this.props.authInfo.port} requires a username and password to connect to ${this.props.authServerURL}.`;
     } else {
-      theServer = `The server ${this.props.authServerURL}`;
+      message = `The server ${this.props.authServerURL} requires a username and password.`;
+    }
+
+    // only offered when the OS keychain can protect the saved credentials
+    let rememberCheckbox = null;
+    if (this.props.canRemember) {
+      rememberCheckbox = (
+        <FormGroup>
+          <Col
+            smOffset={2}
+            sm={10}
+          >
+            <Checkbox
+              id='rememberCredentials'
+              checked={this.state.remember}
+              onChange={this.setRemember}
+            >{'Remember these credentials'}</Checkbox>
+          </Col>
+        </FormGroup>
+      );
     }
-    const message = `${theServer} requires a username and password.`;
     return (
       <Modal show={this.props.show}>
         <Modal.Header>
-          <Modal.Title>{'Authentication Required'}</Modal.Title>
+          <Modal.Title>{isProxy ? 'Proxy Authentication Required' : 'Authentication Required'}</Modal.Title>
         </Modal.Header>
         <Modal.Body>
           <p>
@@ -97,6 +123,7 @@ export default class LoginModal extends React.Component {
                 />
               </Col>
             </FormGroup>
+            { rememberCheckbox }
             <FormGroup>
               <Col sm={12}>
                 <div className='pull-right'>
@@ -119,6 +146,7 @@ export default class LoginModal extends React.Component {
 LoginModal.propTypes = {
   authInfo: PropTypes.object,
   authServerURL: PropTypes.string,
+  canRemember: PropTypes.bool,
   onCancel: PropTypes.func,
   onLogin: PropTypes.func,
   request: PropTypes.object,
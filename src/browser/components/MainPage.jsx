@@ -17,6 +17,8 @@ import {ipcRenderer, remote, shell} from 'electron';
 
 import Utils from '../../utils/util';
 import urlUtils from '../../utils/url';
+import {CLIENT_CERTIFICATES_CHANGED_CHANNEL} from '../../common/certificates';
+import {DEFAULT_NAVIGATION_RULES, NAVIGATION_TAB, getNavigationAction} from '../../common/navigationRules';
 import contextmenu from '../js/contextMenu';
 
 import restoreButton from '../../assets/titlebar/chrome-restore.svg';
@@ -32,6 +34,9 @@ import Finder from './Finder.jsx';
 import NewTeamModal from './NewTeamModal.jsx';
 import SelectCertificateModal from './SelectCertificateModal.jsx';
 import PermissionModal from './PermissionModal.jsx';
+import CertificateErrorModal from './CertificateErrorModal.jsx';
+import ImportConfigBundleModal from './ImportConfigBundleModal.jsx';
+import NewProfileModal from './NewProfileModal.jsx';
 import ExtraBar from './ExtraBar.jsx';
 
 export default class MainPage extends React.Component {
@@ -65,6 +70,7 @@ export default class MainPage extends React.Component {
     };
     contextmenu.setup({
       useSpellChecker: this.props.useSpellChecker,
+      spellCheckerLocaleLocked: this.props.spellCheckerLocaleLocked,
       onSelectSpellCheckerLocale: (locale) => {
         if (this.props.onSelectSpellCheckerLocale) {
           this.props.onSelectSpellCheckerLocale(locale);
@@ -138,8 +144,8 @@ export default class MainPage extends React.Component {
       });
     }
 
-    ipcRenderer.on('login-request', (event, request, authInfo) => {
-      this.loginRequest(event, request, authInfo);
+    ipcRenderer.on('login-request', (event, request, authInfo, canRemember) => {
+      this.loginRequest(event, request, authInfo, canRemember);
     });
 
     ipcRenderer.on('select-user-certificate', (_, origin, certificateList) => {
@@ -156,6 +162,13 @@ export default class MainPage extends React.Component {
       }
     });
 
+    // the servers get asked again with the refreshed candidates
+    ipcRenderer.on(CLIENT_CERTIFICATES_CHANGED_CHANNEL, () => {
+      self.setState({
+        certificateRequests: [],
+      });
+    });
+
     // can't switch tabs sequentially for some reason...
     ipcRenderer.on('switch-tab', (event, key) => {
       const nextIndex = this.props.teams.findIndex((team) => team.order === key);
@@ -369,11 +382,12 @@ export default class MainPage extends React.Component {
   blurListener = () => {
     this.setState({unfocused: true});
   }
-  loginRequest = (event, request, authInfo) => {
+  loginRequest = (event, request, authInfo, canRemember) => {
     const loginQueue = this.state.loginQueue;
     loginQueue.push({
       request,
       authInfo,
+      canRemember,
     });
     this.setState({
       loginRequired: true,
@@ -509,8 +523,8 @@ export default class MainPage extends React.Component {
     this.markReadAtActive(index);
   }
 
-  handleLogin = (request, username, password) => {
-    ipcRenderer.send('login-credentials', request, username, password);
+  handleLogin = (request, username, password, remember) => {
+    ipcRenderer.send('login-credentials', request, username, password, remember);
     const loginQueue = this.state.loginQueue;
     loginQueue.shift();
     this.setState({loginQueue});
@@ -609,11 +623,11 @@ export default class MainPage extends React.Component {
     });
   }
 
-  handleSelectCertificate = (certificate) => {
+  handleSelectCertificate = (certificate, remember) => {
     const certificateRequests = this.state.certificateRequests;
     const current = certificateRequests.shift();
     this.setState({certificateRequests});
-    ipcRenderer.send('selected-client-certificate', current.server, certificate);
+    ipcRenderer.send('selected-client-certificate', current.server, certificate, remember);
     if (certificateRequests.length > 0) {
       this.switchToTabForCertificateRequest(certificateRequests[0].server);
     }
@@ -649,7 +663,8 @@ export default class MainPage extends React.Component {
   showExtraBar = () => {
     const ref = this.refs[`mattermostView${this.state.key}`];
     if (typeof ref !== 'undefined') {
-      return !urlUtils.isTeamUrl(this.props.teams[this.state.key].url, ref.getSrc());
+      const src = ref.getSrc();
+      return getNavigationAction(DEFAULT_NAVIGATION_RULES, urlUtils.getServer(src, this.props.teams), src) !== NAVIGATION_TAB;
     }
     return false;
   }
@@ -671,6 +686,7 @@ export default class MainPage extends React.Component {
         onAddServer={this.addServer}
         showAddServerButton={this.props.showAddServerButton}
         onDrop={this.handleDragAndDrop}
+        httpsMode={this.props.httpsMode}
       />
     );
 
@@ -783,8 +799,8 @@ export default class MainPage extends React.Component {
           key={id}
           id={id}
           teams={this.props.teams}
-          useSpellChecker={this.props.useSpellChecker}
           onSelectSpellCheckerLocale={this.props.onSelectSpellCheckerLocale}
+          spellCheckerLocaleLocked={this.props.spellCheckerLocaleLocked}
           src={teamUrl}
           name={team.name}
           onTargetURLChange={self.handleTargetURLChange}
@@ -813,15 +829,18 @@ export default class MainPage extends React.Component {
     let request = null;
     let authServerURL = null;
     let authInfo = null;
+    let canRemember = false;
     if (this.state.loginQueue.length !== 0) {
       request = this.state.loginQueue[0].request;
       const tmpURL = urlUtils.parseURL(this.state.loginQueue[0].request.url);
       authServerURL = tmpURL.origin;
       authInfo = this.state.loginQueue[0].authInfo;
+      canRemember = Boolean(this.state.loginQueue[0].canRemember);
     }
     const modal = (
       <NewTeamModal
         currentOrder={this.props.teams.length}
+        httpsMode={this.props.httpsMode}
         show={this.state.showNewTeamModal}
         setInputRef={this.setInputRef}
         onClose={() => {
@@ -850,10 +869,14 @@ export default class MainPage extends React.Component {
           request={request}
           authInfo={authInfo}
           authServerURL={authServerURL}
+          canRemember={canRemember}
           onLogin={this.handleLogin}
           onCancel={this.handleLoginCancel}
         />
         <PermissionModal/>
+        <CertificateErrorModal/>
+        <ImportConfigBundleModal/>
+        <NewProfileModal/>
         <SelectCertificateModal
           certificateRequests={this.state.certificateRequests}
           onSelect={this.handleSelectCertificate}
@@ -901,12 +924,14 @@ MainPage.propTypes = {
   initialIndex: PropTypes.number.isRequired,
   useSpellChecker: PropTypes.bool.isRequired,
   onSelectSpellCheckerLocale: PropTypes.func.isRequired,
+  spellCheckerLocaleLocked: PropTypes.bool,
   deeplinkingUrl: PropTypes.string,
   showAddServerButton: PropTypes.bool.isRequired,
   getDarkMode: PropTypes.func.isRequired,
   setDarkMode: PropTypes.func.isRequired,
   moveTabs: PropTypes.func.isRequired,
   openMenu: PropTypes.func.isRequired,
+  httpsMode: PropTypes.string,
 };
 
 /* eslint-enable react/no-set-state */
@@ -13,6 +13,14 @@ import classNames from 'classnames';
 import contextMenu from '../js/contextMenu';
 import Utils from '../../utils/util';
 import urlUtils from '../../utils/url';
+import {GET_CERTIFICATE_PIN_FAILURE_CHANNEL} from '../../common/certificates';
+import {
+  DEFAULT_NAVIGATION_RULES,
+  DEFAULT_NEW_WINDOW_RULES,
+  NAVIGATION_POPUP,
+  NAVIGATION_TAB,
+  getNavigationAction,
+} from '../../common/navigationRules';
 import {protocols} from '../../../electron-builder.json';
 const scheme = protocols[0].schemes[0];
 
@@ -62,21 +70,22 @@ export default class MattermostView extends React.Component {
         return;
       }
 
-      self.setState({
-        errorInfo: e,
-        isWebviewLoaded: true,
-      });
-      function reload() {
-        window.removeEventListener('online', reload);
-        self.reload();
-      }
-      if (navigator.onLine) {
-        self.setState({
-          reloadTimeoutID: setTimeout(reload, AUTO_RELOAD_TIMER),
-        });
-      } else {
-        window.addEventListener('online', reload);
-      }
+      ipcRenderer.invoke(GET_CERTIFICATE_PIN_FAILURE_CHANNEL, e.validatedURL).then((pinFailure) => {
+        if (pinFailure) {
+          // the server presented a certificate other than the pinned ones, reloading won't help
+          self.setState({
+            errorInfo: {
+              validatedURL: e.validatedURL,
+              errorCode: e.errorCode,
+              errorDescription: e.errorDescription,
+              pinFailure,
+            },
+            isWebviewLoaded: true,
+          });
+        } else {
+          self.handleLoadFailure(e);
+        }
+      }).catch(() => self.handleLoadFailure(e));
     });
 
     // Open link in browserWindow. for example, attached files.
@@ -87,7 +96,7 @@ export default class MattermostView extends React.Component {
       const currentURL = urlUtils.parseURL(webview.getURL());
       const destURL = urlUtils.parseURL(e.url);
       if (destURL.protocol !== 'http:' && destURL.protocol !== 'https:' && destURL.protocol !== `${scheme}:`) {
-        ipcRenderer.send('confirm-protocol', destURL.protocol, e.url);
+        ipcRenderer.send('confirm-protocol', destURL.protocol, e.url, this.getClickedLinkText(e.url));
         return;
       }
 
@@ -97,26 +106,24 @@ export default class MattermostView extends React.Component {
         } else if (destURL.path.match(/^\/help\//)) {
           // continue to open special case internal urls in default browser
           shell.openExternal(e.url);
-        } else if (urlUtils.isTeamUrl(this.props.src, e.url, true) || urlUtils.isAdminUrl(this.props.src, e.url)) {
-          e.preventDefault();
-          this.webviewRef.current.loadURL(e.url);
-        } else if (urlUtils.isPluginUrl(this.props.src, e.url)) {
-          // New window should disable nodeIntegration.
-          window.open(e.url, remote.app.name, 'nodeIntegration=no, contextIsolation=yes, show=yes');
-        } else if (urlUtils.isManagedResource(this.props.src, e.url)) {
-          e.preventDefault();
         } else {
           e.preventDefault();
-          shell.openExternal(e.url);
+          const server = urlUtils.getServer(destURL, this.props.teams);
+          const action = getNavigationAction([...DEFAULT_NEW_WINDOW_RULES, ...DEFAULT_NAVIGATION_RULES], server, destURL);
+          if (action === NAVIGATION_TAB) {
+            this.webviewRef.current.loadURL(e.url);
+          } else if (action !== NAVIGATION_POPUP) { // the popups are opened by the main process
+            ipcRenderer.send('confirm-protocol', destURL.protocol, e.url, this.getClickedLinkText(e.url));
+          }
         }
       } else {
         const parsedURL = urlUtils.parseURL(e.url);
         const serverURL = urlUtils.getServer(parsedURL, this.props.teams);
-        if (serverURL !== null && urlUtils.isTeamUrl(serverURL.url, parsedURL)) {
+        if (serverURL !== null && getNavigationAction(DEFAULT_NAVIGATION_RULES, serverURL, parsedURL) === NAVIGATION_TAB) {
           this.props.handleInterTeamLink(parsedURL);
         } else {
           // if the link is external, use default os' application.
-          ipcRenderer.send('confirm-protocol', destURL.protocol, e.url);
+          ipcRenderer.send('confirm-protocol', destURL.protocol, e.url, this.getClickedLinkText(e.url));
         }
       }
     });
@@ -136,7 +143,9 @@ export default class MattermostView extends React.Component {
       if (!this.state.isContextMenuAdded) {
         contextMenu.setup({
           window: webview,
-          useSpellChecker: this.props.useSpellChecker,
+          // the server's policy may force the spell checker on or off for its own tab
+          useSpellChecker: () => ipcRenderer.sendSync('is-spellchecker-enabled', webview.getURL()),
+          spellCheckerLocaleLocked: this.props.spellCheckerLocaleLocked,
           onSelectSpellCheckerLocale: (locale) => {
             if (this.props.onSelectSpellCheckerLocale) {
               this.props.onSelectSpellCheckerLocale(locale);
@@ -180,6 +189,9 @@ export default class MattermostView extends React.Component {
       case 'mouse-up':
         this.handleMouseUp();
         break;
+      case 'link-clicked':
+        this.clickedLink = {url: event.args[0], text: event.args[1]};
+        break;
       }
     });
 
@@ -214,6 +226,25 @@ export default class MattermostView extends React.Component {
     ipcRenderer.on('exit-fullscreen', this.handleExitFullscreen);
   }
 
+  handleLoadFailure = (e) => {
+    const self = this;
+    self.setState({
+      errorInfo: e,
+      isWebviewLoaded: true,
+    });
+    function reload() {
+      window.removeEventListener('online', reload);
+      self.reload();
+    }
+    if (navigator.onLine) {
+      self.setState({
+        reloadTimeoutID: setTimeout(reload, AUTO_RELOAD_TIMER),
+      });
+    } else {
+      window.addEventListener('online', reload);
+    }
+  }
+
   componentWillUnmount() {
     // stop listening for user status updates from main
     ipcRenderer.removeListener('user-activity-update', this.handleUserActivityUpdate);
@@ -258,6 +289,13 @@ export default class MattermostView extends React.Component {
     document.dispatchEvent(upEvent);
   }
 
+  // the text is only known for the link the user just clicked, not for the windows opened by scripts
+  getClickedLinkText = (url) => {
+    const clickedLink = this.clickedLink;
+    this.clickedLink = null;
+    return clickedLink && clickedLink.url === url ? clickedLink.text : null;
+  }
+
   canGoBack = () => {
     const webview = this.webviewRef.current;
     return webview.getWebContents().canGoBack();
@@ -351,8 +389,8 @@ MattermostView.propTypes = {
   onBadgeChange: PropTypes.func,
   src: PropTypes.string,
   active: PropTypes.bool,
-  useSpellChecker: PropTypes.bool,
   onSelectSpellCheckerLocale: PropTypes.func,
+  spellCheckerLocaleLocked: PropTypes.bool,
   handleInterTeamLink: PropTypes.func,
   allowExtraBar: PropTypes.bool,
   isDarkMode: PropTypes.bool,
@@ -0,0 +1,108 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+/* eslint-disable react/no-set-state */
+
+import React from 'react';
+import {Button, ControlLabel, FormControl, FormGroup, HelpBlock, Modal} from 'react-bootstrap';
+import {ipcRenderer} from 'electron';
+
+import {CREATE_PROFILE_CHANNEL, NEW_PROFILE_CHANNEL, isValidProfileName} from '../../common/profiles';
+
+export default class NewProfileModal extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      show: false,
+      profileName: '',
+      saveStarted: false,
+    };
+
+    ipcRenderer.on(NEW_PROFILE_CHANNEL, () => {
+      this.setState({show: true, profileName: '', saveStarted: false});
+    });
+  }
+
+  getValidationError() {
+    if (!this.state.saveStarted) {
+      return null;
+    }
+    if (this.state.profileName.length === 0) {
+      return 'Name is required.';
+    }
+    return isValidProfileName(this.state.profileName) ? null : 'Name can only contain letters, digits, dashes and underscores.';
+  }
+
+  handleProfileNameChange = (e) => {
+    this.setState({
+      profileName: e.target.value,
+    });
+  }
+
+  close = () => {
+    this.setState({show: false});
+  }
+
+  save = () => {
+    if (!isValidProfileName(this.state.profileName)) {
+      this.setState({saveStarted: true});
+      return;
+    }
+    ipcRenderer.send(CREATE_PROFILE_CHANNEL, this.state.profileName);
+    this.close();
+  }
+
+  render() {
+    return (
+      <Modal
+        bsClass='modal'
+        className='NewProfileModal'
+        show={this.state.show}
+        id='newProfileModal'
+        enforceFocus={true}
+        onHide={this.close}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') {
+            this.save();
+            e.preventDefault();
+            e.stopPropagation();
+          }
+        }}
+      >
+        <Modal.Header>
+          <Modal.Title>{'New Profile'}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <form>
+            <FormGroup validationState={this.getValidationError() === null ? null : 'error'}>
+              <ControlLabel>{'Profile Name'}</ControlLabel>
+              <FormControl
+                id='profileNameInput'
+                type='text'
+                value={this.state.profileName}
+                placeholder='work'
+                onChange={this.handleProfileNameChange}
+                autoFocus={true}
+              />
+              <FormControl.Feedback/>
+              <HelpBlock>
+                {this.getValidationError() || 'The profile gets its own servers and settings and opens in a separate window. An existing profile is opened as is.'}
+              </HelpBlock>
+            </FormGroup>
+          </form>
+        </Modal.Body>
+        <Modal.Footer>
+          <Button
+            id='cancelNewProfileModal'
+            onClick={this.close}
+          >{'Cancel'}</Button>
+          <Button
+            id='saveNewProfileModal'
+            bsStyle='primary'
+            onClick={this.save}
+          >{'Create'}</Button>
+        </Modal.Footer>
+      </Modal>
+    );
+  }
+}
+/* eslint-enable react/no-set-state */
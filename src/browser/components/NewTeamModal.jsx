@@ -7,6 +7,7 @@ import PropTypes from 'prop-types';
 import {Modal, Button, FormGroup, FormControl, ControlLabel, HelpBlock} from 'react-bootstrap';
 
 import urlUtils from '../../utils/url';
+import {HTTPS_REQUIRE, HTTPS_WARN, isInsecureURL} from '../../common/https';
 
 export default class NewTeamModal extends React.Component {
   static defaultProps = {
@@ -65,11 +66,25 @@ export default class NewTeamModal extends React.Component {
     if (!urlUtils.isValidURL(this.state.teamUrl.trim())) {
       return 'URL is not formatted correctly.';
     }
+    if (this.props.httpsMode === HTTPS_REQUIRE && isInsecureURL(this.state.teamUrl.trim())) {
+      return 'URL should start with https://, servers that aren\'t using HTTPS are not allowed.';
+    }
     return null;
   }
 
   getTeamUrlValidationState() {
-    return this.getTeamUrlValidationError() === null ? null : 'error';
+    if (this.getTeamUrlValidationError() !== null) {
+      return 'error';
+    }
+    return this.getTeamUrlWarning() === null ? null : 'warning';
+  }
+
+  // only a warning, the server can still be saved
+  getTeamUrlWarning() {
+    if (this.props.httpsMode !== HTTPS_WARN || !isInsecureURL(this.state.teamUrl.trim())) {
+      return null;
+    }
+    return 'This server isn\'t using HTTPS, your messages and password will be sent in plain text.';
   }
 
   handleTeamUrlChange = (e) => {
@@ -94,7 +109,7 @@ export default class NewTeamModal extends React.Component {
 
   validateForm() {
     return this.getTeamNameValidationState() === null &&
-           this.getTeamUrlValidationState() === null;
+           this.getTeamUrlValidationError() === null;
   }
 
   save = () => {
@@ -203,7 +218,7 @@ export default class NewTeamModal extends React.Component {
                 }}
               />
               <FormControl.Feedback/>
-              <HelpBlock className='NewTeamModal-noBottomSpace'>{'The URL of your Mattermost server. Must start with http:// or https://.'}</HelpBlock>
+              <HelpBlock className='NewTeamModal-noBottomSpace'>{this.getTeamUrlWarning() || (this.props.httpsMode === HTTPS_REQUIRE ? 'The URL of your Mattermost server. Must start with https://.' : 'The URL of your Mattermost server. Must start with http:// or https://.')}</HelpBlock>
             </FormGroup>
           </form>
         </Modal.Body>
@@ -241,4 +256,5 @@ NewTeamModal.propTypes = {
   restoreFocus: PropTypes.bool,
   currentOrder: PropTypes.number,
   setInputRef: PropTypes.func,
+  httpsMode: PropTypes.string,
 };
@@ -0,0 +1,91 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+// This file uses setState().
+/* eslint-disable react/no-set-state */
+
+import React from 'react';
+import {Button, Table} from 'react-bootstrap';
+import {ipcRenderer} from 'electron';
+
+import {
+  BASIC_AUTH_PERMISSION,
+  GET_ORIGIN_PERMISSIONS_CHANNEL,
+  REVOKE_PERMISSION_CHANNEL,
+  PERMISSION_DESCRIPTION,
+} from '../../common/permissions';
+
+// one entry per answered permission, web authentication is only stored once granted
+function getAnsweredPermissions(origins) {
+  return origins.reduce((answers, {origin, permissions}) => {
+    Object.keys(permissions).sort().forEach((permission) => {
+      if (permission !== BASIC_AUTH_PERMISSION || permissions[permission]) {
+        answers.push({origin, permission, granted: permissions[permission]});
+      }
+    });
+    return answers;
+  }, []);
+}
+
+export default class OriginPermissionList extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      permissions: [],
+    };
+  }
+
+  componentDidMount() {
+    ipcRenderer.invoke(GET_ORIGIN_PERMISSIONS_CHANNEL).then(this.setPermissions).catch((error) => {
+      console.log('Failed to load the site permissions: ', error);
+    });
+  }
+
+  setPermissions = (origins) => {
+    this.setState({permissions: getAnsweredPermissions(origins)});
+  }
+
+  handleRevoke = ({origin, permission}) => {
+    ipcRenderer.invoke(REVOKE_PERMISSION_CHANNEL, origin, permission).then(this.setPermissions).catch((error) => {
+      console.log(`Failed to revoke ${permission} for ${origin}: `, error);
+    });
+  }
+
+  render() {
+    if (!this.state.permissions.length) {
+      return <p>{'No site has asked for a permission yet.'}</p>;
+    }
+    return (
+      <Table
+        id='originPermissionList'
+        condensed={true}
+      >
+        <thead>
+          <tr>
+            <th>{'Origin'}</th>
+            <th>{'Permission'}</th>
+            <th>{'Status'}</th>
+            <th/>
+          </tr>
+        </thead>
+        <tbody>
+          {this.state.permissions.map((answer) => (
+            <tr key={`${answer.origin}:${answer.permission}`}>
+              <td>{answer.origin}</td>
+              <td>{PERMISSION_DESCRIPTION[answer.permission] || answer.permission}</td>
+              <td>{answer.granted ? 'Allowed' : 'Denied'}</td>
+              <td>
+                <Button
+                  bsSize='xsmall'
+                  onClick={() => this.handleRevoke(answer)}
+                >{'Revoke'}</Button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+    );
+  }
+}
+
+/* eslint-enable react/no-set-state */
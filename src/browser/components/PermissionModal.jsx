@@ -7,7 +7,14 @@ import {Modal, Button} from 'react-bootstrap';
 import {ipcRenderer, remote} from 'electron';
 import {log} from 'electron-log';
 
-import {BASIC_AUTH_PERMISSION, REQUEST_PERMISSION_CHANNEL, DENY_PERMISSION_CHANNEL, GRANT_PERMISSION_CHANNEL, PERMISSION_DESCRIPTION} from '../../common/permissions';
+import {
+  BASIC_AUTH_PERMISSION,
+  PROMPTED_PERMISSIONS,
+  REQUEST_PERMISSION_CHANNEL,
+  DENY_PERMISSION_CHANNEL,
+  GRANT_PERMISSION_CHANNEL,
+  PERMISSION_DESCRIPTION,
+} from '../../common/permissions';
 
 import Util from '../../utils/util';
 
@@ -25,23 +32,24 @@ export default class PermissionModal extends React.Component {
       current: null,
     };
 
-    ipcRenderer.on(REQUEST_PERMISSION_CHANNEL, (event, request, authInfo, permission) => {
-      switch (permission) {
-      case BASIC_AUTH_PERMISSION:
-        this.requestBasicAuthPermission(event, request, authInfo, permission);
-        break;
-      default:
+    ipcRenderer.on(REQUEST_PERMISSION_CHANNEL, (event, request, authInfo, permission, canRemember) => {
+      if (permission === BASIC_AUTH_PERMISSION) {
+        this.requestBasicAuthPermission(event, request, authInfo, permission, canRemember);
+      } else if (PROMPTED_PERMISSIONS.includes(permission)) {
+        this.requestOriginPermission(event, request, permission);
+      } else {
         console.warn(`Unknown permission request: ${permission}`);
-        ipcRenderer.send(DENY_PERMISSION_CHANNEL, request, permission);
+        ipcRenderer.send(DENY_PERMISSION_CHANNEL, request.url, permission);
       }
     });
   }
 
-  requestBasicAuthPermission(event, request, authInfo, permission) {
+  // once granted, the credentials of the server can be remembered if the keychain is available
+  requestBasicAuthPermission(event, request, authInfo, permission, canRemember) {
     const key = getKey(request, permission);
     this.requestPermission(key, request.url, permission).then(() => {
       ipcRenderer.send(GRANT_PERMISSION_CHANNEL, request.url, permission);
-      ipcRenderer.sendTo(remote.getCurrentWindow().webContents.id, 'login-request', request, authInfo);
+      ipcRenderer.sendTo(remote.getCurrentWindow().webContents.id, 'login-request', request, authInfo, canRemember);
       this.loadNext();
     }).catch((err) => {
       ipcRenderer.send(DENY_PERMISSION_CHANNEL, request.url, permission, err.message);
@@ -50,6 +58,18 @@ export default class PermissionModal extends React.Component {
     });
   }
 
+  // the main process remembers the answer for the origin, so the server won't ask again
+  requestOriginPermission(event, request, permission) {
+    const key = getKey(request, permission);
+    this.requestPermission(key, request.url, permission).then(() => {
+      ipcRenderer.send(GRANT_PERMISSION_CHANNEL, request.url, permission);
+      this.loadNext();
+    }).catch((err) => {
+      ipcRenderer.send(DENY_PERMISSION_CHANNEL, request.url, permission, err.message);
+      this.loadNext();
+    });
+  }
+
   requestPermission(key, url, permission) {
     return new Promise((resolve, reject) => {
       const tracker = new Map(this.state.tracker);
@@ -104,10 +124,13 @@ export default class PermissionModal extends React.Component {
     const {url, permission} = this.getCurrentData();
     const originDisplay = url ? Util.getHost(url) : 'unknown origin';
     const originLink = url ? originDisplay : '';
+    const description = permission === BASIC_AUTH_PERMISSION ?
+      `A site that's not included in your Mattermost server configuration requires access for ${PERMISSION_DESCRIPTION[permission]}.` :
+      `Your Mattermost server requires access for ${PERMISSION_DESCRIPTION[permission]}. Your choice will be remembered, you can change it in the Settings.`;
     return (
       <div>
         <p>
-          {`A site that's not included in your Mattermost server configuration requires access for ${PERMISSION_DESCRIPTION[permission]}.`}
+          {description}
         </p>
         <p>
           <span>{'This request originated from '}</span>
@@ -118,7 +141,8 @@ export default class PermissionModal extends React.Component {
   }
 
   render() {
-    const {grant, deny} = this.getCurrentData();
+    const {grant, deny, permission} = this.getCurrentData();
+    const isPrompted = PROMPTED_PERMISSIONS.includes(permission);
     return (
       <Modal
         bsClass='modal'
@@ -137,11 +161,11 @@ export default class PermissionModal extends React.Component {
           <div>
             <Button
               onClick={deny}
-            >{'Cancel'}</Button>
+            >{isPrompted ? 'Deny' : 'Cancel'}</Button>
             <Button
               bsStyle='primary'
               onClick={grant}
-            >{'Accept'}</Button>
+            >{isPrompted ? 'Allow' : 'Accept'}</Button>
           </div>
         </Modal.Footer>
       </Modal>
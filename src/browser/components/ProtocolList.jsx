@@ -0,0 +1,86 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+// This file uses setState().
+/* eslint-disable react/no-set-state */
+
+import React from 'react';
+import {Button, Table} from 'react-bootstrap';
+import {ipcRenderer} from 'electron';
+
+import {GET_ALLOWED_PROTOCOLS_CHANNEL, REMOVE_ALLOWED_PROTOCOL_CHANNEL} from '../../common/protocols';
+
+// the administrators' choices come first, a protocol they denied is only listed once
+function getProtocolRows({allowed, alwaysAllowed, denied}) {
+  const rows = denied.map((protocol) => ({protocol, status: 'Blocked by your administrator'}));
+  alwaysAllowed.filter((protocol) => !denied.includes(protocol)).forEach((protocol) => {
+    rows.push({protocol, status: 'Always allowed by your administrator'});
+  });
+  allowed.filter((protocol) => !denied.includes(protocol) && !alwaysAllowed.includes(protocol)).forEach((protocol) => {
+    rows.push({protocol, status: 'Allowed', removable: true});
+  });
+  return rows;
+}
+
+export default class ProtocolList extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      protocols: [],
+    };
+  }
+
+  componentDidMount() {
+    ipcRenderer.invoke(GET_ALLOWED_PROTOCOLS_CHANNEL).then(this.setProtocols).catch((error) => {
+      console.log('Failed to load the allowed protocols: ', error);
+    });
+  }
+
+  setProtocols = (lists) => {
+    this.setState({protocols: getProtocolRows(lists)});
+  }
+
+  handleRemove = (protocol) => {
+    ipcRenderer.invoke(REMOVE_ALLOWED_PROTOCOL_CHANNEL, protocol).then(this.setProtocols).catch((error) => {
+      console.log(`Failed to remove the ${protocol} protocol: `, error);
+    });
+  }
+
+  render() {
+    if (!this.state.protocols.length) {
+      return <p>{'No protocol has been allowed.'}</p>;
+    }
+    return (
+      <Table
+        id='protocolList'
+        condensed={true}
+      >
+        <thead>
+          <tr>
+            <th>{'Protocol'}</th>
+            <th>{'Status'}</th>
+            <th/>
+          </tr>
+        </thead>
+        <tbody>
+          {this.state.protocols.map((row) => (
+            <tr key={row.protocol}>
+              <td>{row.protocol}</td>
+              <td>{row.status}</td>
+              <td>
+                {row.removable ? (
+                  <Button
+                    bsSize='xsmall'
+                    onClick={() => this.handleRemove(row.protocol)}
+                  >{'Remove'}</Button>
+                ) : null}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+    );
+  }
+}
+
+/* eslint-enable react/no-set-state */
@@ -0,0 +1,136 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+import React, {Fragment} from 'react';
+import PropTypes from 'prop-types';
+import {ControlLabel, FormControl, FormGroup, HelpBlock} from 'react-bootstrap';
+
+import {PROXY_MODES, PROXY_MODE_DESCRIPTION, PROXY_SYSTEM, PROXY_FIXED, PROXY_PAC} from '../../common/proxy';
+
+// servers without settings of their own use the global ones
+const USE_GLOBAL_SETTINGS = 'global';
+
+function ProxySettingsFields(props) {
+  const {id, settings, onChange} = props;
+  const handleChange = (key) => (e) => onChange(Object.assign({}, settings, {[key]: e.target.value}));
+  if (settings.mode === PROXY_FIXED) {
+    return (
+      <Fragment>
+        <FormGroup controlId={`${id}ProxyServer`}>
+          <ControlLabel>{'Proxy server'}</ControlLabel>
+          <FormControl
+            type='text'
+            placeholder='http://proxy.example.com:3128'
+            value={settings.proxyServer || ''}
+            onChange={handleChange('proxyServer')}
+          />
+        </FormGroup>
+        <FormGroup controlId={`${id}BypassRules`}>
+          <ControlLabel>{'Bypass proxy for'}</ControlLabel>
+          <FormControl
+            type='text'
+            placeholder='localhost, *.example.com, <local>'
+            value={settings.bypassRules || ''}
+            onChange={handleChange('bypassRules')}
+          />
+        </FormGroup>
+      </Fragment>
+    );
+  }
+  if (settings.mode === PROXY_PAC) {
+    return (
+      <FormGroup controlId={`${id}PacURL`}>
+        <ControlLabel>{'PAC URL'}</ControlLabel>
+        <FormControl
+          type='text'
+          placeholder='https://example.com/proxy.pac'
+          value={settings.pacURL || ''}
+          onChange={handleChange('pacURL')}
+        />
+      </FormGroup>
+    );
+  }
+  return null;
+}
+
+ProxySettingsFields.propTypes = {
+  id: PropTypes.string.isRequired,
+  settings: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+export default function ProxySettings(props) {
+  const proxy = props.proxy || {mode: PROXY_SYSTEM};
+  const serverProxies = props.serverProxies || {};
+
+  // the servers' own settings are combined into a PAC script, which can't defer to the system settings for the other servers
+  const usesSystemSettings = proxy.mode === PROXY_SYSTEM;
+  const hasServerSettings = props.teams.some((team) => serverProxies[team.url] && serverProxies[team.url].mode !== PROXY_SYSTEM);
+  return (
+    <div className='ProxySettings'>
+      <FormGroup controlId='proxyMode'>
+        <ControlLabel>{'All servers'}</ControlLabel>
+        <FormControl
+          componentClass='select'
+          value={proxy.mode}
+          onChange={(e) => props.onChange(Object.assign({}, proxy, {mode: e.target.value}))}
+        >
+          {PROXY_MODES.map((mode) => (
+            <option
+              key={mode}
+              value={mode}
+              disabled={mode === PROXY_SYSTEM && hasServerSettings && !usesSystemSettings}
+            >{PROXY_MODE_DESCRIPTION[mode]}</option>
+          ))}
+        </FormControl>
+      </FormGroup>
+      <ProxySettingsFields
+        id='global'
+        settings={proxy}
+        onChange={props.onChange}
+      />
+      {props.teams.map((team, index) => {
+        const settings = serverProxies[team.url];
+        return (
+          <Fragment key={team.url}>
+            <FormGroup controlId={`serverProxyMode${index}`}>
+              <ControlLabel>{team.name}</ControlLabel>
+              <FormControl
+                componentClass='select'
+                value={settings ? settings.mode : USE_GLOBAL_SETTINGS}
+                disabled={usesSystemSettings && !settings}
+                onChange={(e) => props.onChangeServer(team.url, e.target.value === USE_GLOBAL_SETTINGS ? null : Object.assign({}, settings, {mode: e.target.value}))}
+              >
+                <option value={USE_GLOBAL_SETTINGS}>{'Same as all servers'}</option>
+                {PROXY_MODES.filter((mode) => mode !== PROXY_SYSTEM).map((mode) => (
+                  <option
+                    key={mode}
+                    value={mode}
+                  >{PROXY_MODE_DESCRIPTION[mode]}</option>
+                ))}
+              </FormControl>
+            </FormGroup>
+            {settings ? (
+              <ProxySettingsFields
+                id={`server${index}`}
+                settings={settings}
+                onChange={(changedSettings) => props.onChangeServer(team.url, changedSettings)}
+              />
+            ) : null}
+          </Fragment>
+        );
+      })}
+      <HelpBlock>
+        {'Servers can only have settings of their own when all servers don\'t use the system settings, they can\'t be combined with them. Going back to the system settings takes effect after restarting the app.'}
+      </HelpBlock>
+    </div>
+  );
+}
+
+ProxySettings.propTypes = {
+  proxy: PropTypes.object,
+  serverProxies: PropTypes.object,
+  teams: PropTypes.array.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onChangeServer: PropTypes.func.isRequired,
+};
@@ -0,0 +1,84 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+// This file uses setState().
+/* eslint-disable react/no-set-state */
+
+import React from 'react';
+import {Button, Table} from 'react-bootstrap';
+import {ipcRenderer} from 'electron';
+
+import {
+  GET_SAVED_CREDENTIALS_CHANNEL,
+  DELETE_SAVED_CREDENTIAL_CHANNEL,
+} from '../../common/credentials';
+
+function formatDate(date) {
+  return date ? new Date(date).toLocaleString() : 'Unknown';
+}
+
+export default class SavedCredentialList extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = {
+      credentials: [],
+    };
+  }
+
+  componentDidMount() {
+    ipcRenderer.invoke(GET_SAVED_CREDENTIALS_CHANNEL).then(this.setCredentials).catch((error) => {
+      console.log('Failed to load the saved credentials: ', error);
+    });
+  }
+
+  setCredentials = (credentials) => {
+    this.setState({credentials});
+  }
+
+  handleDelete = ({origin, realm}) => {
+    ipcRenderer.invoke(DELETE_SAVED_CREDENTIAL_CHANNEL, origin, realm).then(this.setCredentials).catch((error) => {
+      console.log(`Failed to delete the saved credentials for ${origin}: `, error);
+    });
+  }
+
+  render() {
+    if (!this.state.credentials.length) {
+      return <p>{'No credentials have been saved.'}</p>;
+    }
+    return (
+      <Table
+        id='savedCredentialList'
+        condensed={true}
+      >
+        <thead>
+          <tr>
+            <th>{'Origin'}</th>
+            <th>{'Realm'}</th>
+            <th>{'User Name'}</th>
+            <th>{'Saved'}</th>
+            <th/>
+          </tr>
+        </thead>
+        <tbody>
+          {this.state.credentials.map((credential) => (
+            <tr key={`${credential.origin}:${credential.realm}`}>
+              <td>{credential.isProxy ? `Proxy ${credential.origin}` : credential.origin}</td>
+              <td>{credential.realm}</td>
+              <td>{credential.username}</td>
+              <td>{formatDate(credential.dateSaved)}</td>
+              <td>
+                <Button
+                  bsSize='xsmall'
+                  bsStyle='danger'
+                  onClick={() => this.handleDelete(credential)}
+                >{'Delete'}</Button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+    );
+  }
+}
+
+/* eslint-enable react/no-set-state */
@@ -3,7 +3,7 @@
 
 import React, {Fragment} from 'react';
 import PropTypes from 'prop-types';
-import {Modal, Button, Table, Row, Col} from 'react-bootstrap';
+import {Modal, Button, Checkbox, Table, Row, Col} from 'react-bootstrap';
 
 import ShowCertificateModal from './showCertificateModal.jsx';
 
@@ -22,6 +22,7 @@ export default class SelectCertificateModal extends React.Component {
     this.state = {
       selectedIndex: null,
       showCertificate: null,
+      remember: false,
     };
   }
 
@@ -73,7 +74,8 @@ export default class SelectCertificateModal extends React.Component {
   handleOk = () => {
     const cert = this.getSelectedCert();
     if (cert !== null) {
-      this.props.onSelect(cert);
+      this.props.onSelect(cert, this.state.remember);
+      this.setState({selectedIndex: null, remember: false});
     }
   }
 
@@ -82,6 +84,10 @@ export default class SelectCertificateModal extends React.Component {
     this.setState({showCertificate: certificate});
   }
 
+  handleRememberChange = (e) => {
+    this.setState({remember: e.target.checked});
+  }
+
   certificateInfoClose = () => {
     this.setState({showCertificate: null});
   }
@@ -128,6 +134,11 @@ export default class SelectCertificateModal extends React.Component {
               <tr/* this is to correct table height without affecting real rows *//>
             </tbody>
           </Table>
+          <Checkbox
+            id='rememberCertificate'
+            checked={this.state.remember}
+            onChange={this.handleRememberChange}
+          >{'Remember this choice for this server'}</Checkbox>
         </Modal.Body>
         <Modal.Footer className={'no-border'}>
           <div className={'container-fluid'}>
@@ -6,6 +6,7 @@
 /* eslint-disable react/no-set-state */
 
 import os from 'os';
+import path from 'path';
 
 import React from 'react';
 import PropTypes from 'prop-types';
@@ -15,7 +16,8 @@ import {ipcRenderer, remote} from 'electron';
 import {debounce} from 'underscore';
 import DotsVerticalIcon from 'mdi-react/DotsVerticalIcon';
 
-import Config from '../../common/config';
+import config from '../js/configClient';
+import {HTTPS_MODES, HTTPS_MODE_DESCRIPTION, HTTPS_REQUIRE, HTTPS_WARN} from '../../common/https';
 
 import restoreButton from '../../assets/titlebar/chrome-restore.svg';
 import maximizeButton from '../../assets/titlebar/chrome-maximize.svg';
@@ -23,14 +25,22 @@ import minimizeButton from '../../assets/titlebar/chrome-minimize.svg';
 import closeButton from '../../assets/titlebar/chrome-close.svg';
 
 import TeamList from './TeamList.jsx';
+import CertificateList from './CertificateList.jsx';
+import ImportClientCertificateModal from './ImportClientCertificateModal.jsx';
+import ImportConfigBundleModal from './ImportConfigBundleModal.jsx';
+import ClientCertificateChoiceList from './ClientCertificateChoiceList.jsx';
+import OriginPermissionList from './OriginPermissionList.jsx';
+import ProtocolList from './ProtocolList.jsx';
+import SavedCredentialList from './SavedCredentialList.jsx';
+import AuditLogViewer from './AuditLogViewer.jsx';
+import ProxySettings from './ProxySettings.jsx';
+import HTTPSUpgradeList from './HTTPSUpgradeList.jsx';
 import AutoSaveIndicator from './AutoSaveIndicator.jsx';
 import TabBar from './TabBar.jsx';
 
 const CONFIG_TYPE_SERVERS = 'servers';
 const CONFIG_TYPE_APP_OPTIONS = 'appOptions';
 
-const config = new Config(remote.app.getPath('userData') + '/config.json', remote.getCurrentWindow().registryConfigData);
-
 function backToIndex(index) {
   const target = typeof index === 'undefined' ? 0 : index;
   const indexURL = remote.getGlobal('isDev') ? 'http://localhost:8080/browser/index.html' : `file://${remote.app.getAppPath()}/browser/index.html`;
@@ -64,18 +74,6 @@ export default class SettingsPage extends React.Component {
       this.setState(this.convertConfigDataToState(configData, this.state));
     });
 
-    config.on('error', (error) => {
-      console.log('Config saving error: ', error);
-
-      const savingState = Object.assign({}, this.state.savingState);
-      Object.entries(savingState).forEach(([configType, currentState]) => {
-        if (currentState !== AutoSaveIndicator.SAVING_STATE_DONE) {
-          savingState[configType] = AutoSaveIndicator.SAVING_STATE_ERROR;
-          this.setState({savingState});
-        }
-      });
-    });
-
     function focusListener() {
       self.setState({unfocused: false});
     }
@@ -99,16 +97,6 @@ export default class SettingsPage extends React.Component {
     currentWindow.on('enter-full-screen', this.handleFullScreenState);
     currentWindow.on('leave-full-screen', this.handleFullScreenState);
 
-    // when the config object changes here in the renderer process, tell the main process to reload its config object to get the changes
-    config.on('synchronize', () => {
-      ipcRenderer.send('reload-config');
-    });
-
-    // listen for any config reload requests from the main process to reload configuration changes here in the renderer process
-    ipcRenderer.on('reload-config', () => {
-      config.reload();
-    });
-
     ipcRenderer.on('add-server', () => {
       this.setState({
         showAddTeamForm: true,
@@ -250,9 +238,21 @@ export default class SettingsPage extends React.Component {
   }
 
   processSaveQueue = debounce(() => {
-    config.setMultiple(this.saveQueue.splice(0, this.saveQueue.length));
+    config.setMultiple(this.saveQueue.splice(0, this.saveQueue.length)).catch(this.handleSaveError);
   }, 500);
 
+  handleSaveError = (error) => {
+    console.log('Config saving error: ', error);
+
+    const savingState = Object.assign({}, this.state.savingState);
+    Object.entries(savingState).forEach(([configType, currentState]) => {
+      if (currentState !== AutoSaveIndicator.SAVING_STATE_DONE) {
+        savingState[configType] = AutoSaveIndicator.SAVING_STATE_ERROR;
+        this.setState({savingState});
+      }
+    });
+  }
+
   updateSaveState = () => {
     let queuedUpdateCounts = {
       [CONFIG_TYPE_SERVERS]: 0,
@@ -461,6 +461,68 @@ export default class SettingsPage extends React.Component {
     });
   }
 
+  handleExportConfiguration = () => {
+    ipcRenderer.send('export-config-bundle');
+  }
+
+  handleImportConfiguration = () => {
+    ipcRenderer.send('import-config-bundle');
+  }
+
+  handleChangeHTTPSMode = (httpsMode) => {
+    this.setState({httpsMode});
+    setImmediate(this.saveSetting, CONFIG_TYPE_APP_OPTIONS, {key: 'httpsMode', data: httpsMode});
+  }
+
+  handleChangeProxy = (proxy) => {
+    this.setState({proxy});
+    setImmediate(this.saveSetting, CONFIG_TYPE_APP_OPTIONS, {key: 'proxy', data: proxy});
+  }
+
+  handleChangeServerProxy = (serverURL, settings) => {
+    const serverProxies = Object.assign({}, this.state.serverProxies);
+    if (settings) {
+      serverProxies[serverURL] = settings;
+    } else {
+      delete serverProxies[serverURL];
+    }
+    this.setState({serverProxies});
+    setImmediate(this.saveSetting, CONFIG_TYPE_APP_OPTIONS, {key: 'serverProxies', data: serverProxies});
+  }
+
+  handleForgetClientCertificate = (origin) => {
+    const clientCertificateChoices = Object.assign({}, this.state.clientCertificateChoices);
+    delete clientCertificateChoices[origin];
+    this.setState({clientCertificateChoices});
+    setImmediate(this.saveSetting, CONFIG_TYPE_APP_OPTIONS, {key: 'clientCertificateChoices', data: clientCertificateChoices});
+  }
+
+  handleShowImportClientCertificate = () => {
+    this.setState({showImportClientCertificate: true});
+  }
+
+  handleCancelImportClientCertificate = () => {
+    this.setState({showImportClientCertificate: false});
+  }
+
+  handleClientCertificateImported = (certificate) => {
+    this.setState({
+      showImportClientCertificate: false,
+      importedClientCertificate: path.basename(certificate),
+    });
+  }
+
+  renderLockedHint = (key, subKey) => {
+    if (!config.isLocked(key, subKey)) {
+      return null;
+    }
+    return (
+      <HelpBlock className='LockedHint'>
+        {'This setting is managed by your organization.'}
+      </HelpBlock>
+    );
+  }
+
   setDarkMode() {
     this.setState({
       isDarkMode: this.props.setDarkMode(),
@@ -661,6 +723,11 @@ export default class SettingsPage extends React.Component {
         marginBottom: '4px',
       },
 
+      subsectionHeading: {
+        fontSize: '16px',
+        margin: '0',
+        padding: '1em 0 0.5em',
+      },
       container: {
         paddingBottom: '40px',
       }
@@ -678,6 +745,7 @@ export default class SettingsPage extends React.Component {
             updateTeam={this.updateTeam}
             addServer={this.addServer}
             allowTeamEdit={this.state.enableTeamModification}
+            httpsMode={this.state.httpsMode}
             onTeamClick={(index) => {
               backToIndex(this.state.localTeams[index].order + this.state.buildTeams.length + this.state.registryTeams.length);
             }}
@@ -738,12 +806,14 @@ export default class SettingsPage extends React.Component {
           id='inputAutoStart'
           ref='autostart'
           checked={this.state.autostart}
+          disabled={config.isLocked('autostart')}
           onChange={this.handleChangeAutoStart}
         >
           {'Start app on login'}
           <HelpBlock>
             {'If enabled, the app starts automatically when you log in to your machine.'}
           </HelpBlock>
+          {this.renderLockedHint('autostart')}
         </Checkbox>);
     }
 
@@ -753,6 +823,7 @@ export default class SettingsPage extends React.Component {
         id='inputSpellChecker'
         ref='useSpellChecker'
         checked={this.state.useSpellChecker}
+        disabled={config.isLocked('useSpellChecker')}
         onChange={this.handleChangeUseSpellChecker}
       >
         {'Check spelling'}
@@ -760,6 +831,12 @@ export default class SettingsPage extends React.Component {
           {'Highlight misspelled words in your messages.'}
           {' Available for English, French, German, Portuguese, Russian, Ukrainian, Spanish, and Dutch.'}
         </HelpBlock>
+        {this.renderLockedHint('useSpellChecker')}
+        {config.isLocked('spellCheckerLocale') ? (
+          <HelpBlock className='LockedHint'>
+            {'The spelling language is managed by your organization.'}
+          </HelpBlock>
+        ) : null}
       </Checkbox>);
 
     if (process.platform === 'darwin' || process.platform === 'win32') {
@@ -770,12 +847,14 @@ export default class SettingsPage extends React.Component {
           id='inputShowUnreadBadge'
           ref='showUnreadBadge'
           checked={this.state.showUnreadBadge}
+          disabled={config.isLocked('showUnreadBadge')}
           onChange={this.handleShowUnreadBadge}
         >
           {`Show red badge on ${TASKBAR} icon to indicate unread messages`}
           <HelpBlock>
             {`Regardless of this setting, mentions are always indicated with a red badge and item count on the ${TASKBAR} icon.`}
           </HelpBlock>
+          {this.renderLockedHint('showUnreadBadge')}
         </Checkbox>);
     }
 
@@ -786,12 +865,14 @@ export default class SettingsPage extends React.Component {
           id='inputflashWindow'
           ref='flashWindow'
           checked={this.state.notifications.flashWindow === 2}
+          disabled={config.isLocked('notifications', 'flashWindow')}
           onChange={this.handleFlashWindow}
         >
           {'Flash app window and taskbar icon when a new message is received'}
           <HelpBlock>
             {'If enabled, app window and taskbar icon flash for a few seconds when a new message is received.'}
           </HelpBlock>
+          {this.renderLockedHint('notifications', 'flashWindow')}
         </Checkbox>);
     }
 
@@ -804,6 +885,7 @@ export default class SettingsPage extends React.Component {
             id='inputBounceIcon'
             ref='bounceIcon'
             checked={this.state.notifications.bounceIcon}
+            disabled={config.isLocked('notifications', 'bounceIcon')}
             onChange={this.handleBounceIcon}
             style={{marginRight: '10px'}}
           >
@@ -813,7 +895,7 @@ export default class SettingsPage extends React.Component {
             inline={true}
             name='bounceIconType'
             value='informational'
-            disabled={!this.state.notifications.bounceIcon}
+            disabled={!this.state.notifications.bounceIcon || config.isLocked('notifications', 'bounceIconType')}
             defaultChecked={
               !this.state.notifications.bounceIconType ||
               this.state.notifications.bounceIconType === 'informational'
@@ -827,7 +909,7 @@ export default class SettingsPage extends React.Component {
             inline={true}
             name='bounceIconType'
             value='critical'
-            disabled={!this.state.notifications.bounceIcon}
+            disabled={!this.state.notifications.bounceIcon || config.isLocked('notifications', 'bounceIconType')}
             defaultChecked={this.state.notifications.bounceIconType === 'critical'}
             onChange={this.handleBounceIconType}
           >
@@ -838,6 +920,7 @@ export default class SettingsPage extends React.Component {
           >
             {'If enabled, the Dock icon bounces once or until the user opens the app when a new notification is received.'}
           </HelpBlock>
+          {this.renderLockedHint('notifications', 'bounceIcon') || this.renderLockedHint('notifications', 'bounceIconType')}
         </FormGroup>
       );
     }
@@ -849,12 +932,14 @@ export default class SettingsPage extends React.Component {
           id='inputShowTrayIcon'
           ref='showTrayIcon'
           checked={this.state.showTrayIcon}
+          disabled={config.isLocked('showTrayIcon')}
           onChange={this.handleChangeShowTrayIcon}
         >
           {process.platform === 'darwin' ? `Show ${remote.app.name} icon in the menu bar` : 'Show icon in the notification area'}
           <HelpBlock>
             {'Setting takes effect after restarting the app.'}
           </HelpBlock>
+          {this.renderLockedHint('showTrayIcon')}
         </Checkbox>);
     }
 
@@ -870,6 +955,7 @@ export default class SettingsPage extends React.Component {
             inline={true}
             name='trayIconTheme'
             value='light'
+            disabled={config.isLocked('trayIconTheme')}
             defaultChecked={this.state.trayIconTheme === 'light' || this.state.trayIconTheme === ''}
             onChange={(event) => this.handleChangeTrayIconTheme('light', event)}
           >
@@ -880,9 +966,11 @@ export default class SettingsPage extends React.Component {
             inline={true}
             name='trayIconTheme'
             value='dark'
+            disabled={config.isLocked('trayIconTheme')}
             defaultChecked={this.state.trayIconTheme === 'dark'}
             onChange={(event) => this.handleChangeTrayIconTheme('dark', event)}
           >{'Dark'}</Radio>
+          {this.renderLockedHint('trayIconTheme')}
         </FormGroup>
       );
     }
@@ -893,7 +981,7 @@ export default class SettingsPage extends React.Component {
           key='inputMinimizeToTray'
           id='inputMinimizeToTray'
           ref='minimizeToTray'
-          disabled={!this.state.showTrayIcon || !this.state.trayWasVisible}
+          disabled={!this.state.showTrayIcon || !this.state.trayWasVisible || config.isLocked('minimizeToTray')}
           checked={this.state.minimizeToTray}
           onChange={this.handleChangeMinimizeToTray}
         >
@@ -902,6 +990,7 @@ export default class SettingsPage extends React.Component {
             {'If enabled, the app stays running in the notification area after app window is closed.'}
             {this.state.trayWasVisible || !this.state.showTrayIcon ? '' : ' Setting takes effect after restarting the app.'}
           </HelpBlock>
+          {this.renderLockedHint('minimizeToTray')}
         </Checkbox>);
     }
 
@@ -911,6 +1000,7 @@ export default class SettingsPage extends React.Component {
         id='inputEnableHardwareAcceleration'
         ref='enableHardwareAcceleration'
         checked={this.state.enableHardwareAcceleration}
+        disabled={config.isLocked('enableHardwareAcceleration')}
         onChange={this.handleChangeEnableHardwareAcceleration}
       >
         {'Use GPU hardware acceleration'}
@@ -918,6 +1008,7 @@ export default class SettingsPage extends React.Component {
           {'If enabled, Mattermost UI is rendered more efficiently but can lead to decreased stability for some systems.'}
           {' Setting takes effect after restarting the app.'}
         </HelpBlock>
+        {this.renderLockedHint('enableHardwareAcceleration')}
       </Checkbox>
     );
 
@@ -937,6 +1028,7 @@ export default class SettingsPage extends React.Component {
         <Button
           style={settingsPage.downloadLocationButton}
           id='saveDownloadLocation'
+          disabled={config.isLocked('downloadLocation')}
           onClick={this.selectDownloadLocation}
         >
           <span>{'Change'}</span>
@@ -944,6 +1036,7 @@ export default class SettingsPage extends React.Component {
         <HelpBlock>
           {'Specify the folder where files will download.'}
         </HelpBlock>
+        {this.renderLockedHint('downloadLocation')}
       </div>
     );
 
@@ -967,6 +1060,190 @@ export default class SettingsPage extends React.Component {
       </Row>
     ) : null;
 
+    // importing into the NSS store is only supported on Linux, other platforms use the system store
+    const clientCertificates = process.platform === 'linux' ? (
+      <div>
+        <Button
+          id='showImportClientCertificate'
+          onClick={this.handleShowImportClientCertificate}
+        >
+          <span>{'Import Client Certificate...'}</span>
+        </Button>
+        <HelpBlock>
+          {this.state.importedClientCertificate ?
+            `${this.state.importedClientCertificate} has been imported, it is now offered when a server asks for a client certificate.` :
+            'Import a PKCS#12 (.p12 or .pfx) file to authenticate yourself to servers requiring a client certificate.'}
+        </HelpBlock>
+        <ImportClientCertificateModal
+          show={this.state.showImportClientCertificate}
+          onImported={this.handleClientCertificateImported}
+          onCancel={this.handleCancelImportClientCertificate}
+        />
+      </div>
+    ) : null;
+
+    const certificatesRow = (
+      <Row>
+        <Col md={12}>
+          <h2 style={settingsPage.sectionHeading}>{'Certificates'}</h2>
+        </Col>
+        <Col
+          md={12}
+          style={settingsPage.container}
+        >
+          <HelpBlock>
+            {'Certificates you chose to trust although they could not be verified. Revoke a certificate to be asked again the next time the app connects to its server.'}
+          </HelpBlock>
+          <CertificateList/>
+          <h3 style={settingsPage.subsectionHeading}>{'Client Certificates'}</h3>
+          <HelpBlock>
+            {'Certificates you chose to always use to authenticate yourself to a server.'}
+          </HelpBlock>
+          <ClientCertificateChoiceList
+            choices={this.state.clientCertificateChoices}
+            onForget={this.handleForgetClientCertificate}
+          />
+          {clientCertificates}
+        </Col>
+      </Row>
+    );
+
+    const sitePermissionsRow = (
+      <Row>
+        <Col md={12}>
+          <h2 style={settingsPage.sectionHeading}>{'Site Permissions'}</h2>
+        </Col>
+        <Col
+          md={12}
+          style={settingsPage.container}
+        >
+          <HelpBlock>
+            {'Your answers when a site asked to use your camera and microphone, location, notifications or external applications. Revoke an answer to be asked again.'}
+          </HelpBlock>
+          <OriginPermissionList/>
+          <h3 style={settingsPage.subsectionHeading}>{'External Applications'}</h3>
+          <HelpBlock>
+            {'Protocols you chose to always open in their external application. Remove a protocol to be asked again before opening its links.'}
+          </HelpBlock>
+          <ProtocolList/>
+          <h3 style={settingsPage.subsectionHeading}>{'Saved Logins'}</h3>
+          <HelpBlock>
+            {'Credentials you chose to remember when a server or proxy asked for a user name and password. They are stored encrypted on this computer. Delete an entry to be asked again.'}
+          </HelpBlock>
+          <SavedCredentialList/>
+        </Col>
+      </Row>
+    );
+
+    const httpsModeHelp = {
+      [HTTPS_WARN]: 'Servers that aren\'t using HTTPS are marked in the tab bar.',
+      [HTTPS_REQUIRE]: 'Servers that aren\'t using HTTPS can\'t be added and aren\'t loaded.',
+    };
+    const httpsRow = (
+      <Row>
+        <Col md={12}>
+          <h2 style={settingsPage.sectionHeading}>{'HTTPS'}</h2>
+        </Col>
+        <Col
+          md={12}
+          style={settingsPage.container}
+        >
+          <FormGroup>
+            {'Servers not using HTTPS: '}
+            {HTTPS_MODES.map((mode) => (
+              <Radio
+                key={mode}
+                inline={true}
+                name='httpsMode'
+                value={mode}
+                disabled={config.isLocked('httpsMode')}
+                checked={this.state.httpsMode === mode}
+                onChange={() => this.handleChangeHTTPSMode(mode)}
+              >{HTTPS_MODE_DESCRIPTION[mode]}</Radio>
+            ))}
+            <HelpBlock>
+              {'Messages and passwords are sent in plain text to the servers that aren\'t using HTTPS. '}
+              {httpsModeHelp[this.state.httpsMode] || ''}
+              {' Insecure images and media are blocked on the HTTPS pages of your servers unless servers not using HTTPS are allowed.'}
+            </HelpBlock>
+            {this.renderLockedHint('httpsMode')}
+          </FormGroup>
+          <HTTPSUpgradeList
+            teams={this.state.localTeams}
+            disabled={!this.state.enableServerManagement}
+            onUpgrade={this.updateTeam}
+          />
+        </Col>
+      </Row>
+    );
+
+    const proxyRow = (
+      <Row>
+        <Col md={12}>
+          <h2 style={settingsPage.sectionHeading}>{'Proxy'}</h2>
+        </Col>
+        <Col
+          md={12}
+          style={settingsPage.container}
+        >
+          <ProxySettings
+            proxy={this.state.proxy}
+            serverProxies={this.state.serverProxies}
+            teams={this.state.teams}
+            onChange={this.handleChangeProxy}
+            onChangeServer={this.handleChangeServerProxy}
+          />
+        </Col>
+      </Row>
+    );
+
+    const auditLogRow = (
+      <Row>
+        <Col md={12}>
+          <h2 style={settingsPage.sectionHeading}>{'Audit Log'}</h2>
+        </Col>
+        <Col
+          md={12}
+          style={settingsPage.container}
+        >
+          <HelpBlock>
+            {'Certificate exceptions, permissions and external protocols allowed or denied, along with the navigations and popup windows the app blocked.'}
+          </HelpBlock>
+          <AuditLogViewer/>
+        </Col>
+      </Row>
+    );
+
+    const configurationRow = (
+      <Row>
+        <Col md={12}>
+          <h2 style={settingsPage.sectionHeading}>{'Import and Export'}</h2>
+        </Col>
+        <Col
+          md={12}
+          style={settingsPage.container}
+        >
+          <Button
+            id='exportConfiguration'
+            onClick={this.handleExportConfiguration}
+          >
+            <span>{'Export...'}</span>
+          </Button>
+          {' '}
+          <Button
+            id='importConfiguration'
+            onClick={this.handleImportConfiguration}
+          >
+            <span>{'Import...'}</span>
+          </Button>
+          <HelpBlock>
+            {'Save your servers, preferences, trusted certificates and allowed protocols to a file, or load them from a file exported on another computer.'}
+          </HelpBlock>
+          <ImportConfigBundleModal/>
+        </Col>
+      </Row>
+    );
+
     return (
       <div
         className='container-fluid'
@@ -1005,6 +1282,12 @@ export default class SettingsPage extends React.Component {
           >
             { srvMgmt }
             { optionsRow }
+            { httpsRow }
+            { proxyRow }
+            { certificatesRow }
+            { sitePermissionsRow }
+            { auditLogRow }
+            { configurationRow }
           </Grid>
         </div>
       </div>
@@ -7,6 +7,9 @@ import PropTypes from 'prop-types';
 import {Nav, NavItem} from 'react-bootstrap';
 import {Container, Draggable} from 'react-smooth-dnd';
 import PlusIcon from 'mdi-react/PlusIcon';
+import LockOpenIcon from 'mdi-react/LockOpenIcon';
+
+import {HTTPS_WARN, isInsecureURL} from '../../common/https';
 
 export default class TabBar extends React.Component { // need "this"
   render() {
@@ -48,6 +51,14 @@ export default class TabBar extends React.Component { // need "this"
         );
       }
 
+      const insecure = this.props.httpsMode === HTTPS_WARN && isInsecureURL(team.url);
+      const insecureIcon = insecure ? (
+        <LockOpenIcon
+          className='TabBar-insecure'
+          size={14}
+        />
+      ) : null;
+
       const id = `teamTabItem${index}`;
       const navItem = () => (
         <NavItem
@@ -64,9 +75,10 @@ export default class TabBar extends React.Component { // need "this"
           onSelect={() => {
             this.props.onSelect(index);
           }}
-          title={team.name}
+          title={insecure ? `${team.name} (not using HTTPS, messages are sent in plain text)` : team.name}
         >
           <div className='TabBar-tabSeperator'>
+            {insecureIcon}
             <span>
               {team.name}
             </span>
@@ -143,4 +155,5 @@ TabBar.propTypes = {
   showAddServerButton: PropTypes.bool,
   onAddServer: PropTypes.func,
   onDrop: PropTypes.func,
+  httpsMode: PropTypes.string,
 };
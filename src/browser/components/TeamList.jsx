@@ -116,6 +116,7 @@ export default class TeamList extends React.Component {
     const addServerForm = (
       <NewTeamModal
         currentOrder={this.props.teams.length}
+        httpsMode={this.props.httpsMode}
         show={this.props.showAddTeamForm || this.state.showEditTeamForm}
         editMode={this.state.showEditTeamForm}
         onClose={() => {
@@ -190,4 +191,5 @@ TeamList.propTypes = {
   toggleAddTeamForm: PropTypes.func,
   setAddTeamFormVisibility: PropTypes.func,
   onTeamClick: PropTypes.func,
+  httpsMode: PropTypes.string,
 };
@@ -0,0 +1,24 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+import {remote} from 'electron';
+
+window.eval = global.eval = () => { // eslint-disable-line no-multi-assign, no-eval
+  throw new Error(`Sorry, ${remote.app.name} does not support window.eval() for security reasons.`);
+};
+
+import React from 'react';
+import ReactDOM from 'react-dom';
+
+import EffectiveConfigPage from './components/EffectiveConfigPage.jsx';
+import ConfigErrorView from './components/ConfigErrorView.jsx';
+import config from './js/configClient';
+
+config.init().then(() => {
+  ReactDOM.render(
+    <EffectiveConfigPage/>,
+    document.getElementById('content')
+  );
+}).catch((error) => {
+  console.error('Failed to load the configuration', error);
+  ReactDOM.render(<ConfigErrorView error={error}/>, document.getElementById('content'));
+});
@@ -14,45 +14,22 @@ import {remote, ipcRenderer} from 'electron';
 
 import urlUtils from '../utils/url';
 
-import Config from '../common/config';
-
 import EnhancedNotification from './js/notification';
 import MainPage from './components/MainPage.jsx';
+import ConfigErrorView from './components/ConfigErrorView.jsx';
 import {createDataURL as createBadgeDataURL} from './js/badge';
+import config from './js/configClient';
 
 Notification = EnhancedNotification; // eslint-disable-line no-global-assign, no-native-reassign
 
-const config = new Config(remote.app.getPath('userData') + '/config.json', remote.getCurrentWindow().registryConfigData);
-
-const teams = config.teams;
+const teams = [];
 
 remote.getCurrentWindow().removeAllListeners('focus');
 
-if (teams.length === 0) {
-  remote.getCurrentWindow().loadFile('browser/settings.html');
-}
-
-const parsedURLSearchParams = urlUtils.parseURL(window.location.href).searchParams;
-const parsedURLHasIndex = parsedURLSearchParams.has('index');
-const initialIndex = parsedURLHasIndex ? parseInt(parsedURLSearchParams.get('index'), 10) : getInitialIndex();
-
-let deeplinkingUrl = null;
-if (!parsedURLHasIndex) {
-  deeplinkingUrl = remote.getCurrentWindow().deeplinkingUrl;
-}
-
 config.on('update', (configData) => {
   teams.splice(0, teams.length, ...configData.teams);
 });
 
-config.on('synchronize', () => {
-  ipcRenderer.send('reload-config');
-});
-
-ipcRenderer.on('reload-config', () => {
-  config.reload();
-});
-
 function getInitialIndex() {
   const element = teams.find((e) => e.order === 0);
   return element ? teams.indexOf(element) : 0;
@@ -133,15 +110,23 @@ function showBadge(sessionExpired, unreadCount, mentionCount) {
   }
 }
 
+function handleConfigError(error) {
+  console.log('Config saving error: ', error);
+}
+
 function teamConfigChange(updatedTeams, callback) {
-  config.set('teams', updatedTeams);
-  if (callback) {
-    config.once('update', callback);
-  }
+  config.set('teams', updatedTeams).then(() => {
+    if (callback) {
+      callback();
+    }
+  }).catch(handleConfigError);
 }
 
 function handleSelectSpellCheckerLocale(locale) {
-  config.set('spellCheckerLocale', locale);
+  if (config.isLocked('spellCheckerLocale')) {
+    return;
+  }
+  config.set('spellCheckerLocale', locale).catch(handleConfigError);
   ipcRenderer.send('update-dict', locale);
 }
 
@@ -176,8 +161,11 @@ function getDarkMode() {
 
 function setDarkMode() {
   if (process.platform !== 'darwin') {
+    if (config.isLocked('darkMode')) {
+      return config.darkMode;
+    }
     const darkMode = Boolean(config.darkMode);
-    config.set('darkMode', !darkMode);
+    config.set('darkMode', !darkMode).catch(handleConfigError);
     return !darkMode;
   }
   return null;
@@ -189,24 +177,50 @@ function openMenu() {
   }
 }
 
-ReactDOM.render(
-  <MainPage
-    teams={teams}
-    localTeams={config.localTeams}
-    initialIndex={initialIndex}
-    onBadgeChange={showBadge}
-    onTeamConfigChange={teamConfigChange}
-    useSpellChecker={config.useSpellChecker}
-    onSelectSpellCheckerLocale={handleSelectSpellCheckerLocale}
-    deeplinkingUrl={deeplinkingUrl}
-    showAddServerButton={config.enableServerManagement}
-    getDarkMode={getDarkMode}
-    setDarkMode={setDarkMode}
-    moveTabs={moveTabs}
-    openMenu={openMenu}
-  />,
-  document.getElementById('content')
-);
+function start() {
+  teams.push(...config.teams);
+
+  if (teams.length === 0) {
+    remote.getCurrentWindow().loadFile('browser/settings.html');
+    return;
+  }
+
+  const parsedURLSearchParams = urlUtils.parseURL(window.location.href).searchParams;
+  const parsedURLHasIndex = parsedURLSearchParams.has('index');
+  const initialIndex = parsedURLHasIndex ? parseInt(parsedURLSearchParams.get('index'), 10) : getInitialIndex();
+
+  let deeplinkingUrl = null;
+  if (!parsedURLHasIndex) {
+    deeplinkingUrl = remote.getCurrentWindow().deeplinkingUrl;
+  }
+
+  ReactDOM.render(
+    <MainPage
+      teams={teams}
+      localTeams={config.localTeams}
+      initialIndex={initialIndex}
+      onBadgeChange={showBadge}
+      onTeamConfigChange={teamConfigChange}
+      useSpellChecker={config.useSpellChecker}
+      onSelectSpellCheckerLocale={handleSelectSpellCheckerLocale}
+      spellCheckerLocaleLocked={config.isLocked('spellCheckerLocale')}
+      deeplinkingUrl={deeplinkingUrl}
+      showAddServerButton={config.enableServerManagement}
+      httpsMode={config.httpsMode}
+      getDarkMode={getDarkMode}
+      setDarkMode={setDarkMode}
+      moveTabs={moveTabs}
+      openMenu={openMenu}
+    />,
+    document.getElementById('content')
+  );
+}
+
+// the config is owned by the main process, wait for it before rendering anything
+config.init().then(start).catch((error) => {
+  console.error('Failed to load the configuration', error);
+  ReactDOM.render(<ConfigErrorView error={error}/>, document.getElementById('content'));
+});
 
 // Deny drag&drop navigation in mainWindow.
 // Drag&drop is allowed in webview of index.html.
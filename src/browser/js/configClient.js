@@ -0,0 +1,122 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import {EventEmitter} from 'events';
+
+import {ipcRenderer} from 'electron';
+
+import {
+  GET_CONFIGURATION_CHANNEL,
+  GET_EFFECTIVE_CONFIGURATION_CHANNEL,
+  UPDATE_CONFIGURATION_CHANNEL,
+  SUBSCRIBE_CONFIGURATION_CHANNEL,
+  CONFIGURATION_UPDATED_CHANNEL,
+} from '../../common/config/channels';
+import isLockedPreference from '../../common/config/lockedPreferences';
+
+/**
+ * Renderer side access to the config owned by the main process, keeps a copy of the combined config data
+ * which is updated whenever the main process reports a change
+ */
+class ConfigClient extends EventEmitter {
+  constructor() {
+    super();
+    this.combinedData = null;
+    ipcRenderer.on(CONFIGURATION_UPDATED_CHANNEL, (event, configData) => this.handleUpdate(configData));
+  }
+
+  /**
+   * Fetches the current config data from the main process and subscribes to its changes, supports async/await
+   */
+  async init() {
+    if (!this.combinedData) {
+      ipcRenderer.send(SUBSCRIBE_CONFIGURATION_CHANNEL);
+      this.combinedData = await ipcRenderer.invoke(GET_CONFIGURATION_CHANNEL);
+    }
+    return this.combinedData;
+  }
+
+  /**
+   * Asks the main process to save a single config property
+   *
+   * @param {string} key name of config property to be saved
+   * @param {*} data value to save for provided key
+   * @return {Promise} resolves with the combined config data once it has been saved
+   */
+  set(key, data) {
+    return this.setMultiple([{key, data}]);
+  }
+
+  /**
+   * Asks the main process to save an array of config properties in one go
+   *
+   * @param {array} properties an array of config properties to save
+   * @return {Promise} resolves with the combined config data once it has been saved, rejects if saving fails
+   *
+   * @emits {update} emitted once the main process has saved the data
+   */
+  setMultiple(properties) {
+    return ipcRenderer.invoke(UPDATE_CONFIGURATION_CHANNEL, properties.map(({key, data}) => ({key, data}))).then((configData) => {
+      this.handleUpdate(configData);
+      return configData;
+    });
+  }
+
+  /**
+   * Fetches every effective config property along with the source it comes from
+   *
+   * @return {Promise} resolves with the entries described by Config.getEffectiveConfigData()
+   */
+  getEffectiveData() {
+    return ipcRenderer.invoke(GET_EFFECTIVE_CONFIGURATION_CHANNEL);
+  }
+
+  handleUpdate(configData) {
+    this.combinedData = configData;
+    this.emit('update', configData);
+  }
+
+  // getters for read-only config data
+
+  get data() {
+    return this.combinedData;
+  }
+  get teams() {
+    return this.combinedData.teams;
+  }
+  get localTeams() {
+    return this.combinedData.localTeams;
+  }
+  get darkMode() {
+    return this.combinedData.darkMode;
+  }
+  get enableServerManagement() {
+    return this.combinedData.enableServerManagement;
+  }
+  get showUnreadBadge() {
+    return this.combinedData.showUnreadBadge;
+  }
+  get useSpellChecker() {
+    return this.combinedData.useSpellChecker;
+  }
+  get httpsMode() {
+    return this.combinedData.httpsMode;
+  }
+  get lockedPreferences() {
+    return this.combinedData.lockedPreferences;
+  }
+
+  /**
+   * Determines whether a preference has been locked by the registry/policy and can't be changed locally
+   *
+   * @param {string} key name of the config property
+   * @param {string} subKey name of a nested property, eg. 'flashWindow' for 'notifications' (optional)
+   */
+  isLocked(key, subKey) {
+    return isLockedPreference(this.lockedPreferences, key, subKey);
+  }
+}
+
+const config = new ConfigClient();
+export default config;
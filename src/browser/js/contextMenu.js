@@ -22,7 +22,8 @@ function getSuggestionsMenus(webcontents, suggestions) {
   }));
 }
 
-function getSpellCheckerLocaleMenus(onSelectSpellCheckerLocale) {
+// a language locked by the administrator is still shown, but can't be changed
+function getSpellCheckerLocaleMenus(onSelectSpellCheckerLocale, spellCheckerLocaleLocked) {
   const currentLocale = ipcRenderer.sendSync('get-spellchecker-locale');
   const locales = [
     {language: 'English (UK)', locale: 'en-GB'},
@@ -43,6 +44,7 @@ function getSpellCheckerLocaleMenus(onSelectSpellCheckerLocale) {
     label: l.language,
     type: 'checkbox',
     checked: l.locale === currentLocale,
+    enabled: !spellCheckerLocaleLocked,
     click() {
       if (onSelectSpellCheckerLocale) {
         onSelectSpellCheckerLocale(l.locale);
@@ -56,6 +58,7 @@ export default {
     const defaultOptions = {
       useSpellChecker: false,
       onSelectSpellCheckerLocale: null,
+      spellCheckerLocaleLocked: false,
       shouldShowMenu: (e, p) => {
         const isInternalLink = p.linkURL.endsWith('#') && p.linkURL.slice(0, -1) === p.pageURL;
         let isInternalSrc;
@@ -74,7 +77,8 @@ export default {
 
     electronContextMenu({
       prepend(_defaultActions, params) {
-        if (actualOptions.useSpellChecker) {
+        const useSpellChecker = typeof actualOptions.useSpellChecker === 'function' ? actualOptions.useSpellChecker() : actualOptions.useSpellChecker;
+        if (useSpellChecker) {
           const prependMenuItems = [];
           if (params.isEditable && params.misspelledWord !== '') {
             const suggestions = ipcRenderer.sendSync('get-spelling-suggestions', params.misspelledWord);
@@ -83,7 +87,7 @@ export default {
           if (params.isEditable) {
             prependMenuItems.push(
               {type: 'separator'},
-              {label: 'Spelling Languages', submenu: getSpellCheckerLocaleMenus(actualOptions.onSelectSpellCheckerLocale)});
+              {label: 'Spelling Languages', submenu: getSpellCheckerLocaleMenus(actualOptions.onSelectSpellCheckerLocale, actualOptions.spellCheckerLocaleLocked)});
           }
           return prependMenuItems;
         }
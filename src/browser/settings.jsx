@@ -10,15 +10,13 @@ window.eval = global.eval = () => { // eslint-disable-line no-multi-assign, no-e
 import React from 'react';
 import ReactDOM from 'react-dom';
 
-import Config from '../common/config';
-
 import SettingsPage from './components/SettingsPage.jsx';
+import ConfigErrorView from './components/ConfigErrorView.jsx';
+import config from './js/configClient';
 import contextMenu from './js/contextMenu';
 
 contextMenu.setup();
 
-const config = new Config(remote.app.getPath('userData') + '/config.json', remote.getCurrentWindow().registryConfigData);
-
 function getDarkMode() {
   if (process.platform !== 'darwin') {
     return config.darkMode;
@@ -28,8 +26,13 @@ function getDarkMode() {
 
 function setDarkMode() {
   if (process.platform !== 'darwin') {
+    if (config.isLocked('darkMode')) {
+      return config.darkMode;
+    }
     const darkMode = Boolean(config.darkMode);
-    config.set('darkMode', !darkMode);
+    config.set('darkMode', !darkMode).catch((error) => {
+      console.log('Config saving error: ', error);
+    });
     return !darkMode;
   }
   return null;
@@ -41,14 +44,20 @@ function openMenu() {
   }
 }
 
-ReactDOM.render(
-  <SettingsPage
-    getDarkMode={getDarkMode}
-    setDarkMode={setDarkMode}
-    openMenu={openMenu}
-  />,
-  document.getElementById('content')
-);
+// the config is owned by the main process, wait for it before rendering anything
+config.init().then(() => {
+  ReactDOM.render(
+    <SettingsPage
+      getDarkMode={getDarkMode}
+      setDarkMode={setDarkMode}
+      openMenu={openMenu}
+    />,
+    document.getElementById('content')
+  );
+}).catch((error) => {
+  console.error('Failed to load the configuration', error);
+  ReactDOM.render(<ConfigErrorView error={error}/>, document.getElementById('content'));
+});
 
 // Deny drag&drop navigation in mainWindow.
 document.addEventListener('dragover', (event) => event.preventDefault());
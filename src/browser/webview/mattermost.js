@@ -56,6 +56,14 @@ document.addEventListener('mouseup', () => {
   ipcRenderer.sendToHost('mouse-up');
 });
 
+// the text of the clicked link is compared with its address before opening it outside of the app
+document.addEventListener('click', (event) => {
+  const link = event.target.closest ? event.target.closest('a[href]') : null;
+  if (link) {
+    ipcRenderer.sendToHost('link-clicked', link.href, link.textContent);
+  }
+}, true);
+
 // listen for messages from the webapp
 window.addEventListener('message', ({origin, data: {type, message = {}} = {}} = {}) => {
   if (origin !== window.location.origin) {
@@ -0,0 +1,30 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+// channel types for the security audit log
+export const GET_AUDIT_LOG_CHANNEL = 'get-audit-log';
+export const EXPORT_AUDIT_LOG_CHANNEL = 'export-audit-log';
+
+// audited events
+export const AUDIT_CERTIFICATE_EXCEPTION = 'certificate-exception';
+export const AUDIT_CERTIFICATE_PIN = 'certificate-pin';
+export const AUDIT_PERMISSION = 'permission';
+export const AUDIT_PROTOCOL = 'protocol';
+export const AUDIT_NAVIGATION = 'navigation';
+export const AUDIT_POPUP = 'popup';
+export const AUDIT_LINK = 'link';
+
+// decisions, blocked ones were made by the app or the configuration rather than the user
+export const AUDIT_ALLOWED = 'allowed';
+export const AUDIT_DENIED = 'denied';
+export const AUDIT_BLOCKED = 'blocked';
+
+export const AUDIT_EVENT_DESCRIPTION = {
+  [AUDIT_CERTIFICATE_EXCEPTION]: 'Certificate exception',
+  [AUDIT_CERTIFICATE_PIN]: 'Pinned certificate mismatch',
+  [AUDIT_PERMISSION]: 'Permission',
+  [AUDIT_PROTOCOL]: 'External protocol',
+  [AUDIT_NAVIGATION]: 'Navigation',
+  [AUDIT_POPUP]: 'Popup window',
+  [AUDIT_LINK]: 'Suspicious link',
+};
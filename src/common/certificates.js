@@ -0,0 +1,17 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+// channel types for managing the certificates stored by the main process
+export const GET_CERTIFICATES_CHANNEL = 'get-certificates';
+export const REVOKE_CERTIFICATE_CHANNEL = 'revoke-certificate';
+export const EXPORT_CERTIFICATE_CHANNEL = 'export-certificate';
+export const GET_CERTIFICATE_PIN_FAILURE_CHANNEL = 'get-certificate-pin-failure';
+export const CERTIFICATE_ERROR_CHANNEL = 'certificate-error';
+export const CERTIFICATE_ERROR_RESPONSE_CHANNEL = 'certificate-error-response';
+
+// answers to a certificate error
+export const CANCEL_CONNECTION = 'cancel';
+export const TRUST_FOR_SESSION = 'trust-for-session';
+export const TRUST_PERMANENTLY = 'trust-permanently';
+export const IMPORT_CLIENT_CERTIFICATE_CHANNEL = 'import-client-certificate';
+export const CLIENT_CERTIFICATES_CHANGED_CHANNEL = 'client-certificates-changed';
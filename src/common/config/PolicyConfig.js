@@ -0,0 +1,187 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {EventEmitter} from 'events';
+
+import * as Validator from '../../main/Validator';
+
+const SYSTEM_POLICY_PATHS = {
+  linux: '/etc/mattermost-desktop/policy.json',
+  darwin: '/Library/Application Support/Mattermost/policy.json',
+};
+
+const USER_POLICY_PATHS = {
+  linux: path.join(os.homedir(), '.config', 'mattermost-desktop', 'policy.json'),
+  darwin: path.join(os.homedir(), 'Library', 'Application Support', 'Mattermost', 'policy.json'),
+};
+
+// the user policy is writable by the user, so it's loaded first and the system policy of the administrator always wins
+function getDefaultPolicyPaths() {
+  if (SYSTEM_POLICY_PATHS[process.platform]) {
+    return [USER_POLICY_PATHS[process.platform], SYSTEM_POLICY_PATHS[process.platform]];
+  }
+  return [];
+}
+
+/**
+ * Handles loading config data from JSON policy files on Linux and macOS, the equivalent of the Windows registry policies
+ */
+export default class PolicyConfig extends EventEmitter {
+  /**
+   * @param {array} policyPaths paths of the policy files to load, later files take precedence over earlier ones
+   */
+  constructor(policyPaths = getDefaultPolicyPaths()) {
+    super();
+    this.policyPaths = policyPaths;
+    this.initialized = false;
+    this.data = {
+      teams: [],
+    };
+  }
+
+  /**
+   * Triggers loading data from the policy files, supports async/await
+   *
+   * @emits {update} emitted once all data has been loaded from the policy files
+   */
+  async init() {
+    for (const policyPath of this.policyPaths) {
+      try {
+        const policy = await this.getPolicyFromFile(policyPath);
+        if (policy) {
+          this.applyPolicy(policy);
+        }
+      } catch (error) {
+        console.log(`[PolicyConfig] Failed to load policy from '${policyPath}'`, error);
+      }
+    }
+    this.initialized = true;
+    this.emit('update', this.data);
+  }
+
+  /**
+   * Loads the policy files synchronously, for the policies that have to be applied before the app is ready such as Chromium switches
+   *
+   * @emits {update} emitted once all data has been loaded from the policy files
+   */
+  initSync() {
+    for (const policyPath of this.policyPaths) {
+      try {
+        const policy = this.getPolicyFromFileSync(policyPath);
+        if (policy) {
+          this.applyPolicy(policy);
+        }
+      } catch (error) {
+        console.log(`[PolicyConfig] Failed to load policy from '${policyPath}'`, error);
+      }
+    }
+    this.initialized = true;
+    this.emit('update', this.data);
+  }
+
+  /**
+   * Merges a validated policy into the data, mirroring how the registry values are applied
+   *
+   * @param {object} policy validated policy data
+   */
+  applyPolicy(policy) {
+    if (policy.DefaultServerList && policy.DefaultServerList.length) {
+      this.data.teams.push(...policy.DefaultServerList);
+    }
+    if (typeof policy.EnableServerManagement !== 'undefined') {
+      this.data.enableServerManagement = policy.EnableServerManagement;
+    }
+    if (typeof policy.EnableAutoUpdater !== 'undefined') {
+      this.data.enableAutoUpdater = policy.EnableAutoUpdater;
+    }
+    if (policy.LockedPreferences) {
+      this.data.lockedPreferences = Object.assign({}, this.data.lockedPreferences, policy.LockedPreferences);
+    }
+    if (policy.CertificatePins) {
+      this.data.certificatePins = Object.assign({}, this.data.certificatePins, policy.CertificatePins);
+    }
+    if (policy.CABundleDirectory) {
+      this.data.caBundleDirectory = policy.CABundleDirectory;
+    }
+    if (policy.CABundleOrigins) {
+      this.data.caBundleOrigins = policy.CABundleOrigins;
+    }
+    // the protocol lists only grow, so no policy file can unblock a protocol denied by another one
+    if (policy.AlwaysAllowedProtocols) {
+      this.data.alwaysAllowedProtocols = [...(this.data.alwaysAllowedProtocols || []), ...policy.AlwaysAllowedProtocols];
+    }
+    if (policy.DeniedProtocols) {
+      this.data.deniedProtocols = [...(this.data.deniedProtocols || []), ...policy.DeniedProtocols];
+    }
+    if (policy.AuthServerAllowlist) {
+      this.data.authServerAllowlist = policy.AuthServerAllowlist;
+    }
+    if (policy.AuthDelegationAllowlist) {
+      this.data.authDelegationAllowlist = policy.AuthDelegationAllowlist;
+    }
+    if (policy.NavigationRules) {
+      this.data.navigationRules = [...policy.NavigationRules, ...(this.data.navigationRules || [])];
+    }
+    if (policy.ServerPolicyPath) {
+      this.data.serverPolicyPath = policy.ServerPolicyPath;
+    }
+    if (policy.ClientCertificateRules) {
+      this.data.clientCertificateRules = Object.assign({}, this.data.clientCertificateRules, policy.ClientCertificateRules);
+    }
+  }
+
+  /**
+   * Reads and validates a single policy file, resolves with null if the file doesn't exist
+   *
+   * @param {string} policyPath path to the policy file
+   */
+  getPolicyFromFile(policyPath) {
+    return new Promise((resolve, reject) => {
+      fs.readFile(policyPath, 'utf8', (error, contents) => {
+        if (error) {
+          if (error.code === 'ENOENT') {
+            resolve(null);
+          } else {
+            reject(error);
+          }
+          return;
+        }
+        try {
+          resolve(this.parsePolicy(contents));
+        } catch (parseError) {
+          reject(parseError);
+        }
+      });
+    });
+  }
+
+  /**
+   * Same as getPolicyFromFile, returns null if the file doesn't exist
+   *
+   * @param {string} policyPath path to the policy file
+   */
+  getPolicyFromFileSync(policyPath) {
+    let contents;
+    try {
+      contents = fs.readFileSync(policyPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+    return this.parsePolicy(contents);
+  }
+
+  parsePolicy(contents) {
+    const policy = Validator.validatePolicy(JSON.parse(contents));
+    if (!policy) {
+      throw new Error('Provided policy file does not validate, ignoring it.');
+    }
+    return policy;
+  }
+}
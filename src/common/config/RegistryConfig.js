@@ -6,9 +6,27 @@ import {EventEmitter} from 'events';
 
 import WindowsRegistry from 'winreg';
 
+import * as Validator from '../../main/Validator';
+
+import defaultPreferences from './defaultPreferences';
+
 const REGISTRY_HIVE_LIST = [WindowsRegistry.HKLM, WindowsRegistry.HKCU];
 const BASE_REGISTRY_KEY_PATH = '\\Software\\Policies\\Mattermost';
 
+// converts the registry values to the types of the matching preferences, the DWORDs are read as hex strings
+function toPreferences(itemLists, defaults) {
+  return itemLists.flat().reduce((preferences, item) => {
+    let value = item.value;
+    if (item.type === 'REG_DWORD') {
+      value = parseInt(value, 16);
+      if (typeof defaults[item.name] === 'boolean') {
+        value = value !== 0;
+      }
+    }
+    return Object.assign(preferences, {[item.name]: value});
+  }, {});
+}
+
 /**
  * Handles loading config data from the Windows registry set manually or by GPO
  */
@@ -57,6 +75,16 @@ export default class RegistryConfig extends EventEmitter {
       } catch (error) {
         console.log('[RegistryConfig] Nothing retrieved for \'EnableAutoUpdater\'', error);
       }
+
+      // extract LockedPreferences from the registry
+      try {
+        const lockedPreferences = await this.getLockedPreferencesFromRegistry();
+        if (lockedPreferences !== null) {
+          this.data.lockedPreferences = lockedPreferences;
+        }
+      } catch (error) {
+        console.log('[RegistryConfig] Nothing retrieved for \'LockedPreferences\'', error);
+      }
     }
     this.initialized = true;
     this.emit('update', this.data);
@@ -97,6 +125,30 @@ export default class RegistryConfig extends EventEmitter {
     return entry ? entry === '0x1' : null;
   }
 
+  /**
+   * Extracts the preferences locked by the administrator, the notifications are kept in a subkey
+   * and the machine wide values take precedence over the ones of the current user
+   */
+  async getLockedPreferencesFromRegistry() {
+    const key = `${BASE_REGISTRY_KEY_PATH}\\LockedPreferences`;
+    const [preferences, notifications] = await Promise.all([
+      this.getRegistryEntry(key),
+      this.getRegistryEntry(`${key}\\notifications`),
+    ]);
+    if (!preferences.length && !notifications.length) {
+      return null;
+    }
+    const lockedPreferences = toPreferences([...preferences].reverse(), defaultPreferences);
+    if (notifications.length) {
+      lockedPreferences.notifications = toPreferences([...notifications].reverse(), defaultPreferences.notifications);
+    }
+    const validPreferences = Validator.validateLockedPreferences(lockedPreferences);
+    if (!validPreferences) {
+      throw new Error('Invalid locked preferences');
+    }
+    return validPreferences;
+  }
+
   /**
    * Initiates retrieval of a specific key in the Windows registry
    *
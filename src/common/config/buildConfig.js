@@ -16,6 +16,22 @@
  *                                          Specify at least one server for "defaultTeams"
  *                                          when "enableServerManagement is set to false
  * @prop {[]} managedResources - Defines which paths are managed
+ * @prop {string} serverPolicyPath - Path on each server to fetch its desktop policy from, eg. '/api/v4/desktop/policy' to let
+ *                                   the servers disable their own downloads (EnableDownloads) or force the spell checker on or
+ *                                   off in their own tab (EnableSpellChecker). If null is specified, no policy is fetched from servers.
+ *                                   It can also be set by the ServerPolicyPath registry/policy.
+ * @prop {Object} certificatePins - SPKI SHA-256 pins per server URL, eg. {'https://example.com': ['sha256/base64 digest']}.
+ *                                  Any certificate matching none of its server's pins is rejected, even a publicly valid one.
+ * @prop {string} caBundleDirectory - Directory of .pem/.crt files with certificate authorities to trust for "caBundleOrigins".
+ * @prop {string[]} caBundleOrigins - URLs of the servers whose certificates may be issued by the authorities of "caBundleDirectory".
+ * @prop {string[]} alwaysAllowedProtocols - Schemes, eg. 'zoommtg', opened in their external application without asking the user.
+ * @prop {string[]} deniedProtocols - Schemes that are never opened in an external application, even if the user allowed them before.
+ * @prop {Object[]} navigationRules - What to do with the URLs of the servers, checked before the built-in rules, the first matching rule wins.
+ * @prop {string} navigationRules[].server - URL of the server the rule applies to, every server if omitted.
+ * @prop {string} navigationRules[].pattern - Case insensitive regex matched against the path relative to the server, eg. '^/oauth/okta/'.
+ * @prop {string} navigationRules[].action - 'tab', 'custom-login', 'popup', 'external' (default browser) or 'block'.
+ * @prop {string[]} authServerAllowlist - Hosts allowed to use Kerberos/NTLM integrated authentication, eg. '*.example.com'.
+ * @prop {string[]} authDelegationAllowlist - Hosts the Kerberos credentials may be delegated to.
  */
 const buildConfig = {
   defaultTeams: [/*
@@ -28,6 +44,15 @@ const buildConfig = {
   enableServerManagement: true,
   enableAutoUpdater: true,
   managedResources: ['trusted'],
+  serverPolicyPath: null,
+  certificatePins: {},
+  caBundleDirectory: null,
+  caBundleOrigins: [],
+  alwaysAllowedProtocols: [],
+  deniedProtocols: [],
+  navigationRules: [],
+  authServerAllowlist: [],
+  authDelegationAllowlist: [],
 };
 
 export default buildConfig;
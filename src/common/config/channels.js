@@ -0,0 +1,13 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+// channel types for accessing the configuration owned by the main process
+export const GET_CONFIGURATION_CHANNEL = 'get-configuration';
+export const UPDATE_CONFIGURATION_CHANNEL = 'update-configuration';
+export const SUBSCRIBE_CONFIGURATION_CHANNEL = 'subscribe-configuration';
+export const CONFIGURATION_UPDATED_CHANNEL = 'configuration-updated';
+export const GET_EFFECTIVE_CONFIGURATION_CHANNEL = 'get-effective-configuration';
+
+// channel types for choosing what gets imported from a configuration bundle
+export const CONFIG_BUNDLE_PREVIEW_CHANNEL = 'config-bundle-preview';
+export const CONFIG_BUNDLE_SELECTION_CHANNEL = 'config-bundle-selection';
@@ -5,9 +5,14 @@
 /**
  * Default user preferences. End-users can change these parameters by editing config.json
  * @param {number} version - Scheme version. (Not application version)
+ * @param {Object} clientCertificateRules - Issuer/subject patterns picking the client certificate of a server, by server URL.
+ * @param {Object} clientCertificateChoices - Client certificates remembered for a server, by server URL.
+ * @param {Object} proxy - Proxy settings {mode, proxyServer, pacURL, bypassRules}, mode being system, direct, fixed or pac.
+ * @param {Object} serverProxies - Proxy settings of the servers that don't use the global ones, by server URL.
+ * @param {String} httpsMode - How the servers that aren't using HTTPS are handled: allow, warn or require (refuse them).
  */
 const defaultPreferences = {
-  version: 2,
+  version: 3,
   teams: [],
   showTrayIcon: true,
   trayIconTheme: 'light',
@@ -23,7 +28,15 @@ const defaultPreferences = {
   autostart: true,
   spellCheckerLocale: 'en-US',
   darkMode: false,
-  downloadLocation: `/Users/${process.env.USER || process.env.USERNAME}/Downloads`
+  downloadLocation: `/Users/${process.env.USER || process.env.USERNAME}/Downloads`,
+  migrationHistory: [],
+  clientCertificateRules: {},
+  clientCertificateChoices: {},
+  proxy: {
+    mode: 'system',
+  },
+  serverProxies: {},
+  httpsMode: 'warn',
 };
 
 export default defaultPreferences;
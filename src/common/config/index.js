@@ -8,10 +8,43 @@ import path from 'path';
 import {EventEmitter} from 'events';
 
 import * as Validator from '../../main/Validator';
+import {HTTPS_REQUIRE, isInsecureURL} from '../https';
 
 import defaultPreferences from './defaultPreferences';
-import upgradeConfigData from './upgradePreferences';
+import upgradeConfigData, {getConfigVersion} from './upgradePreferences';
 import buildConfig from './buildConfig';
+import isLockedPreference from './lockedPreferences';
+import {
+  CONFIG_SOURCE_DEFAULT,
+  CONFIG_SOURCE_LOCAL,
+  CONFIG_SOURCE_BUILD,
+  CONFIG_SOURCE_REGISTRY,
+  CONFIG_SOURCE_LOCKED,
+} from './sources';
+
+const MAX_CONFIG_BACKUPS = 5;
+const BACKUP_FILE_REGEX = /^config-(\d+)\.json$/;
+
+const WATCH_DEBOUNCE_DELAY = 200;
+
+let tempFileCounter = 0;
+
+// combined data that is derived from the sources rather than being a config property of its own
+const DERIVED_CONFIG_KEYS = ['lockedPreferences', 'serverPolicies', 'localTeams', 'buildTeams', 'registryTeams'];
+
+// merges locked preferences onto each other or onto config data, nested preferences such as notifications are merged key by key
+function mergeLockedPreferences(...lockedPreferencesList) {
+  return lockedPreferencesList.reduce((merged, lockedPreferences) => {
+    Object.entries(lockedPreferences).forEach(([key, value]) => {
+      if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        merged[key] = Object.assign({}, merged[key], value);
+      } else {
+        merged[key] = value;
+      }
+    });
+    return merged;
+  }, {});
+}
 
 /**
  * Handles loading and merging all sources of configuration as well as saving user provided config
@@ -20,7 +53,13 @@ export default class Config extends EventEmitter {
   constructor(configFilePath, registryConfigData = {teams: []}) {
     super();
     this.configFilePath = configFilePath;
+    this.backupDirPath = path.join(path.dirname(configFilePath), 'config-backups');
+    this.loadError = null;
+    this.lastSyncedJson = null;
+    this.lastSyncedData = {};
+    this.watcher = null;
     this.registryConfigData = registryConfigData;
+    this.serverPolicyData = {};
     this.reload();
   }
 
@@ -52,19 +91,22 @@ export default class Config extends EventEmitter {
    *
    * @param {string} key name of config property to be saved
    * @param {*} data value to save for provided key
+   * @return {Promise} resolves with the combined config data once it has been saved
    */
   set(key, data) {
     if (key) {
       this.localConfigData[key] = data;
       this.regenerateCombinedConfigData();
-      this.saveLocalConfigData();
+      return this.saveLocalConfigData();
     }
+    return Promise.resolve(this.combinedData);
   }
 
   /**
    * Used to save an array of config properties in one go
    *
    * @param {array} properties an array of config properties to save
+   * @return {Promise} resolves with the combined config data once it has been saved
    */
   setMultiple(properties = []) {
     if (properties.length) {
@@ -74,8 +116,9 @@ export default class Config extends EventEmitter {
         }
       });
       this.regenerateCombinedConfigData();
-      this.saveLocalConfigData();
+      return this.saveLocalConfigData();
     }
+    return Promise.resolve(this.combinedData);
   }
 
   setRegistryConfigData(registryConfigData = {teams: []}) {
@@ -83,6 +126,35 @@ export default class Config extends EventEmitter {
     this.reload();
   }
 
+  /**
+   * Sets the desktop policy provided by a server, it only applies to that server and while it is configured
+   *
+   * @param {string} serverURL URL of the server as configured in teams
+   * @param {object} policy validated server policy, null to remove the server's policy
+   * @emits {update} emitted if the server's policy changed
+   */
+  setServerPolicy(serverURL, policy) {
+    if (JSON.stringify(this.serverPolicyData[serverURL] || null) === JSON.stringify(policy)) {
+      return;
+    }
+    if (policy) {
+      this.serverPolicyData[serverURL] = policy;
+    } else {
+      delete this.serverPolicyData[serverURL];
+    }
+    this.regenerateCombinedConfigData();
+    this.emit('update', this.combinedData);
+  }
+
+  /**
+   * Returns the desktop policy provided by a server, an empty policy if the server doesn't provide one
+   *
+   * @param {string} serverURL URL of the server as configured in teams
+   */
+  getServerPolicy(serverURL) {
+    return this.combinedData.serverPolicies[serverURL] || {};
+  }
+
   /**
    * Used to replace the existing config data with new config data
    *
@@ -103,21 +175,109 @@ export default class Config extends EventEmitter {
    * @emits {update} emitted once all data has been saved
    * @emits {synchronize} emitted once all data has been saved; used to notify other config instances of changes
    * @emits {error} emitted if saving local config data to file fails
+   * @return {Promise} resolves with the combined config data once it has been saved, rejects if saving fails
    */
   saveLocalConfigData() {
+    return new Promise((resolve, reject) => {
+      const handleError = (error) => {
+        this.emit('error', error);
+        reject(error);
+      };
+      try {
+        this.writeFile(this.configFilePath, this.localConfigData, (error) => {
+          if (error) {
+            handleError(error);
+            return;
+          }
+          this.emit('update', this.combinedData);
+          this.emit('synchronize');
+          resolve(this.combinedData);
+        });
+      } catch (error) {
+        handleError(error);
+      }
+    });
+  }
+
+  /**
+   * Watches the local config file so changes made outside of the app, eg. by provisioning scripts, get loaded
+   */
+  watch() {
+    if (this.watcher) {
+      return;
+    }
+    const fileName = path.basename(this.configFilePath);
     try {
-      this.writeFile(this.configFilePath, this.localConfigData, (error) => {
-        if (error) {
-          throw new Error(error);
+      // the directory is watched as the file itself gets replaced on every write
+      this.watcher = fs.watch(path.dirname(this.configFilePath), (eventType, changedFileName) => {
+        if (changedFileName && changedFileName !== fileName) {
+          return;
         }
-        this.emit('update', this.combinedData);
-        this.emit('synchronize');
+        clearTimeout(this.watchTimeout);
+        this.watchTimeout = setTimeout(() => {
+          // failing to save is already reported through the error event
+          this.handleExternalChange().catch(() => null);
+        }, WATCH_DEBOUNCE_DELAY);
       });
     } catch (error) {
-      this.emit('error', error);
+      console.log('Failed to watch the configuration file for changes.', error);
+    }
+  }
+
+  unwatch() {
+    clearTimeout(this.watchTimeout);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
     }
   }
 
+  /**
+   * Reloads the local config file if it was changed by someone else
+   *
+   * In-app changes that haven't been written yet are kept and saved again on top of the external changes, unless the
+   * same property was changed externally as well, in which case the external change wins
+   *
+   * @emits {conflict} emitted with the names of the properties whose in-app changes were replaced by external ones
+   * @return {Promise} resolves once the kept in-app changes have been saved again
+   */
+  handleExternalChange() {
+    let json;
+    try {
+      json = fs.readFileSync(this.configFilePath, 'utf8');
+    } catch (error) {
+      return Promise.resolve(this.combinedData); // the file is being replaced or was removed, wait for the next change
+    }
+    if (json === this.lastSyncedJson) {
+      return Promise.resolve(this.combinedData);
+    }
+
+    let externalData;
+    try {
+      externalData = this.validateConfigData(JSON.parse(json));
+    } catch (error) {
+      externalData = false;
+    }
+    if (!externalData) {
+      console.log('Ignoring external change to the configuration file as it does not validate.');
+      return Promise.resolve(this.combinedData);
+    }
+
+    const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const localChanges = Object.keys(this.localConfigData).filter((key) => !isEqual(this.localConfigData[key], this.lastSyncedData[key]));
+    const conflicts = localChanges.filter((key) => !isEqual(externalData[key], this.lastSyncedData[key]) && !isEqual(externalData[key], this.localConfigData[key]));
+    const pendingChanges = localChanges.filter((key) => !conflicts.includes(key)).map((key) => ({key, data: this.localConfigData[key]}));
+
+    console.log('The configuration file was changed outside of the app, reloading it.');
+    if (conflicts.length) {
+      console.log(`External changes replaced in-app changes to: ${conflicts.join(', ')}`);
+      this.emit('conflict', conflicts);
+    }
+
+    this.reload(true);
+    return this.setMultiple(pendingChanges);
+  }
+
   // getters for accessing the various config data inputs
 
   get data() {
@@ -186,6 +346,106 @@ export default class Config extends EventEmitter {
   get helpLink() {
     return this.combinedData.helpLink;
   }
+  get serverPolicyPath() {
+    return this.combinedData.serverPolicyPath;
+  }
+  get certificatePins() {
+    return this.combinedData.certificatePins;
+  }
+  get caBundleDirectory() {
+    return this.combinedData.caBundleDirectory;
+  }
+  get caBundleOrigins() {
+    return this.combinedData.caBundleOrigins;
+  }
+  get alwaysAllowedProtocols() {
+    return this.combinedData.alwaysAllowedProtocols;
+  }
+  get deniedProtocols() {
+    return this.combinedData.deniedProtocols;
+  }
+  get navigationRules() {
+    return this.combinedData.navigationRules;
+  }
+  get authServerAllowlist() {
+    return this.combinedData.authServerAllowlist;
+  }
+  get authDelegationAllowlist() {
+    return this.combinedData.authDelegationAllowlist;
+  }
+  get clientCertificateRules() {
+    return this.combinedData.clientCertificateRules;
+  }
+  get clientCertificateChoices() {
+    return this.combinedData.clientCertificateChoices;
+  }
+  get proxy() {
+    return this.combinedData.proxy;
+  }
+  get serverProxies() {
+    return this.combinedData.serverProxies;
+  }
+  get httpsMode() {
+    return this.combinedData.httpsMode;
+  }
+  get lockedPreferences() {
+    return this.combinedData.lockedPreferences;
+  }
+
+  /**
+   * Determines whether a preference has been locked by the registry/policy and can't be changed locally
+   *
+   * @param {string} key name of the config property
+   * @param {string} subKey name of a nested property, eg. 'flashWindow' for 'notifications' (optional)
+   */
+  isLocked(key, subKey) {
+    return isLockedPreference(this.lockedPreferences, key, subKey);
+  }
+
+  /**
+   * Describes where each effective config value comes from, used to diagnose settings that behave unexpectedly
+   *
+   * @return {array} one entry per config property with its value, the winning source and the values it overrode
+   */
+  getEffectiveConfigData() {
+    const registryData = Object.assign({}, this.registryConfigData);
+    delete registryData.lockedPreferences;
+    const sources = [
+      [CONFIG_SOURCE_DEFAULT, this.defaultConfigData],
+      [CONFIG_SOURCE_LOCAL, this.localConfigData],
+      [CONFIG_SOURCE_BUILD, this.buildConfigData],
+      [CONFIG_SOURCE_REGISTRY, registryData],
+      [CONFIG_SOURCE_LOCKED, this.registryConfigData.lockedPreferences || {}],
+    ];
+
+    return Object.keys(this.combinedData).filter((key) => !DERIVED_CONFIG_KEYS.includes(key)).sort().map((key) => {
+      if (key === 'teams') {
+        // teams are merged from every source rather than overridden
+        const teamSources = [
+          [CONFIG_SOURCE_BUILD, this.buildConfigData.defaultTeams],
+          [CONFIG_SOURCE_REGISTRY, this.registryConfigData.teams],
+          [CONFIG_SOURCE_LOCAL, this.enableServerManagement ? this.localConfigData.teams : []],
+        ];
+        return {
+          key,
+          value: this.combinedData.teams,
+          sources: teamSources.filter(([, teams]) => teams && teams.length).map(([source]) => source),
+          overridden: [],
+        };
+      }
+
+      const values = sources.
+        filter(([, data]) => typeof data[key] !== 'undefined').
+        map(([source, data]) => ({source, value: data[key]}));
+      const winner = values.pop();
+      return {
+        key,
+        value: this.combinedData[key],
+        sources: [winner.source],
+        overridden: values.reverse(),
+      };
+    });
+  }
 
   // initialization/processing methods
 
@@ -205,40 +465,127 @@ export default class Config extends EventEmitter {
 
   /**
    * Loads and returns locally stored config data from the filesystem or returns app defaults if no file is found
+   *
+   * If the file exists but can't be parsed or doesn't validate, it is left untouched and `loadError` describes
+   * what went wrong so the user can decide whether to restore a backup or reset to defaults
    */
   loadLocalConfigFile() {
-    let configData = {};
-    try {
-      configData = this.readFileSync(this.configFilePath);
+    this.loadError = null;
 
-      // validate based on config file version
-      if (configData.version > 1) {
-        configData = Validator.validateV2ConfigData(configData);
-      } else {
-        switch (configData.version) {
-        case 1:
-          configData = Validator.validateV1ConfigData(configData);
-          break;
-        default:
-          configData = Validator.validateV0ConfigData(configData);
-        }
+    let configData;
+    let json;
+    try {
+      json = fs.readFileSync(this.configFilePath, 'utf8');
+      configData = JSON.parse(json);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.log('No configuration file found on the filesystem. Using defaults.');
+        configData = this.getDefaultLocalConfigData();
+        this.writeFileSync(this.configFilePath, configData);
+        return configData;
       }
-      if (!configData) {
-        throw new Error('Provided configuration file does not validate, using defaults instead.');
+      console.log('Failed to read configuration file from the filesystem. Using defaults.');
+      this.loadError = {message: error.message, errors: []};
+      return this.getDefaultLocalConfigData();
+    }
+
+    const validatedData = this.validateConfigData(configData);
+    if (!validatedData) {
+      console.log('Provided configuration file does not validate, using defaults instead.');
+      this.loadError = {
+        message: 'Provided configuration file does not validate.',
+        errors: Validator.getConfigDataErrors(configData),
+      };
+      return this.getDefaultLocalConfigData();
+    }
+    this.setLastSyncedData(json, validatedData);
+    return validatedData;
+  }
+
+  /**
+   * Returns the default config data to be used when there is no usable local config file
+   */
+  getDefaultLocalConfigData() {
+    const configData = this.copy(this.defaultConfigData);
+
+    // add default team to teams if one exists and there arent currently any teams
+    if (!configData.teams.length && this.defaultConfigData.defaultTeam) {
+      configData.teams.push(this.defaultConfigData.defaultTeam);
+    }
+    delete configData.defaultTeam;
+
+    return configData;
+  }
+
+  /**
+   * Validates config data based on its version, returns false if it doesn't validate
+   *
+   * @param {object} configData config data as read from a config file
+   */
+  validateConfigData(configData) {
+    try {
+      return Validator.validateConfigData(configData);
+    } catch (error) {
+      console.log('Failed to validate configuration data.', error);
+      return false;
+    }
+  }
+
+  /**
+   * Returns the available backups of the local config file, newest first
+   */
+  getBackups() {
+    let fileNames;
+    try {
+      fileNames = fs.readdirSync(this.backupDirPath);
+    } catch (error) {
+      return [];
+    }
+    return fileNames.reduce((backups, fileName) => {
+      const match = fileName.match(BACKUP_FILE_REGEX);
+      if (match) {
+        backups.push({
+          path: path.join(this.backupDirPath, fileName),
+          date: new Date(parseInt(match[1], 10)),
+        });
       }
-    } catch (e) {
-      console.log('Failed to load configuration file from the filesystem. Using defaults.');
-      configData = this.copy(this.defaultConfigData);
+      return backups;
+    }, []).sort((a, b) => b.date - a.date);
+  }
 
-      // add default team to teams if one exists and there arent currently any teams
-      if (!configData.teams.length && this.defaultConfigData.defaultTeam) {
-        configData.teams.push(this.defaultConfigData.defaultTeam);
+  /**
+   * Returns the newest backup that can still be loaded, or null if there is none
+   */
+  getRestorableBackup() {
+    const backup = this.getBackups().find(({path: backupPath}) => {
+      try {
+        return Boolean(this.validateConfigData(this.readFileSync(backupPath)));
+      } catch (error) {
+        return false;
       }
-      delete configData.defaultTeam;
+    });
+    return backup || null;
+  }
+
+  /**
+   * Replaces the local config file with one of its backups and reloads it
+   *
+   * @param {string} backupPath path to the backup file to restore
+   */
+  restoreBackup(backupPath) {
+    this.writeFileAtomicSync(this.configFilePath, fs.readFileSync(backupPath, 'utf8'));
+    this.reload(true);
+  }
 
-      this.writeFileSync(this.configFilePath, configData);
+  /**
+   * Replaces the local config file with the defaults and reloads it, the previous file is kept aside as `config.json.corrupt`
+   */
+  resetToDefaults() {
+    if (fs.existsSync(this.configFilePath)) {
+      fs.renameSync(this.configFilePath, `${this.configFilePath}.corrupt`);
     }
-    return configData;
+    this.writeFileSync(this.configFilePath, this.getDefaultLocalConfigData());
+    this.reload(true);
   }
 
   /**
@@ -248,18 +595,37 @@ export default class Config extends EventEmitter {
    */
   checkForConfigUpdates(data) {
     let configData = data;
+    const configVersion = getConfigVersion(configData);
+    if (configVersion > this.defaultConfigData.version) {
+      console.log(`Configuration version ${configVersion} is newer than this app supports, leaving it as is.`);
+      return configData;
+    }
     try {
-      if (configData.version !== this.defaultConfigData.version) {
+      if (configVersion !== this.defaultConfigData.version) {
+        this.backupConfigFileBeforeMigration(configVersion);
         configData = upgradeConfigData(configData);
         this.writeFileSync(this.configFilePath, configData);
-        console.log(`Configuration updated to version ${this.defaultConfigData.version} successfully.`);
+        console.log(`Configuration updated from version ${configVersion} to ${this.defaultConfigData.version} successfully.`);
       }
     } catch (error) {
-      console.log(`Failed to update configuration to version ${this.defaultConfigData.version}.`);
+      console.log(`Failed to update configuration to version ${this.defaultConfigData.version}.`, error);
     }
     return configData;
   }
 
+  /**
+   * Keeps a copy of the config file as it was before migrating it, these copies aren't rotated like the regular backups
+   *
+   * @param {number} configVersion version of the config file about to be migrated
+   */
+  backupConfigFileBeforeMigration(configVersion) {
+    if (!fs.existsSync(this.configFilePath)) {
+      return;
+    }
+    fs.mkdirSync(this.backupDirPath, {recursive: true});
+    fs.copyFileSync(this.configFilePath, path.join(this.backupDirPath, `pre-migration-v${configVersion}-${Date.now()}.json`));
+  }
+
   /**
    * Properly combines all sources of data into a single, manageable set of all config data
    */
@@ -271,6 +637,17 @@ export default class Config extends EventEmitter {
     delete this.combinedData.defaultTeam;
     delete this.combinedData.defaultTeams;
 
+    // pins from the registry/policy replace the build pins of the same server only
+    this.combinedData.certificatePins = Object.assign({}, this.buildConfigData.certificatePins, this.registryConfigData.certificatePins);
+    this.combinedData.clientCertificateRules = Object.assign({}, this.localConfigData.clientCertificateRules, this.registryConfigData.clientCertificateRules);
+
+    // the registry/policy protocols are added to the build ones, neither can remove what the other configured
+    this.combinedData.alwaysAllowedProtocols = [...(this.buildConfigData.alwaysAllowedProtocols || []), ...(this.registryConfigData.alwaysAllowedProtocols || [])];
+    this.combinedData.deniedProtocols = [...(this.buildConfigData.deniedProtocols || []), ...(this.registryConfigData.deniedProtocols || [])];
+
+    // the registry/policy rules are checked before the build ones
+    this.combinedData.navigationRules = [...(this.registryConfigData.navigationRules || []), ...(this.buildConfigData.navigationRules || [])];
+
     // IMPORTANT: properly combine teams from all sources
     let combinedTeams = [];
 
@@ -292,7 +669,28 @@ export default class Config extends EventEmitter {
     combinedTeams = this.filterOutDuplicateTeams(combinedTeams);
     combinedTeams = this.sortUnorderedTeams(combinedTeams);
 
+    // servers not using HTTPS are left out when HTTPS is required, they stay in config.json to be switched to HTTPS
+    const httpsMode = (this.registryConfigData.lockedPreferences || {}).httpsMode || this.combinedData.httpsMode;
+    if (httpsMode === HTTPS_REQUIRE) {
+      combinedTeams = combinedTeams.filter((team) => !isInsecureURL(team.url));
+    }
+
     this.combinedData.teams = combinedTeams;
+
+    // only the policies of the configured servers apply, each to its own server
+    const serverPolicies = {};
+    combinedTeams.forEach((team) => {
+      if (this.serverPolicyData[team.url]) {
+        serverPolicies[team.url] = this.serverPolicyData[team.url];
+      }
+    });
+    this.combinedData.serverPolicies = serverPolicies;
+
+    // preferences locked by the registry/policy win over every other source, servers can't lock preferences
+    const lockedPreferences = mergeLockedPreferences(this.registryConfigData.lockedPreferences || {});
+    this.combinedData = mergeLockedPreferences(this.combinedData, lockedPreferences);
+    this.combinedData.lockedPreferences = lockedPreferences;
+
     this.combinedData.localTeams = this.localConfigData.teams;
     this.combinedData.buildTeams = this.buildConfigData.defaultTeams;
     this.combinedData.registryTeams = this.registryConfigData.teams;
@@ -365,26 +763,84 @@ export default class Config extends EventEmitter {
     return JSON.parse(fs.readFileSync(filePath, 'utf8'));
   }
 
+  /**
+   * Writes the config data to a temporary file first and renames it over the target, so a crash can't leave a half-written file
+   */
+  // config files from newer versions are left un-migrated on purpose, so they're written back with their own version
   writeFile(filePath, configData, callback) {
-    if (configData.version !== this.defaultConfigData.version) {
-      throw new Error('version ' + configData.version + ' is not equal to ' + this.defaultConfigData.version);
+    if (configData.version < this.defaultConfigData.version) {
+      throw new Error('version ' + configData.version + ' is older than ' + this.defaultConfigData.version);
     }
     const json = JSON.stringify(configData, null, '  ');
-    fs.writeFile(filePath, json, 'utf8', callback);
+    const tempFilePath = this.getTempFilePath(filePath);
+    fs.writeFile(tempFilePath, json, 'utf8', (writeError) => {
+      if (writeError) {
+        callback(writeError);
+        return;
+      }
+      fs.rename(tempFilePath, filePath, (renameError) => {
+        if (!renameError) {
+          this.setLastSyncedData(json);
+          this.backupConfigFile(json);
+        }
+        callback(renameError);
+      });
+    });
   }
 
   writeFileSync(filePath, config) {
-    if (config.version !== this.defaultConfigData.version) {
-      throw new Error('version ' + config.version + ' is not equal to ' + this.defaultConfigData.version);
+    if (config.version < this.defaultConfigData.version) {
+      throw new Error('version ' + config.version + ' is older than ' + this.defaultConfigData.version);
     }
 
+    const json = JSON.stringify(config, null, '  ');
+    this.writeFileAtomicSync(filePath, json);
+    this.backupConfigFile(json);
+  }
+
+  writeFileAtomicSync(filePath, json) {
     const dir = path.dirname(filePath);
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir);
     }
 
-    const json = JSON.stringify(config, null, '  ');
-    fs.writeFileSync(filePath, json, 'utf8');
+    const tempFilePath = this.getTempFilePath(filePath);
+    fs.writeFileSync(tempFilePath, json, 'utf8');
+    fs.renameSync(tempFilePath, filePath);
+    this.setLastSyncedData(json);
+  }
+
+  // keeps track of what is on disk so our own writes aren't mistaken for external changes
+  setLastSyncedData(json, data = JSON.parse(json)) {
+    this.lastSyncedJson = json;
+    this.lastSyncedData = JSON.parse(JSON.stringify(data));
+  }
+
+  // saves aren't serialized, so every write gets its own temporary file
+  getTempFilePath(filePath) {
+    tempFileCounter++;
+    return `${filePath}.${process.pid}.${tempFileCounter}.tmp`;
+  }
+
+  /**
+   * Keeps a copy of a successfully written config, only the last few distinct copies are kept
+   *
+   * @param {string} json the config data that was written
+   */
+  backupConfigFile(json) {
+    try {
+      const backups = this.getBackups();
+      if (backups.length && fs.readFileSync(backups[0].path, 'utf8') === json) {
+        return;
+      }
+      if (!fs.existsSync(this.backupDirPath)) {
+        fs.mkdirSync(this.backupDirPath);
+      }
+      fs.writeFileSync(path.join(this.backupDirPath, `config-${Date.now()}.json`), json, 'utf8');
+      backups.slice(MAX_CONFIG_BACKUPS - 1).forEach((backup) => fs.unlinkSync(backup.path));
+    } catch (error) {
+      console.log('Failed to back up the configuration file.', error);
+    }
   }
 
   merge(base, target) {
@@ -0,0 +1,20 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+/**
+ * Determines whether a preference has been locked by the registry/policy, shared by the main and renderer configs
+ *
+ * @param {object} lockedPreferences locked values by config property, a locked object locks each of its properties
+ * @param {string} key name of the config property
+ * @param {string} subKey name of a nested property, eg. 'flashWindow' for 'notifications' (optional)
+ */
+export default function isLockedPreference(lockedPreferences, key, subKey) {
+  const lockedValue = (lockedPreferences || {})[key];
+  if (typeof lockedValue === 'undefined') {
+    return false;
+  }
+  if (subKey && lockedValue !== null && typeof lockedValue === 'object') {
+    return typeof lockedValue[subKey] !== 'undefined';
+  }
+  return true;
+}
@@ -24,6 +24,25 @@ const pastDefaultPreferences = {
     autostart: true,
     spellCheckerLocale: 'en-US',
   },
+  2: {
+    version: 2,
+    teams: [],
+    showTrayIcon: true,
+    trayIconTheme: 'light',
+    minimizeToTray: true,
+    notifications: {
+      flashWindow: 2,
+      bounceIcon: true,
+      bounceIconType: 'informational',
+    },
+    showUnreadBadge: true,
+    useSpellChecker: true,
+    enableHardwareAcceleration: true,
+    autostart: true,
+    spellCheckerLocale: 'en-US',
+    darkMode: false,
+    downloadLocation: `/Users/${process.env.USER || process.env.USERNAME}/Downloads`,
+  },
 };
 
 pastDefaultPreferences[`${defaultPreferences.version}`] = defaultPreferences;
@@ -0,0 +1,9 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+// sources of config data, from lowest to highest precedence
+export const CONFIG_SOURCE_DEFAULT = 'default';
+export const CONFIG_SOURCE_LOCAL = 'local';
+export const CONFIG_SOURCE_BUILD = 'build';
+export const CONFIG_SOURCE_REGISTRY = 'registry';
+export const CONFIG_SOURCE_LOCKED = 'locked';
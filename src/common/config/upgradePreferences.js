@@ -29,14 +29,59 @@ function upgradeV1toV2(configV1) {
   return config;
 }
 
-export default function upgradeToLatest(config) {
-  const configVersion = config.version ? config.version : 0;
-  switch (configVersion) {
-  case 1:
-    return upgradeToLatest(upgradeV1toV2(config));
-  case 0:
-    return upgradeToLatest(upgradeV0toV1(config));
-  default:
-    return config;
+function upgradeV2toV3(configV2) {
+  const config = deepCopy(configV2);
+  config.version = 3;
+  config.migrationHistory = config.migrationHistory || [];
+  return config;
+}
+
+// forward migration steps, each one upgrades config data from the previous version to `version`
+const migrations = [{
+  version: 1,
+  description: 'Move the server URL into the list of teams',
+  upgrade: upgradeV0toV1,
+}, {
+  version: 2,
+  description: 'Add tab ordering and dark mode',
+  upgrade: upgradeV1toV2,
+}, {
+  version: 3,
+  description: 'Record the migration history and keep settings unknown to this version',
+  upgrade: upgradeV2toV3,
+}];
+
+export const LATEST_CONFIG_VERSION = migrations[migrations.length - 1].version;
+
+export function getConfigVersion(config) {
+  return config.version ? config.version : 0;
+}
+
+/**
+ * Lists the migration steps needed to bring config data up to the latest version
+ *
+ * @param {object} config config data of any version
+ */
+export function getPendingMigrations(config) {
+  const configVersion = getConfigVersion(config);
+  return migrations.filter(({version}) => version > configVersion);
+}
+
+/**
+ * Applies every pending migration step in order, the steps are recorded in the migration history of the upgraded config
+ *
+ * @param {object} config config data of any version
+ * @param {Date} date when the migration happened
+ */
+export default function upgradeToLatest(config, date = new Date()) {
+  let upgradedConfig = config;
+  const history = getPendingMigrations(config).map(({version, description, upgrade}) => {
+    const from = getConfigVersion(upgradedConfig);
+    upgradedConfig = upgrade(upgradedConfig);
+    return {from, to: version, date: date.toISOString(), description};
+  });
+  if (history.length && upgradedConfig.migrationHistory) {
+    upgradedConfig.migrationHistory = [...upgradedConfig.migrationHistory, ...history];
   }
+  return upgradedConfig;
 }
@@ -0,0 +1,6 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+// channel types for managing the credentials saved from the login prompts
+export const GET_SAVED_CREDENTIALS_CHANNEL = 'get-saved-credentials';
+export const DELETE_SAVED_CREDENTIAL_CHANNEL = 'delete-saved-credential';
@@ -0,0 +1,57 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+import urlUtils from '../utils/url';
+
+// channel types for switching the servers to HTTPS
+export const CHECK_HTTPS_UPGRADE_CHANNEL = 'check-https-upgrade';
+
+// how servers that aren't using HTTPS are handled
+export const HTTPS_ALLOW = 'allow';
+export const HTTPS_WARN = 'warn';
+export const HTTPS_REQUIRE = 'require';
+
+export const HTTPS_MODES = [HTTPS_ALLOW, HTTPS_WARN, HTTPS_REQUIRE];
+
+export const HTTPS_MODE_DESCRIPTION = {
+  [HTTPS_ALLOW]: 'Allow',
+  [HTTPS_WARN]: 'Warn',
+  [HTTPS_REQUIRE]: 'Refuse',
+};
+
+const INSECURE_PROTOCOLS = ['http:', 'ws:'];
+const SECURE_PROTOCOLS = ['https:', 'wss:'];
+
+/**
+ * Tells whether a URL sends its data in plain text
+ *
+ * @param {string} url URL of a server or resource
+ */
+export function isInsecureURL(url) {
+  const parsedURL = urlUtils.parseURL(url);
+  return Boolean(parsedURL && INSECURE_PROTOCOLS.includes(parsedURL.protocol));
+}
+
+/**
+ * Returns the https:// equivalent of an http:// URL, the URL itself otherwise
+ *
+ * @param {string} url URL of a server
+ */
+export function getHTTPSURL(url) {
+  const parsedURL = urlUtils.parseURL(url);
+  if (!parsedURL || parsedURL.protocol !== 'http:') {
+    return url;
+  }
+  return url.replace(/^http:/i, 'https:');
+}
+
+/**
+ * Tells whether a resource loaded by a page is mixed content, ie. the page uses HTTPS but the resource doesn't
+ *
+ * @param {string} pageURL URL of the page loading the resource
+ * @param {string} resourceURL URL of the resource
+ */
+export function isMixedContent(pageURL, resourceURL) {
+  const parsedPageURL = urlUtils.parseURL(pageURL);
+  return Boolean(parsedPageURL && SECURE_PROTOCOLS.includes(parsedPageURL.protocol) && isInsecureURL(resourceURL));
+}
@@ -0,0 +1,32 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+import urlUtils from '../utils/url';
+
+// converts an allowlist entry, eg. '*.example.com', 'intranet' or 'https://example.com:8443', to a host regex
+function getHostPattern(entry) {
+  let host = entry.trim().toLowerCase();
+  if (host.includes('://')) {
+    host = host.split('://')[1];
+  }
+  host = host.split(/[:/]/)[0];
+  if (host.startsWith('.')) {
+    host = `*${host}`;
+  }
+  const escaped = host.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Tells whether Chromium's integrated authentication allowlists, as the auth-server-whitelist switch, include a URL
+ *
+ * @param {string[]} allowlist host patterns, '*' matching any characters
+ * @param {string} url URL of a server
+ */
+export function isAllowedForIntegratedAuth(allowlist, url) {
+  const parsedURL = urlUtils.parseURL(url);
+  if (!parsedURL || !allowlist) {
+    return false;
+  }
+  return allowlist.some((entry) => getHostPattern(entry).test(parsedURL.hostname.toLowerCase()));
+}
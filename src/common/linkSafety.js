@@ -0,0 +1,182 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+import {domainToUnicode} from 'url';
+
+import urlUtils from '../utils/url';
+
+// reasons for a link to be risky
+export const LINK_HOMOGRAPH = 'homograph';
+export const LINK_MISMATCH = 'mismatch';
+export const LINK_REDIRECTOR = 'redirector';
+
+// wrappers that only redirect to the URL in one of their query parameters
+const REDIRECTORS = [
+  {host: /^(www\.)?google\.[a-z.]+$/, path: /^\/url$/, params: ['q', 'url']},
+  {host: /\.safelinks\.protection\.outlook\.com$/, path: /^\/$/, params: ['url']},
+  {host: /^(l|lm)\.facebook\.com$/, path: /^\/l\.php$/, params: ['u']},
+  {host: /^l\.messenger\.com$/, path: /^\/l\.php$/, params: ['u']},
+  {host: /^(www\.)?youtube\.com$/, path: /^\/redirect$/, params: ['q']},
+  {host: /^(www\.)?linkedin\.com$/, path: /^\/redir\/redirect$/, params: ['url']},
+  {host: /^slack-redir\.net$/, path: /^\/link$/, params: ['url']},
+  {host: /^out\.reddit\.com$/, path: /^\//, params: ['url']},
+];
+
+// stops unwrapping links that redirect through many wrappers, or to themselves
+const MAX_REDIRECTS = 5;
+
+// text that reads like an address, eg. 'example.com', 'www.example.com/page' or 'https://example.com'
+const DISPLAYED_HOST_REGEX = /^([a-z][a-z0-9+.-]*:\/\/)?([^\s/?#:@]+\.([^\s/?#:@.]{2,}))(?::\d+)?(?:[/?#].*)?$/i;
+
+// scripts telling apart the letters of a hostname, digits, hyphens and combining marks are shared by all scripts
+const SCRIPTS = {
+  latin: /\p{Script=Latin}/u,
+  greek: /\p{Script=Greek}/u,
+  cyrillic: /\p{Script=Cyrillic}/u,
+  armenian: /\p{Script=Armenian}/u,
+  georgian: /\p{Script=Georgian}/u,
+  cherokee: /\p{Script=Cherokee}/u,
+  hebrew: /\p{Script=Hebrew}/u,
+  arabic: /\p{Script=Arabic}/u,
+  devanagari: /\p{Script=Devanagari}/u,
+  bengali: /\p{Script=Bengali}/u,
+  tamil: /\p{Script=Tamil}/u,
+  thai: /\p{Script=Thai}/u,
+  ethiopic: /\p{Script=Ethiopic}/u,
+  han: /\p{Script=Han}/u,
+  hiragana: /\p{Script=Hiragana}/u,
+  katakana: /\p{Script=Katakana}/u,
+  hangul: /\p{Script=Hangul}/u,
+  bopomofo: /\p{Script=Bopomofo}/u,
+};
+const SHARED_CHARACTERS_REGEX = /[\p{Script=Common}\p{Script=Inherited}]/u;
+
+// scripts that are written together, as allowed by the "highly restrictive" level of Unicode TR #39
+const SCRIPT_COMBINATIONS = [
+  ['latin', 'han', 'hiragana', 'katakana'],
+  ['latin', 'han', 'bopomofo'],
+  ['latin', 'han', 'hangul'],
+];
+
+// letters of other scripts that look like latin ones, a label only made of them can imitate a latin one, eg. 'аррӏе'
+const LATIN_LOOKALIKES = 'асԁеһіјӏոорԛѕտսνѵԝхуαοκρτυϲϳꭰꮃ';
+
+// latin letters that look like other latin letters, eg. the dotless i of 'paypaı'
+const LATIN_CONFUSABLES = 'ıȷɑɡɩɪʀʏᴢ';
+
+// file names such as 'README.md' aren't taken for addresses unless they start with a scheme
+const FILE_EXTENSIONS = ['csv', 'doc', 'docx', 'gif', 'gz', 'htm', 'html', 'jpeg', 'jpg', 'js', 'json', 'log', 'md', 'pdf', 'png', 'ppt', 'pptx', 'svg', 'tar', 'txt', 'xls', 'xlsx', 'xml', 'yaml', 'yml', 'zip'];
+
+function getRedirectTarget(url) {
+  const parsedURL = urlUtils.parseURL(url);
+  if (!parsedURL) {
+    return null;
+  }
+  const redirector = REDIRECTORS.find(({host, path}) => host.test(parsedURL.hostname) && path.test(parsedURL.pathname));
+  if (!redirector) {
+    return null;
+  }
+  const target = redirector.params.map((param) => parsedURL.searchParams.get(param)).find((value) => value);
+  return target && urlUtils.isValidURL(target) ? target : null;
+}
+
+function stripWWW(hostname) {
+  return hostname.replace(/^www\./, '');
+}
+
+// the hostname as displayed by the address bar of a browser which doesn't protect against homographs
+function getUnicodeHostname(hostname) {
+  return domainToUnicode(hostname) || hostname;
+}
+
+function getScripts(label) {
+  const scripts = new Set();
+  Array.from(label).filter((character) => !SHARED_CHARACTERS_REGEX.test(character)).forEach((character) => {
+    scripts.add(Object.keys(SCRIPTS).find((script) => SCRIPTS[script].test(character)) || 'other');
+  });
+  return [...scripts];
+}
+
+// a label mixing scripts, or imitating latin letters, unlike the internationalized names written in a single script
+function isConfusableLabel(label) {
+  const scripts = getScripts(label);
+  if (scripts.length > 1 && !SCRIPT_COMBINATIONS.some((combination) => scripts.every((script) => combination.includes(script)))) {
+    return true;
+  }
+  const letters = Array.from(label).filter((character) => !SHARED_CHARACTERS_REGEX.test(character));
+  if (scripts.length === 1 && scripts[0] !== 'latin' && letters.every((character) => LATIN_LOOKALIKES.includes(character))) {
+    return true;
+  }
+  return letters.some((character) => LATIN_CONFUSABLES.includes(character));
+}
+
+function isHomograph(hostname) {
+  const unicodeHostname = getUnicodeHostname(hostname);
+  return unicodeHostname !== hostname && unicodeHostname.split('.').some(isConfusableLabel);
+}
+
+function getDisplayedHost(displayText) {
+  const match = DISPLAYED_HOST_REGEX.exec((displayText || '').trim());
+  if (!match || (!match[1] && FILE_EXTENSIONS.includes(match[3].toLowerCase()))) {
+    return null;
+  }
+  const parsedURL = urlUtils.parseURL(`http://${match[2]}`);
+  return parsedURL ? parsedURL.hostname : null;
+}
+
+/**
+ * Returns where a link really leads, after unwrapping the known redirectors
+ *
+ * @param {string} url URL of the link
+ */
+export function getLinkDestination(url) {
+  let destination = url;
+  for (let i = 0; i < MAX_REDIRECTS; i++) {
+    const target = getRedirectTarget(destination);
+    if (!target || target === destination) {
+      break;
+    }
+    destination = target;
+  }
+  return destination;
+}
+
+/**
+ * Inspects a link before it gets opened or while it is hovered
+ *
+ * @param {string} url URL of the link
+ * @param {string} displayText text of the link as shown on the page, when known
+ * @return {array} {type, message} describing what makes the link risky, empty for a safe link
+ */
+export function getLinkWarnings(url, displayText) {
+  const parsedURL = urlUtils.parseURL(url);
+  if (!parsedURL || !parsedURL.hostname) {
+    return [];
+  }
+  const warnings = [];
+  const destination = getLinkDestination(url);
+  const parsedDestination = urlUtils.parseURL(destination);
+  if (destination !== url) {
+    warnings.push({
+      type: LINK_REDIRECTOR,
+      message: `The link goes through ${parsedURL.hostname} to ${destination}.`,
+    });
+  }
+
+  const hostnames = [parsedURL.hostname, parsedDestination.hostname].filter((hostname, index, list) => list.indexOf(hostname) === index);
+  hostnames.filter(isHomograph).forEach((hostname) => {
+    warnings.push({
+      type: LINK_HOMOGRAPH,
+      message: `The address ${getUnicodeHostname(hostname)} (${hostname}) uses characters that look like others and may imitate another site.`,
+    });
+  });
+
+  const displayedHost = getDisplayedHost(displayText);
+  if (displayedHost && stripWWW(displayedHost) !== stripWWW(parsedDestination.hostname)) {
+    warnings.push({
+      type: LINK_MISMATCH,
+      message: `The link shows ${getUnicodeHostname(displayedHost)} but goes to ${parsedDestination.hostname}.`,
+    });
+  }
+  return warnings;
+}
@@ -0,0 +1,115 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import log from 'electron-log';
+
+import urlUtils from '../utils/url';
+
+import buildConfig from './config/buildConfig';
+
+// what to do with the URLs matching a navigation rule
+export const NAVIGATION_TAB = 'tab';
+export const NAVIGATION_CUSTOM_LOGIN = 'custom-login';
+export const NAVIGATION_POPUP = 'popup';
+export const NAVIGATION_EXTERNAL = 'external';
+export const NAVIGATION_BLOCK = 'block';
+
+export const NAVIGATION_ACTIONS = [
+  NAVIGATION_TAB,
+  NAVIGATION_CUSTOM_LOGIN,
+  NAVIGATION_POPUP,
+  NAVIGATION_EXTERNAL,
+  NAVIGATION_BLOCK,
+];
+
+// paths of the server that aren't pages of its teams, along with the paths managed by the build config
+const NON_TEAM_PATHS = [
+  'plugins',
+  'signup',
+  'login',
+  'admin',
+  'channel',
+  'post',
+  'oauth',
+  'admin_console',
+  ...(buildConfig.managedResources || []),
+];
+
+function getPathsPattern(paths) {
+  return `^/(${paths.map((urlPath) => urlPath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})/`;
+}
+
+// built-in rules for navigating in a tab, the configured rules are checked before these
+// a rule without an action leaves the matching URLs to the default handling, which blocks them unless a custom login is in progress
+export const DEFAULT_NAVIGATION_RULES = [
+  ...[
+    '^/oauth/authorize$',
+    '^/oauth/deauthorize$',
+    '^/oauth/access_token$',
+    '^/oauth/[A-Za-z0-9]+/complete$',
+    '^/oauth/[A-Za-z0-9]+/login$',
+    '^/oauth/[A-Za-z0-9]+/signup$',
+    '^/api/v3/oauth/[A-Za-z0-9]+/complete$',
+    '^/signup/[A-Za-z0-9]+/complete$',
+    '^/login/[A-Za-z0-9]+/complete$',
+    '^/login/sso/saml$',
+  ].map((pattern) => ({pattern, action: NAVIGATION_CUSTOM_LOGIN})),
+  {pattern: '^/admin_console/', action: NAVIGATION_TAB},
+  {pattern: getPathsPattern(NON_TEAM_PATHS), action: null},
+  {pattern: '^/', action: NAVIGATION_TAB},
+];
+
+// built-in rules for the new windows opened by a server, the configured rules are checked before these
+// the new windows of the other URLs aren't opened, the team pages are loaded in the tab by the renderer instead
+export const DEFAULT_NEW_WINDOW_RULES = [
+  ...(buildConfig.managedResources || []).map((resource) => ({pattern: getPathsPattern([resource]), action: NAVIGATION_POPUP})),
+  {pattern: '^/plugins/', action: NAVIGATION_POPUP},
+];
+
+function appliesToServer(rule, server) {
+  if (!rule.server) {
+    return true;
+  }
+  const serverInfo = urlUtils.getServerInfo(rule.server);
+  return Boolean(serverInfo) && serverInfo.origin === server.url.origin && serverInfo.subpath === urlUtils.getServerInfo(server.url).subpath;
+}
+
+function matchesPattern(pattern, urlPath) {
+  try {
+    return new RegExp(pattern, 'i').test(urlPath);
+  } catch (error) {
+    log.warn(`Ignoring the invalid navigation rule pattern ${pattern}: ${error.message}`);
+    return false;
+  }
+}
+
+// the path relative to the server's subpath, along with the full path in case we got redirected to the real server
+function getPaths(server, parsedURL) {
+  const subpath = server.url.pathname;
+  const urlPath = parsedURL.pathname;
+  if (subpath === '/' || !urlPath.startsWith(subpath)) {
+    return [urlPath];
+  }
+  const replacement = subpath.endsWith('/') ? '/' : '';
+  return [urlPath.replace(subpath, replacement), urlPath];
+}
+
+/**
+ * Finds the action of the first rule matching a URL of a server
+ *
+ * @param {array} rules {server, pattern, action}, the server URL is optional and the pattern is a case insensitive
+ *                      regex matched against the path relative to the server
+ * @param {object} server configured server the URL belongs to, as returned by urlUtils.getServer
+ * @param {string} url URL being navigated to
+ * @return {string} one of NAVIGATION_ACTIONS, null if no rule matches or the matching rule has no action
+ */
+export function getNavigationAction(rules, server, url) {
+  const parsedURL = urlUtils.parseURL(url);
+  if (!parsedURL || !server) {
+    return null;
+  }
+  const paths = getPaths(server, parsedURL);
+  const rule = rules.find((candidate) => appliesToServer(candidate, server) && paths.some((urlPath) => matchesPattern(candidate.pattern, urlPath)));
+  return rule ? rule.action : null;
+}
@@ -5,11 +5,29 @@
 export const REQUEST_PERMISSION_CHANNEL = 'request-permission';
 export const GRANT_PERMISSION_CHANNEL = 'grant-permission';
 export const DENY_PERMISSION_CHANNEL = 'deny-permission';
+export const GET_ORIGIN_PERMISSIONS_CHANNEL = 'get-origin-permissions';
+export const REVOKE_PERMISSION_CHANNEL = 'revoke-permission';
 
 // Permission types that can be requested
 export const BASIC_AUTH_PERMISSION = 'canBasicAuth';
+export const MEDIA_PERMISSION = 'media';
+export const GEOLOCATION_PERMISSION = 'geolocation';
+export const NOTIFICATIONS_PERMISSION = 'notifications';
+export const OPEN_EXTERNAL_PERMISSION = 'openExternal';
+
+// Permissions requested by the servers through the session, the user is prompted once per origin
+export const PROMPTED_PERMISSIONS = [
+  MEDIA_PERMISSION,
+  GEOLOCATION_PERMISSION,
+  NOTIFICATIONS_PERMISSION,
+  OPEN_EXTERNAL_PERMISSION,
+];
 
 // Permission descriptions
 export const PERMISSION_DESCRIPTION = {
   [BASIC_AUTH_PERMISSION]: 'Web Authentication',
+  [MEDIA_PERMISSION]: 'Camera and Microphone',
+  [GEOLOCATION_PERMISSION]: 'Location',
+  [NOTIFICATIONS_PERMISSION]: 'Notifications',
+  [OPEN_EXTERNAL_PERMISSION]: 'Opening External Applications',
 };
@@ -0,0 +1,13 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+// channel types for creating a profile from the menus
+export const NEW_PROFILE_CHANNEL = 'new-profile';
+export const CREATE_PROFILE_CHANNEL = 'create-profile';
+
+const PROFILE_NAME_REGEX = /^[\w-]+$/;
+
+// profile names are used as directory names, so they can't contain separators or dots
+export function isValidProfileName(name) {
+  return typeof name === 'string' && PROFILE_NAME_REGEX.test(name);
+}
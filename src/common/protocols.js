@@ -0,0 +1,15 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+// channel types for managing the protocols opened in external applications
+export const GET_ALLOWED_PROTOCOLS_CHANNEL = 'get-allowed-protocols';
+export const REMOVE_ALLOWED_PROTOCOL_CHANNEL = 'remove-allowed-protocol';
+
+/**
+ * Formats a scheme like URL.protocol does, eg. 'ZoomMtg' and 'zoommtg:' both become 'zoommtg:'
+ *
+ * @param {string} scheme scheme with or without the trailing colon
+ */
+export function normalizeProtocol(scheme) {
+  return `${scheme.toLowerCase().replace(/:$/, '')}:`;
+}
@@ -0,0 +1,17 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+
+// how the connections to the servers go through a proxy
+export const PROXY_SYSTEM = 'system';
+export const PROXY_DIRECT = 'direct';
+export const PROXY_FIXED = 'fixed';
+export const PROXY_PAC = 'pac';
+
+export const PROXY_MODES = [PROXY_SYSTEM, PROXY_DIRECT, PROXY_FIXED, PROXY_PAC];
+
+export const PROXY_MODE_DESCRIPTION = {
+  [PROXY_SYSTEM]: 'Use the system settings',
+  [PROXY_DIRECT]: 'No proxy',
+  [PROXY_FIXED]: 'Proxy server',
+  [PROXY_PAC]: 'Automatic configuration (PAC) URL',
+};
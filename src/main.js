@@ -18,14 +18,37 @@ import CriticalErrorHandler from './main/CriticalErrorHandler';
 import upgradeAutoLaunch from './main/autoLaunch';
 
 import RegistryConfig from './common/config/RegistryConfig';
+import PolicyConfig from './common/config/PolicyConfig';
 import Config from './common/config';
-import CertificateStore from './main/certificateStore';
+import CertificateStore, {getCertificateDetails} from './main/certificateStore';
 import TrustedOriginsStore from './main/trustedOrigins';
+import AuditLog from './main/auditLog';
+import CredentialVault, {loadKeychain} from './main/credentialVault';
 import createMainWindow from './main/mainWindow';
 import appMenu from './main/menus/app';
 import trayMenu from './main/menus/tray';
 import downloadURL from './main/downloadURL';
 import allowProtocolDialog from './main/allowProtocolDialog';
+import configBundle from './main/configBundle';
+import showEffectiveConfigWindow from './main/effectiveConfigWindow';
+import profiles from './main/profiles';
+import migrateConfig from './main/migrateConfig';
+import {fetchServerPolicy, isSpellCheckerEnabled, isSpellCheckerUsed} from './main/serverPolicy';
+import {createCertificateVerifyProc} from './main/certificatePins';
+import CABundle, {createCABundleVerifyProc} from './main/caBundle';
+import {getClientCertificateChoice, selectClientCertificate} from './main/clientCertificates';
+import {createProxyConfig, fetchPACScript, getEmbeddedPACURLs} from './main/proxy';
+import {checkHTTPSUpgrade} from './main/httpsUpgrade';
+import {
+  DEFAULT_NAVIGATION_RULES,
+  DEFAULT_NEW_WINDOW_RULES,
+  NAVIGATION_TAB,
+  NAVIGATION_CUSTOM_LOGIN,
+  NAVIGATION_POPUP,
+  NAVIGATION_EXTERNAL,
+  NAVIGATION_BLOCK,
+  getNavigationAction,
+} from './common/navigationRules';
 import AppStateManager from './main/AppStateManager';
 import initCookieManager from './main/cookieManager';
 import SpellChecker from './main/SpellChecker';
@@ -37,8 +60,48 @@ import {
   REQUEST_PERMISSION_CHANNEL,
   GRANT_PERMISSION_CHANNEL,
   DENY_PERMISSION_CHANNEL,
-  BASIC_AUTH_PERMISSION
+  GET_ORIGIN_PERMISSIONS_CHANNEL,
+  REVOKE_PERMISSION_CHANNEL,
+  BASIC_AUTH_PERMISSION,
+  PROMPTED_PERMISSIONS,
 } from './common/permissions';
+import {
+  GET_CONFIGURATION_CHANNEL,
+  GET_EFFECTIVE_CONFIGURATION_CHANNEL,
+  UPDATE_CONFIGURATION_CHANNEL,
+  SUBSCRIBE_CONFIGURATION_CHANNEL,
+  CONFIGURATION_UPDATED_CHANNEL,
+} from './common/config/channels';
+import {
+  GET_CERTIFICATES_CHANNEL,
+  REVOKE_CERTIFICATE_CHANNEL,
+  EXPORT_CERTIFICATE_CHANNEL,
+  GET_CERTIFICATE_PIN_FAILURE_CHANNEL,
+  CERTIFICATE_ERROR_CHANNEL,
+  CERTIFICATE_ERROR_RESPONSE_CHANNEL,
+  TRUST_FOR_SESSION,
+  TRUST_PERMANENTLY,
+  IMPORT_CLIENT_CERTIFICATE_CHANNEL,
+  CLIENT_CERTIFICATES_CHANGED_CHANNEL,
+} from './common/certificates';
+import {
+  GET_AUDIT_LOG_CHANNEL,
+  EXPORT_AUDIT_LOG_CHANNEL,
+  AUDIT_CERTIFICATE_EXCEPTION,
+  AUDIT_CERTIFICATE_PIN,
+  AUDIT_PERMISSION,
+  AUDIT_NAVIGATION,
+  AUDIT_POPUP,
+  AUDIT_ALLOWED,
+  AUDIT_DENIED,
+  AUDIT_BLOCKED,
+} from './common/auditLog';
+import {
+  GET_SAVED_CREDENTIALS_CHANNEL,
+  DELETE_SAVED_CREDENTIAL_CHANNEL,
+} from './common/credentials';
+import {CHECK_HTTPS_UPGRADE_CHANNEL, HTTPS_ALLOW, isMixedContent} from './common/https';
+import {NEW_PROFILE_CHANNEL, CREATE_PROFILE_CHANNEL} from './common/profiles';
 
 // pull out required electron components like this
 // as not all components can be referenced before the app is ready
@@ -51,14 +114,21 @@ const {
   dialog,
   systemPreferences,
   session,
+  net,
   BrowserWindow,
 } = electron;
 const criticalErrorHandler = new CriticalErrorHandler();
 const assetsDir = path.resolve(app.getAppPath(), 'assets');
 const loginCallbackMap = new Map();
+const loginChallenges = new Map();
+const autofilledLogins = new Map();
 const certificateRequests = new Map();
 const userActivityMonitor = new UserActivityMonitor();
-const certificateErrorCallbacks = new Map();
+const certificateErrors = new Map();
+const certificatePinFailures = new Map();
+const permissionRequests = new Map();
+const caBundle = new CABundle();
+const configSubscribers = new Set();
 
 // Keep a global reference of the window object, if you don't, the window will
 // be closed automatically when the JavaScript object is garbage collected.
@@ -66,33 +136,29 @@ let mainWindow = null;
 let popupWindow = null;
 let certificateStore = null;
 let trustedOriginsStore = null;
+let auditLog = null;
+let credentialVault = null;
+let appliedProxySettings = null;
 let spellChecker = null;
 let deeplinkingUrl = null;
 let scheme = null;
 let appState = null;
 let registryConfig = null;
+let policyConfig = null;
 let config = null;
 let trayIcon = null;
 let trayImages = null;
 let altLastPressed = false;
 
-// supported custom login paths (oath, saml)
-const customLoginRegexPaths = [
-  /^\/oauth\/authorize$/i,
-  /^\/oauth\/deauthorize$/i,
-  /^\/oauth\/access_token$/i,
-  /^\/oauth\/[A-Za-z0-9]+\/complete$/i,
-  /^\/oauth\/[A-Za-z0-9]+\/login$/i,
-  /^\/oauth\/[A-Za-z0-9]+\/signup$/i,
-  /^\/api\/v3\/oauth\/[A-Za-z0-9]+\/complete$/i,
-  /^\/signup\/[A-Za-z0-9]+\/complete$/i,
-  /^\/login\/[A-Za-z0-9]+\/complete$/i,
-  /^\/login\/sso\/saml$/i,
-];
-
 // tracking in progress custom logins
 const customLogins = {};
 
+// number of audit log entries shown in the settings, the export contains all of them
+const AUDIT_LOG_VIEWER_LIMIT = 500;
+
+// a challenge coming back this soon after filling in saved credentials means they were rejected
+const AUTOFILL_RETRY_WINDOW = 10000;
+
 const nixUA = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome Safari/537.36';
 
 const popupUserAgent = {
@@ -118,7 +184,7 @@ async function initialize() {
   initializeAppEventListeners();
   initializeBeforeAppReady();
 
-  // wait for registry config data to load and app ready event
+  // wait for registry config data to load and app ready event, the policy files are already loaded
   await Promise.all([
     registryConfig.init(),
     app.whenReady(),
@@ -160,13 +226,28 @@ function initializeArgs() {
   if (global.args.dataDir) {
     app.setPath('userData', path.resolve(global.args.dataDir));
   }
+
+  // each profile gets its own data directory, which also scopes the single instance lock to the profile
+  const launchArgs = process.defaultApp ? [path.resolve(process.argv[1])] : [];
+  if (global.args.dataDir) {
+    launchArgs.push('--dataDir', path.resolve(global.args.dataDir));
+  }
+  app.setPath('userData', profiles.init(app.getPath('userData'), global.args.profile, launchArgs));
+
+  // migrate the config file from the command line, use --dry-run to only print the result
+  if (global.args.migrateConfig) {
+    const migrated = migrateConfig(app.getPath('userData') + '/config.json', {dryRun: global.args.dryRun});
+    process.exit(migrated ? 0 : 1); // eslint-disable-line no-process-exit
+  }
 }
 
 function initializeConfig() {
   registryConfig = new RegistryConfig();
+  policyConfig = new PolicyConfig();
+  policyConfig.initSync();
   config = new Config(app.getPath('userData') + '/config.json');
   config.on('update', handleConfigUpdate);
-  config.on('synchronize', handleConfigSynchronize);
+  config.on('error', handleConfigError);
 }
 
 function initializeAppEventListeners() {
@@ -187,6 +268,9 @@ function initializeBeforeAppReady() {
   certificateStore = CertificateStore.load(path.resolve(app.getPath('userData'), 'certificate.json'));
   trustedOriginsStore = new TrustedOriginsStore(path.resolve(app.getPath('userData'), 'trustedOrigins.json'));
   trustedOriginsStore.load();
+  auditLog = new AuditLog(path.resolve(app.getPath('userData'), 'audit.log'));
+  credentialVault = new CredentialVault(path.resolve(app.getPath('userData'), 'credentials.vault'), loadKeychain());
+  credentialVault.load();
 
   // prevent using a different working directory, which happens on windows running after installation.
   const expectedPath = path.dirname(process.execPath);
@@ -200,9 +284,19 @@ function initializeBeforeAppReady() {
     app.disableHardwareAcceleration();
   }
 
+  // Chromium reads these switches on startup, before the policy data gets combined into the config
+  const authServerAllowlist = policyConfig.data.authServerAllowlist || config.authServerAllowlist;
+  const authDelegationAllowlist = policyConfig.data.authDelegationAllowlist || config.authDelegationAllowlist;
+  if (authServerAllowlist && authServerAllowlist.length) {
+    app.commandLine.appendSwitch('auth-server-whitelist', authServerAllowlist.join(','));
+  }
+  if (authDelegationAllowlist && authDelegationAllowlist.length) {
+    app.commandLine.appendSwitch('auth-negotiate-delegate-whitelist', authDelegationAllowlist.join(','));
+  }
+
   trayImages = getTrayImages();
 
-  // If there is already an instance, quit this one
+  // If there is already an instance of this profile, quit this one
   const gotTheLock = app.requestSingleInstanceLock();
   if (!gotTheLock) {
     app.exit();
@@ -213,7 +307,7 @@ function initializeBeforeAppReady() {
     config.set('spellCheckerLocale', SpellChecker.getSpellCheckerLocale(app.getLocale()));
   }
 
-  allowProtocolDialog.init(mainWindow);
+  allowProtocolDialog.init(mainWindow, config, auditLog);
 
   if (isDev) {
     console.log('In development mode, deeplinking is disabled');
@@ -224,7 +318,10 @@ function initializeBeforeAppReady() {
 }
 
 function initializeInterCommunicationEventListeners() {
-  ipcMain.on('reload-config', handleReloadConfig);
+  ipcMain.handle(GET_CONFIGURATION_CHANNEL, handleGetConfiguration);
+  ipcMain.handle(GET_EFFECTIVE_CONFIGURATION_CHANNEL, handleGetEffectiveConfiguration);
+  ipcMain.handle(UPDATE_CONFIGURATION_CHANNEL, handleUpdateConfiguration);
+  ipcMain.on(SUBSCRIBE_CONFIGURATION_CHANNEL, handleSubscribeConfiguration);
   ipcMain.on('login-credentials', handleLoginCredentialsEvent);
   ipcMain.on('login-cancel', handleCancelLoginEvent);
   ipcMain.on('download-url', handleDownloadURLEvent);
@@ -234,11 +331,31 @@ function initializeInterCommunicationEventListeners() {
   ipcMain.on('update-dict', handleUpdateDictionaryEvent);
   ipcMain.on('checkspell', handleCheckSpellingEvent);
   ipcMain.on('get-spelling-suggestions', handleGetSpellingSuggestionsEvent);
+  ipcMain.on('is-spellchecker-enabled', handleIsSpellCheckerEnabledEvent);
   ipcMain.on('get-spellchecker-locale', handleGetSpellcheckerLocaleEvent);
   ipcMain.on('reply-on-spellchecker-is-ready', handleReplyOnSpellcheckerIsReadyEvent);
   ipcMain.on('selected-client-certificate', handleSelectedCertificate);
+  ipcMain.handle(GET_CERTIFICATES_CHANNEL, handleGetCertificates);
+  ipcMain.handle(REVOKE_CERTIFICATE_CHANNEL, handleRevokeCertificate);
+  ipcMain.handle(EXPORT_CERTIFICATE_CHANNEL, handleExportCertificate);
+  ipcMain.handle(GET_AUDIT_LOG_CHANNEL, handleGetAuditLog);
+  ipcMain.handle(EXPORT_AUDIT_LOG_CHANNEL, handleExportAuditLog);
+  ipcMain.handle(GET_CERTIFICATE_PIN_FAILURE_CHANNEL, handleGetCertificatePinFailure);
+  ipcMain.on(CERTIFICATE_ERROR_RESPONSE_CHANNEL, handleCertificateErrorResponse);
+  ipcMain.handle(IMPORT_CLIENT_CERTIFICATE_CHANNEL, handleImportClientCertificate);
   ipcMain.on(GRANT_PERMISSION_CHANNEL, handlePermissionGranted);
   ipcMain.on(DENY_PERMISSION_CHANNEL, handlePermissionDenied);
+  ipcMain.handle(GET_ORIGIN_PERMISSIONS_CHANNEL, handleGetOriginPermissions);
+  ipcMain.handle(REVOKE_PERMISSION_CHANNEL, handleRevokePermission);
+  ipcMain.handle(GET_SAVED_CREDENTIALS_CHANNEL, handleGetSavedCredentials);
+  ipcMain.handle(DELETE_SAVED_CREDENTIAL_CHANNEL, handleDeleteSavedCredential);
+  ipcMain.handle(CHECK_HTTPS_UPGRADE_CHANNEL, handleCheckHTTPSUpgrade);
+  ipcMain.on('export-config-bundle', handleExportConfigBundleEvent);
+  ipcMain.on('import-config-bundle', handleImportConfigBundleEvent);
+  ipcMain.on('show-effective-configuration', handleShowEffectiveConfigurationEvent);
+  ipcMain.on('open-profile', handleOpenProfileEvent);
+  ipcMain.on(NEW_PROFILE_CHANNEL, handleNewProfileEvent);
+  ipcMain.on(CREATE_PROFILE_CHANNEL, handleCreateProfileEvent);
 
   if (shouldShowTrayIcon()) {
     ipcMain.on('update-unread', handleUpdateUnreadEvent);
@@ -270,16 +387,39 @@ function handleConfigUpdate(configData) {
   }
 
   ipcMain.emit('update-menu', true, configData);
+
+  applyProxySettings();
+
+  configSubscribers.forEach((webContents) => webContents.send(CONFIGURATION_UPDATED_CHANNEL, configData));
 }
 
-function handleConfigSynchronize() {
-  if (mainWindow) {
-    mainWindow.webContents.send('reload-config');
-  }
+function handleConfigError(error) {
+  log.error('Failed to save config:', error);
 }
 
-function handleReloadConfig() {
-  config.reload();
+//
+// config IPC handlers
+//
+
+function handleGetConfiguration() {
+  return config.data;
+}
+
+function handleGetEffectiveConfiguration() {
+  return config.getEffectiveConfigData();
+}
+
+// the renderer processes never write config.json themselves, all changes go through the main process
+function handleUpdateConfiguration(event, properties) {
+  return config.setMultiple(properties);
+}
+
+function handleSubscribeConfiguration(event) {
+  const webContents = event.sender;
+  if (!configSubscribers.has(webContents)) {
+    configSubscribers.add(webContents);
+    webContents.once('destroyed', () => configSubscribers.delete(webContents));
+  }
 }
 
 //
@@ -329,14 +469,20 @@ function handleAppBeforeQuit() {
   if (trayIcon && process.platform === 'win32') {
     trayIcon.destroy();
   }
+  config.unwatch();
   global.willAppQuit = true;
 }
 
 function handleSelectCertificate(event, webContents, url, list, callback) {
-  if (list.length > 1) {
+  const certificate = selectClientCertificate(config.clientCertificateRules, config.clientCertificateChoices, url, list);
+  if (certificate) {
+    event.preventDefault();
+    log.info(`Selected the client certificate ${certificate.subjectName} for ${url} without asking`);
+    callback(certificate);
+  } else if (list.length > 1) {
     event.preventDefault(); // prevent the app from getting the first certificate available
     // store callback so it can be called with selected certificate
-    certificateRequests.set(url, callback);
+    certificateRequests.set(url, {callback, webContents});
 
     // open modal for selecting certificate
     mainWindow.webContents.send('select-user-certificate', url, list);
@@ -345,12 +491,13 @@ function handleSelectCertificate(event, webContents, url, list, callback) {
   }
 }
 
-function handleSelectedCertificate(event, server, cert) {
-  const callback = certificateRequests.get(server);
+function handleSelectedCertificate(event, server, cert, remember) {
+  const {callback} = certificateRequests.get(server) || {};
   if (!callback) {
     log.error(`there was no callback associated with: ${server}`);
     return;
   }
+  certificateRequests.delete(server);
   if (typeof cert === 'undefined') {
     log.info('user canceled certificate selection');
   } else {
@@ -359,7 +506,103 @@ function handleSelectedCertificate(event, server, cert) {
     } catch (e) {
       log.error(`There was a problem using the selected certificate: ${e}`);
     }
+    if (remember) {
+      rememberClientCertificate(server, cert);
+    }
+  }
+}
+
+function rememberClientCertificate(url, certificate) {
+  const parsedURL = urlUtils.parseURL(url);
+  if (!parsedURL) {
+    return;
+  }
+  config.set('clientCertificateChoices', Object.assign({}, config.clientCertificateChoices, {
+    [parsedURL.origin]: getClientCertificateChoice(certificate),
+  })).catch((error) => log.error(`Failed to remember the client certificate for ${parsedURL.origin}:`, error));
+}
+
+// imports a PKCS#12 file into the NSS store, only available on Linux
+function handleImportClientCertificate(event, {certificate, password}) {
+  if (process.platform !== 'linux') {
+    return Promise.reject(new Error('Client certificates can only be imported on Linux'));
   }
+  return new Promise((resolve) => {
+    app.importCertificate({certificate, password}, (result) => {
+      if (result === 0) {
+        log.info(`Imported the client certificate ${certificate}`);
+        refreshClientCertificateRequests();
+      } else {
+        log.warn(`Failed to import the client certificate ${certificate}, error ${result}`);
+      }
+      resolve(result);
+    });
+  });
+}
+
+// pending selections offer the candidates from before the import, reloading asks again with the new ones
+function refreshClientCertificateRequests() {
+  certificateRequests.forEach(({webContents}) => {
+    if (!webContents.isDestroyed()) {
+      webContents.reload();
+    }
+  });
+  certificateRequests.clear();
+  if (mainWindow) {
+    mainWindow.webContents.send(CLIENT_CERTIFICATES_CHANGED_CHANNEL);
+  }
+}
+
+function handleGetCertificates() {
+  return certificateStore.getCertificates();
+}
+
+function handleRevokeCertificate(event, origin) {
+  if (certificateStore.revoke(origin)) {
+    certificateStore.save();
+    log.info(`Revoked the trusted certificate of ${origin}, it stays accepted until the app is restarted`);
+  }
+  return certificateStore.getCertificates();
+}
+
+function handleExportCertificate(event, origin) {
+  const window = BrowserWindow.fromWebContents(event.sender) || mainWindow;
+  const {hostname} = urlUtils.parseURL(origin) || {};
+  return dialog.showSaveDialog(window, {
+    title: 'Export Certificate',
+    defaultPath: path.join(app.getPath('documents'), `${hostname || 'certificate'}.pem`),
+    filters: [{name: 'PEM Certificate', extensions: ['pem', 'crt']}],
+  }).then(({canceled, filePath}) => {
+    if (canceled || !filePath) {
+      return false;
+    }
+    certificateStore.exportCertificate(origin, filePath);
+    log.info(`Exported the trusted certificate of ${origin} to ${filePath}`);
+    return true;
+  });
+}
+
+function handleCertificatePinMismatch(failure) {
+  log.error(`Rejected the certificate of ${failure.hostname} as it matches none of its pins, received ${failure.received.join(', ')}`);
+  if (!certificatePinFailures.has(failure.hostname)) {
+    auditLog.record(AUDIT_CERTIFICATE_PIN, `https://${failure.hostname}`, AUDIT_BLOCKED, {expected: failure.expected, received: failure.received});
+  }
+  certificatePinFailures.set(failure.hostname, failure);
+}
+
+function handleCertificatePinMatch(hostname) {
+  certificatePinFailures.delete(hostname);
+}
+
+function handleCertificateTrustedViaCABundle(hostname, certificate, authority) {
+  log.info(`Trusted the certificate of ${hostname} as it was issued by an authority of the CA bundle file ${authority.file}`);
+  certificateStore.recordCABundleTrust(`https://${hostname}`, certificate, authority.file);
+}
+
+// lets the renderer tell a rejected pinned certificate apart from other connection errors
+function handleGetCertificatePinFailure(event, url) {
+  const parsedURL = urlUtils.parseURL(url);
+  return (parsedURL && certificatePinFailures.get(parsedURL.hostname)) || null;
 }
 
 function handleAppCertificateError(event, webContents, url, error, certificate, callback) {
@@ -368,7 +611,11 @@ function handleAppCertificateError(event, webContents, url, error, certificate,
     return;
   }
   const origin = parsedURL.origin;
-  if (certificateStore.isTrusted(origin, certificate)) {
+  if (certificatePinFailures.has(parsedURL.hostname)) {
+    // a pinned certificate can't be trusted by the user
+    event.preventDefault();
+    callback(false);
+  } else if (certificateStore.isTrusted(origin, certificate)) {
     event.preventDefault();
     callback(true);
   } else {
@@ -376,55 +623,71 @@ function handleAppCertificateError(event, webContents, url, error, certificate,
     const errorID = `${origin}:${error}`;
 
     // if we are already showing that error, don't add more dialogs
-    if (certificateErrorCallbacks.has(errorID)) {
+    if (certificateErrors.has(errorID)) {
       log.warn(`Ignoring already shown dialog for ${errorID}`);
-      certificateErrorCallbacks.set(errorID, callback);
+      certificateErrors.get(errorID).callback = callback;
       return;
     }
-    const extraDetail = certificateStore.isExisting(origin) ? 'Certificate is different from previous one.\n\n' : '';
-    const detail = `${extraDetail}origin: ${origin}\nError: ${error}`;
 
-    certificateErrorCallbacks.set(errorID, callback);
-    dialog.showMessageBox(mainWindow, {
-      title: 'Certificate Error',
-      message: 'There is a configuration issue with this Mattermost server, or someone is trying to intercept your connection. You also may need to sign into the Wi-Fi you are connected to using your web browser.',
-      type: 'error',
-      detail,
-      buttons: ['More Details', 'Cancel Connection'],
-      cancelId: 1,
-    }).then(
-      ({response}) => {
-        if (response === 0) {
-          return dialog.showMessageBox(mainWindow, {
-            title: 'Certificate Not Trusted',
-            message: `Certificate from "${certificate.issuerName}" is not trusted.`,
-            detail: extraDetail,
-            type: 'error',
-            buttons: ['Trust Insecure Certificate', 'Cancel Connection'],
-            cancelId: 1,
-          });
-        }
-        return {response};
-      }).then(
-      ({response: responseTwo}) => {
-        if (responseTwo === 0) {
-          certificateStore.add(origin, certificate);
-          certificateStore.save();
-          certificateErrorCallbacks.get(errorID)(true);
-          certificateErrorCallbacks.delete(errorID);
-          webContents.loadURL(url);
-        } else {
-          certificateErrorCallbacks.get(errorID)(false);
-          certificateErrorCallbacks.delete(errorID);
-        }
-      }).catch(
-      (dialogError) => {
-        log.error(`There was an error with the Certificate Error dialog: ${dialogError}`);
-        certificateErrorCallbacks.delete(errorID);
-      });
+    certificateErrors.set(errorID, {callback, origin, url, error, certificate, webContents});
+    mainWindow.webContents.send(CERTIFICATE_ERROR_CHANNEL, {
+      errorID,
+      origin,
+      error,
+      certificate: getCertificateDetails(certificate),
+      previousCertificate: certificateStore.getTrustedCertificateDetails(origin),
+    });
   }
 }
 
+function handleCertificateErrorResponse(event, errorID, response) {
+  const certificateError = certificateErrors.get(errorID);
+  if (!certificateError) {
+    log.warn(`Ignoring the answer to unknown certificate error ${errorID}`);
+    return;
+  }
+  certificateErrors.delete(errorID);
+  const {callback, origin, url, error, certificate, webContents} = certificateError;
+  if (response === TRUST_PERMANENTLY || response === TRUST_FOR_SESSION) {
+    auditLog.record(AUDIT_CERTIFICATE_EXCEPTION, origin, AUDIT_ALLOWED, {
+      error,
+      fingerprint: certificate.fingerprint,
+      scope: response === TRUST_FOR_SESSION ? 'session' : 'permanent',
+    });
+    certificateStore.add(origin, certificate, response === TRUST_FOR_SESSION);
+    if (response === TRUST_PERMANENTLY) {
+      certificateStore.save();
+    }
+    callback(true);
+    if (!webContents.isDestroyed()) {
+      webContents.loadURL(url);
+    }
+  } else {
+    auditLog.record(AUDIT_CERTIFICATE_EXCEPTION, origin, AUDIT_DENIED, {error, fingerprint: certificate.fingerprint});
+    callback(false);
+  }
+}
+
+function handleGetAuditLog() {
+  return auditLog.getEntries(AUDIT_LOG_VIEWER_LIMIT);
+}
+
+function handleExportAuditLog(event) {
+  const window = BrowserWindow.fromWebContents(event.sender) || mainWindow;
+  return dialog.showSaveDialog(window, {
+    title: 'Export Audit Log',
+    defaultPath: path.join(app.getPath('documents'), 'mattermost-audit.log'),
+    filters: [{name: 'JSON Lines', extensions: ['log', 'jsonl']}],
+  }).then(({canceled, filePath}) => {
+    if (canceled || !filePath) {
+      return false;
+    }
+    auditLog.export(filePath);
+    log.info(`Exported the audit log to ${filePath}`);
+    return true;
+  });
+}
+
 function handleAppGPUProcessCrashed(event, killed) {
   console.log(`The GPU process has crashed (killed = ${killed})`);
 }
@@ -434,21 +697,123 @@ function handleAppLogin(event, webContents, request, authInfo, callback) {
   const parsedURL = urlUtils.parseURL(request.url);
   const server = urlUtils.getServer(parsedURL, config.teams);
 
+  // proxies are saved by host and port, servers by origin
+  const challenge = {
+    origin: authInfo.isProxy ? `${authInfo.host}:${authInfo.port}` : urlUtils.getHost(request.url),
+    realm: authInfo.realm || '',
+    isProxy: Boolean(authInfo.isProxy),
+  };
+  const saved = credentialVault.get(challenge.origin, challenge.realm);
+  const autofillKey = JSON.stringify([challenge.origin, challenge.realm, request.url]);
+  const lastAutofill = autofilledLogins.get(autofillKey);
+  autofilledLogins.delete(autofillKey);
+  if (saved && (challenge.isProxy || trustedOriginsStore.checkPermission(request.url, BASIC_AUTH_PERMISSION)) && !(lastAutofill && Date.now() - lastAutofill < AUTOFILL_RETRY_WINDOW)) {
+    autofilledLogins.set(autofillKey, Date.now());
+    if (typeof callback !== 'undefined') {
+      callback(saved.username, saved.password);
+    }
+    return;
+  }
+
   loginCallbackMap.set(request.url, typeof callback === 'undefined' ? null : callback); // if callback is undefined set it to null instead so we know we have set it up with no value
-  if (isTrustedURL(request.url) || isCustomLoginURL(parsedURL, server) || trustedOriginsStore.checkPermission(request.url, BASIC_AUTH_PERMISSION)) {
-    mainWindow.webContents.send('login-request', request, authInfo);
+  loginChallenges.set(request.url, challenge);
+
+  // proxy challenges come from the configured proxies, whatever site is being loaded through them
+  if (authInfo.isProxy || isTrustedURL(request.url) || isCustomLoginURL(parsedURL, server) || trustedOriginsStore.checkPermission(request.url, BASIC_AUTH_PERMISSION)) {
+    // remembered credentials are only filled in for proxies and the servers allowed to use basic authentication
+    const canRemember = credentialVault.isAvailable() && Boolean(authInfo.isProxy || trustedOriginsStore.checkPermission(request.url, BASIC_AUTH_PERMISSION));
+    mainWindow.webContents.send('login-request', request, authInfo, canRemember);
   } else {
-    mainWindow.webContents.send(REQUEST_PERMISSION_CHANNEL, request, authInfo, BASIC_AUTH_PERMISSION);
+    mainWindow.webContents.send(REQUEST_PERMISSION_CHANNEL, request, authInfo, BASIC_AUTH_PERMISSION, credentialVault.isAvailable());
+  }
+}
+
+// asks the user once per origin for the permissions the servers request, the answer is remembered until revoked in the settings
+function requestOriginPermission(requestingURL, permission, callback) {
+  const origin = urlUtils.getHost(requestingURL);
+  const granted = trustedOriginsStore.checkPermission(origin, permission);
+  if (typeof granted === 'boolean') {
+    callback(granted);
+    return;
+  }
+
+  // several requests for the same permission share a single prompt
+  const requestKey = `${origin}:${permission}`;
+  if (permissionRequests.has(requestKey)) {
+    permissionRequests.get(requestKey).push(callback);
+    return;
+  }
+  permissionRequests.set(requestKey, [callback]);
+  mainWindow.webContents.send(REQUEST_PERMISSION_CHANNEL, {url: origin}, null, permission);
+}
+
+function resolvePermissionRequest(url, permission, granted) {
+  const requestKey = `${urlUtils.getHost(url)}:${permission}`;
+  const callbacks = permissionRequests.get(requestKey);
+  if (!callbacks) {
+    return;
   }
+  permissionRequests.delete(requestKey);
+  callbacks.forEach((callback) => callback(granted));
 }
 
 function handlePermissionGranted(event, url, permission) {
+  auditLog.record(AUDIT_PERMISSION, url, AUDIT_ALLOWED, {permission});
   trustedOriginsStore.addPermission(url, permission);
   trustedOriginsStore.save();
+  resolvePermissionRequest(url, permission, true);
 }
 
 function handlePermissionDenied(event, url, permission, reason) {
   log.warn(`Permission request denied: ${reason}`);
+  auditLog.record(AUDIT_PERMISSION, url, AUDIT_DENIED, {permission});
+  if (PROMPTED_PERMISSIONS.includes(permission)) {
+    trustedOriginsStore.setPermission(url, permission, false);
+    trustedOriginsStore.save();
+  }
+  resolvePermissionRequest(url, permission, false);
+}
+
+function handleGetOriginPermissions() {
+  return trustedOriginsStore.getPermissions();
+}
+
+function handleRevokePermission(event, origin, permission) {
+  trustedOriginsStore.revokePermission(origin, permission);
+  trustedOriginsStore.save();
+  return trustedOriginsStore.getPermissions();
+}
+
+function handleCheckHTTPSUpgrade(event, url) {
+  return checkHTTPSUpgrade(url, net.request).then((httpsURL) => {
+    log.info(httpsURL ? `${url} can be reached over HTTPS` : `${url} can't be reached over HTTPS`);
+    return httpsURL;
+  });
+}
+
+// the referrer of an insecure request from an HTTPS page is empty, the page is looked up from the webContents instead
+function isBlockedMixedContent(details) {
+  if (config.httpsMode === HTTPS_ALLOW || details.resourceType === 'mainFrame') {
+    return false;
+  }
+  const contents = details.webContentsId ? electron.webContents.fromId(details.webContentsId) : null;
+  const pageURL = contents ? contents.getURL() : details.referrer;
+  if (!isMixedContent(pageURL, details.url) || !urlUtils.getServer(pageURL, config.teams)) {
+    return false;
+  }
+  log.warn(`Blocked the mixed content ${details.url} loaded by ${pageURL}`);
+  return true;
+}
+
+function handleGetSavedCredentials() {
+  return credentialVault.list();
+}
+
+function handleDeleteSavedCredential(event, origin, realm) {
+  credentialVault.delete(origin, realm);
+  credentialVault.save();
+  log.info(`Deleted the saved credentials for ${origin}`);
+  return credentialVault.list();
 }
 
 function handleAppWillFinishLaunching() {
@@ -473,6 +838,56 @@ function handleAppWillFinishLaunching() {
   });
 }
 
+function openPopupWindow(url, options) {
+  if (!popupWindow || popupWindow.closed) {
+    popupWindow = new BrowserWindow({
+      backgroundColor: '#fff', // prevents blurry text: https://electronjs.org/docs/faq#the-font-looks-blurry-what-is-this-and-what-can-i-do
+      parent: mainWindow,
+      show: false,
+      center: true,
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+      },
+    });
+    popupWindow.once('ready-to-show', () => {
+      popupWindow.show();
+    });
+    popupWindow.once('closed', () => {
+      popupWindow = null;
+    });
+  }
+  popupWindow.loadURL(url, options);
+}
+
+// handles a navigation or a new window matching a navigation rule, the default navigation has already been prevented
+function applyNavigationAction(contents, action, url) {
+  switch (action) {
+  case NAVIGATION_TAB:
+  case NAVIGATION_CUSTOM_LOGIN:
+    contents.loadURL(url);
+    break;
+  case NAVIGATION_POPUP:
+    if (!popupWindow || popupWindow.closed || popupWindow.getURL() !== url) {
+      // currently changing the userAgent for popup windows to allow plugins to go through google's oAuth
+      // should be removed once a proper oAuth2 implementation is setup.
+      openPopupWindow(url, {
+        userAgent: popupUserAgent[process.platform],
+      });
+    }
+    break;
+  case NAVIGATION_EXTERNAL:
+    // goes through the same checks as the links the user opens, such as the denied protocols
+    allowProtocolDialog.openExternalLink(url);
+    break;
+  case NAVIGATION_BLOCK:
+  default:
+    log.info(`Navigation to ${url} blocked by a navigation rule`);
+    auditLog.record(AUDIT_NAVIGATION, url, AUDIT_BLOCKED, {from: contents.getURL(), action});
+    break;
+  }
+}
+
 function handleAppWebContentsCreated(dc, contents) {
   // initialize custom login tracking
   customLogins[contents.id] = {
@@ -484,19 +899,29 @@ function handleAppWebContentsCreated(dc, contents) {
     webPreferences.contextIsolation = true;
   });
 
+  if (contents.getType() === 'webview') {
+    contents.on('did-finish-load', () => loadServerPolicy(contents));
+  }
+
   contents.on('will-navigate', (event, url) => {
     const contentID = event.sender.id;
     const parsedURL = urlUtils.parseURL(url);
     const server = urlUtils.getServer(parsedURL, config.teams);
 
-    if ((server !== null && (urlUtils.isTeamUrl(server.url, parsedURL) || urlUtils.isAdminUrl(server.url, parsedURL))) ||
-      isTrustedPopupWindow(event.sender)) {
+    if (isTrustedPopupWindow(event.sender)) {
       return;
     }
 
-    if (isCustomLoginURL(parsedURL, server)) {
+    const action = server === null ? null : getServerNavigationAction(parsedURL, server);
+    if (action === NAVIGATION_TAB || action === NAVIGATION_CUSTOM_LOGIN) {
+      return;
+    }
+    if (action) {
+      event.preventDefault();
+      applyNavigationAction(event.sender, action, url);
       return;
     }
+
     if (parsedURL.protocol === 'mailto:') {
       return;
     }
@@ -505,6 +930,7 @@ function handleAppWebContentsCreated(dc, contents) {
     }
 
     log.info(`Prevented desktop from navigating to: ${url}`);
+    auditLog.record(AUDIT_NAVIGATION, url, AUDIT_BLOCKED, {from: event.sender.getURL()});
     event.preventDefault();
   });
 
@@ -537,50 +963,16 @@ function handleAppWebContentsCreated(dc, contents) {
 
     if (!server) {
       log.info(`Untrusted popup window blocked: ${url}`);
+      auditLog.record(AUDIT_POPUP, url, AUDIT_BLOCKED, {from: event.sender.getURL()});
       return;
     }
-    if (urlUtils.isTeamUrl(server.url, parsedURL, true)) {
-      log.info(`${url} is a known team, preventing to open a new window`);
-      return;
-    }
-    if (urlUtils.isAdminUrl(server.url, parsedURL)) {
-      log.info(`${url} is an admin console page, preventing to open a new window`);
-      return;
-    }
-    if (popupWindow && !popupWindow.closed && popupWindow.getURL() === url) {
-      log.info(`Popup window already open at provided url: ${url}`);
+    // the built-in custom login rules are about navigating in the tab, new windows have rules of their own
+    const action = getNavigationAction([...(config.navigationRules || []), ...DEFAULT_NEW_WINDOW_RULES], server, parsedURL);
+    if (action) {
+      applyNavigationAction(event.sender, action, url);
       return;
     }
-    if (urlUtils.isPluginUrl(server.url, parsedURL) || urlUtils.isManagedResource(server.url, parsedURL)) {
-      if (!popupWindow || popupWindow.closed) {
-        popupWindow = new BrowserWindow({
-          backgroundColor: '#fff', // prevents blurry text: https://electronjs.org/docs/faq#the-font-looks-blurry-what-is-this-and-what-can-i-do
-          parent: mainWindow,
-          show: false,
-          center: true,
-          webPreferences: {
-            nodeIntegration: false,
-            contextIsolation: true,
-          },
-        });
-        popupWindow.once('ready-to-show', () => {
-          popupWindow.show();
-        });
-        popupWindow.once('closed', () => {
-          popupWindow = null;
-        });
-      }
-
-      if (urlUtils.isManagedResource(server.url, parsedURL)) {
-        popupWindow.loadURL(url);
-      } else {
-        // currently changing the userAgent for popup windows to allow plugins to go through google's oAuth
-        // should be removed once a proper oAuth2 implementation is setup.
-        popupWindow.loadURL(url, {
-          userAgent: popupUserAgent[process.platform],
-        });
-      }
-    }
+    log.info(`Preventing ${url} from opening in a new window`);
   });
 
   // implemented to temporarily help solve for https://community-daily.mattermost.com/core/pl/b95bi44r4bbnueqzjjxsi46qiw
@@ -663,6 +1055,14 @@ function handleAppWebContentsCreated(dc, contents) {
 function initializeAfterAppReady() {
   app.setAppUserModelId('Mattermost.Desktop'); // Use explicit AppUserModelID
 
+  // the config file couldn't be loaded, let the user decide how to recover before anything else is shown
+  if (config.loadError) {
+    recoverConfigFile();
+  }
+
+  // pick up changes made to the config file while the app is running
+  config.watch();
+
   const appStateJson = path.join(app.getPath('userData'), 'app-state.json');
   appState = new AppStateManager(appStateJson);
   if (wasUpdated(appState.lastAppVersion)) {
@@ -703,6 +1103,12 @@ function initializeAfterAppReady() {
   }
 
   initCookieManager(session.defaultSession);
+  session.defaultSession.setCertificateVerifyProc(createCABundleVerifyProc(
+    createCertificateVerifyProc(() => config.certificatePins, handleCertificatePinMismatch, handleCertificatePinMatch),
+    () => caBundle.update(config.caBundleDirectory, config.caBundleOrigins),
+    handleCertificateTrustedViaCABundle,
+  ));
+  applyProxySettings();
 
   mainWindow = createMainWindow(config.data, {
     trayIconShown: process.platform === 'win32' || config.showTrayIcon,
@@ -712,8 +1118,9 @@ function initializeAfterAppReady() {
 
   criticalErrorHandler.setMainWindow(mainWindow);
 
-  config.setRegistryConfigData(registryConfig.data);
-  mainWindow.registryConfigData = registryConfig.data;
+  const managedConfigData = getManagedConfigData();
+  config.setRegistryConfigData(managedConfigData);
+  mainWindow.registryConfigData = managedConfigData;
 
   // listen for status updates and pass on to renderer
   userActivityMonitor.on('status', (status) => {
@@ -772,6 +1179,18 @@ function initializeAfterAppReady() {
   }
 
   session.defaultSession.on('will-download', (event, item, webContents) => {
+    const server = urlUtils.getServer(webContents.getURL(), config.teams);
+    if (server && config.getServerPolicy(config.teams[server.index].url).EnableDownloads === false) {
+      event.preventDefault();
+      log.info(`Prevented a download from ${server.name} as downloads are disabled by its policy`);
+      dialog.showMessageBox(mainWindow, {
+        title: 'Download Blocked',
+        message: `Downloads from ${server.name} have been disabled by its administrator.`,
+        type: 'info',
+      });
+      return;
+    }
+
     const filename = item.getFilename();
     const fileElements = filename.split('.');
     const filters = [];
@@ -814,6 +1233,11 @@ function initializeAfterAppReady() {
     callback({cancel: false, requestHeaders: temporaryHeaders});
   });
 
+  // Chromium only blocks the active mixed content, such as scripts, the images and media of the servers' HTTPS pages are blocked here
+  session.defaultSession.webRequest.onBeforeRequest({urls: ['http://*/*', 'ws://*/*']}, (details, callback) => {
+    callback({cancel: isBlockedMixedContent(details)});
+  });
+
   ipcMain.emit('update-menu', true, config.data);
 
   ipcMain.emit('update-dict');
@@ -828,7 +1252,9 @@ function initializeAfterAppReady() {
   ];
 
   // handle permission requests
-  // - approve if a supported permission type and the request comes from the renderer or one of the defined servers
+  // - approve if a supported permission type and the request comes from the renderer
+  // - deny if the request doesn't come from one of the defined servers
+  // - otherwise use the user's answer for the server's origin, prompting for it the first time
   session.defaultSession.setPermissionRequestHandler((webContents, permission, callback) => {
     // is the requested permission type supported?
     if (!supportedPermissionTypes.includes(permission)) {
@@ -845,7 +1271,18 @@ function initializeAfterAppReady() {
     const requestingURL = webContents.getURL();
 
     // is the requesting url trusted?
-    callback(isTrustedURL(requestingURL));
+    if (!isTrustedURL(requestingURL)) {
+      callback(false);
+      return;
+    }
+
+    // fullscreen is granted to the servers without asking
+    if (!PROMPTED_PERMISSIONS.includes(permission)) {
+      callback(true);
+      return;
+    }
+
+    requestOriginPermission(requestingURL, permission, callback);
   });
 }
 
@@ -853,16 +1290,31 @@ function initializeAfterAppReady() {
 // ipc communication event handlers
 //
 
-function handleLoginCredentialsEvent(event, request, user, password) {
+function handleLoginCredentialsEvent(event, request, user, password, remember) {
   const callback = loginCallbackMap.get(request.url);
   if (typeof callback === 'undefined') {
     log.error(`Failed to retrieve login callback for ${request.url}`);
     return;
   }
+  const challenge = loginChallenges.get(request.url);
+  if (remember && challenge && typeof user !== 'undefined' && credentialVault.isAvailable()) {
+    saveCredentials(challenge, user, password);
+  }
   if (callback != null) {
     callback(user, password);
   }
   loginCallbackMap.delete(request.url);
+  loginChallenges.delete(request.url);
+}
+
+// the credentials of a server are only filled in once the user allowed it to use basic authentication
+function saveCredentials(challenge, username, password) {
+  try {
+    credentialVault.set(challenge.origin, challenge.realm, {username, password, isProxy: challenge.isProxy});
+    credentialVault.save();
+  } catch (error) {
+    log.error(`Failed to save the credentials for ${challenge.origin}: ${error.message}`);
+  }
 }
 
 function handleCancelLoginEvent(event, request) {
@@ -882,6 +1334,47 @@ function handleDownloadURLEvent(event, url) {
   });
 }
 
+function handleExportConfigBundleEvent() {
+  configBundle.exportBundle(mainWindow, {config, certificateStore, trustedOriginsStore});
+}
+
+function handleImportConfigBundleEvent() {
+  configBundle.importBundle(mainWindow, {config, certificateStore, trustedOriginsStore});
+}
+
+function handleShowEffectiveConfigurationEvent() {
+  showEffectiveConfigWindow(mainWindow, {
+    linuxAppIcon: path.join(assetsDir, 'appicon.png'),
+  });
+}
+
+function handleOpenProfileEvent(event, profile) {
+  if (profile !== profiles.getCurrentProfile()) {
+    profiles.openProfile(profile);
+  }
+
+  // this instance keeps its profile, so restore the selection in the menus
+  ipcMain.emit('update-menu', true, config.data);
+}
+
+// the name of the new profile is asked in the main window, it can also be reached from the tray while hidden
+function handleNewProfileEvent() {
+  mainWindow.show();
+  mainWindow.webContents.send(NEW_PROFILE_CHANNEL);
+}
+
+function handleCreateProfileEvent(event, profile) {
+  try {
+    profiles.createProfile(profile);
+  } catch (error) {
+    log.error(`Failed to create profile ${profile}:`, error);
+    dialog.showErrorBox('Profile Not Created', error.message);
+    return;
+  }
+  profiles.openProfile(profile);
+  ipcMain.emit('update-menu', true, config.data);
+}
+
 function handleNotifiedEvent() {
   if (process.platform === 'win32' || process.platform === 'linux') {
     if (config.notifications.flashWindow === 2) {
@@ -972,8 +1465,8 @@ function handleUpdateMenuEvent(event, configData) {
 
 // localeSelected might be null, if that's the case, use config's locale
 function handleUpdateDictionaryEvent(_, localeSelected) {
-  if (config.useSpellChecker) {
-    const locale = localeSelected || config.spellCheckerLocale;
+  if (isSpellCheckerUsed(config)) {
+    const locale = (!config.isLocked('spellCheckerLocale') && localeSelected) || config.spellCheckerLocale;
     try {
       spellChecker = new SpellChecker(
         locale,
@@ -991,20 +1484,25 @@ function handleUpdateDictionaryEvent(_, localeSelected) {
 
 function handleCheckSpellingEvent(event, word) {
   let res = null;
-  if (config.useSpellChecker && spellChecker.isReady() && word !== null) {
+  if (isSpellCheckerEnabled(config, event.sender.getURL()) && spellChecker && spellChecker.isReady() && word !== null) {
     res = spellChecker.spellCheck(word);
   }
   event.returnValue = res;
 }
 
+// only misspelled words of pages with the spell checker enabled get there
 function handleGetSpellingSuggestionsEvent(event, word) {
-  if (config.useSpellChecker && spellChecker.isReady() && word !== null) {
+  if (spellChecker && spellChecker.isReady() && word !== null) {
     event.returnValue = spellChecker.getSuggestions(word, 10);
   } else {
     event.returnValue = [];
   }
 }
 
+function handleIsSpellCheckerEnabledEvent(event, pageURL) {
+  event.returnValue = isSpellCheckerEnabled(config, pageURL);
+}
+
 function handleGetSpellcheckerLocaleEvent(event) {
   event.returnValue = config.spellCheckerLocale;
 }
@@ -1060,8 +1558,12 @@ function isTrustedPopupWindow(webContents) {
   return BrowserWindow.fromWebContents(webContents) === popupWindow;
 }
 
+// the configured rules are checked before the built-in custom login rules
+function getServerNavigationAction(url, server) {
+  return getNavigationAction([...(config.navigationRules || []), ...DEFAULT_NAVIGATION_RULES], server, url);
+}
+
 function isCustomLoginURL(url, server) {
-  const subpath = (server === null || typeof server === 'undefined') ? '' : server.url.pathname;
   const parsedURL = urlUtils.parseURL(url);
   if (!parsedURL) {
     return false;
@@ -1069,24 +1571,8 @@ function isCustomLoginURL(url, server) {
   if (!isTrustedURL(parsedURL)) {
     return false;
   }
-  const urlPath = parsedURL.pathname;
-  if ((subpath !== '' || subpath !== '/') && urlPath.startsWith(subpath)) {
-    const replacement = subpath.endsWith('/') ? '/' : '';
-    const replacedPath = urlPath.replace(subpath, replacement);
-    for (const regexPath of customLoginRegexPaths) {
-      if (replacedPath.match(regexPath)) {
-        return true;
-      }
-    }
-  }
-
-  // if there is no subpath, or we are adding the team and got redirected to the real server it'll be caught here
-  for (const regexPath of customLoginRegexPaths) {
-    if (urlPath.match(regexPath)) {
-      return true;
-    }
-  }
-  return false;
+  const urlServer = server || urlUtils.getServer(parsedURL, config.teams);
+  return getServerNavigationAction(parsedURL, urlServer) === NAVIGATION_CUSTOM_LOGIN;
 }
 
 function getTrayImages() {
@@ -1158,6 +1644,102 @@ function getDeeplinkingURL(args) {
   return null;
 }
 
+function recoverConfigFile() {
+  const {message, errors} = config.loadError;
+  const backup = config.getRestorableBackup();
+
+  const problems = errors.length ? errors.map((error) => `- ${error}`).join('\n') : message;
+  const backupDetail = backup ? `A backup from ${backup.date.toLocaleString()} is available.` : 'No backup is available, the default configuration will be used.';
+  const buttons = backup ? ['Restore Backup', 'Reset to Defaults'] : ['Reset to Defaults'];
+
+  const response = dialog.showMessageBoxSync({
+    title: 'Configuration Error',
+    message: `${app.name} could not load your configuration file. It may have been damaged or edited by hand.`,
+    detail: `${problems}\n\n${backupDetail}`,
+    type: 'error',
+    buttons,
+    defaultId: 0,
+    cancelId: buttons.length - 1,
+    noLink: true,
+  });
+
+  try {
+    if (backup && response === 0) {
+      config.restoreBackup(backup.path);
+      log.info(`Configuration restored from backup ${backup.path}`);
+    } else {
+      config.resetToDefaults();
+      log.info('Configuration reset to defaults');
+    }
+  } catch (error) {
+    log.error(`Failed to recover the configuration file: ${error}`);
+  }
+}
+
+// applies the global and per server proxy settings to the session, only when they changed since they were last applied
+function applyProxySettings() {
+  const proxySettings = JSON.stringify({proxy: config.proxy, serverProxies: config.serverProxies});
+  if (proxySettings === appliedProxySettings) {
+    return;
+  }
+  const previousProxySettings = appliedProxySettings;
+  appliedProxySettings = proxySettings;
+
+  const pacURLs = getEmbeddedPACURLs(config.proxy, config.serverProxies);
+  Promise.all(pacURLs.map((pacURL) => fetchPACScript(pacURL, net.request))).then((scripts) => {
+    const pacScripts = pacURLs.reduce((result, pacURL, index) => Object.assign(result, {[pacURL]: scripts[index]}), {});
+    const proxyConfig = createProxyConfig(config.proxy, config.serverProxies, pacScripts);
+    if (!proxyConfig) {
+      // the session can't go back to the system settings once a proxy has been set
+      if (previousProxySettings !== null) {
+        log.info('The system proxy settings will be used after restarting the app');
+      }
+      return null;
+    }
+    return session.defaultSession.setProxy(proxyConfig).then(() => log.info('Applied the proxy settings'));
+  }).catch((error) => {
+    log.error(`Failed to apply the proxy settings: ${error.message}`);
+
+    // applied again with the next change, even if it's back to the same settings
+    appliedProxySettings = previousProxySettings;
+    dialog.showMessageBox(mainWindow, {
+      type: 'error',
+      title: 'Proxy Settings Not Applied',
+      message: 'The proxy settings could not be applied, the previous ones are still in use.',
+      detail: error.message,
+    });
+  });
+}
+
+// fetches the desktop policy of the server loaded in a webview through the webview's session
+function loadServerPolicy(contents) {
+  const server = urlUtils.getServer(contents.getURL(), config.teams);
+  if (!server || !config.serverPolicyPath) {
+    return;
+  }
+  const serverURL = config.teams[server.index].url;
+  const request = (options) => net.request(Object.assign({}, options, {session: contents.session}));
+  fetchServerPolicy(serverURL, config.serverPolicyPath, request).then((policy) => {
+    config.setServerPolicy(serverURL, policy);
+    if (policy && typeof policy.EnableSpellChecker === 'boolean') {
+      if (!spellChecker) {
+        ipcMain.emit('update-dict');
+      }
+      contents.send('set-spellchecker');
+    }
+  }).catch((error) => {
+    log.warn(`Failed to load the desktop policy of ${serverURL}: ${error.message}`);
+  });
+}
+
+// combines the Windows registry and the Linux/macOS policy files, each only provides data on its own platforms
+function getManagedConfigData() {
+  return Object.assign({}, registryConfig.data, policyConfig.data, {
+    teams: [...registryConfig.data.teams, ...policyConfig.data.teams],
+    lockedPreferences: Object.assign({}, registryConfig.data.lockedPreferences, policyConfig.data.lockedPreferences),
+  });
+}
+
 function shouldShowTrayIcon() {
   if (config.showTrayIcon === true || process.platform === 'win32') {
     return true;
@@ -26,7 +26,10 @@ function triageArgs(args) {
 function parseArgs(args) {
   return yargs.
     alias('dataDir', 'd').string('dataDir').describe('dataDir', 'Set the path to where user data is stored.').
+    string('profile').describe('profile', 'Use a named profile, each profile keeps its servers and settings separately.').
     alias('disableDevMode', 'p').boolean('disableDevMode').describe('disableDevMode', 'Disable development mode. Allows for testing as if it was Production.').
+    boolean('migrateConfig').describe('migrateConfig', 'Migrates the config file to the latest version and prints the result.').
+    boolean('dryRun').describe('dryRun', 'Used with --migrate-config, prints the migrated config without changing the config file.').
     alias('version', 'v').boolean('version').describe('version', 'Prints the application version.').
     help('help').
     parse(args);
@@ -4,9 +4,19 @@ import Joi from '@hapi/joi';
 
 import urlUtils from '../utils/url';
 
+import {HTTPS_ALLOW, HTTPS_MODES, HTTPS_WARN, isInsecureURL} from '../common/https';
+import {PROXY_MODES, PROXY_SYSTEM} from '../common/proxy';
+
+import {NAVIGATION_ACTIONS} from '../common/navigationRules';
+
 const defaultOptions = {
   stripUnknown: true,
 };
+
+// settings unknown to this version, eg. written by a newer version of the app, are kept rather than stripped
+const configDataOptions = {
+  allowUnknown: true,
+};
 const defaultWindowWidth = 1000;
 const defaultWindowHeight = 700;
 const minWindowWidth = 400;
@@ -16,6 +26,9 @@ const argsSchema = Joi.object({
   hidden: Joi.boolean(),
   disableDevMode: Joi.boolean(),
   dataDir: Joi.string(),
+  profile: Joi.string().pattern(/^[\w-]+$/),
+  migrateConfig: Joi.boolean(),
+  dryRun: Joi.boolean(),
   version: Joi.boolean(),
 });
 
@@ -83,28 +96,168 @@ const configDataSchemaV2 = Joi.object({
   downloadLocation: Joi.string(),
 });
 
+// patterns picking the client certificate of a server, eg. {'https://example.com': {issuer: 'Example CA', subject: '^john'}}
+const clientCertificateRulesSchema = Joi.object().pattern(
+  Joi.string().uri(),
+  Joi.object({
+    issuer: Joi.string(),
+    subject: Joi.string(),
+  }).or('issuer', 'subject'),
+);
+
+// client certificates the user chose to remember for a server
+const clientCertificateChoicesSchema = Joi.object().pattern(
+  Joi.string().uri(),
+  Joi.object({
+    subjectName: Joi.string().allow(''),
+    issuerName: Joi.string().allow(''),
+    serialNumber: Joi.string().allow(''),
+    fingerprint: Joi.string().required(),
+  }),
+);
+
+// proxyServer is used by the fixed mode and pacURL by the pac mode
+const proxySettingsSchema = Joi.object({
+  mode: Joi.string().valid(...PROXY_MODES).required(),
+  proxyServer: Joi.string().allow(''),
+  pacURL: Joi.string().allow(''),
+  bypassRules: Joi.string().allow(''),
+});
+
+const configDataSchemaV3 = configDataSchemaV2.keys({
+  version: Joi.number().min(3).default(3),
+  migrationHistory: Joi.array().items(Joi.object({
+    from: Joi.number().integer().min(0).required(),
+    to: Joi.number().integer().min(1).required(),
+    date: Joi.string(),
+    description: Joi.string(),
+  })).default([]),
+  clientCertificateRules: clientCertificateRulesSchema.default({}),
+  clientCertificateChoices: clientCertificateChoicesSchema.default({}),
+  proxy: proxySettingsSchema.default({mode: PROXY_SYSTEM}),
+  serverProxies: Joi.object().pattern(Joi.string().uri(), proxySettingsSchema).default({}),
+  httpsMode: Joi.string().valid(...HTTPS_MODES).default(HTTPS_WARN),
+});
+
 // eg. data['community.mattermost.com'] = { data: 'certificate data', issuerName: 'COMODO RSA Domain Validation Secure Server CA'};
 const certificateStoreSchema = Joi.object().pattern(
   Joi.string().uri(),
   Joi.object({
     data: Joi.string(),
     issuerName: Joi.string(),
+    fingerprint: Joi.string(),
+    dateTrusted: Joi.string(),
+    details: Joi.object({
+      subject: Joi.object({commonName: Joi.string().allow('')}),
+      issuer: Joi.object({commonName: Joi.string().allow('')}),
+      serialNumber: Joi.string(),
+      validStart: Joi.number(),
+      validExpiry: Joi.number(),
+      fingerprint: Joi.string(),
+      chain: Joi.array().items(Joi.object({
+        subjectName: Joi.string().allow(''),
+        issuerName: Joi.string().allow(''),
+        fingerprint: Joi.string(),
+      })),
+    }),
   })
 );
 
+// prompted permissions are only set once the user answered, true when granted and false when denied
 const originPermissionsSchema = Joi.object().keys({
-  canBasicAuth: Joi.boolean().default(false), // we can add more permissions later if we want
+  canBasicAuth: Joi.boolean().default(false),
+  media: Joi.boolean(),
+  geolocation: Joi.boolean(),
+  notifications: Joi.boolean(),
+  openExternal: Joi.boolean(),
 });
 
 const trustedOriginsSchema = Joi.object({}).pattern(
   Joi.string().uri(),
-  Joi.object().keys({
-    canBasicAuth: Joi.boolean().default(false), // we can add more permissions later if we want
-  }),
+  originPermissionsSchema,
 );
 
 const allowedProtocolsSchema = Joi.array().items(Joi.string().regex(/^[a-z-]+:$/i));
 
+const navigationRulesSchema = Joi.array().items(Joi.object({
+  server: Joi.string().uri(),
+  pattern: Joi.string().required(),
+  action: Joi.string().valid(...NAVIGATION_ACTIONS).required(),
+}));
+
+// hosts of Chromium's integrated authentication allowlists, they get joined with commas
+const authAllowlistSchema = Joi.array().items(Joi.string().regex(/^[^,\s]+$/));
+
+// schemes configured by the administrators, the trailing colon is optional
+const protocolListSchema = Joi.array().items(Joi.string().regex(/^[a-z][a-z0-9+.-]*:?$/i));
+
+// every part is validated separately with its own schema
+const configBundleSchema = Joi.object({
+  version: Joi.number().integer().valid(1).required(),
+  appVersion: Joi.string(),
+  exportedAt: Joi.string(),
+  config: Joi.object(),
+  certificates: Joi.object(),
+  trustedOrigins: Joi.object(),
+  allowedProtocols: Joi.array(),
+});
+
+// same as the v.2 config.json preferences but without defaults, so only the provided keys get locked
+const lockedPreferencesSchema = Joi.object({
+  showTrayIcon: Joi.boolean(),
+  trayIconTheme: Joi.any().allow('').valid('light', 'dark'),
+  minimizeToTray: Joi.boolean(),
+  notifications: Joi.object({
+    flashWindow: Joi.any().valid(0, 2),
+    bounceIcon: Joi.boolean(),
+    bounceIconType: Joi.any().allow('').valid('informational', 'critical'),
+  }),
+  showUnreadBadge: Joi.boolean(),
+  useSpellChecker: Joi.boolean(),
+  enableHardwareAcceleration: Joi.boolean(),
+  autostart: Joi.boolean(),
+  spellCheckerLocale: Joi.string().regex(/^[a-z]{2}-[A-Z]{2}$/),
+  darkMode: Joi.boolean(),
+  downloadLocation: Joi.string(),
+  httpsMode: Joi.string().valid(...HTTPS_MODES),
+});
+
+// desktop policy provided by a Mattermost server, uses the same names as the Windows registry policies
+// only settings scoped to the server itself are accepted, they apply to the server's own tab and leave the app wide
+// preferences alone, in particular a server must never be able to lower the HTTPS mode that protects the connections to it
+const serverPolicySchema = Joi.object({
+  EnableDownloads: Joi.boolean(),
+  EnableSpellChecker: Joi.boolean(),
+});
+
+// eg. {'https://example.com': ['sha256/base64 digest of the SubjectPublicKeyInfo']}
+const certificatePinsSchema = Joi.object().pattern(
+  Joi.string().uri(),
+  Joi.array().items(Joi.string().regex(/^sha256\/[A-Za-z0-9+/]{43}=$/)).min(1),
+);
+
+// uses the same names as the Windows registry policies
+const policySchema = Joi.object({
+  DefaultServerList: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    url: Joi.string().required(),
+    order: Joi.number().integer().min(0),
+  })),
+  EnableServerManagement: Joi.boolean(),
+  EnableAutoUpdater: Joi.boolean(),
+  LockedPreferences: lockedPreferencesSchema,
+  CertificatePins: certificatePinsSchema,
+  CABundleDirectory: Joi.string(),
+  CABundleOrigins: Joi.array().items(Joi.string().uri()),
+  ClientCertificateRules: clientCertificateRulesSchema,
+  AlwaysAllowedProtocols: protocolListSchema,
+  DeniedProtocols: protocolListSchema,
+  NavigationRules: navigationRulesSchema,
+  AuthServerAllowlist: authAllowlistSchema,
+  AuthDelegationAllowlist: authAllowlistSchema,
+  ServerPolicyPath: Joi.string().regex(/^\//),
+});
+
 // validate bounds_info.json
 export function validateArgs(data) {
   return validateAgainstSchema(data, argsSchema);
@@ -146,24 +299,76 @@ export function validateV1ConfigData(data) {
   return validateAgainstSchema(data, configDataSchemaV1);
 }
 
+// validate v.2 config.json
 export function validateV2ConfigData(data) {
+  return validateAgainstSchema(cleanUpTeams(data), configDataSchemaV2, configDataOptions);
+}
+
+// validate v.3 config.json
+export function validateV3ConfigData(data) {
+  return validateAgainstSchema(cleanUpTeams(data), configDataSchemaV3, configDataOptions);
+}
+
+// validate config.json of any version, versions newer than this app knows of are validated as the latest one
+export function validateConfigData(data) {
+  if (data.version > 2) {
+    return validateV3ConfigData(data);
+  }
+  switch (data.version) {
+  case 2:
+    return validateV2ConfigData(data);
+  case 1:
+    return validateV1ConfigData(data);
+  default:
+    return validateV0ConfigData(data);
+  }
+}
+
+// fixes up the teams of v.2 and later config.json, keeping any team properties unknown to this version
+function cleanUpTeams(data) {
   if (Array.isArray(data.teams) && data.teams.length) {
     // first replace possible backslashes with forward slashes
-    let teams = data.teams.map(({name, url, order}) => {
-      let updatedURL = url;
+    let teams = data.teams.map((team) => {
+      let updatedURL = team.url;
       if (updatedURL.includes('\\')) {
         updatedURL = updatedURL.toLowerCase().replace(/\\/gi, '/');
       }
-      return {name, url: updatedURL, order};
+      return {...team, url: updatedURL};
     });
 
     // next filter out urls that are still invalid so all is not lost
     teams = teams.filter(({url}) => urlUtils.isValidURL(url));
 
+    // servers that aren't using HTTPS are kept even when they're refused, only the combined config leaves them out
+    const insecureTeams = teams.filter(({url}) => isInsecureURL(url));
+    if (insecureTeams.length && data.httpsMode !== HTTPS_ALLOW) {
+      console.warn(`These servers aren't using HTTPS, messages are sent in plain text: ${insecureTeams.map(({url}) => url).join(', ')}`);
+    }
+
     // replace original teams
     data.teams = teams;
   }
-  return validateAgainstSchema(data, configDataSchemaV2);
+  return data;
+}
+
+// lists why a config.json of any version doesn't validate, eg. to let the user know what is wrong with it
+export function getConfigDataErrors(data) {
+  if (typeof data !== 'object' || data === null) {
+    return ['The configuration is not an object.'];
+  }
+  let schema = configDataSchemaV0;
+  let options = defaultOptions;
+  if (data.version > 2) {
+    schema = configDataSchemaV3;
+    options = configDataOptions;
+  } else if (data.version === 2) {
+    schema = configDataSchemaV2;
+    options = configDataOptions;
+  } else if (data.version === 1) {
+    schema = configDataSchemaV1;
+  }
+  const {error} = schema.validate(data, {...options, abortEarly: false});
+  return error ? error.details.map((detail) => detail.message) : [];
 }
 
 // validate certificate.json
@@ -187,7 +392,31 @@ export function validateOriginPermissions(data) {
   return validateAgainstSchema(jsonData, originPermissionsSchema);
 }
 
-function validateAgainstSchema(data, schema) {
+// validate the envelope of an exported configuration bundle
+export function validateConfigBundle(data) {
+  return validateAgainstSchema(data, configBundleSchema);
+}
+
+// validate the preferences locked through the Windows registry
+export function validateLockedPreferences(data) {
+  return validateAgainstSchema(data, lockedPreferencesSchema);
+}
+
+// validate the desktop policy provided by a server
+export function validateServerPolicy(data) {
+  return validateAgainstSchema(data, serverPolicySchema);
+}
+
+// validate policy.json
+export function validatePolicy(data) {
+  if (data && Array.isArray(data.DefaultServerList)) {
+    // filter out invalid urls so the rest of the policy still applies
+    data.DefaultServerList = data.DefaultServerList.filter((server) => server && urlUtils.isValidURL(server.url));
+  }
+  return validateAgainstSchema(data, policySchema);
+}
+
+function validateAgainstSchema(data, schema, options = defaultOptions) {
   if (typeof data !== 'object') {
     console.error(`Input 'data' is not an object we can validate: ${typeof data}`);
     return false;
@@ -196,7 +425,7 @@ function validateAgainstSchema(data, schema) {
     console.error('No schema provided to validate');
     return false;
   }
-  const {error, value} = schema.validate(data, defaultOptions);
+  const {error, value} = schema.validate(data, options);
   if (error) {
     console.error(`Validation failed due to: ${error}`);
     return false;
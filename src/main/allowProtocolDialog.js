@@ -7,22 +7,105 @@ import path from 'path';
 import fs from 'fs';
 
 import {app, dialog, ipcMain, shell} from 'electron';
+import log from 'electron-log';
 
 import {protocols} from '../../electron-builder.json';
 
+import {
+  GET_ALLOWED_PROTOCOLS_CHANNEL,
+  REMOVE_ALLOWED_PROTOCOL_CHANNEL,
+  normalizeProtocol,
+} from '../common/protocols';
+import {AUDIT_PROTOCOL, AUDIT_LINK, AUDIT_ALLOWED, AUDIT_DENIED, AUDIT_BLOCKED} from '../common/auditLog';
+import {getLinkDestination, getLinkWarnings} from '../common/linkSafety';
+
+import urlUtils from '../utils/url';
+
 import * as Validator from './Validator';
 
 const allowedProtocolFile = path.resolve(app.getPath('userData'), 'allowedProtocols.json');
 let allowedProtocols = [];
+const builtinProtocols = [];
+let config = null;
+let auditLog = null;
+let dialogParentWindow = null;
 
 function addScheme(scheme) {
   const proto = `${scheme}:`;
   if (!allowedProtocols.includes(proto)) {
     allowedProtocols.push(proto);
   }
+  if (!builtinProtocols.includes(proto)) {
+    builtinProtocols.push(proto);
+  }
+}
+
+function isAlwaysAllowed(protocol) {
+  return (config.alwaysAllowedProtocols || []).map(normalizeProtocol).includes(protocol);
+}
+
+function isDenied(protocol) {
+  return (config.deniedProtocols || []).map(normalizeProtocol).includes(protocol);
+}
+
+function saveAllowedProtocols() {
+  fs.writeFile(allowedProtocolFile, JSON.stringify(allowedProtocols), (err) => {
+    if (err) {
+      console.error(err);
+    }
+  });
 }
 
-function init(mainWindow) {
+function getAllowedProtocols() {
+  return [...allowedProtocols];
+}
+
+function addAllowedProtocols(protocolsToAdd) {
+  protocolsToAdd.forEach((protocol) => {
+    if (!allowedProtocols.includes(protocol)) {
+      allowedProtocols.push(protocol);
+    }
+  });
+  saveAllowedProtocols();
+}
+
+// the built-in protocols can't be removed, they are allowed again on the next launch anyway
+function removeAllowedProtocol(protocol) {
+  if (builtinProtocols.includes(protocol)) {
+    return;
+  }
+  allowedProtocols = allowedProtocols.filter((allowedProtocol) => allowedProtocol !== protocol);
+  saveAllowedProtocols();
+}
+
+// lists the protocols saved by the user along with the ones configured by the administrators
+function getProtocolLists() {
+  return {
+    allowed: allowedProtocols.filter((protocol) => !builtinProtocols.includes(protocol)),
+    alwaysAllowed: (config.alwaysAllowedProtocols || []).map(normalizeProtocol),
+    denied: (config.deniedProtocols || []).map(normalizeProtocol),
+  };
+}
+
+function handleGetAllowedProtocols() {
+  return getProtocolLists();
+}
+
+function handleRemoveAllowedProtocol(event, protocol) {
+  removeAllowedProtocol(protocol);
+  return getProtocolLists();
+}
+
+/**
+ * Loads the protocols allowed by the user and starts handling the links to open in external applications
+ *
+ * @param {BrowserWindow} mainWindow parent of the confirmation dialogs
+ * @param {Config} appConfig provides the protocols always allowed and denied by the administrators
+ * @param {AuditLog} appAuditLog records the protocols the user or the administrators allowed and denied
+ */
+function init(mainWindow, appConfig, appAuditLog) {
+  config = appConfig;
+  auditLog = appAuditLog;
   fs.readFile(allowedProtocolFile, 'utf-8', (err, data) => {
     if (!err) {
       allowedProtocols = JSON.parse(data);
@@ -39,47 +122,113 @@ function init(mainWindow) {
   });
 }
 
-function initDialogEvent(mainWindow) {
-  ipcMain.on('confirm-protocol', (event, protocol, URL) => {
-    if (allowedProtocols.indexOf(protocol) !== -1) {
+// shows where a risky link really leads, resolves with whether the user still wants to open it
+function confirmRiskyLink(mainWindow, URL, warnings) {
+  const destination = getLinkDestination(URL);
+  return dialog.showMessageBox(mainWindow, {
+    title: 'Suspicious Link',
+    message: 'This link may not lead where it seems to.',
+    detail: `${warnings.map((warning) => warning.message).join('\n')}\n\nThe link really leads to ${destination} . Do you want to open it?`,
+    type: 'warning',
+    buttons: [
+      'Cancel',
+      'Open Link',
+    ],
+    defaultId: 0,
+    cancelId: 0,
+    noLink: true,
+  }).then(({response}) => {
+    const open = response === 1;
+    auditLog.record(AUDIT_LINK, URL, open ? AUDIT_ALLOWED : AUDIT_DENIED, {destination, warnings: warnings.map((warning) => warning.type)});
+    return open;
+  });
+}
+
+// opens the links of the allowed protocols, asks the user about the other ones
+function confirmProtocol(mainWindow, protocol, URL) {
+  if (allowedProtocols.indexOf(protocol) !== -1 || isAlwaysAllowed(protocol)) {
+    shell.openExternal(URL);
+    return;
+  }
+  dialog.showMessageBox(mainWindow, {
+    title: 'Non http(s) protocol',
+    message: `${protocol} link requires an external application.`,
+    detail: `The requested link is ${URL} . Do you want to continue?`,
+    type: 'warning',
+    buttons: [
+      'Yes',
+      `Yes (Save ${protocol} as allowed)`,
+      'No',
+    ],
+    cancelId: 2,
+    noLink: true,
+  }).then(({response}) => {
+    switch (response) {
+    case 1: {
+      auditLog.record(AUDIT_PROTOCOL, URL, AUDIT_ALLOWED, {protocol, scope: 'permanent'});
+      addAllowedProtocols([protocol]);
       shell.openExternal(URL);
-      return;
+      break;
     }
-    dialog.showMessageBox(mainWindow, {
-      title: 'Non http(s) protocol',
-      message: `${protocol} link requires an external application.`,
-      detail: `The requested link is ${URL} . Do you want to continue?`,
-      type: 'warning',
-      buttons: [
-        'Yes',
-        `Yes (Save ${protocol} as allowed)`,
-        'No',
-      ],
-      cancelId: 2,
-      noLink: true,
-    }).then(({response}) => {
-      switch (response) {
-      case 1: {
-        allowedProtocols.push(protocol);
-        function handleError(err) {
-          if (err) {
-            console.error(err);
-          }
-        }
-        fs.writeFile(allowedProtocolFile, JSON.stringify(allowedProtocols), handleError);
-        shell.openExternal(URL);
-        break;
-      }
-      case 0:
-        shell.openExternal(URL);
-        break;
-      default:
-        break;
+    case 0:
+      auditLog.record(AUDIT_PROTOCOL, URL, AUDIT_ALLOWED, {protocol, scope: 'once'});
+      shell.openExternal(URL);
+      break;
+    default:
+      auditLog.record(AUDIT_PROTOCOL, URL, AUDIT_DENIED, {protocol});
+      break;
+    }
+  });
+}
+
+// checks a link against the denied protocols and the risky links before opening it in an external application
+function confirmExternalLink(mainWindow, protocol, URL, displayText) {
+  // the denied protocols win over every allowed one, including the built-in protocols
+  if (isDenied(protocol)) {
+    log.warn(`Not opening ${URL}, the ${protocol} protocol is denied by the configuration`);
+    auditLog.record(AUDIT_PROTOCOL, URL, AUDIT_BLOCKED, {protocol});
+    return;
+  }
+  const warnings = getLinkWarnings(URL, displayText);
+  if (warnings.length) {
+    confirmRiskyLink(mainWindow, URL, warnings).then((open) => {
+      if (open) {
+        confirmProtocol(mainWindow, protocol, URL);
       }
     });
+    return;
+  }
+  confirmProtocol(mainWindow, protocol, URL);
+}
+
+function initDialogEvent(mainWindow) {
+  dialogParentWindow = mainWindow;
+  ipcMain.handle(GET_ALLOWED_PROTOCOLS_CHANNEL, handleGetAllowedProtocols);
+  ipcMain.handle(REMOVE_ALLOWED_PROTOCOL_CHANNEL, handleRemoveAllowedProtocol);
+  ipcMain.on('confirm-protocol', (event, protocol, URL, displayText) => {
+    confirmExternalLink(mainWindow, protocol, URL, displayText);
   });
 }
 
+/**
+ * Opens a link in an external application the same way as the links clicked by the user,
+ * for the links the app decides to open on its own such as the ones of the navigation rules
+ *
+ * @param {string} URL link to open
+ */
+function openExternalLink(URL) {
+  const parsedURL = urlUtils.parseURL(URL);
+  if (!parsedURL || !dialogParentWindow) {
+    log.warn(`Not opening ${URL}, it can't be checked yet`);
+    return;
+  }
+  confirmExternalLink(dialogParentWindow, parsedURL.protocol, URL);
+}
+
 export default {
   init,
+  getAllowedProtocols,
+  addAllowedProtocols,
+  removeAllowedProtocol,
+  openExternalLink,
 };
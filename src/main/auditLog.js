@@ -0,0 +1,103 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import fs from 'fs';
+
+import log from 'electron-log';
+
+const DEFAULT_MAX_FILE_SIZE = 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+/**
+ * Records the trust and permission decisions as JSON lines, the file is rotated once it grows too large
+ */
+export default class AuditLog {
+  /**
+   * @param {string} logFile path of the current log file, rotated files get a numeric suffix eg. audit.log.1
+   * @param {object} options maxFileSize in bytes and maxFiles, the number of rotated files to keep
+   */
+  constructor(logFile, {maxFileSize = DEFAULT_MAX_FILE_SIZE, maxFiles = DEFAULT_MAX_FILES} = {}) {
+    this.logFile = logFile;
+    this.maxFileSize = maxFileSize;
+    this.maxFiles = maxFiles;
+  }
+
+  // paths of the log files, oldest first
+  getFiles = () => {
+    const files = [];
+    for (let i = this.maxFiles; i > 0; i--) {
+      files.push(`${this.logFile}.${i}`);
+    }
+    files.push(this.logFile);
+    return files.filter((file) => fs.existsSync(file));
+  }
+
+  rotate = () => {
+    for (let i = this.maxFiles - 1; i > 0; i--) {
+      if (fs.existsSync(`${this.logFile}.${i}`)) {
+        fs.renameSync(`${this.logFile}.${i}`, `${this.logFile}.${i + 1}`);
+      }
+    }
+    fs.renameSync(this.logFile, `${this.logFile}.1`);
+  }
+
+  /**
+   * Appends an entry, failures are only logged so auditing never gets in the way of the app
+   *
+   * @param {string} type audited event, see common/auditLog
+   * @param {string} origin origin or URL the decision applies to
+   * @param {string} decision allowed, denied or blocked
+   * @param {object} details anything else worth keeping about the decision
+   */
+  record = (type, origin, decision, details = {}) => {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      type,
+      origin,
+      decision,
+      details,
+    };
+    try {
+      if (fs.existsSync(this.logFile) && fs.statSync(this.logFile).size >= this.maxFileSize) {
+        this.rotate();
+      }
+      fs.appendFileSync(this.logFile, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      log.error(`Failed to write to the audit log: ${error.message}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Reads the entries of every log file, newest first, damaged lines are skipped
+   *
+   * @param {number} limit maximum number of entries to return
+   */
+  getEntries = (limit = Infinity) => {
+    const entries = [];
+    this.getFiles().forEach((file) => {
+      fs.readFileSync(file, 'utf-8').split('\n').forEach((line) => {
+        if (!line) {
+          return;
+        }
+        try {
+          entries.push(JSON.parse(line));
+        } catch (error) {
+          log.warn(`Skipping a damaged audit log entry in ${file}`);
+        }
+      });
+    });
+    return entries.reverse().slice(0, limit);
+  }
+
+  /**
+   * Writes every log file into a single JSON lines file, oldest entries first
+   *
+   * @param {string} filePath path of the exported file
+   */
+  export = (filePath) => {
+    const contents = this.getFiles().map((file) => fs.readFileSync(file, 'utf-8')).join('');
+    fs.writeFileSync(filePath, contents);
+  }
+}
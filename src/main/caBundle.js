@@ -0,0 +1,467 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import crypto from 'crypto';
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+
+import log from 'electron-log';
+
+import urlUtils from '../utils/url';
+
+import {VERIFY_SUCCESS, VERIFY_USE_CHROMIUM} from './certificatePins';
+
+const ERR_CERT_AUTHORITY_INVALID = -202;
+const BUNDLE_FILE_EXTENSIONS = ['.pem', '.crt'];
+const DER_LONG_LENGTH = 0x80;
+const DER_LENGTH_BYTES = 0x7f;
+const PEM_CERTIFICATE_REGEX = /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g;
+
+const TAG_BOOLEAN = 0x01;
+const TAG_INTEGER = 0x02;
+const TAG_UTC_TIME = 0x17;
+const TAG_VERSION = 0xa0;
+const TAG_EXTENSIONS = 0xa3;
+const TAG_DNS_NAME = 0x82;
+const TAG_IP_ADDRESS = 0x87;
+const TAG_PERMITTED_SUBTREES = 0xa0;
+const TAG_EXCLUDED_SUBTREES = 0xa1;
+const OID_COMMON_NAME = '550403';
+const OID_SUBJECT_KEY_IDENTIFIER = '551d0e';
+const OID_KEY_USAGE = '551d0f';
+const OID_SUBJECT_ALT_NAME = '551d11';
+const OID_BASIC_CONSTRAINTS = '551d13';
+const OID_NAME_CONSTRAINTS = '551d1e';
+const OID_AUTHORITY_KEY_IDENTIFIER = '551d23';
+const OID_EXTENDED_KEY_USAGE = '551d25';
+const OID_ANY_EXTENDED_KEY_USAGE = '551d2500';
+const OID_SERVER_AUTH = '2b06010505070301';
+const KEY_USAGE_CERT_SIGN = 0x04;
+const IPV4_LENGTH = 4;
+
+// a certificate with any other critical extension is rejected, as its meaning can't be enforced here
+const SUPPORTED_CRITICAL_EXTENSIONS = [
+  OID_SUBJECT_KEY_IDENTIFIER,
+  OID_KEY_USAGE,
+  OID_SUBJECT_ALT_NAME,
+  OID_BASIC_CONSTRAINTS,
+  OID_NAME_CONSTRAINTS,
+  OID_AUTHORITY_KEY_IDENTIFIER,
+  OID_EXTENDED_KEY_USAGE,
+];
+
+// hash used by the supported signature algorithms, keyed by the hex encoded OID, SHA-1 is rejected like Chromium does
+const SIGNATURE_ALGORITHMS = {
+  '2a864886f70d01010b': 'sha256', // sha256WithRSAEncryption
+  '2a864886f70d01010c': 'sha384', // sha384WithRSAEncryption
+  '2a864886f70d01010d': 'sha512', // sha512WithRSAEncryption
+  '2a8648ce3d040302': 'sha256', // ecdsa-with-SHA256
+  '2a8648ce3d040303': 'sha384', // ecdsa-with-SHA384
+  '2a8648ce3d040304': 'sha512', // ecdsa-with-SHA512
+};
+
+// reads the DER element starting at offset
+function readElement(buffer, offset) {
+  const tag = buffer[offset];
+  let length = buffer[offset + 1];
+  let headerLength = 2;
+  if (length & DER_LONG_LENGTH) {
+    const lengthBytes = length & DER_LENGTH_BYTES;
+    length = buffer.readUIntBE(offset + 2, lengthBytes);
+    headerLength += lengthBytes;
+  }
+  const start = offset + headerLength;
+  return {tag, start, end: start + length};
+}
+
+function readChildren(der, parent) {
+  const children = [];
+  let offset = parent.start;
+  while (offset < parent.end) {
+    const child = readElement(der, offset);
+    children.push(child);
+    offset = child.end;
+  }
+  return children;
+}
+
+function readString(der, element) {
+  return der.slice(element.start, element.end).toString('utf8');
+}
+
+// UTCTime is YYMMDDHHMMSSZ for the years 1950 to 2049, GeneralizedTime is YYYYMMDDHHMMSSZ
+function readTime(der, element) {
+  let value = readString(der, element);
+  if (element.tag === TAG_UTC_TIME) {
+    value = `${Number(value.slice(0, 2)) < 50 ? '20' : '19'}${value}`;
+  }
+  const [, year, month, day, hours, minutes, seconds] = value.match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/);
+  return Date.UTC(year, month - 1, day, hours, minutes, seconds);
+}
+
+function readIPAddress(der, element) {
+  return [...der.slice(element.start, element.end)];
+}
+
+// only the DNS names and IPv4 addresses are supported, any other kind of constraint makes the certificate unusable
+function readNameConstraints(der, subtrees) {
+  return readChildren(der, subtrees).map((subtree) => {
+    const [base] = readChildren(der, subtree);
+    if (base.tag === TAG_DNS_NAME) {
+      return {type: 'dns', name: readString(der, base).toLowerCase().replace(/^\./, '')};
+    }
+    if (base.tag === TAG_IP_ADDRESS && base.end - base.start === IPV4_LENGTH * 2) {
+      const bytes = readIPAddress(der, base);
+      return {type: 'ip', address: bytes.slice(0, IPV4_LENGTH), mask: bytes.slice(IPV4_LENGTH)};
+    }
+    return {type: 'unsupported'};
+  });
+}
+
+function pemToDER(pemData) {
+  return Buffer.from(pemData.replace(/-----(BEGIN|END) CERTIFICATE-----/g, '').replace(/\s/g, ''), 'base64');
+}
+
+/**
+ * Splits PEM data into the certificates it contains
+ *
+ * @param {string} pemData one or more PEM encoded certificates
+ */
+export function parseCertificates(pemData) {
+  return pemData.match(PEM_CERTIFICATE_REGEX) || [];
+}
+
+/**
+ * Reads the fields of a certificate needed to verify it, Electron doesn't expose its extensions
+ *
+ * @param {string} certificateData PEM encoded certificate
+ * @return {object} {notBefore, notAfter, commonNames, dnsNames, ipAddresses, isCA, pathLength, keyUsage, extendedKeyUsages, nameConstraints,
+ *                  hasUnsupportedCriticalExtension}, the dates in milliseconds, the extensions missing from the certificate are null
+ */
+export function parseCertificate(certificateData) {
+  const der = pemToDER(certificateData);
+  const certificate = readElement(der, 0);
+  const fields = readChildren(der, readElement(der, certificate.start));
+
+  // the version is optional, then come the serial number, signature, issuer, validity and subject
+  const offset = fields[0].tag === TAG_VERSION ? 1 : 0;
+  const [notBefore, notAfter] = readChildren(der, fields[offset + 3]).map((time) => readTime(der, time));
+  const result = {
+    notBefore,
+    notAfter,
+    commonNames: [],
+    dnsNames: [],
+    ipAddresses: [],
+    isCA: false,
+    pathLength: null,
+    keyUsage: null,
+    extendedKeyUsages: null,
+    nameConstraints: null,
+    hasUnsupportedCriticalExtension: false,
+  };
+  for (const relativeName of readChildren(der, fields[offset + 4])) {
+    for (const attribute of readChildren(der, relativeName)) {
+      const [type, value] = readChildren(der, attribute);
+      if (der.slice(type.start, type.end).toString('hex') === OID_COMMON_NAME) {
+        result.commonNames.push(readString(der, value).toLowerCase());
+      }
+    }
+  }
+
+  const extensions = fields.find((field) => field.tag === TAG_EXTENSIONS);
+  if (!extensions) {
+    return result;
+  }
+  for (const extension of readChildren(der, readElement(der, extensions.start))) {
+    const parts = readChildren(der, extension);
+    const id = der.slice(parts[0].start, parts[0].end).toString('hex');
+    const isCritical = parts[1].tag === TAG_BOOLEAN && der[parts[1].start] !== 0;
+    const value = readElement(der, parts[parts.length - 1].start); // DER encoded in the octet string
+    if (isCritical && !SUPPORTED_CRITICAL_EXTENSIONS.includes(id)) {
+      result.hasUnsupportedCriticalExtension = true;
+    }
+    if (id === OID_BASIC_CONSTRAINTS) {
+      const constraints = readChildren(der, value);
+      const isCA = constraints.find((constraint) => constraint.tag === TAG_BOOLEAN);
+      const pathLength = constraints.find((constraint) => constraint.tag === TAG_INTEGER);
+      result.isCA = Boolean(isCA && der[isCA.start]);
+      result.pathLength = pathLength ? der.readUIntBE(pathLength.start, pathLength.end - pathLength.start) : null;
+    } else if (id === OID_KEY_USAGE) {
+      // the first byte of the bit string is the number of unused bits, the flags checked here are all in the next one
+      result.keyUsage = value.end - value.start > 1 ? der[value.start + 1] : 0;
+    } else if (id === OID_EXTENDED_KEY_USAGE) {
+      result.extendedKeyUsages = readChildren(der, value).map((usage) => der.slice(usage.start, usage.end).toString('hex'));
+    } else if (id === OID_NAME_CONSTRAINTS) {
+      result.nameConstraints = {permitted: [], excluded: []};
+      for (const subtrees of readChildren(der, value)) {
+        if (subtrees.tag === TAG_PERMITTED_SUBTREES) {
+          result.nameConstraints.permitted = readNameConstraints(der, subtrees);
+        } else if (subtrees.tag === TAG_EXCLUDED_SUBTREES) {
+          result.nameConstraints.excluded = readNameConstraints(der, subtrees);
+        }
+      }
+    } else if (id === OID_SUBJECT_ALT_NAME) {
+      for (const name of readChildren(der, value)) {
+        if (name.tag === TAG_DNS_NAME) {
+          result.dnsNames.push(readString(der, name).toLowerCase());
+        } else if (name.tag === TAG_IP_ADDRESS && name.end - name.start === IPV4_LENGTH) {
+          result.ipAddresses.push(readIPAddress(der, name).join('.'));
+        }
+      }
+    }
+  }
+  return result;
+}
+
+function isValidAt(certificate, now) {
+  return certificate.notBefore <= now && now <= certificate.notAfter && !certificate.hasUnsupportedCriticalExtension;
+}
+
+function isServerCertificate(certificate) {
+  return certificate.extendedKeyUsages === null ||
+    certificate.extendedKeyUsages.some((usage) => usage === OID_SERVER_AUTH || usage === OID_ANY_EXTENDED_KEY_USAGE);
+}
+
+function matchesNameConstraint(constraint, name) {
+  if (constraint.type !== name.type) {
+    return false;
+  }
+  if (constraint.type === 'ip') {
+    return name.address.every((byte, index) => (byte & constraint.mask[index]) === (constraint.address[index] & constraint.mask[index]));
+  }
+  return !constraint.name || name.name === constraint.name || name.name.endsWith(`.${constraint.name}`);
+}
+
+// the names of the certificate must be in the permitted subtrees of their type, if there are any, and in none of the excluded ones
+function satisfiesNameConstraints(nameConstraints, certificate) {
+  if (nameConstraints === null) {
+    return true;
+  }
+  const {permitted, excluded} = nameConstraints;
+  if ([...permitted, ...excluded].some((constraint) => constraint.type === 'unsupported')) {
+    return false;
+  }
+  const hasAltNames = certificate.dnsNames.length > 0 || certificate.ipAddresses.length > 0;
+  const names = [
+    ...(hasAltNames ? certificate.dnsNames : certificate.commonNames).map((name) => ({type: 'dns', name})),
+    ...certificate.ipAddresses.map((address) => ({type: 'ip', address: address.split('.').map(Number)})),
+  ];
+  return names.every((name) => {
+    const permittedOfType = permitted.filter((constraint) => constraint.type === name.type);
+    if (permittedOfType.length && !permittedOfType.some((constraint) => matchesNameConstraint(constraint, name))) {
+      return false;
+    }
+    return !excluded.some((constraint) => matchesNameConstraint(constraint, name));
+  });
+}
+
+/**
+ * Checks that a certificate authority may issue the next certificate of a chain
+ *
+ * @param {object} issuer certificate authority read by parseCertificate
+ * @param {array} chain certificates it would be the issuer of, starting from the server certificate
+ * @param {number} now time of the verification in milliseconds
+ */
+function canIssue(issuer, chain, now) {
+  const intermediateCount = chain.length - 1;
+  return issuer.isCA && isValidAt(issuer, now) &&
+    (issuer.keyUsage === null || (issuer.keyUsage & KEY_USAGE_CERT_SIGN) !== 0) &&
+    (issuer.pathLength === null || intermediateCount <= issuer.pathLength) &&
+    satisfiesNameConstraints(issuer.nameConstraints, chain[0]);
+}
+
+// a wildcard only covers the leftmost label, and never a whole domain like *.com
+function matchesName(name, hostname) {
+  if (!name.startsWith('*.')) {
+    return name === hostname;
+  }
+  const domain = name.slice(2);
+  return domain.includes('.') && hostname.indexOf('.') > 0 && hostname.slice(hostname.indexOf('.') + 1) === domain;
+}
+
+/**
+ * Checks that a certificate has been issued for a hostname, the common name is only used without subject alternative names
+ *
+ * @param {object} certificate certificate read by parseCertificate
+ * @param {string} hostname hostname of the server, IPv6 addresses never match
+ */
+export function isIssuedFor(certificate, hostname) {
+  const name = hostname.toLowerCase().replace(/\.$/, '');
+  if (net.isIPv4(name)) {
+    return certificate.ipAddresses.includes(name);
+  }
+  const hasAltNames = certificate.dnsNames.length > 0 || certificate.ipAddresses.length > 0;
+  return (hasAltNames ? certificate.dnsNames : certificate.commonNames).some((pattern) => matchesName(pattern, name));
+}
+
+/**
+ * Checks that a certificate has been signed by the key of another one
+ *
+ * @param {string} certificateData PEM encoded certificate
+ * @param {string} issuerData PEM encoded certificate of the possible issuer
+ */
+export function isIssuedBy(certificateData, issuerData) {
+  try {
+    const der = pemToDER(certificateData);
+    const certificate = readElement(der, 0);
+    const tbsCertificate = readElement(der, certificate.start);
+    const signatureAlgorithm = readElement(der, tbsCertificate.end);
+    const algorithmOID = readElement(der, signatureAlgorithm.start);
+    const signatureValue = readElement(der, signatureAlgorithm.end);
+    const hash = SIGNATURE_ALGORITHMS[der.slice(algorithmOID.start, algorithmOID.end).toString('hex')];
+    if (!hash) {
+      return false;
+    }
+
+    // the first byte of the bit string is the number of unused bits
+    const signature = der.slice(signatureValue.start + 1, signatureValue.end);
+    const signedData = der.slice(certificate.start, tbsCertificate.end);
+    return crypto.verify(hash, signedData, crypto.createPublicKey(issuerData), signature);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Certificate authorities loaded from a directory of PEM files, trusted as roots for the listed origins only
+ */
+export default class CABundle {
+  constructor() {
+    this.directory = null;
+    this.hostnames = [];
+    this.authorities = [];
+  }
+
+  /**
+   * Updates the bundle from the configuration, the directory is only read again when it changes
+   *
+   * @param {string} directory directory containing the .pem and .crt files, null to trust no additional authority
+   * @param {array} origins URLs of the servers the authorities are trusted for
+   */
+  update(directory, origins) {
+    this.hostnames = (origins || []).map((origin) => {
+      const parsedURL = urlUtils.parseURL(origin);
+      return parsedURL && parsedURL.hostname;
+    }).filter(Boolean);
+    if (directory !== this.directory) {
+      this.directory = directory;
+      this.authorities = directory ? this.loadAuthorities(directory) : [];
+    }
+    return this;
+  }
+
+  loadAuthorities(directory) {
+    let files = [];
+    try {
+      files = fs.readdirSync(directory).filter((file) => BUNDLE_FILE_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+    } catch (error) {
+      log.error(`Failed to read the CA bundle directory ${directory}:`, error);
+      return [];
+    }
+    return files.reduce((authorities, file) => {
+      try {
+        const certificates = parseCertificates(fs.readFileSync(path.join(directory, file), 'utf8'));
+        certificates.forEach((data) => {
+          // skips the whole file if any certificate can't be read
+          crypto.createPublicKey(data);
+          parseCertificate(data);
+        });
+        authorities.push(...certificates.map((data) => ({file, data})));
+      } catch (error) {
+        log.error(`Failed to load the CA bundle file ${file}:`, error);
+      }
+      return authorities;
+    }, []);
+  }
+
+  appliesTo(hostname) {
+    return this.authorities.length > 0 && this.hostnames.includes(hostname);
+  }
+
+  /**
+   * Finds the authority of the bundle a certificate chain is anchored to, every link of the chain must be signed by the next one.
+   * Like Chromium would, the certificate must have been issued for the hostname and all of the certificates must be valid at that time.
+   * The issuers, the authority included, must be certificate authorities allowed to sign certificates, with path lengths and name
+   * constraints allowing the chain. Certificates signed with SHA-1 or with critical extensions that aren't supported are rejected.
+   *
+   * @param {object} certificate electron certificate, its issuers are linked through issuerCert
+   * @param {string} hostname hostname of the server presenting the certificate
+   * @param {number} now time of the verification in milliseconds
+   * @return {object} the {file, data} authority, null if the chain isn't anchored to the bundle
+   */
+  getTrustAnchor(certificate, hostname, now = Date.now()) {
+    try {
+      const leaf = parseCertificate(certificate.data);
+      if (!isValidAt(leaf, now) || !isIssuedFor(leaf, hostname) || !isServerCertificate(leaf)) {
+        return null;
+      }
+      const chain = [leaf];
+      let current = certificate;
+      const visited = [];
+      while (current && current.data && !visited.includes(current.data)) {
+        const currentData = current.data;
+        if (visited.length > 0) {
+          const issuer = parseCertificate(currentData);
+          if (!canIssue(issuer, chain, now)) {
+            return null;
+          }
+          chain.push(issuer);
+        }
+        visited.push(currentData);
+        const anchor = this.authorities.find((authority) => {
+          if (authority.data.replace(/\s/g, '') === currentData.replace(/\s/g, '')) {
+            return isValidAt(parseCertificate(authority.data), now);
+          }
+          return isIssuedBy(currentData, authority.data) && canIssue(parseCertificate(authority.data), chain, now);
+        });
+        if (anchor) {
+          return {file: anchor.file, data: anchor.data};
+        }
+        const issuer = current.issuerCert;
+        if (!issuer || !issuer.data || !isIssuedBy(currentData, issuer.data)) {
+          return null;
+        }
+        current = issuer;
+      }
+      return null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Wraps a verify proc for session.setCertificateVerifyProc to accept certificates issued by the CA bundle,
+ * only when the usual verification fails for an unknown authority and the verify proc doesn't reject them itself.
+ * Chromium only reports the unknown authority then, so the dates, issuers and hostname are checked again by getTrustAnchor.
+ *
+ * @param {function} verifyProc verify proc to wrap
+ * @param {function} getCABundle returns the up to date CABundle
+ * @param {function} onTrusted called with the hostname, the certificate and the anchor authority the first time a certificate gets trusted
+ */
+export function createCABundleVerifyProc(verifyProc, getCABundle, onTrusted) {
+  // Chromium verifies the certificate of every new connection, the trust is only reported once per hostname and certificate
+  const trusted = new Set();
+  return (request, callback) => {
+    verifyProc(request, (result) => {
+      if (result !== VERIFY_USE_CHROMIUM || request.errorCode !== ERR_CERT_AUTHORITY_INVALID) {
+        callback(result);
+        return;
+      }
+      const caBundle = getCABundle();
+      const anchor = caBundle.appliesTo(request.hostname) ? caBundle.getTrustAnchor(request.certificate, request.hostname) : null;
+      if (anchor) {
+        const trustedKey = `${request.hostname}\n${request.certificate.data}`;
+        if (!trusted.has(trustedKey)) {
+          trusted.add(trustedKey);
+          onTrusted(request.hostname, request.certificate, anchor);
+        }
+        callback(VERIFY_SUCCESS);
+        return;
+      }
+      callback(result);
+    });
+  };
+}
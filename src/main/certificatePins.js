@@ -0,0 +1,89 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import crypto from 'crypto';
+
+import urlUtils from '../utils/url';
+
+// values expected by session.setCertificateVerifyProc's callback
+export const VERIFY_SUCCESS = 0;
+export const VERIFY_FAILURE = -2;
+export const VERIFY_USE_CHROMIUM = -3;
+
+/**
+ * Computes the pin of a certificate, the base64 SHA-256 digest of its SubjectPublicKeyInfo as used by HPKP
+ *
+ * @param {string} pemData PEM encoded certificate
+ * @return {string} pin prefixed with 'sha256/'
+ */
+export function getSPKIFingerprint(pemData) {
+  const spki = crypto.createPublicKey(pemData).export({type: 'spki', format: 'der'});
+  return `sha256/${crypto.createHash('sha256').update(spki).digest('base64')}`;
+}
+
+/**
+ * Lists the pins of a certificate and of the certificates that issued it
+ *
+ * @param {object} certificate electron certificate, its issuers are linked through issuerCert
+ */
+export function getChainFingerprints(certificate) {
+  const fingerprints = [];
+  let current = certificate;
+  while (current && current.data) {
+    const fingerprint = getSPKIFingerprint(current.data);
+    if (fingerprints.includes(fingerprint)) {
+      break;
+    }
+    fingerprints.push(fingerprint);
+    current = current.issuerCert;
+  }
+  return fingerprints;
+}
+
+/**
+ * Returns the pins configured for a host, pins are configured per server URL
+ *
+ * @param {object} certificatePins eg. {'https://mattermost.example.com': ['sha256/...']}
+ * @param {string} hostname host of the connection being verified
+ */
+export function getPinsForHost(certificatePins, hostname) {
+  return Object.keys(certificatePins || {}).reduce((pins, serverURL) => {
+    const parsedURL = urlUtils.parseURL(serverURL);
+    if (parsedURL && parsedURL.hostname === hostname) {
+      pins.push(...certificatePins[serverURL]);
+    }
+    return pins;
+  }, []);
+}
+
+/**
+ * Creates a verify proc for session.setCertificateVerifyProc that rejects pinned hosts presenting any other certificate,
+ * the usual verification and the trusted certificates still apply to certificates matching a pin
+ *
+ * @param {function} getCertificatePins returns the currently configured pins
+ * @param {function} onPinMismatch called with {hostname, expected, received} when a certificate gets rejected
+ * @param {function} onPinMatch called with the hostname when a pinned host presents a matching certificate
+ */
+export function createCertificateVerifyProc(getCertificatePins, onPinMismatch, onPinMatch) {
+  return (request, callback) => {
+    const expected = getPinsForHost(getCertificatePins(), request.hostname);
+    if (!expected.length) {
+      callback(VERIFY_USE_CHROMIUM);
+      return;
+    }
+    let received = [];
+    try {
+      received = getChainFingerprints(request.certificate);
+    } catch (error) {
+      received = [];
+    }
+    if (received.some((fingerprint) => expected.includes(fingerprint))) {
+      onPinMatch(request.hostname);
+      callback(VERIFY_USE_CHROMIUM);
+      return;
+    }
+    onPinMismatch({hostname: request.hostname, expected, received});
+    callback(VERIFY_FAILURE);
+  };
+}
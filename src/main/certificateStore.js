@@ -16,6 +16,44 @@ function comparableCertificate(certificate) {
   };
 }
 
+// lists the certificates that issued a certificate, the certificate itself being first
+function certificateChain(certificate) {
+  const chain = [];
+  let current = certificate;
+  while (current && !chain.some(({fingerprint}) => fingerprint === current.fingerprint)) {
+    chain.push({
+      subjectName: current.subjectName,
+      issuerName: current.issuerName,
+      fingerprint: current.fingerprint,
+    });
+    current = current.issuerCert;
+  }
+  return chain;
+}
+
+/**
+ * Keeps what the certificate dialogs show, so it can be displayed after the connection is gone
+ *
+ * @param {object} certificate electron certificate, or a certificate stored along with its details
+ */
+export function getCertificateDetails(certificate) {
+  if (certificate.details) {
+    return certificate.details;
+  }
+  if (!certificate.subject || !certificate.issuer) {
+    return undefined;
+  }
+  return {
+    subject: {commonName: certificate.subject.commonName},
+    issuer: {commonName: certificate.issuer.commonName},
+    serialNumber: certificate.serialNumber,
+    validStart: certificate.validStart,
+    validExpiry: certificate.validExpiry,
+    fingerprint: certificate.fingerprint,
+    chain: certificateChain(certificate),
+  };
+}
+
 function areEqual(certificate0, certificate1) {
   if (certificate0.data !== certificate1.data) {
     return false;
@@ -39,14 +77,91 @@ function CertificateStore(storeFile) {
   } catch (e) {
     this.data = {};
   }
+
+  // certificates trusted for this session only, they are never saved
+  this.sessionData = {};
+
+  // certificates trusted as they were issued by the CA bundle, recorded to be listed only as the bundle is checked on every connection
+  this.caBundleData = {};
 }
 
 CertificateStore.prototype.save = function save() {
   fs.writeFileSync(this.storeFile, JSON.stringify(this.data, null, '  '));
 };
 
-CertificateStore.prototype.add = function add(targetURL, certificate) {
-  this.data[urlUtils.getHost(targetURL)] = comparableCertificate(certificate);
+/**
+ * Trusts the certificate of an origin
+ *
+ * @param {string} targetURL URL of the origin
+ * @param {object} certificate electron certificate, or a certificate stored by this or an exported store
+ * @param {boolean} sessionOnly whether to trust the certificate until the app quits only, it is then neither saved nor listed
+ */
+CertificateStore.prototype.add = function add(targetURL, certificate, sessionOnly = false) {
+  if (sessionOnly) {
+    this.sessionData[urlUtils.getHost(targetURL)] = comparableCertificate(certificate);
+    return;
+  }
+  this.data[urlUtils.getHost(targetURL)] = Object.assign(comparableCertificate(certificate), {
+    fingerprint: certificate.fingerprint,
+    dateTrusted: certificate.dateTrusted || new Date().toISOString(),
+    details: getCertificateDetails(certificate),
+  });
+};
+
+/**
+ * Records that the certificate of an origin got trusted as it was issued by an authority of the CA bundle
+ *
+ * @param {string} targetURL URL of the origin
+ * @param {object} certificate electron certificate
+ * @param {string} caBundleFile name of the CA bundle file containing the authority
+ */
+CertificateStore.prototype.recordCABundleTrust = function recordCABundleTrust(targetURL, certificate, caBundleFile) {
+  this.caBundleData[urlUtils.getHost(targetURL)] = Object.assign(comparableCertificate(certificate), {
+    fingerprint: certificate.fingerprint,
+    dateTrusted: new Date().toISOString(),
+    details: getCertificateDetails(certificate),
+    caBundleFile,
+  });
+};
+
+/**
+ * Lists the trusted certificates, sorted by origin
+ *
+ * @return {array} [{origin, issuerName, fingerprint, dateTrusted, details, caBundleFile}], certificates trusted by older versions lack the fingerprint, date and details,
+ *                 only the certificates trusted via the CA bundle have a caBundleFile
+ */
+CertificateStore.prototype.getCertificates = function getCertificates() {
+  const certificates = Object.assign({}, this.caBundleData, this.data);
+  return Object.keys(certificates).sort().map((origin) => {
+    const {issuerName, fingerprint, dateTrusted, details, caBundleFile} = certificates[origin];
+    return {origin, issuerName, fingerprint, dateTrusted, details, caBundleFile};
+  });
+};
+
+/**
+ * Stops trusting the certificate of an origin, the user gets asked again on the first connection after a restart
+ * as the certificate stays accepted by the running session
+ *
+ * @return {boolean} whether a certificate was trusted for the origin
+ */
+CertificateStore.prototype.revoke = function revoke(targetURL) {
+  if (!this.isExisting(targetURL)) {
+    return false;
+  }
+  delete this.data[urlUtils.getHost(targetURL)];
+  return true;
+};
+
+/**
+ * Writes the trusted certificate of an origin to a PEM file
+ */
+CertificateStore.prototype.exportCertificate = function exportCertificate(targetURL, filePath) {
+  const host = urlUtils.getHost(targetURL);
+  const trusted = this.data[host] || this.caBundleData[host];
+  if (!trusted) {
+    throw new Error(`No certificate is trusted for ${targetURL}`);
+  }
+  fs.writeFileSync(filePath, trusted.data, 'utf8');
 };
 
 CertificateStore.prototype.isExisting = function isExisting(targetURL) {
@@ -55,12 +170,28 @@ CertificateStore.prototype.isExisting = function isExisting(targetURL) {
 
 CertificateStore.prototype.isTrusted = function isTrusted(targetURL, certificate) {
   const host = urlUtils.getHost(targetURL);
+  if (this.sessionData[host] && areEqual(this.sessionData[host], comparableCertificate(certificate))) {
+    return true;
+  }
   if (!this.isExisting(targetURL)) {
     return false;
   }
   return areEqual(this.data[host], comparableCertificate(certificate));
 };
 
+/**
+ * Returns the details of the certificate trusted for an origin, certificates trusted by older versions only have their issuer
+ *
+ * @return {object} details as shown by the certificate dialogs, null if no certificate is trusted for the origin
+ */
+CertificateStore.prototype.getTrustedCertificateDetails = function getTrustedCertificateDetails(targetURL) {
+  if (!this.isExisting(targetURL)) {
+    return null;
+  }
+  const trusted = this.data[urlUtils.getHost(targetURL)];
+  return trusted.details || {issuer: {commonName: trusted.issuerName}};
+};
+
 export default {
   load(storeFile) {
     return new CertificateStore(storeFile);
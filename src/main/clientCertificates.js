@@ -0,0 +1,70 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import log from 'electron-log';
+
+import urlUtils from '../utils/url';
+
+// finds the entry of a rules or choices object, keyed by server URL, that applies to the origin of a URL
+function findForOrigin(entries, url) {
+  const parsedURL = urlUtils.parseURL(url);
+  if (!parsedURL || !entries) {
+    return null;
+  }
+  const key = Object.keys(entries).find((serverURL) => {
+    const parsedServerURL = urlUtils.parseURL(serverURL);
+    return parsedServerURL && parsedServerURL.origin === parsedURL.origin;
+  });
+  return key ? entries[key] : null;
+}
+
+function matchesPattern(pattern, value) {
+  if (!pattern) {
+    return true;
+  }
+  try {
+    return new RegExp(pattern, 'i').test(value || '');
+  } catch (error) {
+    log.warn(`Ignoring the invalid client certificate pattern ${pattern}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Keeps what identifies a client certificate, to remember it as the choice for a server
+ *
+ * @param {object} certificate electron certificate
+ */
+export function getClientCertificateChoice(certificate) {
+  return {
+    subjectName: certificate.subjectName,
+    issuerName: certificate.issuerName,
+    serialNumber: certificate.serialNumber,
+    fingerprint: certificate.fingerprint,
+  };
+}
+
+/**
+ * Picks the client certificate for a server without asking the user, the server's rule wins over the remembered choice
+ *
+ * @param {object} rules {issuer, subject} case insensitive patterns by server URL, the first candidate matching both is picked
+ * @param {object} choices certificates remembered by server URL, as returned by getClientCertificateChoice
+ * @param {string} url URL asking for a client certificate
+ * @param {array} list candidate electron certificates
+ * @return {object} the certificate to use, null to let the user pick one
+ */
+export function selectClientCertificate(rules, choices, url, list) {
+  const rule = findForOrigin(rules, url);
+  if (rule) {
+    const certificate = list.find((candidate) => matchesPattern(rule.issuer, candidate.issuerName) && matchesPattern(rule.subject, candidate.subjectName));
+    if (certificate) {
+      return certificate;
+    }
+  }
+  const choice = findForOrigin(choices, url);
+  if (choice) {
+    return list.find((candidate) => candidate.fingerprint === choice.fingerprint) || null;
+  }
+  return null;
+}
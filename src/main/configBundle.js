@@ -0,0 +1,260 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import fs from 'fs';
+import path from 'path';
+
+import {app, dialog, ipcMain} from 'electron';
+import log from 'electron-log';
+
+import {CONFIG_BUNDLE_PREVIEW_CHANNEL, CONFIG_BUNDLE_SELECTION_CHANNEL} from '../common/config/channels';
+import {PERMISSION_DESCRIPTION} from '../common/permissions';
+
+import allowProtocolDialog from './allowProtocolDialog';
+import * as Validator from './Validator';
+
+const BUNDLE_VERSION = 1;
+const NON_PREFERENCE_KEYS = ['teams', 'version', 'migrationHistory'];
+const BUNDLE_FILE_FILTERS = [{
+  name: 'Configuration bundles',
+  extensions: ['json'],
+}];
+
+let nextImportID = 0;
+
+/**
+ * Collects servers, preferences, trusted certificates, trusted origins and allowed protocols into a single bundle
+ *
+ * @param {object} stores the config, certificateStore and trustedOriginsStore instances to read from
+ */
+function createBundle({config, certificateStore, trustedOriginsStore}) {
+  return {
+    version: BUNDLE_VERSION,
+    appVersion: app.getVersion(),
+    exportedAt: new Date().toISOString(),
+    config: config.localData,
+    certificates: certificateStore.data,
+    trustedOrigins: Object.fromEntries(trustedOriginsStore.data.entries()),
+    allowedProtocols: allowProtocolDialog.getAllowedProtocols(),
+  };
+}
+
+/**
+ * Reads a bundle from disk and validates each of its parts, throws if any part doesn't validate
+ *
+ * @param {string} filePath path to the bundle file
+ */
+function readBundle(filePath) {
+  const bundle = Validator.validateConfigBundle(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  if (!bundle) {
+    throw new Error('The selected file is not a valid configuration bundle.');
+  }
+
+  const parts = [
+    ['config', Validator.validateConfigData, 'servers and preferences'],
+    ['certificates', Validator.validateCertificateStore, 'trusted certificates'],
+    ['trustedOrigins', Validator.validateTrustedOriginsStore, 'trusted origins'],
+    ['allowedProtocols', Validator.validateAllowedProtocols, 'allowed protocols'],
+  ];
+  return parts.reduce((validatedBundle, [key, validate, description]) => {
+    if (bundle[key]) {
+      validatedBundle[key] = validate(bundle[key]);
+      if (!validatedBundle[key]) {
+        throw new Error(`The ${description} in the selected bundle are not valid.`);
+      }
+    }
+    return validatedBundle;
+  }, {});
+}
+
+// imported servers are added to the local ones, skipping servers that are already configured
+function getNewTeams(bundle, config) {
+  if (!bundle.config || !config.enableServerManagement) {
+    return [];
+  }
+  const localTeams = config.localTeams;
+  const mergedTeams = config.filterOutDuplicateTeams([...localTeams, ...bundle.config.teams]);
+  return config.filterOutPredefinedTeams(mergedTeams.filter((team) => !localTeams.includes(team)));
+}
+
+function getPreferences(bundle) {
+  if (!bundle.config) {
+    return [];
+  }
+  return Object.entries(bundle.config).
+    filter(([key]) => !NON_PREFERENCE_KEYS.includes(key)).
+    map(([key, data]) => ({key, data}));
+}
+
+// certificates trusted by older versions lack the fingerprint
+function describeCertificate(certificate) {
+  return certificate.fingerprint ? `Issued by ${certificate.issuerName}, ${certificate.fingerprint}` : `Issued by ${certificate.issuerName}`;
+}
+
+function describePermissions(permissions) {
+  return Object.entries(permissions).
+    map(([permission, granted]) => `${PERMISSION_DESCRIPTION[permission] || permission}: ${granted ? 'allowed' : 'denied'}`).
+    join(', ');
+}
+
+/**
+ * Lists every entry a bundle would import, grouped by section, for the user to choose which ones get imported
+ *
+ * @param {object} bundle validated bundle
+ * @param {object} stores the config instance to compare the servers with
+ * @return {array} sections {key, title, note, entries}, each entry being {id, label, detail}
+ */
+function describeBundle(bundle, {config}) {
+  const sections = [];
+  if (bundle.config) {
+    const newTeams = getNewTeams(bundle, config);
+    const skippedTeams = bundle.config.teams.length - newTeams.length;
+    sections.push({
+      key: 'servers',
+      title: 'Servers',
+      note: skippedTeams ? `${skippedTeams} already configured or predefined servers are skipped.` : null,
+      entries: newTeams.map((team) => ({id: team.url, label: team.name, detail: team.url})),
+    });
+    sections.push({
+      key: 'preferences',
+      title: 'Preferences',
+      note: 'The selected preferences replace the current ones.',
+      entries: getPreferences(bundle).map(({key, data}) => ({id: key, label: key, detail: JSON.stringify(data)})),
+    });
+  }
+  if (bundle.certificates) {
+    sections.push({
+      key: 'certificates',
+      title: 'Trusted certificates',
+      note: 'These certificates will be trusted permanently, even though they are not trusted by your system.',
+      entries: Object.entries(bundle.certificates).map(([origin, certificate]) => ({
+        id: origin,
+        label: origin,
+        detail: describeCertificate(certificate),
+      })),
+    });
+  }
+  if (bundle.trustedOrigins) {
+    sections.push({
+      key: 'trustedOrigins',
+      title: 'Trusted origins',
+      note: 'These sites will not ask again for the permissions already answered.',
+      entries: Object.entries(bundle.trustedOrigins).map(([origin, permissions]) => ({id: origin, label: origin, detail: describePermissions(permissions)})),
+    });
+  }
+  if (bundle.allowedProtocols) {
+    sections.push({
+      key: 'allowedProtocols',
+      title: 'Allowed protocols',
+      note: 'Links using these protocols will open their application without asking.',
+      entries: bundle.allowedProtocols.map((protocol) => ({id: protocol, label: protocol, detail: null})),
+    });
+  }
+  return sections;
+}
+
+// shows the bundle in the main window, resolves with the ids of the entries to import by section, null when cancelled
+function requestSelection(mainWindow, sections) {
+  return new Promise((resolve) => {
+    const importID = nextImportID++;
+    const handleSelection = (event, selectionID, selection) => {
+      if (selectionID !== importID) {
+        return;
+      }
+      ipcMain.removeListener(CONFIG_BUNDLE_SELECTION_CHANNEL, handleSelection);
+      resolve(selection);
+    };
+    ipcMain.on(CONFIG_BUNDLE_SELECTION_CHANNEL, handleSelection);
+    mainWindow.webContents.send(CONFIG_BUNDLE_PREVIEW_CHANNEL, importID, sections);
+  });
+}
+
+/**
+ * Imports the entries of a bundle the user selected
+ *
+ * @param {object} bundle validated bundle
+ * @param {object} stores the config, certificateStore and trustedOriginsStore instances to update
+ * @param {object} selection ids of the entries to import by section, as listed by describeBundle
+ * @return {Promise} resolved once the configuration has been saved
+ */
+function applyBundle(bundle, {config, certificateStore, trustedOriginsStore}, selection) {
+  const isSelected = (section, id) => (selection[section] || []).includes(id);
+  let savingConfig = Promise.resolve();
+  if (bundle.config) {
+    const properties = getPreferences(bundle).filter(({key}) => isSelected('preferences', key));
+    const newTeams = getNewTeams(bundle, config).filter((team) => isSelected('servers', team.url));
+    if (newTeams.length) {
+      const localTeams = config.localTeams;
+      properties.push({
+        key: 'teams',
+        data: [...localTeams, ...newTeams.map((team, index) => Object.assign({}, team, {order: localTeams.length + index}))],
+      });
+    }
+    savingConfig = config.setMultiple(properties);
+  }
+  const certificates = Object.entries(bundle.certificates || {}).filter(([origin]) => isSelected('certificates', origin));
+  if (certificates.length) {
+    certificates.forEach(([origin, certificate]) => certificateStore.add(origin, certificate));
+    certificateStore.save();
+  }
+  const trustedOrigins = Object.entries(bundle.trustedOrigins || {}).filter(([origin]) => isSelected('trustedOrigins', origin));
+  if (trustedOrigins.length) {
+    trustedOrigins.forEach(([origin, permissions]) => trustedOriginsStore.set(origin, permissions));
+    trustedOriginsStore.save();
+  }
+  const allowedProtocols = (bundle.allowedProtocols || []).filter((protocol) => isSelected('allowedProtocols', protocol));
+  if (allowedProtocols.length) {
+    allowProtocolDialog.addAllowedProtocols(allowedProtocols);
+  }
+  return savingConfig;
+}
+
+function showError(mainWindow, title, error) {
+  log.error(`${title}: ${error}`);
+  dialog.showMessageBox(mainWindow, {
+    title,
+    message: error.message,
+    type: 'error',
+  });
+}
+
+function exportBundle(mainWindow, stores) {
+  dialog.showSaveDialog(mainWindow, {
+    title: 'Export Configuration',
+    defaultPath: path.join(app.getPath('documents'), 'mattermost-desktop-config.json'),
+    filters: BUNDLE_FILE_FILTERS,
+  }).then(({canceled, filePath}) => {
+    if (canceled || !filePath) {
+      return;
+    }
+    fs.writeFileSync(filePath, JSON.stringify(createBundle(stores), null, '  '), 'utf8');
+    log.info(`Configuration exported to ${filePath}`);
+  }).catch((error) => showError(mainWindow, 'Export Failed', error));
+}
+
+function importBundle(mainWindow, stores) {
+  dialog.showOpenDialog(mainWindow, {
+    title: 'Import Configuration',
+    properties: ['openFile'],
+    filters: BUNDLE_FILE_FILTERS,
+  }).then(({canceled, filePaths}) => {
+    if (canceled || !filePaths.length) {
+      return null;
+    }
+    const bundle = readBundle(filePaths[0]);
+    return requestSelection(mainWindow, describeBundle(bundle, stores)).then((selection) => {
+      if (!selection) {
+        return null;
+      }
+      return applyBundle(bundle, stores, selection).then(() => {
+        log.info(`Configuration imported from ${filePaths[0]}`);
+      });
+    });
+  }).catch((error) => showError(mainWindow, 'Import Failed', error));
+}
+
+export default {
+  exportBundle,
+  importBundle,
+};
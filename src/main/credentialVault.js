@@ -0,0 +1,138 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import crypto from 'crypto';
+import fs from 'fs';
+
+import log from 'electron-log';
+
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const VAULT_VERSION = 1;
+const KEYCHAIN_SERVICE = 'Mattermost';
+const KEYCHAIN_ACCOUNT = 'credential-vault';
+
+function getEntryKey(origin, realm) {
+  return JSON.stringify([origin, realm || '']);
+}
+
+/**
+ * Loads keytar, which stores secrets in the OS keychain (macOS Keychain, Windows Credential Manager, libsecret on Linux)
+ *
+ * @returns {object} the keytar module, or null when it can't be loaded, eg. without libsecret
+ */
+export function loadKeychain() {
+  try {
+    return require('keytar'); // eslint-disable-line global-require
+  } catch (error) {
+    log.warn(`The OS keychain is not available, credentials won't be remembered: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Keeps the credentials the user chose to remember for basic and proxy authentication, keyed by origin and realm.
+ * The vault is encrypted with AES-256-GCM using a random key kept in the OS keychain, never next to the vault,
+ * so a copy of the user data folder doesn't reveal the passwords. Without a keychain nothing is remembered.
+ */
+export default class CredentialVault {
+  /**
+   * @param {string} vaultFile path of the encrypted credentials
+   * @param {object} keychain the keytar API, null when the OS keychain isn't available
+   */
+  constructor(vaultFile, keychain) {
+    this.vaultFile = vaultFile;
+    this.keychain = keychain;
+    this.key = null;
+    this.data = new Map();
+  }
+
+  getKey = async () => {
+    if (!this.keychain) {
+      return null;
+    }
+    try {
+      const storedKey = await this.keychain.getPassword(KEYCHAIN_SERVICE, KEYCHAIN_ACCOUNT);
+      if (storedKey) {
+        const key = Buffer.from(storedKey, 'base64');
+        if (key.length === KEY_LENGTH) {
+          return key;
+        }
+        log.warn('The credential vault key is damaged, the saved credentials are lost');
+      }
+      const key = crypto.randomBytes(KEY_LENGTH);
+      await this.keychain.setPassword(KEYCHAIN_SERVICE, KEYCHAIN_ACCOUNT, key.toString('base64'));
+      return key;
+    } catch (error) {
+      log.warn(`Failed to access the OS keychain, credentials won't be remembered: ${error.message}`);
+      return null;
+    }
+  }
+
+  // credentials can only be remembered once the key has been retrieved from the keychain
+  isAvailable = () => {
+    return this.key !== null;
+  }
+
+  // a vault that can't be read is replaced by an empty one rather than preventing the app to start
+  load = async () => {
+    this.data = new Map();
+    this.key = await this.getKey();
+    if (!this.key || !fs.existsSync(this.vaultFile)) {
+      return;
+    }
+    try {
+      const vault = JSON.parse(fs.readFileSync(this.vaultFile, 'utf-8'));
+      const decipher = crypto.createDecipheriv(CIPHER, this.key, Buffer.from(vault.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(vault.tag, 'base64'));
+      const entries = JSON.parse(Buffer.concat([decipher.update(Buffer.from(vault.data, 'base64')), decipher.final()]).toString('utf8'));
+      entries.forEach((entry) => this.data.set(getEntryKey(entry.origin, entry.realm), entry));
+    } catch (error) {
+      log.error(`Failed to read the credential vault, starting with an empty one: ${error.message}`);
+    }
+  }
+
+  save = () => {
+    if (!this.key) {
+      return;
+    }
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(CIPHER, this.key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify([...this.data.values()]), 'utf8'), cipher.final()]);
+    const vault = {
+      version: VAULT_VERSION,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+    fs.writeFileSync(this.vaultFile, JSON.stringify(vault), {mode: 0o600});
+  }
+
+  /**
+   * Remembers the credentials of an origin's realm, replacing the previous ones
+   *
+   * @param {string} origin origin of the server, or host:port of a proxy
+   * @param {string} realm realm of the authentication challenge
+   * @param {object} credentials {username, password, isProxy}
+   */
+  set = (origin, realm, {username, password, isProxy = false}) => {
+    this.data.set(getEntryKey(origin, realm), {origin, realm: realm || '', username, password, isProxy, dateSaved: new Date().toISOString()});
+  }
+
+  get = (origin, realm) => {
+    return this.data.get(getEntryKey(origin, realm)) || null;
+  }
+
+  delete = (origin, realm) => {
+    return this.data.delete(getEntryKey(origin, realm));
+  }
+
+  // lists the saved credentials without their passwords, sorted by origin
+  list = () => {
+    return [...this.data.values()].
+      map(({origin, realm, username, isProxy, dateSaved}) => ({origin, realm, username, isProxy, dateSaved})).
+      sort((a, b) => a.origin.localeCompare(b.origin) || a.realm.localeCompare(b.realm));
+  }
+}
@@ -0,0 +1,51 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import {app, BrowserWindow} from 'electron';
+
+let effectiveConfigWindow = null;
+
+/**
+ * Shows the diagnostics window listing every effective config value and where it comes from,
+ * only a single window is kept open at a time
+ *
+ * @param {BrowserWindow} parentWindow window the diagnostics window belongs to
+ * @param {object} options linuxAppIcon used as the window icon on Linux
+ */
+export default function showEffectiveConfigWindow(parentWindow, options = {}) {
+  if (effectiveConfigWindow) {
+    effectiveConfigWindow.show();
+    return effectiveConfigWindow;
+  }
+
+  const windowWidth = 800;
+  const windowHeight = 600;
+  const windowOptions = {
+    title: `${app.name} Effective Configuration`,
+    parent: parentWindow,
+    show: false,
+    width: windowWidth,
+    height: windowHeight,
+    autoHideMenuBar: true,
+    backgroundColor: '#fff', // prevents blurry text: https://electronjs.org/docs/faq#the-font-looks-blurry-what-is-this-and-what-can-i-do
+    webPreferences: {
+      nodeIntegration: true,
+      contextIsolation: false,
+    },
+  };
+  if (process.platform === 'linux') {
+    windowOptions.icon = options.linuxAppIcon;
+  }
+
+  effectiveConfigWindow = new BrowserWindow(windowOptions);
+  effectiveConfigWindow.once('ready-to-show', () => {
+    effectiveConfigWindow.show();
+  });
+  effectiveConfigWindow.once('closed', () => {
+    effectiveConfigWindow = null;
+  });
+  effectiveConfigWindow.loadURL((global.isDev ? 'http://localhost:8080' : `file://${app.getAppPath()}`) + '/browser/effectiveConfig.html');
+
+  return effectiveConfigWindow;
+}
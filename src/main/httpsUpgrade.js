@@ -0,0 +1,43 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import {getHTTPSURL} from '../common/https';
+
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Checks whether a server that isn't using HTTPS can be reached over HTTPS, any response counts as long as the certificate is valid
+ *
+ * @param {string} url http:// URL of the server
+ * @param {function} request creates the request, eg. net.request
+ * @param {number} timeout milliseconds to wait for the server to respond
+ * @return {Promise} resolves with the https:// URL of the server, null if it can't be reached
+ */
+export function checkHTTPSUpgrade(url, request, timeout = DEFAULT_TIMEOUT) {
+  const httpsURL = getHTTPSURL(url);
+  if (httpsURL === url) {
+    return Promise.resolve(null);
+  }
+  return new Promise((resolve) => {
+    const httpsRequest = request({method: 'HEAD', url: httpsURL, redirect: 'manual'});
+    const timer = setTimeout(() => {
+      httpsRequest.abort();
+      resolve(null);
+    }, timeout);
+    httpsRequest.on('response', () => {
+      clearTimeout(timer);
+      resolve(httpsURL);
+    });
+    httpsRequest.on('redirect', () => {
+      clearTimeout(timer);
+      httpsRequest.abort();
+      resolve(httpsURL);
+    });
+    httpsRequest.on('error', () => {
+      clearTimeout(timer);
+      resolve(null);
+    });
+    httpsRequest.end();
+  });
+}
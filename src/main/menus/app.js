@@ -3,7 +3,9 @@
 // See LICENSE.txt for license information.
 'use strict';
 
-import {app, dialog, Menu, shell} from 'electron';
+import {app, dialog, ipcMain, Menu, shell} from 'electron';
+
+import createProfilesMenu from './profiles';
 
 function createTemplate(mainWindow, config, isDev) {
   const settingsURL = isDev ? 'http://localhost:8080/browser/settings.html' : `file://${app.getAppPath()}/browser/settings.html`;
@@ -48,6 +50,18 @@ function createTemplate(mainWindow, config, isDev) {
     });
   }
 
+  platformAppMenu.push(separatorItem, {
+    label: 'Export Configuration...',
+    click() {
+      ipcMain.emit('export-config-bundle');
+    },
+  }, {
+    label: 'Import Configuration...',
+    click() {
+      ipcMain.emit('import-config-bundle');
+    },
+  }, separatorItem, createProfilesMenu());
+
   platformAppMenu = platformAppMenu.concat(process.platform === 'darwin' ? [
     separatorItem, {
       role: 'hide',
@@ -193,6 +207,7 @@ function createTemplate(mainWindow, config, isDev) {
     viewSubMenu.push(separatorItem);
     viewSubMenu.push({
       label: 'Toggle Dark Mode',
+      enabled: typeof (config.lockedPreferences || {}).darkMode === 'undefined',
       click() {
         mainWindow.webContents.send('set-dark-mode');
       },
@@ -275,6 +290,13 @@ function createTemplate(mainWindow, config, isDev) {
     });
     submenu.push(separatorItem);
   }
+  submenu.push({
+    label: 'Show Effective Configuration...',
+    click() {
+      ipcMain.emit('show-effective-configuration');
+    },
+  });
+  submenu.push(separatorItem);
   submenu.push({
     label: `Version ${app.getVersion()}`,
     enabled: false,
@@ -0,0 +1,32 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import {ipcMain} from 'electron';
+
+import {NEW_PROFILE_CHANNEL} from '../../common/profiles';
+
+import profiles from '../profiles';
+
+// lists the default profile and every named profile, picking another profile opens it in a separate instance
+export default function createProfilesMenu() {
+  const currentProfile = profiles.getCurrentProfile();
+  return {
+    label: 'Profiles',
+    submenu: [...[null, ...profiles.getProfiles()].map((profile) => ({
+      label: profile || 'Default',
+      type: 'radio',
+      checked: profile === currentProfile,
+      click() {
+        ipcMain.emit('open-profile', null, profile);
+      },
+    })), {
+      type: 'separator',
+    }, {
+      label: 'New Profile...',
+      click() {
+        ipcMain.emit(NEW_PROFILE_CHANNEL);
+      },
+    }],
+  };
+}
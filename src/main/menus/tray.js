@@ -5,6 +5,8 @@
 
 import {app, Menu} from 'electron';
 
+import createProfilesMenu from './profiles';
+
 function createTemplate(mainWindow, config, isDev) {
   const settingsURL = isDev ? 'http://localhost:8080/browser/settings.html' : `file://${app.getAppPath()}/browser/settings.html`;
   const teams = config.teams;
@@ -24,7 +26,7 @@ function createTemplate(mainWindow, config, isDev) {
       };
     }), {
       type: 'separator',
-    }, {
+    }, createProfilesMenu(), {
       label: process.platform === 'darwin' ? 'Preferences...' : 'Settings',
       click: () => {
         mainWindow.loadURL(settingsURL);
@@ -0,0 +1,55 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import fs from 'fs';
+
+import Config from '../common/config';
+import upgradeConfigData, {getConfigVersion, getPendingMigrations, LATEST_CONFIG_VERSION} from '../common/config/upgradePreferences';
+
+import * as Validator from './Validator';
+
+function readConfigData(configFilePath) {
+  const configData = JSON.parse(fs.readFileSync(configFilePath, 'utf8'));
+  const validatedData = Validator.validateConfigData(configData);
+  if (!validatedData) {
+    throw new Error(`The configuration does not validate: ${Validator.getConfigDataErrors(configData).join(', ')}`);
+  }
+  return validatedData;
+}
+
+/**
+ * Migrates a config file to the latest version from the command line, the transformed config is printed
+ *
+ * @param {string} configFilePath path to the config file to migrate
+ * @param {object} options dryRun to only print the transformed config and leave the file untouched, output to print to
+ * @return {boolean} whether the config file could be migrated
+ */
+export default function migrateConfig(configFilePath, {dryRun = false, output = process.stdout} = {}) {
+  let configData;
+  try {
+    configData = readConfigData(configFilePath);
+  } catch (error) {
+    output.write(`Failed to read ${configFilePath}: ${error.message}\n`);
+    return false;
+  }
+
+  const configVersion = getConfigVersion(configData);
+  const migrations = getPendingMigrations(configData);
+  if (configVersion > LATEST_CONFIG_VERSION) {
+    output.write(`${configFilePath} is at version ${configVersion}, which is newer than this app supports. Nothing to migrate.\n`);
+  } else if (migrations.length) {
+    output.write(`${dryRun ? 'Would migrate' : 'Migrating'} ${configFilePath} from version ${configVersion} to ${LATEST_CONFIG_VERSION}:\n`);
+    migrations.forEach(({version, description}) => output.write(`  v${version}: ${description}\n`));
+  } else {
+    output.write(`${configFilePath} is already at version ${configVersion}. Nothing to migrate.\n`);
+  }
+
+  let migratedData = configData;
+  if (migrations.length) {
+    // loading the config file through Config migrates it and keeps a backup of the original file
+    migratedData = dryRun ? upgradeConfigData(configData) : new Config(configFilePath).localData;
+  }
+  output.write(`${JSON.stringify(migratedData, null, '  ')}\n`);
+  return true;
+}
@@ -0,0 +1,112 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import {spawn} from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+import log from 'electron-log';
+
+import {isValidProfileName} from '../common/profiles';
+
+const PROFILES_DIRECTORY = 'profiles';
+
+let baseDataPath = null;
+let currentProfile = null;
+let launchArgs = [];
+
+/**
+ * Sets up profiles for this instance of the app
+ *
+ * @param {string} userDataPath data directory of the default profile
+ * @param {string} profile name of the profile to use, null or undefined for the default profile
+ * @param {array} args arguments, besides the profile, that other profiles should be launched with
+ * @return {string} data directory of the profile to use, created on the first launch of the profile
+ */
+function init(userDataPath, profile, args = []) {
+  if (profile && !isValidProfileName(profile)) {
+    throw new Error(`Invalid profile name: ${profile}`);
+  }
+  baseDataPath = userDataPath;
+  currentProfile = profile || null;
+  launchArgs = args;
+  return createProfileDataPath(currentProfile);
+}
+
+function getProfileDataPath(profile) {
+  return profile ? path.join(baseDataPath, PROFILES_DIRECTORY, profile) : baseDataPath;
+}
+
+function createProfileDataPath(profile) {
+  const dataPath = getProfileDataPath(profile);
+  fs.mkdirSync(dataPath, {recursive: true});
+  return dataPath;
+}
+
+function getCurrentProfile() {
+  return currentProfile;
+}
+
+/**
+ * Lists the named profiles that have a data directory, the current profile is always included
+ */
+function getProfiles() {
+  let profiles = [];
+  try {
+    profiles = fs.readdirSync(path.join(baseDataPath, PROFILES_DIRECTORY), {withFileTypes: true}).
+      filter((entry) => entry.isDirectory() && isValidProfileName(entry.name)).
+      map((entry) => entry.name);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.error('Failed to list profiles:', error);
+    }
+  }
+  if (currentProfile && !profiles.includes(currentProfile)) {
+    profiles.push(currentProfile);
+  }
+  return profiles.sort();
+}
+
+/**
+ * Creates the data directory of a new profile so it gets listed in the menus, an existing profile is kept as is
+ *
+ * @param {string} profile name of the profile to create
+ */
+function createProfile(profile) {
+  if (!isValidProfileName(profile)) {
+    throw new Error(`Invalid profile name: ${profile}`);
+  }
+  createProfileDataPath(profile);
+}
+
+function getLaunchArgs(profile) {
+  return profile ? [...launchArgs, '--profile', profile] : launchArgs;
+}
+
+/**
+ * Starts a separate instance of the app for a profile, if that profile is already running its window gets focused instead
+ *
+ * @param {string} profile name of the profile to open, null for the default profile
+ */
+function openProfile(profile) {
+  if (profile && !isValidProfileName(profile)) {
+    throw new Error(`Invalid profile name: ${profile}`);
+  }
+  const child = spawn(process.execPath, getLaunchArgs(profile), {
+    detached: true,
+    stdio: 'ignore',
+  });
+  child.on('error', (error) => log.error(`Failed to open profile ${profile || 'default'}:`, error));
+  child.unref();
+}
+
+export default {
+  init,
+  getProfileDataPath,
+  getCurrentProfile,
+  getProfiles,
+  createProfile,
+  getLaunchArgs,
+  openProfile,
+};
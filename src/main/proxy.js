@@ -0,0 +1,158 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import urlUtils from '../utils/url';
+import {PROXY_SYSTEM, PROXY_DIRECT, PROXY_FIXED, PROXY_PAC} from '../common/proxy';
+
+const HTTP_OK = 200;
+
+// PAC return values by proxy URL scheme
+const PAC_PROXY_TYPES = {
+  'http:': 'PROXY',
+  'https:': 'HTTPS',
+  'socks:': 'SOCKS',
+  'socks4:': 'SOCKS',
+  'socks5:': 'SOCKS5',
+};
+
+/**
+ * Converts a proxy server, eg. 'socks5://proxy.example.com:1080' or 'proxy.example.com:3128', to what a PAC script returns
+ *
+ * @param {string} proxyServer proxy URL, http is assumed without a scheme
+ */
+export function getPACDirective(proxyServer) {
+  const proxyURL = urlUtils.parseURL(proxyServer.includes('://') ? proxyServer : `http://${proxyServer}`);
+  if (!proxyURL || !PAC_PROXY_TYPES[proxyURL.protocol]) {
+    throw new Error(`Invalid proxy server: ${proxyServer}`);
+  }
+  return `${PAC_PROXY_TYPES[proxyURL.protocol]} ${proxyURL.host}`;
+}
+
+// PAC condition matching the hosts of a bypass list, eg. 'localhost, *.example.com, <local>'
+function getBypassCondition(bypassRules) {
+  const conditions = (bypassRules || '').split(/[,;\s]+/).filter(Boolean).map((rule) => {
+    if (rule === '<local>') {
+      return 'isPlainHostName(host)';
+    }
+    return `shExpMatch(host, ${JSON.stringify(rule)})`;
+  });
+  return conditions.length ? conditions.join(' || ') : 'false';
+}
+
+// PAC function expression applying proxy settings, pacScripts holds the scripts fetched from the PAC URLs
+function getPACFunction(settings, pacScripts) {
+  switch (settings.mode) {
+  case PROXY_FIXED:
+    return `function (url, host) { return (${getBypassCondition(settings.bypassRules)}) ? "DIRECT" : "${getPACDirective(settings.proxyServer)}"; }`;
+  case PROXY_PAC:
+    return `(function () {\n${pacScripts[settings.pacURL]}\nreturn FindProxyForURL;\n})()`;
+  case PROXY_DIRECT:
+    return 'function () { return "DIRECT"; }';
+  default:
+    // a PAC script can't defer to the system settings
+    throw new Error(`Unsupported proxy mode: ${settings.mode}`);
+  }
+}
+
+// half filled settings aren't applied, they'd silently connect without a proxy
+function checkSettings(settings) {
+  if (settings.mode === PROXY_FIXED && !settings.proxyServer) {
+    throw new Error('Missing the proxy server');
+  }
+  if (settings.mode === PROXY_PAC && !settings.pacURL) {
+    throw new Error('Missing the PAC URL');
+  }
+}
+
+function getServerProxies(serverProxies) {
+  return Object.keys(serverProxies || {}).filter((serverURL) => serverProxies[serverURL].mode !== PROXY_SYSTEM);
+}
+
+/**
+ * Lists the PAC URLs whose script has to be embedded in the PAC script combining the proxy settings
+ *
+ * @param {object} proxy global proxy settings
+ * @param {object} serverProxies proxy settings by server URL
+ */
+export function getEmbeddedPACURLs(proxy, serverProxies) {
+  const serverURLs = getServerProxies(serverProxies);
+  if (!serverURLs.length) {
+    return [];
+  }
+  const pacURLs = [proxy, ...serverURLs.map((serverURL) => serverProxies[serverURL])].
+    filter((settings) => settings.mode === PROXY_PAC).
+    map((settings) => settings.pacURL);
+  return [...new Set(pacURLs)];
+}
+
+/**
+ * Creates the configuration for session.setProxy, servers with their own proxy settings are handled by a generated PAC script.
+ * As the PAC script can't defer to the system settings, servers can only have their own settings when the global ones aren't the system ones.
+ *
+ * @param {object} proxy global proxy settings {mode, proxyServer, pacURL, bypassRules}
+ * @param {object} serverProxies proxy settings by server URL, a server without settings uses the global ones
+ * @param {object} pacScripts contents of the PAC URLs listed by getEmbeddedPACURLs
+ * @return {object} the proxy configuration, null to keep using the system settings
+ */
+export function createProxyConfig(proxy, serverProxies, pacScripts = {}) {
+  const serverURLs = getServerProxies(serverProxies);
+  [proxy, ...serverURLs.map((serverURL) => serverProxies[serverURL])].forEach(checkSettings);
+  if (serverURLs.length && proxy.mode === PROXY_SYSTEM) {
+    throw new Error('Servers can\'t have proxy settings of their own while all servers use the system settings');
+  }
+  if (!serverURLs.length) {
+    switch (proxy.mode) {
+    case PROXY_DIRECT:
+      return {proxyRules: 'direct://'};
+    case PROXY_FIXED:
+      return {proxyRules: proxy.proxyServer, proxyBypassRules: proxy.bypassRules || ''};
+    case PROXY_PAC:
+      return {pacScript: proxy.pacURL};
+    default:
+      return null;
+    }
+  }
+
+  const lines = ['function FindProxyForURL(url, host) {'];
+  const seenHosts = [];
+  serverURLs.forEach((serverURL) => {
+    const parsedURL = urlUtils.parseURL(serverURL);
+    if (!parsedURL || seenHosts.includes(parsedURL.hostname)) {
+      return;
+    }
+    seenHosts.push(parsedURL.hostname);
+    lines.push(`  if (host === ${JSON.stringify(parsedURL.hostname)}) {`);
+    lines.push(`    return (${getPACFunction(serverProxies[serverURL], pacScripts)})(url, host);`);
+    lines.push('  }');
+  });
+  lines.push(`  return (${getPACFunction(proxy, pacScripts)})(url, host);`);
+  lines.push('}');
+  return {pacScript: `data:application/x-ns-proxy-autoconfig;base64,${Buffer.from(lines.join('\n')).toString('base64')}`};
+}
+
+/**
+ * Downloads a PAC script
+ *
+ * @param {string} url PAC URL
+ * @param {function} request creates a request from {method, url} options, eg. electron's net.request
+ */
+export function fetchPACScript(url, request) {
+  return new Promise((resolve, reject) => {
+    const pacRequest = request({method: 'GET', url});
+    pacRequest.on('response', (response) => {
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('error', reject);
+      response.on('end', () => {
+        if (response.statusCode !== HTTP_OK) {
+          reject(new Error(`${url} responded with status ${response.statusCode}`));
+          return;
+        }
+        resolve(Buffer.concat(chunks).toString('utf8'));
+      });
+    });
+    pacRequest.on('error', reject);
+    pacRequest.end();
+  });
+}
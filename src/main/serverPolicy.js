@@ -0,0 +1,92 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import urlUtils from '../utils/url';
+
+import * as Validator from './Validator';
+
+const HTTP_OK = 200;
+const HTTP_NOT_FOUND = 404;
+
+/**
+ * Returns the URL of a server's desktop policy, taking into account servers hosted on a subpath
+ *
+ * @param {string} serverURL URL of the server
+ * @param {string} policyPath path of the policy relative to the server
+ */
+export function getServerPolicyURL(serverURL, policyPath) {
+  const server = urlUtils.getServerInfo(serverURL);
+  if (!server) {
+    return null;
+  }
+  return `${server.origin}${server.subpath}${policyPath.replace(/^\//, '')}`;
+}
+
+/**
+ * Fetches and validates the desktop policy provided by a server
+ *
+ * @param {string} serverURL URL of the server
+ * @param {string} policyPath path of the policy relative to the server
+ * @param {function} request creates a request from {method, url} options, eg. electron's net.request bound to the session of the server's webview
+ * @return {Promise} resolves with the validated policy, or null when the server doesn't provide one
+ */
+export function fetchServerPolicy(serverURL, policyPath, request) {
+  return new Promise((resolve, reject) => {
+    const url = getServerPolicyURL(serverURL, policyPath);
+    if (!url) {
+      reject(new Error(`Invalid server URL: ${serverURL}`));
+      return;
+    }
+
+    const policyRequest = request({method: 'GET', url});
+    policyRequest.on('response', (response) => {
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('error', reject);
+      response.on('end', () => {
+        if (response.statusCode === HTTP_NOT_FOUND) {
+          resolve(null);
+          return;
+        }
+        if (response.statusCode !== HTTP_OK) {
+          reject(new Error(`${url} responded with status ${response.statusCode}`));
+          return;
+        }
+        try {
+          const policy = Validator.validateServerPolicy(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+          if (!policy) {
+            throw new Error(`The policy provided by ${url} does not validate`);
+          }
+          resolve(policy);
+        } catch (error) {
+          reject(error);
+        }
+      });
+    });
+    policyRequest.on('error', reject);
+    policyRequest.end();
+  });
+}
+
+/**
+ * Tells whether the spell checker is enabled for a page, a server policy forcing it on or off only applies to the
+ * server's own pages while the other pages keep the app preference
+ *
+ * @param {Config} config the app configuration
+ * @param {string} pageURL URL of the page
+ */
+export function isSpellCheckerEnabled(config, pageURL) {
+  const server = urlUtils.getServer(pageURL, config.teams);
+  const policy = server ? config.getServerPolicy(config.teams[server.index].url) : {};
+  return typeof policy.EnableSpellChecker === 'boolean' ? policy.EnableSpellChecker : config.useSpellChecker;
+}
+
+/**
+ * Tells whether the spell checker is enabled for any page, ie. whether its dictionary has to be loaded
+ *
+ * @param {Config} config the app configuration
+ */
+export function isSpellCheckerUsed(config) {
+  return config.useSpellChecker || config.teams.some((team) => config.getServerPolicy(team.url).EnableSpellChecker === true);
+}
@@ -8,6 +8,7 @@ import fs from 'fs';
 import log from 'electron-log';
 
 import urlUtils from '../utils/url';
+import {BASIC_AUTH_PERMISSION} from '../common/permissions';
 
 import * as Validator from './Validator';
 
@@ -61,12 +62,34 @@ export default class TrustedOriginsStore {
 
   // enables usage of `targetURL` for `permission`
   addPermission = (targetURL, permission) => {
+    this.setPermission(targetURL, permission, true);
+  }
+
+  // remembers whether the user granted or denied `permission` to `targetURL`
+  setPermission = (targetURL, permission, granted) => {
     const origin = urlUtils.getHost(targetURL);
     const currentPermissions = this.data.get(origin) || {};
-    currentPermissions[permission] = true;
+    currentPermissions[permission] = granted;
     this.set(origin, currentPermissions);
   }
 
+  // forgets the answer for `permission` so the user gets asked again, the origin is removed along with its last permission
+  revokePermission = (targetURL, permission) => {
+    const origin = urlUtils.getHost(targetURL);
+    const currentPermissions = Object.assign({}, this.data.get(origin));
+    delete currentPermissions[permission];
+    if (Object.keys(currentPermissions).some((key) => key !== BASIC_AUTH_PERMISSION || currentPermissions[key])) {
+      this.set(origin, currentPermissions);
+    } else {
+      this.data.delete(origin);
+    }
+  }
+
+  // lists the answered permissions of every origin, sorted by origin
+  getPermissions = () => {
+    return [...this.data.keys()].sort().map((origin) => ({origin, permissions: this.data.get(origin)}));
+  }
+
   delete = (targetURL) => {
     let host;
     try {
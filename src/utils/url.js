@@ -3,8 +3,6 @@
 
 import {isHttpsUri, isHttpUri, isUri} from 'valid-url';
 
-import buildConfig from '../common/config/buildConfig';
-
 function getDomain(inputURL) {
   const parsedURL = parseURL(inputURL);
   return parsedURL.origin;
@@ -67,79 +65,6 @@ function getServerInfo(serverUrl) {
   return {origin: parsedServer.origin, subpath, url: parsedServer};
 }
 
-function getManagedResources() {
-  if (!buildConfig) {
-    return [];
-  }
-
-  return buildConfig.managedResources || [];
-}
-
-function isAdminUrl(serverUrl, inputUrl) {
-  const parsedURL = parseURL(inputUrl);
-  const server = getServerInfo(serverUrl);
-  if (!parsedURL || !server || (!equalUrlsIgnoringSubpath(server, parsedURL))) {
-    return null;
-  }
-  return (parsedURL.pathname.toLowerCase().startsWith(`${server.subpath}/admin_console/`) ||
-    parsedURL.pathname.toLowerCase().startsWith('/admin_console/'));
-}
-
-function isTeamUrl(serverUrl, inputUrl, withApi) {
-  const parsedURL = parseURL(inputUrl);
-  const server = getServerInfo(serverUrl);
-  if (!parsedURL || !server || (!equalUrlsIgnoringSubpath(server, parsedURL))) {
-    return null;
-  }
-
-  // pre process nonTeamUrlPaths
-  let nonTeamUrlPaths = [
-    'plugins',
-    'signup',
-    'login',
-    'admin',
-    'channel',
-    'post',
-    'oauth',
-    'admin_console',
-  ];
-  const managedResources = getManagedResources();
-  nonTeamUrlPaths = nonTeamUrlPaths.concat(managedResources);
-
-  if (withApi) {
-    nonTeamUrlPaths.push('api');
-  }
-  return !(nonTeamUrlPaths.some((testPath) => (
-    parsedURL.pathname.toLowerCase().startsWith(`${server.subpath}${testPath}/`) ||
-    parsedURL.pathname.toLowerCase().startsWith(`/${testPath}/`))));
-}
-
-function isPluginUrl(serverUrl, inputURL) {
-  const server = getServerInfo(serverUrl);
-  const parsedURL = parseURL(inputURL);
-  if (!parsedURL || !server) {
-    return false;
-  }
-  return (
-    equalUrlsIgnoringSubpath(server, parsedURL) &&
-    (parsedURL.pathname.toLowerCase().startsWith(`${server.subpath}plugins/`) ||
-      parsedURL.pathname.toLowerCase().startsWith('/plugins/')));
-}
-
-function isManagedResource(serverUrl, inputURL) {
-  const server = getServerInfo(serverUrl);
-  const parsedURL = parseURL(inputURL);
-  if (!parsedURL || !server) {
-    return false;
-  }
-
-  const managedResources = getManagedResources();
-
-  return (
-    equalUrlsIgnoringSubpath(server, parsedURL) && managedResources && managedResources.length &&
-    managedResources.some((managedResource) => (parsedURL.pathname.toLowerCase().startsWith(`${server.subpath}${managedResource}/`) || parsedURL.pathname.toLowerCase().startsWith(`/${managedResource}/`))));
-}
-
 function getServer(inputURL, teams) {
   const parsedURL = parseURL(inputURL);
   if (!parsedURL) {
@@ -182,9 +107,5 @@ export default {
   parseURL,
   getServer,
   getServerInfo,
-  isAdminUrl,
-  isTeamUrl,
-  isPluginUrl,
-  isManagedResource,
   getHost,
 };
@@ -0,0 +1,386 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import Config from '../../../src/common/config';
+import {CONFIG_SOURCE_BUILD, CONFIG_SOURCE_DEFAULT, CONFIG_SOURCE_LOCAL, CONFIG_SOURCE_LOCKED, CONFIG_SOURCE_REGISTRY} from '../../../src/common/config/sources';
+
+const configDir = path.join(os.tmpdir(), 'mattermost-desktop-config-test');
+const configFilePath = path.join(configDir, 'config.json');
+
+describe('Config', () => {
+  beforeEach(() => {
+    if (fs.existsSync(configDir)) {
+      fs.rmdirSync(configDir, {recursive: true});
+    }
+    fs.mkdirSync(configDir, {recursive: true});
+  });
+
+  describe('locked preferences', () => {
+    it('should let locked preferences win over local data', () => {
+      const config = new Config(configFilePath, {
+        teams: [],
+        lockedPreferences: {useSpellChecker: false},
+      });
+      config.localConfigData.useSpellChecker = true;
+      config.regenerateCombinedConfigData();
+      assert.equal(config.localData.useSpellChecker, true);
+      assert.equal(config.useSpellChecker, false);
+      assert.equal(config.isLocked('useSpellChecker'), true);
+      assert.equal(config.isLocked('autostart'), false);
+    });
+
+    it('should only lock the provided nested preferences', () => {
+      const config = new Config(configFilePath, {
+        teams: [],
+        lockedPreferences: {notifications: {flashWindow: 0}},
+      });
+      assert.equal(config.notifications.flashWindow, 0);
+      assert.equal(config.notifications.bounceIcon, config.defaultData.notifications.bounceIcon);
+      assert.equal(config.isLocked('notifications', 'flashWindow'), true);
+      assert.equal(config.isLocked('notifications', 'bounceIcon'), false);
+    });
+
+    it('should not lock anything without registry or policy data', () => {
+      const config = new Config(configFilePath);
+      assert.deepEqual(config.lockedPreferences, {});
+    });
+  });
+
+  describe('protocols', () => {
+    it('should add the registry/policy protocols to the build ones', () => {
+      const config = new Config(configFilePath, {
+        teams: [],
+        alwaysAllowedProtocols: ['zoommtg'],
+        deniedProtocols: ['smb:'],
+      });
+      config.buildConfigData.alwaysAllowedProtocols = ['msteams'];
+      config.regenerateCombinedConfigData();
+      assert.deepEqual(config.alwaysAllowedProtocols, ['msteams', 'zoommtg']);
+      assert.deepEqual(config.deniedProtocols, ['smb:']);
+    });
+  });
+
+  describe('https', () => {
+    const getNames = (teams) => teams.map((team) => team.name);
+    const teams = [
+      {name: 'secure', url: 'https://secure.example.com', order: 0},
+      {name: 'insecure', url: 'http://insecure.example.com', order: 1},
+    ];
+
+    it('should leave out the servers not using HTTPS when the policy requires it', () => {
+      const config = new Config(configFilePath, {
+        teams: [],
+        lockedPreferences: {httpsMode: 'require'},
+      });
+      config.localConfigData.teams = teams;
+      config.regenerateCombinedConfigData();
+      assert.deepEqual(getNames(config.teams), ['secure']);
+      assert.equal(config.localTeams.length, 2);
+    });
+
+    it('should keep the servers not using HTTPS when they are only warned about', () => {
+      const config = new Config(configFilePath);
+      config.localConfigData.teams = teams;
+      config.regenerateCombinedConfigData();
+      assert.equal(config.httpsMode, 'warn');
+      assert.equal(config.teams.length, 2);
+    });
+
+    it('should keep the refused servers in config.json when saving another setting', async () => {
+      fs.writeFileSync(configFilePath, JSON.stringify({version: 3, teams, httpsMode: 'require'}));
+      const config = new Config(configFilePath);
+      assert.deepEqual(getNames(config.teams), ['secure']);
+      await config.set('darkMode', true);
+      const savedData = JSON.parse(fs.readFileSync(configFilePath, 'utf8'));
+      assert.equal(savedData.darkMode, true);
+      assert.deepEqual(getNames(savedData.teams), ['secure', 'insecure']);
+    });
+
+    it('should never let a server downgrade or lock the HTTPS mode', () => {
+      fs.writeFileSync(configFilePath, JSON.stringify({version: 3, teams, httpsMode: 'require'}));
+      const config = new Config(configFilePath);
+      config.setServerPolicy('https://secure.example.com', {httpsMode: 'allow', LockedPreferences: {httpsMode: 'allow'}});
+      assert.equal(config.httpsMode, 'require');
+      assert.equal(config.isLocked('httpsMode'), false);
+      assert.deepEqual(getNames(config.teams), ['secure']);
+    });
+  });
+
+  describe('server policies', () => {
+    const communityURL = 'https://community.mattermost.com';
+
+    function createConfig() {
+      return new Config(configFilePath, {
+        teams: [{name: 'Community', url: communityURL}],
+      });
+    }
+
+    it('should keep the policy of a configured server for that server only', () => {
+      const config = createConfig();
+      config.setServerPolicy(communityURL, {EnableDownloads: false});
+      assert.equal(config.getServerPolicy(communityURL).EnableDownloads, false);
+      assert.deepEqual(config.getServerPolicy('https://other.example.com'), {});
+    });
+
+    it('should never let a server change or lock the app preferences', () => {
+      const config = createConfig();
+      config.setServerPolicy(communityURL, {LockedPreferences: {downloadLocation: '/tmp/evil', autostart: false}});
+      assert.equal(config.combinedData.downloadLocation, config.defaultData.downloadLocation);
+      assert.equal(config.combinedData.autostart, config.defaultData.autostart);
+      assert.equal(config.isLocked('downloadLocation'), false);
+      assert.deepEqual(config.lockedPreferences, {});
+    });
+
+    it('should stop applying the policy of a removed server', () => {
+      fs.writeFileSync(configFilePath, JSON.stringify({version: 3, teams: [{name: 'Work', url: 'https://work.example.com', order: 0}]}));
+      const config = new Config(configFilePath);
+      config.setServerPolicy('https://work.example.com', {EnableDownloads: false});
+      config.localConfigData.teams = [];
+      config.regenerateCombinedConfigData();
+      assert.deepEqual(config.getServerPolicy('https://work.example.com'), {});
+    });
+
+    it('should not fetch server policies unless the build or an administrator enables it', () => {
+      const config = createConfig();
+      assert.equal(config.serverPolicyPath, null);
+    });
+  });
+
+  describe('effective config', () => {
+    function getEntry(config, key) {
+      return config.getEffectiveConfigData().find((entry) => entry.key === key);
+    }
+
+    function getOverriddenSources(entry) {
+      return entry.overridden.map(({source}) => source);
+    }
+
+    it('should report the winning source and the overridden values', () => {
+      const config = new Config(configFilePath, {
+        teams: [{name: 'Community', url: 'https://community.mattermost.com'}],
+        enableAutoUpdater: false,
+        lockedPreferences: {useSpellChecker: false},
+      });
+      config.localConfigData.useSpellChecker = true;
+      config.regenerateCombinedConfigData();
+
+      const showTrayIcon = getEntry(config, 'showTrayIcon');
+      assert.deepEqual(showTrayIcon.sources, [CONFIG_SOURCE_LOCAL]);
+      assert.deepEqual(getOverriddenSources(showTrayIcon), [CONFIG_SOURCE_DEFAULT]);
+      assert.deepEqual(getEntry(config, 'helpLink').sources, [CONFIG_SOURCE_BUILD]);
+
+      const autoUpdater = getEntry(config, 'enableAutoUpdater');
+      assert.equal(autoUpdater.value, false);
+      assert.deepEqual(autoUpdater.sources, [CONFIG_SOURCE_REGISTRY]);
+      assert.deepEqual(autoUpdater.overridden, [{source: CONFIG_SOURCE_BUILD, value: true}]);
+
+      const spellChecker = getEntry(config, 'useSpellChecker');
+      assert.equal(spellChecker.value, false);
+      assert.deepEqual(spellChecker.sources, [CONFIG_SOURCE_LOCKED]);
+      assert.deepEqual(getOverriddenSources(spellChecker), [CONFIG_SOURCE_LOCAL, CONFIG_SOURCE_DEFAULT]);
+    });
+
+    it('should list every source servers are combined from', () => {
+      const config = new Config(configFilePath, {
+        teams: [{name: 'Community', url: 'https://community.mattermost.com'}],
+      });
+      config.localConfigData.teams = [{name: 'Work', url: 'https://work.example.com', order: 0}];
+      config.regenerateCombinedConfigData();
+
+      const teams = getEntry(config, 'teams');
+      assert.equal(teams.value.length, 2);
+      assert.deepEqual(teams.sources, [CONFIG_SOURCE_REGISTRY, CONFIG_SOURCE_LOCAL]);
+      assert.equal(getEntry(config, 'lockedPreferences'), undefined);
+    });
+  });
+
+  describe('loading and saving', () => {
+    it('should write the config file without leaving temporary files behind', () => {
+      const config = new Config(configFilePath);
+      assert.equal(config.loadError, null);
+      assert.deepEqual(fs.readdirSync(configDir).sort(), ['config-backups', 'config.json']);
+      assert.equal(config.getBackups().length, 1);
+    });
+
+    it('should keep a limited number of distinct backups', () => {
+      const config = new Config(configFilePath);
+
+      // make sure every backup gets a distinct timestamp
+      const now = Date.now;
+      let timestamp = now();
+      Date.now = () => ++timestamp;
+      try {
+        ['en-US', 'fr-FR', 'de-DE', 'es-ES', 'nl-NL', 'ru-RU', 'ru-RU'].forEach((locale) => {
+          config.writeFileSync(configFilePath, Object.assign({}, config.localData, {spellCheckerLocale: locale}));
+        });
+      } finally {
+        Date.now = now;
+      }
+      const backups = config.getBackups();
+      assert.equal(backups.length, 5);
+      assert.equal(JSON.parse(fs.readFileSync(backups[0].path, 'utf8')).spellCheckerLocale, 'ru-RU');
+    });
+
+    it('should resolve with the combined data once a change has been saved', async () => {
+      const config = new Config(configFilePath);
+      const configData = await config.set('showUnreadBadge', false);
+      assert.equal(configData.showUnreadBadge, false);
+      assert.equal(JSON.parse(fs.readFileSync(configFilePath, 'utf8')).showUnreadBadge, false);
+    });
+
+    it('should report why the config file does not validate and leave it untouched', () => {
+      const invalidConfig = JSON.stringify({version: 2, teams: [{url: 'https://example.com'}], showTrayIcon: 'sometimes'});
+      fs.writeFileSync(configFilePath, invalidConfig);
+      const config = new Config(configFilePath);
+      assert.ok(config.loadError);
+      assert.ok(config.loadError.errors.some((error) => error.includes('teams[0].name')));
+      assert.ok(config.loadError.errors.some((error) => error.includes('showTrayIcon')));
+      assert.equal(fs.readFileSync(configFilePath, 'utf8'), invalidConfig);
+    });
+
+    it('should restore the newest valid backup', () => {
+      const config = new Config(configFilePath);
+      config.writeFileSync(configFilePath, Object.assign({}, config.localData, {
+        teams: [{name: 'Community', url: 'https://community.mattermost.com', order: 0}],
+      }));
+      fs.writeFileSync(configFilePath, '{"version": 2, "teams": [');
+
+      const brokenConfig = new Config(configFilePath);
+      assert.ok(brokenConfig.loadError);
+      const backup = brokenConfig.getRestorableBackup();
+      brokenConfig.restoreBackup(backup.path);
+      assert.equal(brokenConfig.loadError, null);
+      assert.equal(brokenConfig.localTeams[0].name, 'Community');
+    });
+
+    it('should keep the damaged file aside when resetting to defaults', () => {
+      fs.writeFileSync(configFilePath, 'not json');
+      const config = new Config(configFilePath);
+      assert.ok(config.loadError);
+      config.resetToDefaults();
+      assert.equal(config.loadError, null);
+      assert.equal(fs.readFileSync(`${configFilePath}.corrupt`, 'utf8'), 'not json');
+      assert.equal(JSON.parse(fs.readFileSync(configFilePath, 'utf8')).version, config.defaultData.version);
+    });
+  });
+
+  describe('migrations', () => {
+    it('should migrate old config files step by step and record the history', () => {
+      fs.writeFileSync(configFilePath, JSON.stringify({
+        version: 1,
+        teams: [{name: 'Community', url: 'https://community.mattermost.com'}],
+      }));
+      const config = new Config(configFilePath);
+      assert.equal(config.localData.version, 3);
+      assert.equal(config.localTeams[0].order, 0);
+      assert.deepEqual(config.localData.migrationHistory.map(({from, to}) => [from, to]), [[1, 2], [2, 3]]);
+
+      const savedData = JSON.parse(fs.readFileSync(configFilePath, 'utf8'));
+      assert.equal(savedData.migrationHistory.length, 2);
+    });
+
+    it('should keep a copy of the config file from before the migration', () => {
+      const configV2 = JSON.stringify({version: 2, teams: [], darkMode: true});
+      fs.writeFileSync(configFilePath, configV2);
+      const config = new Config(configFilePath);
+      const backups = fs.readdirSync(config.backupDirPath).filter((file) => file.startsWith('pre-migration-v2-'));
+      assert.equal(backups.length, 1);
+      assert.equal(fs.readFileSync(path.join(config.backupDirPath, backups[0]), 'utf8'), configV2);
+    });
+
+    it('should keep settings unknown to this version', () => {
+      fs.writeFileSync(configFilePath, JSON.stringify({
+        version: 3,
+        teams: [{name: 'Community', url: 'https://community.mattermost.com', order: 0, color: 'blue'}],
+        futureSetting: 'kept',
+      }));
+      const config = new Config(configFilePath);
+      config.writeFileSync(configFilePath, config.localData);
+      const savedData = JSON.parse(fs.readFileSync(configFilePath, 'utf8'));
+      assert.equal(savedData.futureSetting, 'kept');
+      assert.equal(savedData.teams[0].color, 'blue');
+    });
+
+    it('should leave config files from newer versions as they are', () => {
+      const configV4 = JSON.stringify({version: 4, teams: [], futureSetting: 'kept'});
+      fs.writeFileSync(configFilePath, configV4);
+      const config = new Config(configFilePath);
+      assert.equal(config.loadError, null);
+      assert.equal(config.localData.version, 4);
+      assert.equal(fs.readFileSync(configFilePath, 'utf8'), configV4);
+    });
+
+    it('should keep saving config files from newer versions', async () => {
+      fs.writeFileSync(configFilePath, JSON.stringify({version: 4, teams: [], futureSetting: 'kept'}));
+      const config = new Config(configFilePath);
+      await config.set('showUnreadBadge', false);
+      const savedData = JSON.parse(fs.readFileSync(configFilePath, 'utf8'));
+      assert.equal(savedData.version, 4);
+      assert.equal(savedData.showUnreadBadge, false);
+      assert.equal(savedData.futureSetting, 'kept');
+    });
+  });
+
+  describe('external changes', () => {
+    function writeExternalChange(config, changes) {
+      fs.writeFileSync(configFilePath, JSON.stringify(Object.assign({}, config.lastSyncedData, changes), null, '  '));
+    }
+
+    it('should ignore its own writes', () => {
+      const config = new Config(configFilePath);
+      let synchronized = false;
+      config.on('synchronize', () => {
+        synchronized = true;
+      });
+      config.handleExternalChange();
+      assert.equal(synchronized, false);
+    });
+
+    it('should reload external changes and notify other config instances', () => {
+      const config = new Config(configFilePath);
+      let synchronized = false;
+      config.on('synchronize', () => {
+        synchronized = true;
+      });
+      writeExternalChange(config, {showUnreadBadge: false});
+      config.handleExternalChange();
+      assert.equal(config.showUnreadBadge, false);
+      assert.equal(synchronized, true);
+    });
+
+    it('should ignore external changes that do not validate', () => {
+      const config = new Config(configFilePath);
+      writeExternalChange(config, {showUnreadBadge: 'no'});
+      config.handleExternalChange();
+      assert.equal(config.showUnreadBadge, true);
+    });
+
+    it('should keep unsaved in-app changes to other properties', async () => {
+      const config = new Config(configFilePath);
+      config.localConfigData.autostart = false;
+      writeExternalChange(config, {showUnreadBadge: false});
+      await config.handleExternalChange();
+      assert.equal(config.showUnreadBadge, false);
+      assert.equal(config.autostart, false);
+    });
+
+    it('should let external changes win over conflicting in-app changes', async () => {
+      const config = new Config(configFilePath);
+      let conflicts = [];
+      config.on('conflict', (keys) => {
+        conflicts = keys;
+      });
+      config.localConfigData.spellCheckerLocale = 'fr-FR';
+      writeExternalChange(config, {spellCheckerLocale: 'de-DE'});
+      await config.handleExternalChange();
+      assert.equal(config.spellCheckerLocale, 'de-DE');
+      assert.deepEqual(conflicts, ['spellCheckerLocale']);
+    });
+  });
+});
@@ -0,0 +1,43 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import assert from 'assert';
+
+import {getHTTPSURL, isInsecureURL, isMixedContent} from '../../../src/common/https';
+
+describe('common/https', () => {
+  describe('isInsecureURL', () => {
+    it('should only flag the plain text protocols', () => {
+      assert.equal(isInsecureURL('http://example.com'), true);
+      assert.equal(isInsecureURL('ws://example.com/api/v4/websocket'), true);
+      assert.equal(isInsecureURL('https://example.com'), false);
+      assert.equal(isInsecureURL('wss://example.com/api/v4/websocket'), false);
+      assert.equal(isInsecureURL('not a url'), false);
+    });
+  });
+
+  describe('getHTTPSURL', () => {
+    it('should switch http:// URLs to https://', () => {
+      assert.equal(getHTTPSURL('http://example.com/subpath'), 'https://example.com/subpath');
+      assert.equal(getHTTPSURL('HTTP://example.com'), 'https://example.com');
+    });
+
+    it('should leave other URLs untouched', () => {
+      assert.equal(getHTTPSURL('https://example.com'), 'https://example.com');
+      assert.equal(getHTTPSURL('ftp://example.com'), 'ftp://example.com');
+    });
+  });
+
+  describe('isMixedContent', () => {
+    it('should flag the insecure resources of HTTPS pages', () => {
+      assert.equal(isMixedContent('https://example.com/team', 'http://images.example.com/a.png'), true);
+      assert.equal(isMixedContent('https://example.com/team', 'https://images.example.com/a.png'), false);
+    });
+
+    it('should not flag the resources of pages not using HTTPS', () => {
+      assert.equal(isMixedContent('http://example.com/team', 'http://images.example.com/a.png'), false);
+      assert.equal(isMixedContent('', 'http://images.example.com/a.png'), false);
+    });
+  });
+});
@@ -0,0 +1,30 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import assert from 'assert';
+
+import {isAllowedForIntegratedAuth} from '../../../src/common/integratedAuth';
+
+describe('common/integratedAuth', () => {
+  it('should match hosts exactly without a wildcard', () => {
+    assert.equal(isAllowedForIntegratedAuth(['chat.example.com'], 'https://chat.example.com/team'), true);
+    assert.equal(isAllowedForIntegratedAuth(['example.com'], 'https://chat.example.com/'), false);
+  });
+
+  it('should match wildcards and leading dots', () => {
+    assert.equal(isAllowedForIntegratedAuth(['*.example.com'], 'https://Chat.Example.com/'), true);
+    assert.equal(isAllowedForIntegratedAuth(['.example.com'], 'https://chat.example.com/'), true);
+    assert.equal(isAllowedForIntegratedAuth(['*example.com'], 'https://notexample.com/'), true);
+    assert.equal(isAllowedForIntegratedAuth(['*.example.com'], 'https://example.org/'), false);
+  });
+
+  it('should ignore the scheme and port of an entry', () => {
+    assert.equal(isAllowedForIntegratedAuth(['https://chat.example.com:8443'], 'https://chat.example.com:8443/'), true);
+  });
+
+  it('should not match anything without an allowlist', () => {
+    assert.equal(isAllowedForIntegratedAuth(undefined, 'https://chat.example.com/'), false);
+    assert.equal(isAllowedForIntegratedAuth([], 'https://chat.example.com/'), false);
+  });
+});
@@ -0,0 +1,78 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import assert from 'assert';
+
+import {
+  LINK_HOMOGRAPH,
+  LINK_MISMATCH,
+  LINK_REDIRECTOR,
+  getLinkDestination,
+  getLinkWarnings,
+} from '../../../src/common/linkSafety';
+
+function getTypes(warnings) {
+  return warnings.map((warning) => warning.type);
+}
+
+describe('common/linkSafety', () => {
+  describe('getLinkDestination', () => {
+    it('should unwrap the known redirectors', () => {
+      assert.equal(getLinkDestination('https://www.google.com/url?q=https%3A%2F%2Fexample.com%2Fpage'), 'https://example.com/page');
+      assert.equal(getLinkDestination('https://nam02.safelinks.protection.outlook.com/?url=https%3A%2F%2Fexample.com&data=abc'), 'https://example.com');
+    });
+
+    it('should unwrap nested redirectors', () => {
+      const wrapped = `https://l.facebook.com/l.php?u=${encodeURIComponent('https://www.google.com/url?q=https://example.com')}`;
+      assert.equal(getLinkDestination(wrapped), 'https://example.com');
+    });
+
+    it('should keep the links that are not wrapped', () => {
+      assert.equal(getLinkDestination('https://www.google.com/search?q=https://example.com'), 'https://www.google.com/search?q=https://example.com');
+      assert.equal(getLinkDestination('https://www.google.com/url?q=not%20a%20url'), 'https://www.google.com/url?q=not%20a%20url');
+    });
+  });
+
+  describe('getLinkWarnings', () => {
+    it('should not warn about plain links', () => {
+      assert.deepEqual(getLinkWarnings('https://example.com/page'), []);
+      assert.deepEqual(getLinkWarnings('https://example.com/page', 'example.com'), []);
+      assert.deepEqual(getLinkWarnings('https://www.example.com/page', 'https://example.com/page'), []);
+      assert.deepEqual(getLinkWarnings('https://example.com/page', 'the documentation'), []);
+    });
+
+    it('should warn about hostnames mixing scripts', () => {
+      const warnings = getLinkWarnings('https://xn--pple-43d.com/login');
+      assert.deepEqual(getTypes(warnings), [LINK_HOMOGRAPH]);
+      assert.ok(warnings[0].message.includes('аpple.com'));
+    });
+
+    it('should warn about hostnames only made of letters imitating latin ones', () => {
+      assert.deepEqual(getTypes(getLinkWarnings('https://xn--80ak6aa92e.com/login')), [LINK_HOMOGRAPH]);
+      assert.deepEqual(getTypes(getLinkWarnings('https://xn--paypa-r4a.com/login')), [LINK_HOMOGRAPH]);
+    });
+
+    it('should not warn about internationalized hostnames written in a single script', () => {
+      assert.deepEqual(getLinkWarnings('https://xn--mnchen-3ya.de/'), []);
+      assert.deepEqual(getLinkWarnings('https://xn--d1acpjx3f.xn--p1ai/'), []);
+      assert.deepEqual(getLinkWarnings('https://xn--hxakic4aa.gr/'), []);
+      assert.deepEqual(getLinkWarnings('https://xn--r8jz45g.jp/'), []);
+    });
+
+    it('should warn when the text shows another address than the link', () => {
+      assert.deepEqual(getTypes(getLinkWarnings('https://evil.example.net', 'paypal.com')), [LINK_MISMATCH]);
+      assert.deepEqual(getTypes(getLinkWarnings('https://evil.example.net', 'https://paypal.com/signin')), [LINK_MISMATCH]);
+    });
+
+    it('should not take file names for addresses', () => {
+      assert.deepEqual(getLinkWarnings('https://github.com/mattermost/desktop/blob/master/README.md', 'README.md'), []);
+    });
+
+    it('should compare the text with the destination of a redirector', () => {
+      const wrapped = 'https://www.google.com/url?q=https://example.com';
+      assert.deepEqual(getTypes(getLinkWarnings(wrapped, 'example.com')), [LINK_REDIRECTOR]);
+      assert.deepEqual(getTypes(getLinkWarnings('https://www.google.com/url?q=https://xn--pple-43d.com', 'apple.com')), [LINK_REDIRECTOR, LINK_HOMOGRAPH, LINK_MISMATCH]);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import assert from 'assert';
+
+import urlUtils from '../../../src/utils/url';
+import {
+  DEFAULT_NAVIGATION_RULES,
+  DEFAULT_NEW_WINDOW_RULES,
+  NAVIGATION_BLOCK,
+  NAVIGATION_CUSTOM_LOGIN,
+  NAVIGATION_POPUP,
+  NAVIGATION_TAB,
+  getNavigationAction,
+} from '../../../src/common/navigationRules';
+
+const teams = [
+  {name: 'Community', url: 'https://community.mattermost.com'},
+  {name: 'Core', url: 'https://example.com/core'},
+];
+
+function getAction(rules, url) {
+  return getNavigationAction(rules, urlUtils.getServer(url, teams), url);
+}
+
+describe('common/navigationRules', () => {
+  it('should recognize the built-in custom login paths', () => {
+    assert.equal(getAction(DEFAULT_NAVIGATION_RULES, 'https://community.mattermost.com/oauth/gitlab/login'), NAVIGATION_CUSTOM_LOGIN);
+    assert.equal(getAction(DEFAULT_NAVIGATION_RULES, 'https://community.mattermost.com/login/sso/SAML'), NAVIGATION_CUSTOM_LOGIN);
+  });
+
+  it('should show the team pages and the admin console in the tab', () => {
+    assert.equal(getAction(DEFAULT_NAVIGATION_RULES, 'https://community.mattermost.com/team/channels/town-square'), NAVIGATION_TAB);
+    assert.equal(getAction(DEFAULT_NAVIGATION_RULES, 'https://community.mattermost.com/admin_console/about'), NAVIGATION_TAB);
+    assert.equal(getAction(DEFAULT_NAVIGATION_RULES, 'https://example.com/core/team/pl/abc'), NAVIGATION_TAB);
+  });
+
+  it('should leave the other pages of the server to the default handling', () => {
+    assert.equal(getAction(DEFAULT_NAVIGATION_RULES, 'https://community.mattermost.com/plugins/jira/setup'), null);
+    assert.equal(getAction(DEFAULT_NAVIGATION_RULES, 'https://community.mattermost.com/trusted/report'), null);
+    assert.equal(getAction(DEFAULT_NAVIGATION_RULES, 'https://example.com/core/login/'), null);
+    assert.equal(getAction(DEFAULT_NAVIGATION_RULES, 'https://example.com/login/'), null);
+  });
+
+  it('should open the plugins and managed resources in popups', () => {
+    assert.equal(getAction(DEFAULT_NEW_WINDOW_RULES, 'https://community.mattermost.com/plugins/jira/setup'), NAVIGATION_POPUP);
+    assert.equal(getAction(DEFAULT_NEW_WINDOW_RULES, 'https://example.com/core/trusted/report'), NAVIGATION_POPUP);
+    assert.equal(getAction(DEFAULT_NEW_WINDOW_RULES, 'https://community.mattermost.com/team/channels/town-square'), null);
+  });
+
+  it('should match paths relative to the subpath of the server', () => {
+    assert.equal(getAction(DEFAULT_NAVIGATION_RULES, 'https://example.com/core/oauth/authorize'), NAVIGATION_CUSTOM_LOGIN);
+    assert.equal(getAction([{pattern: '^/plugins/jira/', action: NAVIGATION_POPUP}], 'https://example.com/core/plugins/jira/setup'), NAVIGATION_POPUP);
+  });
+
+  it('should only apply rules of a server to that server', () => {
+    const rules = [{server: 'https://example.com/core', pattern: '^/oauth/okta/', action: NAVIGATION_BLOCK}];
+    assert.equal(getAction(rules, 'https://example.com/core/oauth/okta/login'), NAVIGATION_BLOCK);
+    assert.equal(getAction(rules, 'https://community.mattermost.com/oauth/okta/login'), null);
+  });
+
+  it('should use the first matching rule', () => {
+    const rules = [{pattern: '^/oauth/gitlab/', action: NAVIGATION_BLOCK}, ...DEFAULT_NAVIGATION_RULES];
+    assert.equal(getAction(rules, 'https://community.mattermost.com/oauth/gitlab/login'), NAVIGATION_BLOCK);
+    assert.equal(getAction(rules, 'https://community.mattermost.com/oauth/google/login'), NAVIGATION_CUSTOM_LOGIN);
+  });
+
+  it('should ignore invalid patterns and URLs of no server', () => {
+    assert.equal(getAction([{pattern: '(', action: NAVIGATION_BLOCK}], 'https://community.mattermost.com/'), null);
+    assert.equal(getAction(DEFAULT_NAVIGATION_RULES, 'https://unknown.example.org/oauth/authorize'), null);
+  });
+});
@@ -0,0 +1,205 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import PolicyConfig from '../../../src/common/config/PolicyConfig';
+
+const policyDir = path.join(os.tmpdir(), 'mattermost-desktop-policy-test');
+const systemPolicyPath = path.join(policyDir, 'system.json');
+const userPolicyPath = path.join(policyDir, 'user.json');
+
+function writePolicy(policyPath, policy) {
+  fs.writeFileSync(policyPath, typeof policy === 'string' ? policy : JSON.stringify(policy));
+}
+
+describe('PolicyConfig', () => {
+  beforeEach(() => {
+    fs.mkdirSync(policyDir, {recursive: true});
+  });
+
+  afterEach(() => {
+    [systemPolicyPath, userPolicyPath].forEach((policyPath) => {
+      if (fs.existsSync(policyPath)) {
+        fs.unlinkSync(policyPath);
+      }
+    });
+  });
+
+  it('should be empty if there are no policy files', async () => {
+    const policyConfig = new PolicyConfig([userPolicyPath, systemPolicyPath]);
+    await policyConfig.init();
+    assert.equal(policyConfig.initialized, true);
+    assert.deepEqual(policyConfig.data, {teams: []});
+  });
+
+  it('should load servers and settings from the system policy', async () => {
+    writePolicy(systemPolicyPath, {
+      DefaultServerList: [{name: 'Community', url: 'https://community.mattermost.com'}],
+      EnableServerManagement: false,
+      EnableAutoUpdater: false,
+    });
+    const policyConfig = new PolicyConfig([userPolicyPath, systemPolicyPath]);
+    await policyConfig.init();
+    assert.deepEqual(policyConfig.data, {
+      teams: [{name: 'Community', url: 'https://community.mattermost.com'}],
+      enableServerManagement: false,
+      enableAutoUpdater: false,
+    });
+  });
+
+  it('should load the user policy before the system policy', () => {
+    const policyConfig = new PolicyConfig();
+    assert.equal(policyConfig.policyPaths[policyConfig.policyPaths.length - 1], '/etc/mattermost-desktop/policy.json');
+  });
+
+  it('should not let the user policy override the system policy', async () => {
+    writePolicy(systemPolicyPath, {
+      DefaultServerList: [{name: 'Community', url: 'https://community.mattermost.com'}],
+      EnableServerManagement: false,
+      LockedPreferences: {autostart: true},
+      AuthServerAllowlist: ['*.example.com'],
+    });
+    writePolicy(userPolicyPath, {
+      DefaultServerList: [{name: 'Work', url: 'https://work.example.com'}],
+      EnableServerManagement: true,
+      LockedPreferences: {autostart: false, useSpellChecker: false},
+      AuthServerAllowlist: ['*'],
+    });
+    const policyConfig = new PolicyConfig([userPolicyPath, systemPolicyPath]);
+    await policyConfig.init();
+    assert.deepEqual(policyConfig.data.teams.map((team) => team.name), ['Work', 'Community']);
+    assert.equal(policyConfig.data.enableServerManagement, false);
+    assert.deepEqual(policyConfig.data.lockedPreferences, {autostart: true, useSpellChecker: false});
+    assert.deepEqual(policyConfig.data.authServerAllowlist, ['*.example.com']);
+  });
+
+  it('should ignore a policy file that does not validate', async () => {
+    writePolicy(systemPolicyPath, 'this is not json');
+    writePolicy(userPolicyPath, {EnableAutoUpdater: 'maybe'});
+    const policyConfig = new PolicyConfig([userPolicyPath, systemPolicyPath]);
+    await policyConfig.init();
+    assert.deepEqual(policyConfig.data, {teams: []});
+  });
+
+  it('should drop servers with invalid urls', async () => {
+    writePolicy(systemPolicyPath, {
+      DefaultServerList: [
+        {name: 'Invalid', url: 'not a url'},
+        {name: 'Community', url: 'https://community.mattermost.com'},
+      ],
+    });
+    const policyConfig = new PolicyConfig([systemPolicyPath]);
+    await policyConfig.init();
+    assert.deepEqual(policyConfig.data.teams, [{name: 'Community', url: 'https://community.mattermost.com'}]);
+  });
+
+  it('should merge locked preferences from all policy files', async () => {
+    writePolicy(systemPolicyPath, {
+      LockedPreferences: {useSpellChecker: false, autostart: true},
+    });
+    writePolicy(userPolicyPath, {
+      LockedPreferences: {autostart: false},
+    });
+    const policyConfig = new PolicyConfig([userPolicyPath, systemPolicyPath]);
+    await policyConfig.init();
+    assert.deepEqual(policyConfig.data.lockedPreferences, {autostart: true, useSpellChecker: false});
+  });
+
+  it('should not lock preferences that were not provided', async () => {
+    writePolicy(systemPolicyPath, {
+      LockedPreferences: {notifications: {flashWindow: 0}},
+    });
+    const policyConfig = new PolicyConfig([systemPolicyPath]);
+    await policyConfig.init();
+    assert.deepEqual(policyConfig.data.lockedPreferences, {notifications: {flashWindow: 0}});
+  });
+
+  it('should load certificate pins and ignore malformed ones', async () => {
+    const pin = 'sha256/fk8bXA7YepAsrAAFbQ0Nwst8c6U0wDBgaEw8KaI/VZY=';
+    writePolicy(systemPolicyPath, {
+      CertificatePins: {'https://example.com': [pin]},
+    });
+    writePolicy(userPolicyPath, {
+      CertificatePins: {'https://other.example.com': ['not a pin']},
+    });
+    const policyConfig = new PolicyConfig([userPolicyPath, systemPolicyPath]);
+    await policyConfig.init();
+    assert.deepEqual(policyConfig.data.certificatePins, {'https://example.com': [pin]});
+  });
+
+  it('should combine the protocols of all policy files', async () => {
+    writePolicy(systemPolicyPath, {
+      AlwaysAllowedProtocols: ['zoommtg'],
+      DeniedProtocols: ['smb:'],
+    });
+    writePolicy(userPolicyPath, {
+      DeniedProtocols: ['ftp'],
+    });
+    const policyConfig = new PolicyConfig([userPolicyPath, systemPolicyPath]);
+    await policyConfig.init();
+    assert.deepEqual(policyConfig.data.alwaysAllowedProtocols, ['zoommtg']);
+    assert.deepEqual(policyConfig.data.deniedProtocols, ['ftp', 'smb:']);
+  });
+
+  it('should check the navigation rules of the system policy first', async () => {
+    writePolicy(systemPolicyPath, {
+      NavigationRules: [{pattern: '^/oauth/', action: 'block'}],
+    });
+    writePolicy(userPolicyPath, {
+      NavigationRules: [{server: 'https://example.com', pattern: '^/oauth/okta/', action: 'custom-login'}],
+    });
+    const policyConfig = new PolicyConfig([userPolicyPath, systemPolicyPath]);
+    await policyConfig.init();
+    assert.deepEqual(policyConfig.data.navigationRules, [
+      {pattern: '^/oauth/', action: 'block'},
+      {server: 'https://example.com', pattern: '^/oauth/okta/', action: 'custom-login'},
+    ]);
+  });
+
+  it('should ignore a policy with an unknown navigation action', async () => {
+    writePolicy(systemPolicyPath, {
+      NavigationRules: [{pattern: '^/oauth/', action: 'open'}],
+    });
+    const policyConfig = new PolicyConfig([systemPolicyPath]);
+    await policyConfig.init();
+    assert.equal(typeof policyConfig.data.navigationRules, 'undefined');
+  });
+
+  it('should load the integrated authentication allowlists synchronously', () => {
+    writePolicy(systemPolicyPath, {
+      AuthServerAllowlist: ['*.example.com'],
+      AuthDelegationAllowlist: ['chat.example.com'],
+    });
+    writePolicy(userPolicyPath, {
+      AuthServerAllowlist: ['a,b'],
+    });
+    const policyConfig = new PolicyConfig([userPolicyPath, systemPolicyPath]);
+    policyConfig.initSync();
+    assert.equal(policyConfig.initialized, true);
+    assert.deepEqual(policyConfig.data.authServerAllowlist, ['*.example.com']);
+    assert.deepEqual(policyConfig.data.authDelegationAllowlist, ['chat.example.com']);
+  });
+
+  it('should let an administrator enable the server policies', async () => {
+    writePolicy(systemPolicyPath, {
+      ServerPolicyPath: '/api/v4/desktop/policy',
+    });
+    const policyConfig = new PolicyConfig([systemPolicyPath]);
+    await policyConfig.init();
+    assert.equal(policyConfig.data.serverPolicyPath, '/api/v4/desktop/policy');
+  });
+
+  it('should ignore a policy with a malformed protocol', async () => {
+    writePolicy(systemPolicyPath, {
+      DeniedProtocols: ['not a protocol'],
+    });
+    const policyConfig = new PolicyConfig([systemPolicyPath]);
+    await policyConfig.init();
+    assert.equal(typeof policyConfig.data.deniedProtocols, 'undefined');
+  });
+});
@@ -0,0 +1,71 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import AuditLog from '../../../src/main/auditLog';
+import {AUDIT_PERMISSION, AUDIT_NAVIGATION, AUDIT_ALLOWED, AUDIT_BLOCKED} from '../../../src/common/auditLog';
+
+const logDir = path.join(os.tmpdir(), 'mattermost-desktop-audit-log-test');
+const logFile = path.join(logDir, 'audit.log');
+
+describe('main/auditLog', () => {
+  beforeEach(() => {
+    if (fs.existsSync(logDir)) {
+      fs.rmdirSync(logDir, {recursive: true});
+    }
+    fs.mkdirSync(logDir, {recursive: true});
+  });
+
+  it('should write one JSON entry per line', () => {
+    const auditLog = new AuditLog(logFile);
+    auditLog.record(AUDIT_PERMISSION, 'https://example.com', AUDIT_ALLOWED, {permission: 'media'});
+    const lines = fs.readFileSync(logFile, 'utf-8').split('\n');
+    assert.equal(lines.length, 2);
+    const entry = JSON.parse(lines[0]);
+    assert.equal(entry.type, AUDIT_PERMISSION);
+    assert.equal(entry.origin, 'https://example.com');
+    assert.equal(entry.decision, AUDIT_ALLOWED);
+    assert.deepEqual(entry.details, {permission: 'media'});
+    assert.ok(!isNaN(Date.parse(entry.timestamp)));
+  });
+
+  it('should rotate the file and only keep the configured number of files', () => {
+    const auditLog = new AuditLog(logFile, {maxFileSize: 1, maxFiles: 2});
+    for (let i = 0; i < 5; i++) {
+      auditLog.record(AUDIT_NAVIGATION, `https://example.com/${i}`, AUDIT_BLOCKED);
+    }
+    assert.deepEqual(fs.readdirSync(logDir).sort(), ['audit.log', 'audit.log.1', 'audit.log.2']);
+    assert.deepEqual(auditLog.getEntries().map((entry) => entry.origin), [
+      'https://example.com/4',
+      'https://example.com/3',
+      'https://example.com/2',
+    ]);
+  });
+
+  it('should return the newest entries and skip damaged lines', () => {
+    const auditLog = new AuditLog(logFile);
+    auditLog.record(AUDIT_NAVIGATION, 'https://example.com/0', AUDIT_BLOCKED);
+    fs.appendFileSync(logFile, '{not json\n');
+    auditLog.record(AUDIT_NAVIGATION, 'https://example.com/1', AUDIT_BLOCKED);
+    auditLog.record(AUDIT_NAVIGATION, 'https://example.com/2', AUDIT_BLOCKED);
+    assert.deepEqual(auditLog.getEntries(2).map((entry) => entry.origin), [
+      'https://example.com/2',
+      'https://example.com/1',
+    ]);
+  });
+
+  it('should export the entries of every file, oldest first', () => {
+    const auditLog = new AuditLog(logFile, {maxFileSize: 1});
+    auditLog.record(AUDIT_NAVIGATION, 'https://example.com/0', AUDIT_BLOCKED);
+    auditLog.record(AUDIT_NAVIGATION, 'https://example.com/1', AUDIT_BLOCKED);
+    const exportFile = path.join(logDir, 'export.jsonl');
+    auditLog.export(exportFile);
+    const origins = fs.readFileSync(exportFile, 'utf-8').trim().split('\n').map((line) => JSON.parse(line).origin);
+    assert.deepEqual(origins, ['https://example.com/0', 'https://example.com/1']);
+  });
+});
@@ -0,0 +1,485 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import CABundle, {createCABundleVerifyProc, isIssuedBy, isIssuedFor, parseCertificate, parseCertificates} from '../../../src/main/caBundle';
+
+const bundleDir = path.join(os.tmpdir(), 'mattermost-desktop-ca-bundle-test');
+
+// Example Internal CA
+const caData = `-----BEGIN CERTIFICATE-----
+MIIBkjCCATmgAwIBAgIUNpGICE6iQkmoqt6L6wTjKyrqdmgwCgYIKoZIzj0EAwIw
+HjEcMBoGA1UEAwwTRXhhbXBsZSBJbnRlcm5hbCBDQTAgFw0yNjEwMTkwNDQyMDZa
+GA8yMDU2MTAxMTA0NDIwNlowHjEcMBoGA1UEAwwTRXhhbXBsZSBJbnRlcm5hbCBD
+QTBZMBMGByqGSM49AgEGCCqGSM49AwEHA0IABJEGuCrRldXDhdf3KabLsMUTmVXF
+tn7XxXalvTXf7PLqBZqomEfp4VzjIEVcoMi4yEOowGcfit35MAgsGUUY80mjUzBR
+MB0GA1UdDgQWBBRrnSFFdkh/0fI/zNLEomaaZW2kszAfBgNVHSMEGDAWgBRrnSFF
+dkh/0fI/zNLEomaaZW2kszAPBgNVHRMBAf8EBTADAQH/MAoGCCqGSM49BAMCA0cA
+MEQCIBo+bgEGp91/0OnyXSDeXv64Gepyla7prdWChpmRXbOYAiBllpHgZEHdHRKJ
+xco8HdeGS7ly2eNHQ8PheQG/7cpSRQ==
+-----END CERTIFICATE-----
+`;
+
+// chat.example.com, issued by caData
+const leafData = `-----BEGIN CERTIFICATE-----
+MIIBljCCATugAwIBAgICEAAwCgYIKoZIzj0EAwIwHjEcMBoGA1UEAwwTRXhhbXBs
+ZSBJbnRlcm5hbCBDQTAgFw0yNjEwMTgwMDAwMDBaGA8yMDU2MTAxODAwMDAwMFow
+GzEZMBcGA1UEAwwQY2hhdC5leGFtcGxlLmNvbTBZMBMGByqGSM49AgEGCCqGSM49
+AwEHA0IABPRTop0CnKs+FvBslR/hGC8ZWu4bUPwM+31Lwozc1O7oaDNBT96VXGLR
+ie8V1gVOkdHNhNWRjbLVHOXmiqG388ajajBoMAkGA1UdEwQCMAAwGwYDVR0RBBQw
+EoIQY2hhdC5leGFtcGxlLmNvbTAdBgNVHQ4EFgQUkw9PbuurelI6rHu2gnWIVVzc
+2HQwHwYDVR0jBBgwFoAUa50hRXZIf9HyP8zSxKJmmmVtpLMwCgYIKoZIzj0EAwID
+SQAwRgIhAKo2mN8x3rpeSmjtdEH25/YUaX48IWmDmJ8hEEzSMKPPAiEA/V/RCYr7
+owb4/XMeVCHis6T/4LFMHiU36MlbdmMYPqU=
+-----END CERTIFICATE-----
+`;
+
+// same subject as caData but another key
+const rogueCAData = `-----BEGIN CERTIFICATE-----
+MIIBkzCCATmgAwIBAgIUcpV45YTzQdV+xRPZhLROVU70bhYwCgYIKoZIzj0EAwIw
+HjEcMBoGA1UEAwwTRXhhbXBsZSBJbnRlcm5hbCBDQTAgFw0yNjEwMTkwNDQyMDZa
+GA8yMDU2MTAxMTA0NDIwNlowHjEcMBoGA1UEAwwTRXhhbXBsZSBJbnRlcm5hbCBD
+QTBZMBMGByqGSM49AgEGCCqGSM49AwEHA0IABHEkElyIFQU8fpDklGAGxyFyZBkx
+0n4WnXT4iyRB9lQxhkdMmXHOuGDIa+NETB2QJxgPK4MoNWqYIEk8ZeqhxgujUzBR
+MB0GA1UdDgQWBBTKshPw/3g7dyyE0W5HRRgA9pZeczAfBgNVHSMEGDAWgBTKshPw
+/3g7dyyE0W5HRRgA9pZeczAPBgNVHRMBAf8EBTADAQH/MAoGCCqGSM49BAMCA0gA
+MEUCID4iIgyaiwI/lBFDmr3noAnyCZpOezIIk0r3oauIQrrtAiEAgXYdBy52JFkL
+RkG1muecVWN82YNS2+ff9XSJXfIFAwc=
+-----END CERTIFICATE-----
+`;
+
+// chat.example.com, issued by rogueCAData
+const rogueLeafData = `-----BEGIN CERTIFICATE-----
+MIIBlDCCATugAwIBAgICEAEwCgYIKoZIzj0EAwIwHjEcMBoGA1UEAwwTRXhhbXBs
+ZSBJbnRlcm5hbCBDQTAgFw0yNjEwMTgwMDAwMDBaGA8yMDU2MTAxODAwMDAwMFow
+GzEZMBcGA1UEAwwQY2hhdC5leGFtcGxlLmNvbTBZMBMGByqGSM49AgEGCCqGSM49
+AwEHA0IABFkDB/FeepVM9hJ7V4VGxMhNG2QypQehaqw3hon+YxguQGO5pPwg6G7R
+clD+S2iGDMPpFPXkVRtp3QJEDJwkgrujajBoMAkGA1UdEwQCMAAwGwYDVR0RBBQw
+EoIQY2hhdC5leGFtcGxlLmNvbTAdBgNVHQ4EFgQUyDv1Ry/9z0IP2Nsfhgn16MdQ
+vXMwHwYDVR0jBBgwFoAUyrIT8P94O3cshNFuR0UYAPaWXnMwCgYIKoZIzj0EAwID
+RwAwRAIgYGg6aTjtH6AmgODjQ7ViEZR2yRR9qAySXqrCaJ+MCtsCIGr+Vp0sRmOc
+ACPiBCC/m9EZyGm8o26n2PrBx5GD7bnk
+-----END CERTIFICATE-----
+`;
+
+// chat.example.com, issued by caData, expired on 2025-01-01
+const expiredLeafData = `-----BEGIN CERTIFICATE-----
+MIIBkzCCATmgAwIBAgICEAIwCgYIKoZIzj0EAwIwHjEcMBoGA1UEAwwTRXhhbXBs
+ZSBJbnRlcm5hbCBDQTAeFw0yNDAxMDEwMDAwMDBaFw0yNTAxMDEwMDAwMDBaMBsx
+GTAXBgNVBAMMEGNoYXQuZXhhbXBsZS5jb20wWTATBgcqhkjOPQIBBggqhkjOPQMB
+BwNCAATiR2qjDWN21oOVYceuKkktlDfYosIJhp9rzUIfj4bbQpnaX4xRqw7qK61R
+GKj4hQbeX1q7f5FIkpPW2T6CRL7Ao2owaDAJBgNVHRMEAjAAMBsGA1UdEQQUMBKC
+EGNoYXQuZXhhbXBsZS5jb20wHQYDVR0OBBYEFAHyNdknplIwUVdr7GWDY65hd5Ad
+MB8GA1UdIwQYMBaAFGudIUV2SH/R8j/M0sSiZpplbaSzMAoGCCqGSM49BAMCA0gA
+MEUCIQDGsuf2dTKMZfp9OSSVhiAz0fByLPN177soqosYKZbXAwIgeJSUIcDF0IeW
+jDYpZqzq2GDGO4+cmIY3855mCTXOXoU=
+-----END CERTIFICATE-----
+`;
+
+// mail.example.com, issued by caData
+const mailLeafData = `-----BEGIN CERTIFICATE-----
+MIIBljCCATugAwIBAgICEAMwCgYIKoZIzj0EAwIwHjEcMBoGA1UEAwwTRXhhbXBs
+ZSBJbnRlcm5hbCBDQTAgFw0yNjEwMTgwMDAwMDBaGA8yMDU2MTAxODAwMDAwMFow
+GzEZMBcGA1UEAwwQbWFpbC5leGFtcGxlLmNvbTBZMBMGByqGSM49AgEGCCqGSM49
+AwEHA0IABL5GqdeLQEnLh6mXaiRUuC615LnpChMOIf54StHHfY4yFhkqu+zINzxE
+qkrar7srl5BK2LYPKyivYYPngz4LYZKjajBoMAkGA1UdEwQCMAAwGwYDVR0RBBQw
+EoIQbWFpbC5leGFtcGxlLmNvbTAdBgNVHQ4EFgQUPFAZZTxcRNCtu7CfkcW6XWE4
+YyowHwYDVR0jBBgwFoAUa50hRXZIf9HyP8zSxKJmmmVtpLMwCgYIKoZIzj0EAwID
+SQAwRgIhAIPZ5IcrpXxtC3H8xFp7FeVgzqV6psrMjpdVpsQptbRNAiEAxMpfg+BS
+2X18rxpHa6kSuWA2UGMaYkR+oyLjBuu+Uok=
+-----END CERTIFICATE-----
+`;
+
+// Example Issuing CA, issued by caData
+const issuingCAData = `-----BEGIN CERTIFICATE-----
+MIIBgDCCASagAwIBAgICEAQwCgYIKoZIzj0EAwIwHjEcMBoGA1UEAwwTRXhhbXBs
+ZSBJbnRlcm5hbCBDQTAgFw0yNjEwMTgwMDAwMDBaGA8yMDU2MTAxODAwMDAwMFow
+HTEbMBkGA1UEAwwSRXhhbXBsZSBJc3N1aW5nIENBMFkwEwYHKoZIzj0CAQYIKoZI
+zj0DAQcDQgAEatzDVeD8X+cxzhiBBqhYtJbobe8gxYQlrX3rDBfCvb8KH+6iyULo
+I5ox+iIHuZAOFYk1qd/xzyv0XR0gULFs/aNTMFEwDwYDVR0TAQH/BAUwAwEB/zAd
+BgNVHQ4EFgQU2931XJxH1pBl8QyzZnF/i1+jd/AwHwYDVR0jBBgwFoAUa50hRXZI
+f9HyP8zSxKJmmmVtpLMwCgYIKoZIzj0EAwIDSAAwRQIhAKuUXuH0IGBSKMnlNqUm
+Q1dTN/bFUzwn6ELSnetec7bKAiAz08ANdiI9Izkz5ypeXa6PN/7eI+XoxJv59jWt
+Tty5wg==
+-----END CERTIFICATE-----
+`;
+
+// *.example.com, issued by issuingCAData
+const wildcardLeafData = `-----BEGIN CERTIFICATE-----
+MIIBkTCCATegAwIBAgICEAUwCgYIKoZIzj0EAwIwHTEbMBkGA1UEAwwSRXhhbXBs
+ZSBJc3N1aW5nIENBMCAXDTI2MTAxODAwMDAwMFoYDzIwNTYxMDE4MDAwMDAwWjAb
+MRkwFwYDVQQDDBBjaGF0LmV4YW1wbGUuY29tMFkwEwYHKoZIzj0CAQYIKoZIzj0D
+AQcDQgAExbVvoDGhlORV9saByOc/o1c29UHRRATrLFbBNEksTblFtHb7CZKBvH9h
+KZwLq0sLrKLnevbmiH224UHHsWPS1KNnMGUwCQYDVR0TBAIwADAYBgNVHREEETAP
+gg0qLmV4YW1wbGUuY29tMB0GA1UdDgQWBBTSzX55ipv9KWpp9gdRpS0ws3MOwTAf
+BgNVHSMEGDAWgBTb3fVcnEfWkGXxDLNmcX+LX6N38DAKBggqhkjOPQQDAgNIADBF
+AiBoahLKr76Gvm7fv9bJRX/+03W+pwFI7R7jwznM1cM/HgIhANBqQBPtYao5ovMJ
+A3DDus90SEXJfzofj0KKRpxP7y8u
+-----END CERTIFICATE-----
+`;
+
+// example.com, issued by caData without being a certificate authority
+const notCAData = `-----BEGIN CERTIFICATE-----
+MIIBdTCCARygAwIBAgICEAYwCgYIKoZIzj0EAwIwHjEcMBoGA1UEAwwTRXhhbXBs
+ZSBJbnRlcm5hbCBDQTAgFw0yNjEwMTgwMDAwMDBaGA8yMDU2MTAxODAwMDAwMFow
+FjEUMBIGA1UEAwwLZXhhbXBsZS5jb20wWTATBgcqhkjOPQIBBggqhkjOPQMBBwNC
+AARJEK2qjfWYyUy0x5NG/OQdjktQx92JmYa5qGnY8b7ZbpeedROCO9mAEygoyqDH
+Ba2xtrBk4dvp6hcvnSuIppsko1AwTjAMBgNVHRMBAf8EAjAAMB0GA1UdDgQWBBQV
+WDCVYusqMIO7w1oGtxST6szx5jAfBgNVHSMEGDAWgBRrnSFFdkh/0fI/zNLEomaa
+ZW2kszAKBggqhkjOPQQDAgNHADBEAiAWYuZOZ6ij4IbyHFNIhuZqRQzOIu/t9wdF
+ayGgOEcQFQIgPeE2tYtQ/dDgWgoJ4RMWGRo166luZdFe7Y/7xuDAylA=
+-----END CERTIFICATE-----
+`;
+
+// chat.example.com, issued by notCAData
+const notCALeafData = `-----BEGIN CERTIFICATE-----
+MIIBjjCCATOgAwIBAgICEAcwCgYIKoZIzj0EAwIwFjEUMBIGA1UEAwwLZXhhbXBs
+ZS5jb20wIBcNMjYxMDE4MDAwMDAwWhgPMjA1NjEwMTgwMDAwMDBaMBsxGTAXBgNV
+BAMMEGNoYXQuZXhhbXBsZS5jb20wWTATBgcqhkjOPQIBBggqhkjOPQMBBwNCAATT
+erCS28BloGP9M8VPaqRsFn6H5tssH8LAo1hUSKC35y/9nPSETkD/WwB/fJxIap1n
+oQjjo14A7z/h0RrS2sD5o2owaDAJBgNVHRMEAjAAMBsGA1UdEQQUMBKCEGNoYXQu
+ZXhhbXBsZS5jb20wHQYDVR0OBBYEFPoQzKgFWF4HFXziagulIL4ic0d3MB8GA1Ud
+IwQYMBaAFBVYMJVi6yowg7vDWga3FJPqzPHmMAoGCCqGSM49BAMCA0kAMEYCIQDn
+YhUWOoXpgoH4hTfByxIH2wthMga5YdKNPyh3UA6pfgIhALhhnHJzp4sONLsLha+8
+P3TECLkUJadtVYfeUO375JP4
+-----END CERTIFICATE-----
+`;
+
+// Example RSA CA, issued by caData
+const rsaCAData = `-----BEGIN CERTIFICATE-----
+MIICRjCCAe2gAwIBAgICEBQwCgYIKoZIzj0EAwIwHjEcMBoGA1UEAwwTRXhhbXBs
+ZSBJbnRlcm5hbCBDQTAgFw0yNjEwMTgwMDAwMDBaGA8yMDU2MTAwMTAwMDAwMFow
+GTEXMBUGA1UEAwwORXhhbXBsZSBSU0EgQ0EwggEiMA0GCSqGSIb3DQEBAQUAA4IB
+DwAwggEKAoIBAQC+WvhDl3tKgYiJlDrloyAzl7jK971HGj6+SFg58LGZ6ArSd8RQ
+V0bQc1/SxYDTcmXTog4YlViWg4RmF0c/erA/tN6BEVswBlhbRnA+cEx5473svtnF
+s9BY6X6+2AcbtvRrjdDTWnFUm13IBBitBSU8HFmjZN21CXoNRNaE/WMAYbxwbc6b
+A66BErNOh+pNV7Skqobtu+QjOPHBvEjGusZMG8WEm97TnJ0OY2HPIFmzIu80E+VY
+bhqfEvTqHKOQ6WHBUNR64MJvDw+RWtHXPkegBCu6FyRw5tdMbbrRyOxxxyqAaubx
+/MX4mYMpwFoEyOPh3QR/s3s6XCJm7S0iO+XVAgMBAAGjUzBRMA8GA1UdEwEB/wQF
+MAMBAf8wHQYDVR0OBBYEFKfwLKH6CafwvaDV39oYgBvn21OSMB8GA1UdIwQYMBaA
+FGudIUV2SH/R8j/M0sSiZpplbaSzMAoGCCqGSM49BAMCA0cAMEQCIFxoON5EgABQ
+0M8+BcF0hXVwZb7tabHKWmJSj9t/Mv8YAiAPiVPKd/k0cHH4IJwIcVA7RLkY2/VY
+PAJXw/CUdEOGEQ==
+-----END CERTIFICATE-----
+`;
+
+// chat.example.com, signed by rsaCAData with sha1WithRSAEncryption
+const sha1LeafData = `-----BEGIN CERTIFICATE-----
+MIICUTCCATmgAwIBAgICEBYwDQYJKoZIhvcNAQEFBQAwGTEXMBUGA1UEAwwORXhh
+bXBsZSBSU0EgQ0EwIBcNMjYxMDE4MDAwMDAwWhgPMjA1NjEwMDEwMDAwMDBaMBsx
+GTAXBgNVBAMMEGNoYXQuZXhhbXBsZS5jb20wWTATBgcqhkjOPQIBBggqhkjOPQMB
+BwNCAAT6e56QisqyYnGQBr9NYtiEo5pr5uI61Xzas6WzSfQ4pAbcMjHBzSXgPqER
+/Pu3Wo79TabFjP5e0sAoM/Cumxdpo2owaDAJBgNVHRMEAjAAMBsGA1UdEQQUMBKC
+EGNoYXQuZXhhbXBsZS5jb20wHQYDVR0OBBYEFCWmbEAZYOMpFV7oBvJg5bO7n21T
+MB8GA1UdIwQYMBaAFKfwLKH6CafwvaDV39oYgBvn21OSMA0GCSqGSIb3DQEBBQUA
+A4IBAQCCCuJu4NqPUeIbNolHdbBLw+DOUYAMkhaFyBv10trAlIcnlSGhB5R6I5Nh
+dKfyDT7YZn+ANFGG9Wxcw7+MvfAYsN3d+phmy9nKQZu4U+zQ2HP9tnnkOGITOKlY
+bMS9mwFoQ30y7RiDhUwq4m1f0FymTlB2uo5fqkly+F+GoJfX3OeJ0RYU9ZPFxIzk
+5fPkdpuqemE8KaLtdYPtO66kMDcx+PeIWmrki6q5E2iQNNddYFUss8hxTPWbW8Qr
+asvy63PN1BOdOt0woP1EGeBboiEO/RepUyzUuegHMAEPEyJZGv5JBIK0PEsNGB3n
+ce/oMhz1p0DlFgViuQbunq0VRaKD
+-----END CERTIFICATE-----
+`;
+
+// Example Constrained CA, issued by caData with a path length of 0
+const pathLengthCAData = `-----BEGIN CERTIFICATE-----
+MIIBiDCCAS2gAwIBAgICEBcwCgYIKoZIzj0EAwIwHjEcMBoGA1UEAwwTRXhhbXBs
+ZSBJbnRlcm5hbCBDQTAgFw0yNjEwMTgwMDAwMDBaGA8yMDU2MTAwMTAwMDAwMFow
+ITEfMB0GA1UEAwwWRXhhbXBsZSBDb25zdHJhaW5lZCBDQTBZMBMGByqGSM49AgEG
+CCqGSM49AwEHA0IABC34RQPwlw17sV+k5O3s9spUSlaJFETKOnYyyh6b9NEyNEen
+KGWOau/jxrYRDCnUFeW/h308PDNLMJHxw3KM9sWjVjBUMBIGA1UdEwEB/wQIMAYB
+Af8CAQAwHQYDVR0OBBYEFLO/mBeQ9vOFXoh39EhVVQYUTqGyMB8GA1UdIwQYMBaA
+FGudIUV2SH/R8j/M0sSiZpplbaSzMAoGCCqGSM49BAMCA0kAMEYCIQDhopkSoWZY
+fCkJxTUVTTfPs1nQUcyxoNfZ47wn4y9J7wIhAJ+8Hn3V8aw5LrCYk37cFXUY06vm
+DikjiQ5HIpL7wmyD
+-----END CERTIFICATE-----
+`;
+
+// Example Sub CA, issued by pathLengthCAData
+const pathLengthSubCAData = `-----BEGIN CERTIFICATE-----
+MIIBfzCCASWgAwIBAgICEBgwCgYIKoZIzj0EAwIwITEfMB0GA1UEAwwWRXhhbXBs
+ZSBDb25zdHJhaW5lZCBDQTAgFw0yNjEwMTgwMDAwMDBaGA8yMDU2MTAwMTAwMDAw
+MFowGTEXMBUGA1UEAwwORXhhbXBsZSBTdWIgQ0EwWTATBgcqhkjOPQIBBggqhkjO
+PQMBBwNCAASGOhc19xoEvlTafSvojR2WJ6pgrNiGgOZw2JH+nsDJtluFKyEknqvP
+7VN97GISbXmK3pkr+/co84xxjdYFDwPfo1MwUTAPBgNVHRMBAf8EBTADAQH/MB0G
+A1UdDgQWBBREaQefMiiyk9TyarwnEaGApopOHjAfBgNVHSMEGDAWgBSzv5gXkPbz
+hV6Id/RIVVUGFE6hsjAKBggqhkjOPQQDAgNIADBFAiAllapsUDa87RFCRM9IR2m3
+iXnxzNP1CFCJjNDPiXmNzAIhAO1ArexvpjvNHKPIDXUN2avxasvp+3Kyco7pYQ+y
+DQEc
+-----END CERTIFICATE-----
+`;
+
+// chat.example.com, issued by pathLengthSubCAData
+const pathLengthLeafData = `-----BEGIN CERTIFICATE-----
+MIIBkDCCATagAwIBAgICEBkwCgYIKoZIzj0EAwIwGTEXMBUGA1UEAwwORXhhbXBs
+ZSBTdWIgQ0EwIBcNMjYxMDE4MDAwMDAwWhgPMjA1NjEwMDEwMDAwMDBaMBsxGTAX
+BgNVBAMMEGNoYXQuZXhhbXBsZS5jb20wWTATBgcqhkjOPQIBBggqhkjOPQMBBwNC
+AARZkePCg7O+yt5mIreCDg6cNG2Cuvpg5Zc61DvgOTtH77FGuXgIAMCmuJjwDuta
+YAEgLi6V6lenh+cBb6fq7pPvo2owaDAJBgNVHRMEAjAAMBsGA1UdEQQUMBKCEGNo
+YXQuZXhhbXBsZS5jb20wHQYDVR0OBBYEFAq4bKKAPKzkN411DZShtipIWkKAMB8G
+A1UdIwQYMBaAFERpB58yKLKT1PJqvCcRoYCmik4eMAoGCCqGSM49BAMCA0gAMEUC
+IQCTmZV0l3UqdNj216AmZiw6gz8wUZYplYKNCX3L7Le0XgIgAcFqfo+CsJudqFw7
+YiJ6nCHqSCNUa2QUhKR2x4FvW5g=
+-----END CERTIFICATE-----
+`;
+
+// chat.example.com, issued by pathLengthCAData
+const pathLengthDirectLeafData = `-----BEGIN CERTIFICATE-----
+MIIBmDCCAT6gAwIBAgICEBowCgYIKoZIzj0EAwIwITEfMB0GA1UEAwwWRXhhbXBs
+ZSBDb25zdHJhaW5lZCBDQTAgFw0yNjEwMTgwMDAwMDBaGA8yMDU2MTAwMTAwMDAw
+MFowGzEZMBcGA1UEAwwQY2hhdC5leGFtcGxlLmNvbTBZMBMGByqGSM49AgEGCCqG
+SM49AwEHA0IABDBSgIUEWEYm9D1crh5pB2Xc9gOlD7jlt+mTwHIOGsrSB3qEsnze
+sCCt5S+1VOMQ7FTZlwDVA5Ht2Pj9UJ7RlEOjajBoMAkGA1UdEwQCMAAwGwYDVR0R
+BBQwEoIQY2hhdC5leGFtcGxlLmNvbTAdBgNVHQ4EFgQUQAXBe7ddonZpTq7IV6Eu
+n1dssU8wHwYDVR0jBBgwFoAUs7+YF5D284VeiHf0SFVVBhROobIwCgYIKoZIzj0E
+AwIDSAAwRQIgD4NyzfoecVLrRlepHM4FyGpmBYmq5Lhb6jW+9ucOgj4CIQCZ/5Bw
+vfI3Prvi7YoYPt9p/2+5RQF1Fs+zSW5RTmWnzQ==
+-----END CERTIFICATE-----
+`;
+
+// Example Signing Key CA, issued by caData with a key usage limited to digital signatures
+const noCertSignCAData = `-----BEGIN CERTIFICATE-----
+MIIBlTCCATqgAwIBAgICEBswCgYIKoZIzj0EAwIwHjEcMBoGA1UEAwwTRXhhbXBs
+ZSBJbnRlcm5hbCBDQTAgFw0yNjEwMTgwMDAwMDBaGA8yMDU2MTAwMTAwMDAwMFow
+ITEfMB0GA1UEAwwWRXhhbXBsZSBTaWduaW5nIEtleSBDQTBZMBMGByqGSM49AgEG
+CCqGSM49AwEHA0IABC/uHCHCA53n1IctT+XuoMEIJgodnrEZ249SQaUt0Uj5+JSo
+k3VbBsT1k9M2h/TkiC38k4isn9MleS5bG8W4LdGjYzBhMA8GA1UdEwEB/wQFMAMB
+Af8wDgYDVR0PAQH/BAQDAgeAMB0GA1UdDgQWBBSqPeJRE3tXEGhvLbdtbeoyB25Z
+XjAfBgNVHSMEGDAWgBRrnSFFdkh/0fI/zNLEomaaZW2kszAKBggqhkjOPQQDAgNJ
+ADBGAiEApWrG8VKXbQJZgggCAoIxAIcMZSmM9c9cjWthZphq78ECIQC5F3MQf7LB
+9Wb2P+cTJLP+VgFR/0x+TSSr5v1F8GpIxg==
+-----END CERTIFICATE-----
+`;
+
+// chat.example.com, issued by noCertSignCAData
+const noCertSignLeafData = `-----BEGIN CERTIFICATE-----
+MIIBmDCCAT6gAwIBAgICEBwwCgYIKoZIzj0EAwIwITEfMB0GA1UEAwwWRXhhbXBs
+ZSBTaWduaW5nIEtleSBDQTAgFw0yNjEwMTgwMDAwMDBaGA8yMDU2MTAwMTAwMDAw
+MFowGzEZMBcGA1UEAwwQY2hhdC5leGFtcGxlLmNvbTBZMBMGByqGSM49AgEGCCqG
+SM49AwEHA0IABGaHg4GTy7lGkq7LxBcOiMEkS+GXpbU//gCEQTGXRJbz3H/b8cES
+Xa+hxppbtlN+ugY8YNf9WzaaMlGuzJRGE1qjajBoMAkGA1UdEwQCMAAwGwYDVR0R
+BBQwEoIQY2hhdC5leGFtcGxlLmNvbTAdBgNVHQ4EFgQULFFhGwetLv8m0k5mQ//v
+ldZPmucwHwYDVR0jBBgwFoAUqj3iURN7VxBoby23bW3qMgduWV4wCgYIKoZIzj0E
+AwIDSAAwRQIgJdnTScqsjdEh08dpgbRhiQXBdZlnMKRQ0Q0dZG5+ahACIQC+9E9U
+vpErm4PzQLSMnonJ/8QiNZY/mayYzuW8kdeccw==
+-----END CERTIFICATE-----
+`;
+
+// Example Mail CA, issued by caData with mail.example.com as the only permitted name
+const mailOnlyCAData = `-----BEGIN CERTIFICATE-----
+MIIBoTCCAUegAwIBAgICEB0wCgYIKoZIzj0EAwIwHjEcMBoGA1UEAwwTRXhhbXBs
+ZSBJbnRlcm5hbCBDQTAgFw0yNjEwMTgwMDAwMDBaGA8yMDU2MTAwMTAwMDAwMFow
+GjEYMBYGA1UEAwwPRXhhbXBsZSBNYWlsIENBMFkwEwYHKoZIzj0CAQYIKoZIzj0D
+AQcDQgAEUuT2NXhaORvCaNwG92eeAF0ioCG+ddONelv/V3qj0q/UuWr3ENIWuhEc
+iRYKsJLggNTJWhgJXrynSlg11fmxyqN3MHUwDwYDVR0TAQH/BAUwAwEB/zAiBgNV
+HR4BAf8EGDAWoBQwEoIQbWFpbC5leGFtcGxlLmNvbTAdBgNVHQ4EFgQUssr8+/U0
+O1PycNgQmZ8dDQgRpPUwHwYDVR0jBBgwFoAUa50hRXZIf9HyP8zSxKJmmmVtpLMw
+CgYIKoZIzj0EAwIDSAAwRQIhAJxjeOEaKJ/Xg9U7z0KIq41wY5ZFVKa/43jujTBW
+R1sUAiBEZm+wgZ3APNFy7fdoP4lX/NNu0Yj3pB5HAme3VYAhDw==
+-----END CERTIFICATE-----
+`;
+
+// chat.example.com, issued by mailOnlyCAData
+const mailOnlyChatLeafData = `-----BEGIN CERTIFICATE-----
+MIIBkTCCATegAwIBAgICEB4wCgYIKoZIzj0EAwIwGjEYMBYGA1UEAwwPRXhhbXBs
+ZSBNYWlsIENBMCAXDTI2MTAxODAwMDAwMFoYDzIwNTYxMDAxMDAwMDAwWjAbMRkw
+FwYDVQQDDBBjaGF0LmV4YW1wbGUuY29tMFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcD
+QgAEpsw82TvaVUfvOFDQFm++RQde6x6o+rOjn/xqTxTYEP52nEnZf64qaDCD7JtH
+8y3VrgLq+oc/47R7RKbbpEr5pqNqMGgwCQYDVR0TBAIwADAbBgNVHREEFDASghBj
+aGF0LmV4YW1wbGUuY29tMB0GA1UdDgQWBBSLtm/Gpf9ECKc3rLGvW0Q9B4c1UTAf
+BgNVHSMEGDAWgBSyyvz79TQ7U/Jw2BCZnx0NCBGk9TAKBggqhkjOPQQDAgNIADBF
+AiEAqgWmjzMK7RsjK+B+wcAONSOxNXSpRLvMNMwMo/EJAowCIDY7SOl+AZyJAwaX
+o/FHtO2LjIoODrrzJ46DmOU4/hfc
+-----END CERTIFICATE-----
+`;
+
+// mail.example.com, issued by mailOnlyCAData
+const mailOnlyMailLeafData = `-----BEGIN CERTIFICATE-----
+MIIBkTCCATegAwIBAgICEB8wCgYIKoZIzj0EAwIwGjEYMBYGA1UEAwwPRXhhbXBs
+ZSBNYWlsIENBMCAXDTI2MTAxODAwMDAwMFoYDzIwNTYxMDAxMDAwMDAwWjAbMRkw
+FwYDVQQDDBBtYWlsLmV4YW1wbGUuY29tMFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcD
+QgAEki4WcWPMZ8ZysHJXTJ0qIqUg8vp/QoWIXdpRcxBb+kL/8a32outKLz9fQSPn
+l6JW2IlyVG/s0GmCdpci5Q2YEaNqMGgwCQYDVR0TBAIwADAbBgNVHREEFDASghBt
+YWlsLmV4YW1wbGUuY29tMB0GA1UdDgQWBBSk6u45nrLrCufDalAJvBWNa7o3szAf
+BgNVHSMEGDAWgBSyyvz79TQ7U/Jw2BCZnx0NCBGk9TAKBggqhkjOPQQDAgNIADBF
+AiEA2T+eIIcl0jtX1roEf/0aYpPzCKSc3m2wcbNGQEGB2G4CIBndu34oanCZki4s
+Vn+4gE5U8ZscOizz4TA9XYN1NaNb
+-----END CERTIFICATE-----
+`;
+
+// chat.example.com, issued by caData with a critical certificate policies extension
+const criticalPolicyLeafData = `-----BEGIN CERTIFICATE-----
+MIIBqTCCAVCgAwIBAgICECAwCgYIKoZIzj0EAwIwHjEcMBoGA1UEAwwTRXhhbXBs
+ZSBJbnRlcm5hbCBDQTAgFw0yNjEwMTgwMDAwMDBaGA8yMDU2MTAwMTAwMDAwMFow
+GzEZMBcGA1UEAwwQY2hhdC5leGFtcGxlLmNvbTBZMBMGByqGSM49AgEGCCqGSM49
+AwEHA0IABPC6WQEVKiRLiLYNZ76a2f2y/1xKVMIrbiAahf29Qt8wsKCtF0lZQ771
+nUkXLU8p+4uy1pBcPwMTaKQRPRBg/yijfzB9MAkGA1UdEwQCMAAwGwYDVR0RBBQw
+EoIQY2hhdC5leGFtcGxlLmNvbTATBgNVHSABAf8ECTAHMAUGAyoDBDAdBgNVHQ4E
+FgQUw3gAWeuTNmW9xfXNJZXd2eZ8wMYwHwYDVR0jBBgwFoAUa50hRXZIf9HyP8zS
+xKJmmmVtpLMwCgYIKoZIzj0EAwIDRwAwRAIga2Tf67uVj52Y9F1Eq+r7Eytziwga
+pz/JL3ia2tVtpUcCIFuHXVNR5sZB4FNrdNp7CZq7z1YURH9OFbQh8s2MWhOR
+-----END CERTIFICATE-----
+`;
+
+const ERR_CERT_AUTHORITY_INVALID = -202;
+
+describe('main/caBundle', () => {
+  let caBundle;
+
+  beforeEach(() => {
+    if (fs.existsSync(bundleDir)) {
+      fs.rmdirSync(bundleDir, {recursive: true});
+    }
+    fs.mkdirSync(bundleDir, {recursive: true});
+    fs.writeFileSync(path.join(bundleDir, 'internal.pem'), caData);
+    fs.writeFileSync(path.join(bundleDir, 'notes.txt'), rogueCAData);
+    caBundle = new CABundle().update(bundleDir, ['https://chat.example.com']);
+  });
+
+  function verify(certificate, errorCode = ERR_CERT_AUTHORITY_INVALID, hostname = 'chat.example.com') {
+    const result = {trusted: null, verificationResult: null};
+    const verifyProc = createCABundleVerifyProc(
+      (request, callback) => callback(-3),
+      () => caBundle,
+      (trustedHostname, trustedCertificate, authority) => {
+        result.trusted = authority.file;
+      },
+    );
+    verifyProc({hostname, certificate, errorCode}, (verificationResult) => {
+      result.verificationResult = verificationResult;
+    });
+    return result;
+  }
+
+  it('should split PEM files into certificates', () => {
+    assert.equal(parseCertificates(`${leafData}${caData}`).length, 2);
+  });
+
+  it('should check certificate signatures', () => {
+    assert.equal(isIssuedBy(leafData, caData), true);
+    assert.equal(isIssuedBy(leafData, rogueCAData), false);
+    assert.equal(isIssuedBy(rogueLeafData, caData), false);
+  });
+
+  it('should read the validity, names and constraints of certificates', () => {
+    assert.deepEqual(parseCertificate(leafData), {
+      notBefore: Date.UTC(2026, 9, 18),
+      notAfter: Date.UTC(2056, 9, 18),
+      commonNames: ['chat.example.com'],
+      dnsNames: ['chat.example.com'],
+      ipAddresses: [],
+      isCA: false,
+      pathLength: null,
+      keyUsage: null,
+      extendedKeyUsages: null,
+      nameConstraints: null,
+      hasUnsupportedCriticalExtension: false,
+    });
+    assert.equal(parseCertificate(caData).isCA, true);
+    assert.equal(parseCertificate(notCAData).isCA, false);
+    assert.equal(parseCertificate(pathLengthCAData).pathLength, 0);
+    assert.equal(parseCertificate(noCertSignCAData).keyUsage, 0x80);
+    assert.deepEqual(parseCertificate(mailOnlyCAData).nameConstraints, {permitted: [{type: 'dns', name: 'mail.example.com'}], excluded: []});
+    assert.equal(parseCertificate(criticalPolicyLeafData).hasUnsupportedCriticalExtension, true);
+  });
+
+  it('should match the hostnames the certificates are issued for', () => {
+    assert.equal(isIssuedFor(parseCertificate(leafData), 'chat.example.com'), true);
+    assert.equal(isIssuedFor(parseCertificate(leafData), 'CHAT.example.com.'), true);
+    assert.equal(isIssuedFor(parseCertificate(mailLeafData), 'chat.example.com'), false);
+    assert.equal(isIssuedFor(parseCertificate(wildcardLeafData), 'chat.example.com'), true);
+    assert.equal(isIssuedFor(parseCertificate(wildcardLeafData), 'example.com'), false);
+    assert.equal(isIssuedFor(parseCertificate(wildcardLeafData), 'a.chat.example.com'), false);
+  });
+
+  it('should only load .pem and .crt files', () => {
+    assert.deepEqual(caBundle.authorities.map(({file}) => file), ['internal.pem']);
+  });
+
+  it('should trust certificates issued by the bundle for the listed origins', () => {
+    assert.deepEqual(verify({data: leafData}), {trusted: 'internal.pem', verificationResult: 0});
+    assert.deepEqual(verify({data: leafData, issuerCert: {data: caData}}), {trusted: 'internal.pem', verificationResult: 0});
+  });
+
+  it('should not trust the bundle for other origins or other errors', () => {
+    assert.equal(verify({data: leafData}, ERR_CERT_AUTHORITY_INVALID, 'other.example.com').verificationResult, -3);
+    assert.equal(verify({data: leafData}, -201).verificationResult, -3);
+  });
+
+  it('should not trust chains whose links are not signed by each other', () => {
+    const rogueChain = {data: rogueLeafData, issuerCert: {data: caData}};
+    assert.deepEqual(verify(rogueChain), {trusted: null, verificationResult: -3});
+  });
+
+  it('should trust chains through intermediate certificate authorities', () => {
+    const chain = {data: wildcardLeafData, issuerCert: {data: issuingCAData, issuerCert: {data: caData}}};
+    assert.deepEqual(verify(chain), {trusted: 'internal.pem', verificationResult: 0});
+  });
+
+  it('should not trust expired certificates', () => {
+    assert.deepEqual(verify({data: expiredLeafData, issuerCert: {data: caData}}), {trusted: null, verificationResult: -3});
+  });
+
+  it('should not trust certificates issued for another hostname', () => {
+    assert.deepEqual(verify({data: mailLeafData, issuerCert: {data: caData}}), {trusted: null, verificationResult: -3});
+  });
+
+  it('should not trust chains through issuers that are not certificate authorities', () => {
+    const chain = {data: notCALeafData, issuerCert: {data: notCAData, issuerCert: {data: caData}}};
+    assert.deepEqual(verify(chain), {trusted: null, verificationResult: -3});
+  });
+
+  it('should not trust certificates signed with SHA-1', () => {
+    assert.equal(isIssuedBy(sha1LeafData, rsaCAData), false);
+    const chain = {data: sha1LeafData, issuerCert: {data: rsaCAData, issuerCert: {data: caData}}};
+    assert.deepEqual(verify(chain), {trusted: null, verificationResult: -3});
+  });
+
+  it('should not trust chains longer than the path length of an issuer', () => {
+    const chain = {data: pathLengthLeafData, issuerCert: {data: pathLengthSubCAData, issuerCert: {data: pathLengthCAData, issuerCert: {data: caData}}}};
+    assert.deepEqual(verify(chain), {trusted: null, verificationResult: -3});
+    const directChain = {data: pathLengthDirectLeafData, issuerCert: {data: pathLengthCAData, issuerCert: {data: caData}}};
+    assert.deepEqual(verify(directChain), {trusted: 'internal.pem', verificationResult: 0});
+  });
+
+  it('should not trust chains through issuers whose key usage excludes signing certificates', () => {
+    const chain = {data: noCertSignLeafData, issuerCert: {data: noCertSignCAData, issuerCert: {data: caData}}};
+    assert.deepEqual(verify(chain), {trusted: null, verificationResult: -3});
+  });
+
+  it('should not trust certificates outside of the name constraints of an issuer', () => {
+    const chain = {data: mailOnlyChatLeafData, issuerCert: {data: mailOnlyCAData, issuerCert: {data: caData}}};
+    assert.deepEqual(verify(chain), {trusted: null, verificationResult: -3});
+    const mailChain = {data: mailOnlyMailLeafData, issuerCert: {data: mailOnlyCAData, issuerCert: {data: caData}}};
+    assert.equal(caBundle.getTrustAnchor(mailChain, 'mail.example.com').file, 'internal.pem');
+  });
+
+  it('should not trust certificates with critical extensions it does not support', () => {
+    assert.deepEqual(verify({data: criticalPolicyLeafData, issuerCert: {data: caData}}), {trusted: null, verificationResult: -3});
+  });
+
+  it('should only report the trust once per certificate', () => {
+    const trusted = [];
+    const verifyProc = createCABundleVerifyProc(
+      (request, callback) => callback(-3),
+      () => caBundle,
+      (hostname) => trusted.push(hostname),
+    );
+    const request = {hostname: 'chat.example.com', certificate: {data: leafData}, errorCode: ERR_CERT_AUTHORITY_INVALID};
+    verifyProc(request, () => {});
+    verifyProc(request, () => {});
+    assert.deepEqual(trusted, ['chat.example.com']);
+  });
+
+  it('should not trust certificates once the authority has expired', () => {
+    // the authority expires on 2056-10-11, a week before the certificate
+    const chain = {data: leafData, issuerCert: {data: caData}};
+    assert.equal(caBundle.getTrustAnchor(chain, 'chat.example.com', Date.UTC(2056, 9, 1)).file, 'internal.pem');
+    assert.equal(caBundle.getTrustAnchor(chain, 'chat.example.com', Date.UTC(2056, 9, 12)), null);
+  });
+});
@@ -0,0 +1,70 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import assert from 'assert';
+
+import {createCertificateVerifyProc, getPinsForHost, getSPKIFingerprint} from '../../../src/main/certificatePins';
+
+// self-signed certificate for example.com
+const certificateData = `-----BEGIN CERTIFICATE-----
+MIIBgTCCASegAwIBAgIUFQBZtMLDsZfcsdDff1B17oNvXQMwCgYIKoZIzj0EAwIw
+FjEUMBIGA1UEAwwLZXhhbXBsZS5jb20wHhcNMjYxMDE5MDMzNjQ2WhcNMzYxMDE2
+MDMzNjQ2WjAWMRQwEgYDVQQDDAtleGFtcGxlLmNvbTBZMBMGByqGSM49AgEGCCqG
+SM49AwEHA0IABCcE881k3IfYkr6iCcKlZqRDSieUkaEyMmxk9q5g1ssqtMe4WiD5
+LHjCkdkelj2adXRMx3UoAIyvR7ZnOqn0t3qjUzBRMB0GA1UdDgQWBBQhy606oxwb
+J0ighxEMuXutZ6wbgjAfBgNVHSMEGDAWgBQhy606oxwbJ0ighxEMuXutZ6wbgjAP
+BgNVHRMBAf8EBTADAQH/MAoGCCqGSM49BAMCA0gAMEUCIHzyrkxS2SXUo6JJVyTp
+wrgpv9pVoxI/rAQfqWBgU3WmAiEAgj9YGgKGNQKRZqxhOJOZ1Y1R33ff3jT1kmaz
+ks6xlOw=
+-----END CERTIFICATE-----
+`;
+const certificatePin = 'sha256/fk8bXA7YepAsrAAFbQ0Nwst8c6U0wDBgaEw8KaI/VZY=';
+const otherPin = 'sha256/AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA=';
+
+describe('main/certificatePins', () => {
+  function verify(certificatePins, hostname = 'example.com') {
+    const result = {mismatch: null, matched: null, verificationResult: null};
+    const verifyProc = createCertificateVerifyProc(
+      () => certificatePins,
+      (failure) => {
+        result.mismatch = failure;
+      },
+      (matchedHostname) => {
+        result.matched = matchedHostname;
+      },
+    );
+    verifyProc({hostname, certificate: {data: certificateData}}, (verificationResult) => {
+      result.verificationResult = verificationResult;
+    });
+    return result;
+  }
+
+  it('should compute the pin of the certificate public key', () => {
+    assert.equal(getSPKIFingerprint(certificateData), certificatePin);
+  });
+
+  it('should find the pins of a host from the server URLs', () => {
+    const pins = {'https://example.com/team': [certificatePin], 'https://other.example.com': [otherPin]};
+    assert.deepEqual(getPinsForHost(pins, 'example.com'), [certificatePin]);
+    assert.deepEqual(getPinsForHost(pins, 'unpinned.example.com'), []);
+  });
+
+  it('should leave hosts without pins to the usual verification', () => {
+    const result = verify({'https://other.example.com': [otherPin]});
+    assert.equal(result.verificationResult, -3);
+    assert.equal(result.mismatch, null);
+  });
+
+  it('should keep the usual verification for certificates matching a pin', () => {
+    const result = verify({'https://example.com': [otherPin, certificatePin]});
+    assert.equal(result.verificationResult, -3);
+    assert.equal(result.matched, 'example.com');
+  });
+
+  it('should reject certificates matching none of the pins', () => {
+    const result = verify({'https://example.com': [otherPin]});
+    assert.equal(result.verificationResult, -2);
+    assert.deepEqual(result.mismatch, {hostname: 'example.com', expected: [otherPin], received: [certificatePin]});
+  });
+});
@@ -0,0 +1,105 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import CertificateStore from '../../../src/main/certificateStore';
+
+const storeDir = path.join(os.tmpdir(), 'mattermost-desktop-certificate-store-test');
+const storeFile = path.join(storeDir, 'certificate.json');
+
+const certificate = {
+  data: '-----BEGIN CERTIFICATE-----\nMIIB\n-----END CERTIFICATE-----\n',
+  issuerName: 'Example CA',
+  subject: {commonName: 'example.com'},
+  issuer: {commonName: 'Example CA'},
+  serialNumber: '01',
+  validStart: 1577836800,
+  validExpiry: 1609459200,
+  fingerprint: 'sha256/AAAA',
+  subjectName: 'example.com',
+  issuerCert: {
+    subjectName: 'Example CA',
+    issuerName: 'Example CA',
+    fingerprint: 'sha256/BBBB',
+  },
+};
+
+describe('main/certificateStore', () => {
+  beforeEach(() => {
+    if (fs.existsSync(storeDir)) {
+      fs.rmdirSync(storeDir, {recursive: true});
+    }
+    fs.mkdirSync(storeDir, {recursive: true});
+  });
+
+  it('should list trusted certificates with the details to display', () => {
+    const store = CertificateStore.load(storeFile);
+    store.add('https://example.com/team', certificate);
+    store.save();
+
+    const [trusted] = CertificateStore.load(storeFile).getCertificates();
+    assert.equal(trusted.origin, 'https://example.com');
+    assert.equal(trusted.fingerprint, 'sha256/AAAA');
+    assert.ok(trusted.dateTrusted);
+    assert.equal(trusted.details.subject.commonName, 'example.com');
+    assert.equal(CertificateStore.load(storeFile).isTrusted('https://example.com', certificate), true);
+  });
+
+  it('should keep the date of imported certificates', () => {
+    const store = CertificateStore.load(storeFile);
+    store.add('https://example.com', {data: certificate.data, issuerName: certificate.issuerName, dateTrusted: '2020-01-01T00:00:00.000Z'});
+    const [trusted] = store.getCertificates();
+    assert.equal(trusted.dateTrusted, '2020-01-01T00:00:00.000Z');
+    assert.equal(trusted.details, undefined);
+  });
+
+  it('should revoke trusted certificates', () => {
+    const store = CertificateStore.load(storeFile);
+    store.add('https://example.com', certificate);
+    assert.equal(store.revoke('https://example.com'), true);
+    assert.equal(store.revoke('https://example.com'), false);
+    assert.equal(store.isExisting('https://example.com'), false);
+  });
+
+  it('should export trusted certificates as PEM', () => {
+    const store = CertificateStore.load(storeFile);
+    store.add('https://example.com', certificate);
+    const exportPath = path.join(storeDir, 'example.pem');
+    store.exportCertificate('https://example.com', exportPath);
+    assert.equal(fs.readFileSync(exportPath, 'utf8'), certificate.data);
+    assert.throws(() => store.exportCertificate('https://other.example.com', exportPath));
+  });
+
+  it('should keep the chain of trusted certificates to compare them later', () => {
+    const store = CertificateStore.load(storeFile);
+    assert.equal(store.getTrustedCertificateDetails('https://example.com'), null);
+    store.add('https://example.com', certificate);
+    store.save();
+    const details = CertificateStore.load(storeFile).getTrustedCertificateDetails('https://example.com');
+    assert.deepEqual(details.chain.map(({fingerprint}) => fingerprint), ['sha256/AAAA', 'sha256/BBBB']);
+  });
+
+  it('should trust certificates for the session only without saving them', () => {
+    const store = CertificateStore.load(storeFile);
+    store.add('https://example.com', certificate, true);
+    store.save();
+    assert.equal(store.isTrusted('https://example.com', certificate), true);
+    assert.equal(store.isExisting('https://example.com'), false);
+    assert.deepEqual(store.getCertificates(), []);
+    assert.equal(CertificateStore.load(storeFile).isTrusted('https://example.com', certificate), false);
+  });
+
+  it('should list certificates trusted via the CA bundle without saving them', () => {
+    const store = CertificateStore.load(storeFile);
+    store.recordCABundleTrust('https://example.com', certificate, 'internal.pem');
+    store.save();
+    assert.equal(store.getCertificates()[0].caBundleFile, 'internal.pem');
+    assert.equal(store.revoke('https://example.com'), false);
+    assert.deepEqual(CertificateStore.load(storeFile).getCertificates(), []);
+  });
+});
@@ -0,0 +1,35 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import assert from 'assert';
+
+import {getClientCertificateChoice, selectClientCertificate} from '../../../src/main/clientCertificates';
+
+const personal = {subjectName: 'John Doe', issuerName: 'Personal CA', serialNumber: '01', fingerprint: 'sha256/personal'};
+const smartCard = {subjectName: 'john.doe', issuerName: 'Example Corp Smart Card CA', serialNumber: '02', fingerprint: 'sha256/smartcard'};
+const list = [personal, smartCard];
+const url = 'https://chat.example.com/login';
+
+describe('main/clientCertificates', () => {
+  it('should pick the first certificate matching the rule of the server', () => {
+    const rules = {'https://chat.example.com': {issuer: 'smart card'}};
+    assert.equal(selectClientCertificate(rules, {}, url, list), smartCard);
+    assert.equal(selectClientCertificate({'https://chat.example.com': {subject: '^john'}}, {}, url, list), personal);
+  });
+
+  it('should only apply rules to their server', () => {
+    const rules = {'https://other.example.com': {issuer: 'smart card'}};
+    assert.equal(selectClientCertificate(rules, {}, url, list), null);
+  });
+
+  it('should ignore invalid patterns', () => {
+    assert.equal(selectClientCertificate({'https://chat.example.com': {issuer: '('}}, {}, url, list), null);
+  });
+
+  it('should fall back to the remembered choice', () => {
+    const choices = {'https://chat.example.com': getClientCertificateChoice(personal)};
+    assert.equal(selectClientCertificate({'https://chat.example.com': {issuer: 'nothing matches'}}, choices, url, list), personal);
+    assert.equal(selectClientCertificate({}, choices, url, [smartCard]), null);
+  });
+});
@@ -0,0 +1,102 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import CredentialVault from '../../../src/main/credentialVault';
+
+const vaultDir = path.join(os.tmpdir(), 'mattermost-desktop-credential-vault-test');
+const vaultFile = path.join(vaultDir, 'credentials.vault');
+
+// same API as keytar, keeping the secrets in memory
+function createKeychain() {
+  const secrets = new Map();
+  return {
+    getPassword: async (service, account) => secrets.get(`${service}:${account}`) || null,
+    setPassword: async (service, account, password) => {
+      secrets.set(`${service}:${account}`, password);
+    },
+  };
+}
+
+describe('main/credentialVault', () => {
+  let keychain;
+
+  beforeEach(() => {
+    if (fs.existsSync(vaultDir)) {
+      fs.rmdirSync(vaultDir, {recursive: true});
+    }
+    fs.mkdirSync(vaultDir, {recursive: true});
+    keychain = createKeychain();
+  });
+
+  it('should keep credentials by origin and realm', async () => {
+    const vault = new CredentialVault(vaultFile, keychain);
+    await vault.load();
+    vault.set('https://example.com', 'intranet', {username: 'user', password: 'secret'});
+    vault.set('https://example.com', 'other', {username: 'other', password: 'another'});
+    assert.equal(vault.get('https://example.com', 'intranet').password, 'secret');
+    assert.equal(vault.get('https://example.com', 'other').username, 'other');
+    assert.equal(vault.get('https://example.org', 'intranet'), null);
+  });
+
+  it('should not store the passwords in plain text nor the key next to them', async () => {
+    const vault = new CredentialVault(vaultFile, keychain);
+    await vault.load();
+    vault.set('https://example.com', 'intranet', {username: 'user', password: 'secret'});
+    vault.save();
+    const contents = fs.readFileSync(vaultFile, 'utf-8');
+    assert.ok(!contents.includes('secret'));
+    assert.ok(!contents.includes('example.com'));
+    assert.deepEqual(fs.readdirSync(vaultDir), ['credentials.vault']);
+
+    const reloaded = new CredentialVault(vaultFile, keychain);
+    await reloaded.load();
+    assert.equal(reloaded.get('https://example.com', 'intranet').password, 'secret');
+  });
+
+  it('should start empty when the key is no longer in the keychain', async () => {
+    const vault = new CredentialVault(vaultFile, keychain);
+    await vault.load();
+    vault.set('https://example.com', 'intranet', {username: 'user', password: 'secret'});
+    vault.save();
+
+    const reloaded = new CredentialVault(vaultFile, createKeychain());
+    await reloaded.load();
+    assert.deepEqual(reloaded.list(), []);
+  });
+
+  it('should not remember credentials without a keychain', async () => {
+    const failingKeychain = {
+      getPassword: () => Promise.reject(new Error('No keychain')),
+      setPassword: () => Promise.reject(new Error('No keychain')),
+    };
+    for (const unavailableKeychain of [null, failingKeychain]) {
+      const vault = new CredentialVault(vaultFile, unavailableKeychain);
+      await vault.load();
+      assert.equal(vault.isAvailable(), false);
+      vault.set('https://example.com', 'intranet', {username: 'user', password: 'secret'});
+      vault.save();
+      assert.equal(fs.existsSync(vaultFile), false);
+    }
+  });
+
+  it('should list the entries without their passwords and delete them', async () => {
+    const vault = new CredentialVault(vaultFile, keychain);
+    await vault.load();
+    vault.set('https://example.org', 'intranet', {username: 'user', password: 'secret'});
+    vault.set('proxy.example.com:3128', 'proxy', {username: 'proxy', password: 'secret', isProxy: true});
+    const list = vault.list();
+    assert.deepEqual(list.map((entry) => entry.origin), ['https://example.org', 'proxy.example.com:3128']);
+    assert.ok(list.every((entry) => typeof entry.password === 'undefined'));
+    assert.equal(list[1].isProxy, true);
+
+    assert.ok(vault.delete('https://example.org', 'intranet'));
+    assert.equal(vault.get('https://example.org', 'intranet'), null);
+    assert.equal(vault.list().length, 1);
+  });
+});
@@ -0,0 +1,55 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import migrateConfig from '../../../src/main/migrateConfig';
+
+const configDir = path.join(os.tmpdir(), 'mattermost-desktop-migrate-config-test');
+const configFilePath = path.join(configDir, 'config.json');
+const configV2 = JSON.stringify({version: 2, teams: [{name: 'Community', url: 'https://community.mattermost.com', order: 0}]});
+
+function createOutput() {
+  const output = {
+    text: '',
+    write(text) {
+      output.text += text;
+    },
+  };
+  return output;
+}
+
+describe('main/migrateConfig', () => {
+  beforeEach(() => {
+    if (fs.existsSync(configDir)) {
+      fs.rmdirSync(configDir, {recursive: true});
+    }
+    fs.mkdirSync(configDir, {recursive: true});
+    fs.writeFileSync(configFilePath, configV2);
+  });
+
+  it('should print the migrated config without changing the file on a dry run', () => {
+    const output = createOutput();
+    assert.equal(migrateConfig(configFilePath, {dryRun: true, output}), true);
+    assert.ok(output.text.includes('Would migrate'));
+    assert.ok(output.text.includes('"version": 3'));
+    assert.equal(fs.readFileSync(configFilePath, 'utf8'), configV2);
+  });
+
+  it('should migrate the file', () => {
+    const output = createOutput();
+    assert.equal(migrateConfig(configFilePath, {output}), true);
+    assert.equal(JSON.parse(fs.readFileSync(configFilePath, 'utf8')).version, 3);
+  });
+
+  it('should fail on a config file that does not validate', () => {
+    fs.writeFileSync(configFilePath, JSON.stringify({version: 2, teams: 'none'}));
+    const output = createOutput();
+    assert.equal(migrateConfig(configFilePath, {dryRun: true, output}), false);
+    assert.ok(output.text.includes('"teams" must be an array'));
+  });
+});
@@ -0,0 +1,64 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import profiles from '../../../src/main/profiles';
+
+const userDataPath = path.join(os.tmpdir(), 'mattermost-desktop-profiles-test');
+
+describe('main/profiles', () => {
+  beforeEach(() => {
+    if (fs.existsSync(userDataPath)) {
+      fs.rmdirSync(userDataPath, {recursive: true});
+    }
+    fs.mkdirSync(userDataPath, {recursive: true});
+  });
+
+  it('should use the user data directory for the default profile', () => {
+    assert.equal(profiles.init(userDataPath), userDataPath);
+    assert.equal(profiles.getCurrentProfile(), null);
+    assert.deepEqual(profiles.getProfiles(), []);
+  });
+
+  it('should give each named profile its own data directory', () => {
+    assert.equal(profiles.init(userDataPath, 'work'), path.join(userDataPath, 'profiles', 'work'));
+    assert.equal(profiles.getCurrentProfile(), 'work');
+    assert.deepEqual(profiles.getProfiles(), ['work']);
+  });
+
+  it('should create the data directory on the first launch of a profile', () => {
+    const profileDataPath = profiles.init(userDataPath, 'work');
+    assert.ok(fs.statSync(profileDataPath).isDirectory());
+  });
+
+  it('should create new profiles so they are listed', () => {
+    profiles.init(userDataPath);
+    profiles.createProfile('community');
+    assert.ok(fs.statSync(path.join(userDataPath, 'profiles', 'community')).isDirectory());
+    assert.deepEqual(profiles.getProfiles(), ['community']);
+    assert.throws(() => profiles.createProfile('../community'));
+  });
+
+  it('should reject profile names that could escape the profiles directory', () => {
+    assert.throws(() => profiles.init(userDataPath, '../work'));
+  });
+
+  it('should list the profiles that have a data directory', () => {
+    fs.mkdirSync(path.join(userDataPath, 'profiles', 'community'), {recursive: true});
+    fs.mkdirSync(path.join(userDataPath, 'profiles', 'work'), {recursive: true});
+    fs.writeFileSync(path.join(userDataPath, 'profiles', 'notes.txt'), '');
+    profiles.init(userDataPath);
+    assert.deepEqual(profiles.getProfiles(), ['community', 'work']);
+  });
+
+  it('should launch other profiles with the same arguments', () => {
+    profiles.init(userDataPath, 'work', ['--dataDir', userDataPath]);
+    assert.deepEqual(profiles.getLaunchArgs('community'), ['--dataDir', userDataPath, '--profile', 'community']);
+    assert.deepEqual(profiles.getLaunchArgs(null), ['--dataDir', userDataPath]);
+  });
+});
@@ -0,0 +1,73 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import assert from 'assert';
+import vm from 'vm';
+
+import {createProxyConfig, getEmbeddedPACURLs, getPACDirective} from '../../../src/main/proxy';
+
+// runs a generated PAC script with the helpers browsers provide
+function findProxy(proxyConfig, url) {
+  const script = Buffer.from(proxyConfig.pacScript.split(',')[1], 'base64').toString('utf8');
+  const context = {
+    isPlainHostName: (host) => !host.includes('.'),
+    shExpMatch: (host, pattern) => new RegExp(`^${pattern.replace(/\./g, '\\.').replace(/\*/g, '.*')}$`).test(host),
+  };
+  vm.runInNewContext(script, context);
+  return context.FindProxyForURL(url, new URL(url).hostname);
+}
+
+describe('main/proxy', () => {
+  it('should convert proxy servers to PAC directives', () => {
+    assert.equal(getPACDirective('proxy.example.com:3128'), 'PROXY proxy.example.com:3128');
+    assert.equal(getPACDirective('https://proxy.example.com:443'), 'HTTPS proxy.example.com');
+    assert.equal(getPACDirective('socks5://proxy.example.com:1080'), 'SOCKS5 proxy.example.com:1080');
+    assert.throws(() => getPACDirective('ftp://proxy.example.com'), /^Error: Invalid proxy server/);
+  });
+
+  it('should apply the global settings directly without per server settings', () => {
+    assert.equal(createProxyConfig({mode: 'system'}, {}), null);
+    assert.deepEqual(createProxyConfig({mode: 'direct'}, {}), {proxyRules: 'direct://'});
+    assert.deepEqual(createProxyConfig({mode: 'fixed', proxyServer: 'proxy:3128', bypassRules: 'localhost'}, {}), {
+      proxyRules: 'proxy:3128',
+      proxyBypassRules: 'localhost',
+    });
+    assert.deepEqual(createProxyConfig({mode: 'pac', pacURL: 'https://example.com/proxy.pac'}, {}), {pacScript: 'https://example.com/proxy.pac'});
+  });
+
+  it('should reject half filled settings', () => {
+    assert.throws(() => createProxyConfig({mode: 'fixed'}, {}), /^Error: Missing the proxy server$/);
+    assert.throws(() => createProxyConfig({mode: 'direct'}, {'https://example.com': {mode: 'pac', pacURL: ''}}), /^Error: Missing the PAC URL$/);
+  });
+
+  it('should refuse servers with settings of their own when the other servers use the system settings', () => {
+    assert.throws(() => createProxyConfig({mode: 'system'}, {'https://example.com': {mode: 'fixed', proxyServer: 'proxy:3128'}}), /^Error: Servers can't have proxy settings of their own/);
+    assert.equal(createProxyConfig({mode: 'system'}, {'https://example.com': {mode: 'system'}}), null);
+  });
+
+  it('should route each server through its own proxy', () => {
+    const proxyConfig = createProxyConfig({mode: 'fixed', proxyServer: 'global-proxy:3128', bypassRules: '*.internal, <local>'}, {
+      'https://chat.example.com/team': {mode: 'fixed', proxyServer: 'socks5://team-proxy:1080'},
+      'https://direct.example.com': {mode: 'direct'},
+      'https://default.example.com': {mode: 'system'},
+    });
+    assert.equal(findProxy(proxyConfig, 'https://chat.example.com/team/channels/town-square'), 'SOCKS5 team-proxy:1080');
+    assert.equal(findProxy(proxyConfig, 'https://direct.example.com/'), 'DIRECT');
+    assert.equal(findProxy(proxyConfig, 'https://default.example.com/'), 'PROXY global-proxy:3128');
+    assert.equal(findProxy(proxyConfig, 'https://wiki.internal/'), 'DIRECT');
+    assert.equal(findProxy(proxyConfig, 'http://intranet/'), 'DIRECT');
+  });
+
+  it('should embed the scripts of the PAC URLs', () => {
+    const proxy = {mode: 'pac', pacURL: 'https://example.com/proxy.pac'};
+    const serverProxies = {'https://chat.example.com': {mode: 'direct'}};
+    assert.deepEqual(getEmbeddedPACURLs(proxy, serverProxies), ['https://example.com/proxy.pac']);
+    assert.deepEqual(getEmbeddedPACURLs(proxy, {}), []);
+    const proxyConfig = createProxyConfig(proxy, serverProxies, {
+      'https://example.com/proxy.pac': 'function FindProxyForURL(url, host) { return "PROXY pac-proxy:8080"; }',
+    });
+    assert.equal(findProxy(proxyConfig, 'https://chat.example.com/'), 'DIRECT');
+    assert.equal(findProxy(proxyConfig, 'https://other.example.com/'), 'PROXY pac-proxy:8080');
+  });
+});
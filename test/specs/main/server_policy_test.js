@@ -0,0 +1,102 @@
+// Copyright (c) 2016-present Mattermost, Inc. All Rights Reserved.
+// See LICENSE.txt for license information.
+'use strict';
+
+import assert from 'assert';
+import http from 'http';
+
+import {fetchServerPolicy, getServerPolicyURL, isSpellCheckerEnabled, isSpellCheckerUsed} from '../../../src/main/serverPolicy';
+
+const policyPath = '/api/v4/desktop/policy';
+
+describe('main/serverPolicy', () => {
+  let server;
+  let serverURL;
+  let response;
+
+  // stands in for electron's net.request, both share the same response events
+  function request(options) {
+    return http.request(options.url, {method: options.method});
+  }
+
+  before((done) => {
+    server = http.createServer((req, res) => {
+      res.statusCode = req.url === policyPath ? response.statusCode : 404;
+      res.end(response.body);
+    });
+    server.listen(0, '127.0.0.1', () => {
+      serverURL = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after((done) => {
+    server.close(done);
+  });
+
+  it('should build the policy URL of servers hosted on a subpath', () => {
+    assert.equal(getServerPolicyURL('https://example.com/chat/', policyPath), 'https://example.com/chat/api/v4/desktop/policy');
+    assert.equal(getServerPolicyURL('https://example.com', policyPath), 'https://example.com/api/v4/desktop/policy');
+  });
+
+  it('should resolve with the validated policy, without the settings a server can not change', async () => {
+    response = {statusCode: 200, body: JSON.stringify({EnableDownloads: false, EnableSpellChecker: true, LockedPreferences: {useSpellChecker: false}})};
+    const policy = await fetchServerPolicy(serverURL, policyPath, request);
+    assert.deepEqual(policy, {EnableDownloads: false, EnableSpellChecker: true});
+  });
+
+  it('should not let a server change the HTTPS mode', async () => {
+    response = {statusCode: 200, body: JSON.stringify({httpsMode: 'allow', LockedPreferences: {httpsMode: 'allow'}})};
+    const policy = await fetchServerPolicy(serverURL, policyPath, request);
+    assert.deepEqual(policy, {});
+  });
+
+  it('should resolve with null when the server does not provide a policy', async () => {
+    response = {statusCode: 404, body: ''};
+    assert.equal(await fetchServerPolicy(serverURL, policyPath, request), null);
+  });
+
+  it('should reject policies that do not validate', async () => {
+    response = {statusCode: 200, body: JSON.stringify({EnableDownloads: 'sometimes'})};
+    await assert.rejects(fetchServerPolicy(serverURL, policyPath, request));
+  });
+
+  describe('spell checker', () => {
+    const policies = {};
+    const config = {
+      useSpellChecker: false,
+      teams: [
+        {name: 'forced', url: 'https://forced.example.com', order: 0},
+        {name: 'other', url: 'https://other.example.com', order: 1},
+      ],
+      getServerPolicy: (url) => policies[url] || {},
+    };
+
+    beforeEach(() => {
+      config.useSpellChecker = false;
+      delete policies['https://forced.example.com'];
+    });
+
+    it('should follow the app preference when the server does not force it', () => {
+      assert.equal(isSpellCheckerEnabled(config, 'https://forced.example.com/team/channels/town-square'), false);
+      config.useSpellChecker = true;
+      assert.equal(isSpellCheckerEnabled(config, 'https://forced.example.com/team/channels/town-square'), true);
+      assert.equal(isSpellCheckerUsed(config), true);
+    });
+
+    it('should only force the spell checker on the pages of the server', () => {
+      policies['https://forced.example.com'] = {EnableSpellChecker: true};
+      assert.equal(isSpellCheckerEnabled(config, 'https://forced.example.com/team/channels/town-square'), true);
+      assert.equal(isSpellCheckerEnabled(config, 'https://other.example.com/team/channels/town-square'), false);
+      assert.equal(isSpellCheckerEnabled(config, 'file:///index.html'), false);
+      assert.equal(isSpellCheckerUsed(config), true);
+    });
+
+    it('should let a server turn the spell checker off on its own pages only', () => {
+      config.useSpellChecker = true;
+      policies['https://forced.example.com'] = {EnableSpellChecker: false};
+      assert.equal(isSpellCheckerEnabled(config, 'https://forced.example.com/team/channels/town-square'), false);
+      assert.equal(isSpellCheckerEnabled(config, 'https://other.example.com/team/channels/town-square'), true);
+    });
+  });
+});
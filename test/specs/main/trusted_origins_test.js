@@ -6,7 +6,7 @@ import assert from 'assert';
 import 'airbnb-js-shims/target/es2015';
 
 import TrustedOriginsStore from '../../../src/main/trustedOrigins.js';
-import {BASIC_AUTH_PERMISSION} from '../../../src/common/permissions.js';
+import {BASIC_AUTH_PERMISSION, MEDIA_PERMISSION, NOTIFICATIONS_PERMISSION} from '../../../src/common/permissions.js';
 
 function mockTOS(fileName, returnvalue) {
   const tos = new TrustedOriginsStore(fileName);
@@ -96,4 +96,42 @@ describe('Trusted Origins', () => {
       assert.equal(tos.checkPermission('https://mattermost.com', BASIC_AUTH_PERMISSION), null);
     });
   });
-});
\ No newline at end of file
+
+  describe('validate prompted permissions', () => {
+    it('should remember granted and denied permissions', () => {
+      const tos = mockTOS('prompted_test', null);
+      tos.load();
+      tos.setPermission('https://mattermost.com/team/channel', MEDIA_PERMISSION, true);
+      tos.setPermission('https://mattermost.com', NOTIFICATIONS_PERMISSION, false);
+      assert.equal(tos.checkPermission('https://mattermost.com', MEDIA_PERMISSION), true);
+      assert.equal(tos.checkPermission('https://mattermost.com', NOTIFICATIONS_PERMISSION), false);
+      assert.equal(typeof tos.checkPermission('https://mattermost.com', 'geolocation'), 'undefined');
+    });
+
+    it('should not store unknown permissions', () => {
+      const tos = mockTOS('prompted_test', null);
+      tos.load();
+      tos.setPermission('https://mattermost.com', 'pointerLock', true);
+      assert.equal(typeof tos.checkPermission('https://mattermost.com', 'pointerLock'), 'undefined');
+    });
+
+    it('should ask again once a permission is revoked', () => {
+      const tos = mockTOS('prompted_test', JSON.stringify({
+        'https://mattermost.com': {
+          [BASIC_AUTH_PERMISSION]: false,
+          [MEDIA_PERMISSION]: true,
+          [NOTIFICATIONS_PERMISSION]: false,
+        },
+      }));
+      tos.load();
+      tos.revokePermission('https://mattermost.com', MEDIA_PERMISSION);
+      assert.equal(typeof tos.checkPermission('https://mattermost.com', MEDIA_PERMISSION), 'undefined');
+      assert.deepEqual(tos.getPermissions(), [{
+        origin: 'https://mattermost.com',
+        permissions: {[BASIC_AUTH_PERMISSION]: false, [NOTIFICATIONS_PERMISSION]: false},
+      }]);
+      tos.revokePermission('https://mattermost.com', NOTIFICATIONS_PERMISSION);
+      assert.deepEqual(tos.getPermissions(), []);
+    });
+  });
+});
@@ -29,6 +29,10 @@ module.exports = merge(base, {
       },
     }],
   },
+  // native modules can't be bundled, they are loaded from src/node_modules
+  externals: {
+    keytar: 'commonjs keytar',
+  },
   node: {
     __filename: true,
     __dirname: true,
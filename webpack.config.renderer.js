@@ -16,6 +16,7 @@ module.exports = merge(base, {
   entry: {
     index: './src/browser/index.jsx',
     settings: './src/browser/settings.jsx',
+    effectiveConfig: './src/browser/effectiveConfig.jsx',
     updater: './src/browser/updater.jsx',
     'webview/mattermost': './src/browser/webview/mattermost.js',
   },